@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+/**
+ * dbf-orm command-line tool: run `dbf-orm --help` for the commands
+ */
+
+const { run } = require('../src/Cli');
+
+// Output piped into a command that stops reading early, such as `head`, is not an error.
+process.stdout.on('error', err => {
+  if (err.code !== 'EPIPE') throw err;
+  process.exit(process.exitCode || 0);
+});
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -43,9 +43,6 @@ async function appendGstTaxToTempVG() {
           // Ensure this is a number
           record[field.name] = Number(value);
           console.log(`Setting GST_TAX to ${record[field.name]} (type: ${typeof record[field.name]})`);
-        } else if (field.name === '_NullFlags') {
-          // For _NullFlags, create a buffer filled with zeros
-          record[field.name] = Buffer.alloc(field.size, 0);
         } else if (field.name === 'C_CODE') {
           // For C_CODE, use a simple string
           record[field.name] = `G${value}`; // Use a different code for each record
@@ -79,7 +76,6 @@ async function appendGstTaxToTempVG() {
       lastRecords.forEach((record, i) => {
         console.log(`Record ${allRecords.length - 5 + i + 1}:`);
         console.log(`  GST_TAX = ${record.GST_TAX} (${typeof record.GST_TAX})`);
-        console.log(`  _NullFlags = ${JSON.stringify(record._NullFlags)}`);
         console.log(`  C_CODE = ${record.C_CODE} (${typeof record.C_CODE})`);
       });
     } else if (allRecords.length > 0) {
@@ -17,8 +17,7 @@ async function createSampleDbf() {
       { name: 'ID', type: 'N', size: 5 },
       { name: 'NAME', type: 'C', size: 30 },
       { name: 'ACTIVE', type: 'L', size: 1 },
-      { name: 'AMOUNT', type: 'N', size: 10, decimalPlaces: 2 },
-      { name: '_NullFlags', type: '0', size: 1 }
+      { name: 'AMOUNT', type: 'N', size: 10, decimalPlaces: 2 }
     ]);
     
     // Create the file
@@ -27,11 +26,11 @@ async function createSampleDbf() {
     
     // Prepare some sample records
     const records = [
-      { ID: 1, NAME: 'Sample Record 1', ACTIVE: true, AMOUNT: 123.45, _NullFlags: Buffer.alloc(1, 0) },
-      { ID: 2, NAME: 'Sample Record 2', ACTIVE: false, AMOUNT: 678.90, _NullFlags: Buffer.alloc(1, 0) },
-      { ID: 3, NAME: 'Sample Record 3', ACTIVE: true, AMOUNT: 1000.00, _NullFlags: Buffer.alloc(1, 0) },
-      { ID: 4, NAME: 'Sample Record 4', ACTIVE: false, AMOUNT: 9999.99, _NullFlags: Buffer.alloc(1, 0) },
-      { ID: 5, NAME: 'Sample Record 5', ACTIVE: true, AMOUNT: 500.00, _NullFlags: Buffer.alloc(1, 0) }
+      { ID: 1, NAME: 'Sample Record 1', ACTIVE: true, AMOUNT: 123.45 },
+      { ID: 2, NAME: 'Sample Record 2', ACTIVE: false, AMOUNT: 678.90 },
+      { ID: 3, NAME: 'Sample Record 3', ACTIVE: true, AMOUNT: 1000.00 },
+      { ID: 4, NAME: 'Sample Record 4', ACTIVE: false, AMOUNT: 9999.99 },
+      { ID: 5, NAME: 'Sample Record 5', ACTIVE: true, AMOUNT: 500.00 }
     ];
     
     // Insert the sample records
@@ -49,7 +48,6 @@ async function createSampleDbf() {
       console.log(`  NAME = ${record.NAME}`);
       console.log(`  ACTIVE = ${record.ACTIVE}`);
       console.log(`  AMOUNT = ${record.AMOUNT}`);
-      console.log(`  _NullFlags = ${JSON.stringify(record._NullFlags)}`);
     });
     
     // Close the file
@@ -66,14 +66,10 @@ async function main() {
       console.log(`  Raw GST_TAX as ascii: '${gstTaxBuffer.toString('ascii')}'`);
       console.log(`  JavaScript value: ${lastRecords[i].GST_TAX} (${typeof lastRecords[i].GST_TAX})`);
       console.log(`  Raw _NullFlags bytes: ${nullFlagsBuffer.toString('hex')}`);
-      console.log(`  JavaScript value: ${lastRecords[i]._NullFlags}`);
       
-      // Format _NullFlags as byte string for comparison
-      const byteStr = "b'" + Array.from(nullFlagsBuffer)
-        .map(b => '\\x' + b.toString(16).padStart(2, '0'))
-        .join('') + "'";
-      
-      console.log(`  _NullFlags as byte string: ${byteStr}`);
+      // _NullFlags is not part of the record; nullable fields whose bit is set come back as null instead
+      const nullFields = dbf.fields.filter(field => field.nullable && lastRecords[i][field.name] === null);
+      console.log(`  Null fields: ${nullFields.map(field => field.name).join(', ') || '(none)'}`);
     }
     
     // Close file
@@ -2,10 +2,12 @@
  * DbfORM - A fully-featured ORM for DBF files
  */
 
-// Re-export the DbfORM class and DELETED symbol
-const { DbfORM, DELETED } = require('./src/DbfORM');
+// Re-export the DbfORM class, DELETED symbol, and the ValidationError and Decimal classes
+const { DbfORM, DELETED, ValidationError, Decimal } = require('./src/DbfORM');
 
 module.exports = {
   DbfORM,
-  DELETED
+  DELETED,
+  ValidationError,
+  Decimal
 }; 
\ No newline at end of file
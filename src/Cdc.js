@@ -0,0 +1,206 @@
+/**
+ * Change data capture (see DbfORM.captureChanges)
+ *
+ * A checkpoint file keeps what a table looked like at the last capture: its record count, a hash of its field
+ * descriptors, and a 32-bit hash of the values and the deletion flag of each record, 5 bytes per record. Each capture
+ * reads the whole table, compares it with the checkpoint and reports the differences in record number order: records
+ * appended since as inserts, and records whose values or deletion flag changed as updates, deletes and recalls. Values
+ * are hashed rather than bytes, so that changes to memo text rewritten in its old blocks are seen too.
+ *
+ * Changes are { op, recno, record } objects, where `op` is 'insert', 'update', 'delete' or 'recall'. Records appended
+ * deleted aren't reported until they are recalled, and recalls carry the whole record, so inserts, updates and recalls
+ * can all be applied as upserts by record number. If the table's fields changed, or it has fewer records than before
+ * (it was packed or zapped), a { op: 'reset' } change comes first and every record is reported as inserted. Changes
+ * written to a stream are NDJSON, one per line, with records written as exportStream writes them.
+ *
+ * The checkpoint is replaced only once every change has been delivered, so a capture that fails part way is repeated
+ * in full by the next one. Consumers should apply changes by record number, so that applying one twice is harmless.
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+const { DELETED } = require('./lib/dbffile/dbf-file');
+const { Decimal, fromDecimal } = require('./lib/dbffile/decimal');
+const { toJSONRecord } = require('./Ndjson');
+
+// Number of records read at a time
+const BATCH_SIZE = 1000;
+
+// First bytes of a checkpoint file, and its version
+const MAGIC = 'DBFCDC';
+const VERSION = 1;
+
+// Length of the fixed part of a checkpoint file: magic, version, field hash and record count
+const CHECKPOINT_HEADER_LENGTH = 16;
+
+/**
+ * Report the changes to a table since the checkpoint, and update the checkpoint (see DbfORM.captureChanges)
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {string} checkpointPath - Path of the checkpoint file
+ * @param {Object} options - `onChange` or `output`, and `snapshot`
+ * @returns {Promise<Object>} - The numbers of changes of each kind, whether the table was reset and its record count
+ */
+async function captureChanges(orm, checkpointPath, options = {}) {
+  const { onChange, output, snapshot = true } = options;
+  if ((typeof onChange === 'function') === (output !== undefined && output !== null)) {
+    throw new Error('captureChanges needs either an onChange function or an output stream');
+  }
+  if (output && typeof output.write !== 'function') throw new Error('The output option must be a writable stream');
+
+  // The record count is read from the header, to see records other users have appended, and records are read up to
+  // it, leaving the DBF file's own count alone, as this instance's writes may be changing it meanwhile.
+  const dbfFile = orm.dbfFile;
+  const recordCount = await readRecordCount(dbfFile.path);
+  const fields = dbfFile.fields.filter(field => field.type !== '0');
+  const fieldHash = hashString(JSON.stringify(fields.map(f => [f.name, f.type, f.size, f.decimalPlaces || 0])));
+
+  // Without a checkpoint every record is new; a checkpoint for other fields or more records can't be compared, since
+  // the table was restructured or packed, so consumers are told to start again and every record is reported as new.
+  const previous = await readCheckpoint(checkpointPath);
+  const reset = previous !== null && (previous.fieldHash !== fieldHash || previous.recordCount > recordCount);
+  const known = previous && !reset ? previous.recordCount : 0;
+  const quiet = previous === null && !snapshot;
+
+  const summary = { inserts: 0, updates: 0, deletes: 0, recalls: 0, reset, recordCount };
+  const emit = output ? ndjsonWriter(output, fields) : recordCaller(onChange, fields, orm.options.numeric);
+  if (reset) await emit({ op: 'reset' });
+
+  const hashes = new Uint32Array(recordCount);
+  const flags = new Uint8Array(recordCount);
+  const cursor =
+    dbfFile.cursor({ to: recordCount, batchSize: BATCH_SIZE, includeDeletedRecords: true, numeric: 'decimal' });
+  for await (const { recno, record } of cursor.entries()) {
+    const deleted = !!record[DELETED];
+    const json = toJSONRecord(fields, record);
+    const hash = hashString(JSON.stringify(fields.map(field => json[field.name])));
+    hashes[recno - 1] = hash;
+    flags[recno - 1] = deleted ? 1 : 0;
+    if (quiet) continue;
+
+    let op = null;
+    if (recno > known) {
+      // Records appended deleted aren't reported until they are recalled
+      if (!deleted) op = 'insert';
+    } else {
+      const wasDeleted = previous.flags[recno - 1] === 1;
+      if (deleted !== wasDeleted) op = deleted ? 'delete' : 'recall';
+      else if (!deleted && hash !== previous.hashes[recno - 1]) op = 'update';
+    }
+    if (op) {
+      ++summary[`${op}s`];
+      await emit({ op, recno, record });
+    }
+  }
+  await emit(null);
+
+  await writeCheckpoint(checkpointPath, { fieldHash, recordCount, hashes, flags });
+  return summary;
+}
+
+//-------------------- Private implementation starts here --------------------
+/** Returns a function writing changes to a stream as lines of NDJSON, a batch at a time; null flushes the batch. */
+function ndjsonWriter(output, fields) {
+  let text = '';
+  let count = 0;
+  return async change => {
+    if (change !== null) {
+      const { op, recno, record } = change;
+      const json = op === 'reset' ? { op } : { op, recno, record: toJSONRecord(fields, record) };
+      text += JSON.stringify(json) + '\n';
+      if (++count < BATCH_SIZE) return;
+    }
+    if (text === '') return;
+    const chunk = text;
+    text = '';
+    count = 0;
+    if (!output.write(chunk)) await once(output, 'drain');
+  };
+}
+
+/** Returns a function calling `onChange` with each change, with numeric values as the table's `numeric` option says. */
+function recordCaller(onChange, fields, numeric) {
+  const numericFields = fields.filter(field => ['N', 'F', 'Y'].includes(field.type));
+  return async change => {
+    if (change === null) return;
+    const { record } = change;
+    if (record && numeric !== 'decimal') {
+      for (const field of numericFields) {
+        const value = record[field.name];
+        if (value instanceof Decimal) record[field.name] = fromDecimal(value, numeric, field.decimalPlaces || 0);
+      }
+    }
+    await onChange(change);
+  };
+}
+
+/** Reads the record count from the header of a DBF file. */
+async function readRecordCount(dbfPath) {
+  const handle = await fs.promises.open(dbfPath, 'r');
+  try {
+    const buffer = Buffer.alloc(4);
+    await handle.read(buffer, 0, 4, 4);
+    return buffer.readInt32LE(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+/** Reads a checkpoint file, or returns null if there is none. */
+async function readCheckpoint(checkpointPath) {
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(checkpointPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  const valid = buffer.length >= CHECKPOINT_HEADER_LENGTH &&
+    buffer.toString('latin1', 0, MAGIC.length) === MAGIC &&
+    buffer.readUInt16LE(6) === VERSION &&
+    buffer.length === CHECKPOINT_HEADER_LENGTH + buffer.readUInt32LE(12) * 5;
+  if (!valid) throw new Error(`'${checkpointPath}' is not a change capture checkpoint`);
+  const recordCount = buffer.readUInt32LE(12);
+  const hashes = new Uint32Array(recordCount);
+  for (let i = 0; i < recordCount; ++i) hashes[i] = buffer.readUInt32LE(CHECKPOINT_HEADER_LENGTH + i * 4);
+  const flagsStart = CHECKPOINT_HEADER_LENGTH + recordCount * 4;
+  return {
+    fieldHash: buffer.readUInt32LE(8),
+    recordCount,
+    hashes,
+    flags: Uint8Array.from(buffer.subarray(flagsStart, flagsStart + recordCount))
+  };
+}
+
+/** Replaces a checkpoint file, writing a new one beside it and renaming it, so that it is never left half written. */
+async function writeCheckpoint(checkpointPath, { fieldHash, recordCount, hashes, flags }) {
+  const buffer = Buffer.alloc(CHECKPOINT_HEADER_LENGTH + recordCount * 5);
+  buffer.write(MAGIC, 0, 'latin1');
+  buffer.writeUInt16LE(VERSION, 6);
+  buffer.writeUInt32LE(fieldHash, 8);
+  buffer.writeUInt32LE(recordCount, 12);
+  for (let i = 0; i < recordCount; ++i) buffer.writeUInt32LE(hashes[i], CHECKPOINT_HEADER_LENGTH + i * 4);
+  buffer.set(flags, CHECKPOINT_HEADER_LENGTH + recordCount * 4);
+  const tempPath = `${checkpointPath}.tmp`;
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(buffer);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tempPath, checkpointPath);
+}
+
+/** 32-bit FNV-1a hash of the UTF-16 code units of a string. */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; ++i) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+module.exports = {
+  captureChanges
+};
@@ -0,0 +1,541 @@
+/**
+ * The dbf-orm command-line tool (see bin/dbf-orm.js), for looking at and changing tables without writing a script
+ *
+ * Each command takes the path of a table, opens it with DbfORM and writes its results to stdout, as aligned columns
+ * or, with --json, as JSON. Records are read a batch at a time, so large tables can be listed and exported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { parseArgs } = require('util');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { DbfORM, DELETED } = require('./DbfORM');
+const { compileExpression } = require('./lib/dbffile/expression');
+const { formatValue } = require('./Csv');
+const { toJSONRecord, fromJSONRecord } = require('./Ndjson');
+
+const USAGE = `Usage: dbf-orm <command> <table> [options]
+
+Commands:
+  info <table>                    Show the header, fields and indexes of a table
+  head <table> [-n N]             Show the first N records (default 10)
+  tail <table> [-n N]             Show the last N records (default 10)
+  query <table> --where EXPR      Show the records matching an xBase expression, e.g. "STATE = 'CA'"
+  export <table> [-o FILE]        Export the records as json, csv, ndjson, xlsx or sqlite (--format, or from FILE)
+  import <table> FILE             Append the records of a file (--format as for export; FILE - reads NDJSON from stdin)
+  pack <table>                    Remove deleted records
+  verify <table>                  Check a table for damage, such as a record count that disagrees with its size
+  repair <table> [--backup]       Fix the record count, partial records and end-of-file marker of a damaged table
+  changes <table> --checkpoint F  Write the changes since the last run with checkpoint file F as NDJSON [-o FILE]
+  create <table> --schema FILE    Create an empty table from a JSON schema of field descriptors
+
+Options:
+  --encoding ENC                  Code page of the table's text, e.g. cp1252 (default: from the table's header)
+  --include-deleted               Include deleted records, marked with * (or "$deleted": true in JSON)
+  --json                          Write JSON instead of columns
+  -n, --limit N                   Number of records to show
+  --fields A,B,C                  Fields to show or export, in order
+  --skip-errors                   Import the valid rows of a CSV or Excel file, reporting the others
+  --backup                        Copy the table to <table>.bak before repairing it
+  -h, --help                      Show this help
+`;
+
+// Shown after usage errors
+const HELP_HINT = "Run 'dbf-orm --help' for the commands and options.\n";
+
+const OPTIONS = {
+  encoding: { type: 'string' },
+  'include-deleted': { type: 'boolean' },
+  json: { type: 'boolean' },
+  limit: { type: 'string', short: 'n' },
+  where: { type: 'string' },
+  format: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  schema: { type: 'string' },
+  fields: { type: 'string' },
+  'skip-errors': { type: 'boolean' },
+  backup: { type: 'boolean' },
+  checkpoint: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Formats by file extension, for export and import
+const FORMATS = {
+  '.json': 'json',
+  '.csv': 'csv',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.xlsx': 'xlsx',
+  '.sqlite': 'sqlite',
+  '.sqlite3': 'sqlite',
+  '.db': 'sqlite'
+};
+
+// Widest column shown, in characters; longer values are cut short
+const MAX_WIDTH = 40;
+
+// Number of records read at a time
+const BATCH_SIZE = 1000;
+
+// Names of the file versions that DbfORM reads
+const FILE_VERSIONS = {
+  0x03: 'dBase III',
+  0x83: 'dBase III with memo',
+  0x8b: 'dBase IV with memo',
+  0x30: 'Visual FoxPro',
+  0x31: 'Visual FoxPro with autoincrement',
+  0x32: 'Visual FoxPro with varchar',
+  0xf5: 'FoxPro 2 with memo'
+};
+
+/**
+ * Run a dbf-orm command
+ * @param {string[]} args - The command-line arguments, after the program name
+ * @param {Object} io - `stdout`, `stderr` and `stdin` streams (default: the process's)
+ * @returns {Promise<number>} - The exit code: 0 on success, 1 if the command failed and 2 for a usage error
+ */
+async function run(args, io = {}) {
+  const out = io.stdout || process.stdout;
+  const err = io.stderr || process.stderr;
+  let command, tablePath, operands, options;
+  try {
+    const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    [command, tablePath, ...operands] = positionals;
+    options = values;
+  } catch (error) {
+    err.write(`dbf-orm: ${error.message}\n${HELP_HINT}`);
+    return 2;
+  }
+  if (options.help || command === undefined || command === 'help') {
+    out.write(USAGE);
+    return 0;
+  }
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    err.write(`dbf-orm: Unknown command '${command}'\n${HELP_HINT}`);
+    return 2;
+  }
+  if (tablePath === undefined) {
+    err.write(`dbf-orm: The ${command} command needs the path of a table\n${HELP_HINT}`);
+    return 2;
+  }
+
+  const orm = new DbfORM(tablePath, {
+    encoding: options.encoding,
+    includeDeletedRecords: !!options['include-deleted'],
+    numeric: 'decimal'
+  });
+  try {
+    return await COMMANDS[command]({ orm, tablePath, operands, options, out, err, stdin: io.stdin || process.stdin });
+  } catch (error) {
+    if (error instanceof UsageError) {
+      err.write(`dbf-orm: ${error.message}\n${HELP_HINT}`);
+      return 2;
+    }
+    err.write(`dbf-orm: ${error.message}\n`);
+    return 1;
+  } finally {
+    await orm.close();
+  }
+}
+
+//-------------------- Private implementation starts here --------------------
+const COMMANDS = {
+  async info({ orm, tablePath, options, out }) {
+    await orm.open();
+    const header = await readHeader(tablePath);
+    const info = orm.getInfo();
+    const fields = info.fields.map(field => ({
+      name: field.name,
+      type: field.type,
+      size: field.size,
+      decimalPlaces: field.decimalPlaces || 0,
+      nullable: !!field.nullable,
+      binary: !!field.binary
+    }));
+    const indexes = orm.getIndexes();
+    const result = {
+      path: path.resolve(tablePath),
+      fileVersion: header.fileVersion,
+      dateOfLastUpdate: formatValue({ type: 'D' }, info.dateOfLastUpdate),
+      recordCount: info.recordCount,
+      headerLength: header.headerLength,
+      recordLength: header.recordLength,
+      languageDriver: info.languageDriver,
+      encoding: info.encoding,
+      fields,
+      indexes
+    };
+    if (options.json) return writeJSON(out, result);
+
+    const hex = value => '0x' + value.toString(16).padStart(2, '0');
+    const lines = [
+      `File:          ${result.path}`,
+      `Version:       ${hex(header.fileVersion)} (${FILE_VERSIONS[header.fileVersion] || 'unknown'})`,
+      `Last update:   ${result.dateOfLastUpdate}`,
+      `Records:       ${result.recordCount}`,
+      `Header length: ${result.headerLength}`,
+      `Record length: ${result.recordLength}`,
+      `Code page:     ${typeof info.encoding === 'string' ? info.encoding : JSON.stringify(info.encoding)}` +
+        (info.languageDriver ? ` (language driver ${hex(info.languageDriver)})` : ''),
+      ''
+    ];
+    const columns = [
+      { title: 'Name', width: 10 },
+      { title: 'Type', width: 4 },
+      { title: 'Size', width: 4, right: true },
+      { title: 'Dec', width: 3, right: true },
+      { title: 'Flags', width: 16 }
+    ];
+    lines.push(formatLine(columns, columns.map(column => column.title)), formatRule(columns));
+    for (const field of fields) {
+      const flags = field.type === '0' ? 'system' :
+        [field.nullable && 'nullable', field.binary && 'binary'].filter(Boolean).join(' ');
+      lines.push(formatLine(columns, [field.name, field.type, field.size, field.decimalPlaces, flags]));
+    }
+    for (const index of indexes) {
+      lines.push('', `Index ${index.path}${index.structural ? ' (structural)' : ''}:`);
+      for (const tag of index.tags) {
+        const details = [tag.filter && `FOR ${tag.filter}`, tag.unique && 'UNIQUE', tag.descending && 'DESCENDING'];
+        lines.push(`  ${tag.name}: ${[tag.expression, ...details.filter(Boolean)].join(' ')}`);
+      }
+    }
+    await write(out, lines.join('\n') + '\n');
+    return 0;
+  },
+
+  async head({ orm, options, out }) {
+    await orm.open();
+    const limit = parseLimit(options.limit, 10);
+    await writeRecords(out, orm, options, takeEntries(orm.dbfFile.cursor({ batchSize: BATCH_SIZE }).entries(), limit));
+    return 0;
+  },
+
+  async tail({ orm, options, out }) {
+    await orm.open();
+    const limit = parseLimit(options.limit, 10);
+    await writeRecords(out, orm, options, lastEntries(orm, limit));
+    return 0;
+  },
+
+  async query({ orm, options, out }) {
+    if (options.where === undefined) throw new UsageError('The query command needs a --where expression');
+    await orm.open();
+    const expression = compileExpression(options.where, orm.dbfFile.fields, { dateFormat: orm.options.dateFormat });
+    if (expression.type !== 'L') {
+      throw new Error(`Expression '${options.where}' must be logical, not of type '${expression.type}'`);
+    }
+    const limit = parseLimit(options.limit, Infinity);
+    const matches = (async function* () {
+      for await (const entry of orm.dbfFile.cursor({ batchSize: BATCH_SIZE }).entries()) {
+        const { recno, record } = entry;
+        if (expression.evaluate(record, { recno, deleted: !!record[DELETED] })) yield entry;
+      }
+    })();
+    await writeRecords(out, orm, options, takeEntries(matches, limit));
+    return 0;
+  },
+
+  async export({ orm, options, out }) {
+    await orm.open();
+    const format = getFormat(options.format, options.output, 'json');
+    const fields = options.fields === undefined ? undefined : options.fields.split(',').map(name => name.trim());
+    let count = 0;
+    if (format === 'csv' || format === 'xlsx' || format === 'sqlite') {
+      if (options.output === undefined) throw new UsageError(`Exporting to ${format} needs an --output file`);
+      if (format === 'csv') count = await orm.toCSV(options.output, { fields });
+      else if (format === 'xlsx') count = await orm.toXLSX(options.output, { fields });
+      else count = await orm.exportToSQLite(options.output, { fields });
+    } else {
+      // Values are written as exportStream writes them, so that import reads them back exactly.
+      const selected = selectFields(orm, fields);
+      const records = mapAsync(orm.dbfFile.cursor({ batchSize: BATCH_SIZE }), record => {
+        ++count;
+        return toJSONRecord(selected, record);
+      });
+      const text = format === 'ndjson' ?
+        mapAsync(records, json => JSON.stringify(json) + '\n') :
+        jsonArray(records);
+      const target = options.output === undefined ? out : fs.createWriteStream(options.output);
+      await pipeline(Readable.from(text), target, { end: target !== out });
+    }
+    if (options.output !== undefined) await write(out, `Exported ${count} records to ${options.output}\n`);
+    return 0;
+  },
+
+  async import({ orm, operands, options, out, err, stdin }) {
+    const [inputPath] = operands;
+    if (inputPath === undefined) throw new UsageError('The import command needs the path of a file to import');
+    await orm.open();
+    const format = getFormat(options.format, inputPath === '-' ? undefined : inputPath, inputPath === '-' && 'ndjson');
+    if (format === 'sqlite') throw new UsageError('SQLite databases can be exported to, not imported from');
+    const skipErrors = !!options['skip-errors'];
+    let count;
+    if (format === 'ndjson') {
+      count = await orm.importStream(inputPath === '-' ? stdin : fs.createReadStream(inputPath));
+    } else if (format === 'json') {
+      count = await importJSON(orm, inputPath === '-' ? stdin : fs.createReadStream(inputPath));
+    } else {
+      const result = format === 'csv' ?
+        await orm.appendFromCSV(inputPath, { skipErrors }) :
+        await orm.appendFromXLSX(inputPath, { skipErrors });
+      for (const { line, errors } of result.errors) {
+        for (const error of errors) err.write(`Line ${line}: ${error.message}\n`);
+      }
+      if (result.errors.length > 0 && !skipErrors) {
+        throw new Error(`Nothing was imported: ${result.errors.length} of ${result.rows} rows have errors`);
+      }
+      count = result.count;
+    }
+    await write(out, `Imported ${count} records into ${orm.dbfPath}\n`);
+    return 0;
+  },
+
+  async pack({ orm, out }) {
+    await orm.open();
+    const before = orm.getInfo().recordCount;
+    const count = await orm.pack();
+    await write(out, `Packed ${orm.dbfPath}: removed ${before - count} deleted records, ${count} remain\n`);
+    return 0;
+  },
+
+  async verify({ tablePath, options, out }) {
+    const report = await DbfORM.verify(tablePath);
+    if (options.json) {
+      await writeJSON(out, report);
+    } else {
+      const lines = [...report.problems, ...report.warnings].map(problem => `${tablePath}: ${problem.message}`);
+      if (report.problemCount > report.problems.length) {
+        lines.push(`${tablePath}: ... and ${report.problemCount - report.problems.length} more problems`);
+      }
+      if (report.ok) lines.push(`${tablePath}: OK (${report.recordCount} records)`);
+      await write(out, lines.join('\n') + '\n');
+    }
+    return report.ok ? 0 : 1;
+  },
+
+  async repair({ tablePath, options, out }) {
+    const result = await DbfORM.repair(tablePath, { backup: !!options.backup });
+    if (options.json) return writeJSON(out, result);
+    const fixes = result.changed ? result.fixes : ['Nothing to repair'];
+    const lines = fixes.map(fix => `${tablePath}: ${fix}`);
+    if (result.backupPath) lines.push(`${tablePath}: The original was copied to ${result.backupPath}`);
+    await write(out, lines.join('\n') + '\n');
+    return 0;
+  },
+
+  async changes({ orm, options, out }) {
+    if (options.checkpoint === undefined) throw new UsageError('The changes command needs a --checkpoint file');
+    await orm.open();
+    const target = options.output === undefined ? out : fs.createWriteStream(options.output);
+    let result;
+    try {
+      result = await orm.captureChanges(options.checkpoint, { output: target });
+    } finally {
+      if (target !== out) await new Promise(resolve => target.end(resolve));
+    }
+    if (options.output !== undefined) {
+      const { inserts, updates, deletes, recalls, reset } = result;
+      const counts = `${inserts} inserts, ${updates} updates, ${deletes} deletes and ${recalls} recalls`;
+      await write(out, `Wrote ${reset ? 'a reset and ' : ''}${counts} to ${options.output}\n`);
+    }
+    return 0;
+  },
+
+  async create({ tablePath, options, out }) {
+    if (options.schema === undefined) throw new UsageError('The create command needs a --schema file');
+    if (fs.existsSync(tablePath)) throw new Error(`Table '${tablePath}' already exists`);
+    const schema = JSON.parse(await fs.promises.readFile(options.schema, 'utf8'));
+    const { fields, fileVersion, encoding } = Array.isArray(schema) ? { fields: schema } : schema;
+    if (!Array.isArray(fields)) {
+      throw new Error('The schema must be an array of field descriptors, or an object with a fields array');
+    }
+    const orm = new DbfORM(tablePath, {
+      encoding: options.encoding || encoding,
+      fileVersion: typeof fileVersion === 'string' ? Number(fileVersion) : fileVersion
+    });
+    orm.defineFields(fields);
+    await orm.create();
+    await orm.close();
+    await write(out, `Created ${tablePath} with ${fields.length} fields\n`);
+    return 0;
+  }
+};
+
+/** An error in the way a command was used, reported with the usage. */
+class UsageError extends Error {}
+
+/** Reads the parts of the header that DbfORM doesn't report: the version byte and the header and record lengths. */
+async function readHeader(tablePath) {
+  const handle = await fs.promises.open(tablePath, 'r');
+  try {
+    const buffer = Buffer.alloc(32);
+    await handle.read(buffer, 0, 32, 0);
+    return {
+      fileVersion: buffer.readUInt8(0),
+      headerLength: buffer.readUInt16LE(8),
+      recordLength: buffer.readUInt16LE(10)
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+/** Appends the records of a JSON array, written by the export command, as one transaction. */
+async function importJSON(orm, input) {
+  let text = '';
+  input.setEncoding('utf8');
+  for await (const chunk of input) text += chunk;
+  const records = JSON.parse(text.replace(/^\uFEFF/, ''));
+  if (!Array.isArray(records)) throw new Error('The JSON file must hold an array of records');
+  const fields = new Map(orm.dbfFile.fields.filter(field => field.type !== '0').map(field => [field.name, field]));
+  const converted = records.map((json, i) => {
+    try {
+      if (typeof json !== 'object' || json === null || Array.isArray(json)) throw new Error('must be an object');
+      return fromJSONRecord(fields, json);
+    } catch (error) {
+      throw new Error(`Record ${i + 1}: ${error.message}`);
+    }
+  });
+  await orm.transaction(async () => {
+    for (let i = 0; i < converted.length; i += BATCH_SIZE) await orm.insertMany(converted.slice(i, i + BATCH_SIZE));
+  });
+  return converted.length;
+}
+
+/** Writes records, given as { recno, record } entries, as aligned columns or (with --json) as a JSON array. */
+async function writeRecords(out, orm, options, entries) {
+  const fields = selectFields(orm, options.fields === undefined ? undefined : options.fields.split(','));
+  if (options.json) {
+    await pipeline(Readable.from(jsonArray(mapAsync(entries, ({ record }) => toJSONRecord(fields, record)))), out,
+      { end: false });
+    return;
+  }
+  const deleted = !!options['include-deleted'];
+  const columns = [
+    { title: '#', width: Math.max(String(orm.dbfFile.recordCount).length, 1), right: true },
+    ...(deleted ? [{ title: '', width: 1 }] : []),
+    ...fields.map(field => ({ title: field.name, width: columnWidth(field), right: isNumeric(field) }))
+  ];
+  await write(out, formatLine(columns, columns.map(column => column.title)) + '\n' + formatRule(columns) + '\n');
+  let chunk = '';
+  let count = 0;
+  for await (const { recno, record } of entries) {
+    const values = fields.map(field => displayValue(field, record[field.name]));
+    chunk += formatLine(columns, [recno, ...(deleted ? [record[DELETED] ? '*' : ''] : []), ...values]) + '\n';
+    if (++count % BATCH_SIZE === 0) {
+      await write(out, chunk);
+      chunk = '';
+    }
+  }
+  await write(out, chunk);
+}
+
+/** Gets the last `limit` records as { recno, record } entries, reading back from the end of the table. */
+async function* lastEntries(orm, limit) {
+  const count = orm.dbfFile.recordCount;
+  if (limit === 0 || count === 0) return;
+  let entries = [];
+  // Deleted records are skipped, so the records before the last `limit` may be needed too.
+  for (let span = limit; ; span *= 2) {
+    const from = Math.max(1, count - span + 1);
+    entries = [];
+    for await (const entry of orm.dbfFile.cursor({ from, batchSize: BATCH_SIZE }).entries()) {
+      entries.push(entry);
+      if (entries.length > limit) entries.shift();
+    }
+    if (entries.length >= limit || from === 1) break;
+  }
+  yield* entries;
+}
+
+async function* takeEntries(entries, limit) {
+  if (limit === 0) return;
+  let count = 0;
+  for await (const entry of entries) {
+    yield entry;
+    if (++count >= limit) return;
+  }
+}
+
+async function* mapAsync(iterable, fn) {
+  for await (const item of iterable) yield fn(item);
+}
+
+/** Yields the text of a JSON array of the objects, one per line. */
+async function* jsonArray(objects) {
+  let first = true;
+  for await (const object of objects) {
+    yield (first ? '[\n  ' : ',\n  ') + JSON.stringify(object);
+    first = false;
+  }
+  yield first ? '[]\n' : '\n]\n';
+}
+
+function selectFields(orm, names) {
+  const fields = orm.dbfFile.fields.filter(field => field.type !== '0');
+  if (names === undefined) return fields;
+  return names.map(name => {
+    const field = fields.find(f => f.name.toUpperCase() === name.trim().toUpperCase());
+    if (!field) throw new Error(`Field '${name.trim()}' does not exist`);
+    return field;
+  });
+}
+
+function getFormat(format, filePath, defaultFormat) {
+  const result = format || (filePath && FORMATS[path.extname(filePath).toLowerCase()]) || defaultFormat;
+  if (!result) throw new UsageError(`Can't tell the format of '${filePath}'; use --format`);
+  if (Object.values(FORMATS).indexOf(result) === -1) {
+    throw new UsageError(`Unsupported format: '${result}'. Use json, csv, ndjson, xlsx or sqlite.`);
+  }
+  return result;
+}
+
+function parseLimit(limit, defaultLimit) {
+  if (limit === undefined) return defaultLimit;
+  if (!/^\d+$/.test(limit)) throw new UsageError(`Invalid limit: '${limit}'`);
+  return Number(limit);
+}
+
+function isNumeric(field) {
+  return ['N', 'F', 'Y', 'I', 'B'].indexOf(field.type) !== -1;
+}
+
+function columnWidth(field) {
+  const widths = { D: 10, T: 24, L: 1, I: 11, Y: 20, B: 20, Q: 12, G: 12, W: 12 };
+  const width = ['C', 'V', 'N', 'F'].indexOf(field.type) !== -1 ? field.size : widths[field.type] || MAX_WIDTH;
+  return Math.min(MAX_WIDTH, Math.max(field.name.length, width));
+}
+
+function displayValue(field, value) {
+  // As in FoxPro, nulls show as .NULL. in fields that can hold them, and blank values as nothing.
+  if (value === null || value === undefined) return field.nullable ? '.NULL.' : '';
+  if (value instanceof Buffer) return `<${value.length} bytes>`;
+  return formatValue(field, value).replace(/[\r\n\t]+/g, ' ');
+}
+
+function formatLine(columns, values) {
+  return columns.map((column, i) => {
+    let text = String(values[i]);
+    if (text.length > column.width) text = text.slice(0, column.width - 1) + '…';
+    return column.right ? text.padStart(column.width) : text.padEnd(column.width);
+  }).join(' ').trimEnd();
+}
+
+function formatRule(columns) {
+  return columns.map(column => '-'.repeat(column.width)).join(' ');
+}
+
+async function writeJSON(out, value) {
+  await write(out, JSON.stringify(value, null, 2) + '\n');
+  return 0;
+}
+
+async function write(out, text) {
+  if (!out.write(text)) await once(out, 'drain');
+}
+
+module.exports = {
+  run
+};
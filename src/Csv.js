@@ -0,0 +1,453 @@
+/**
+ * CSV import and export (see DbfORM.toCSV and DbfORM.appendFromCSV)
+ *
+ * Records are streamed in both directions, so large tables and files are never held in memory. Values are written
+ * and parsed according to the table's field descriptors: numbers as exact decimal text with the field's decimal
+ * places, logicals as T and F, dates in a chosen format, DateTimes in ISO 8601 and binary values as base64. Files
+ * follow RFC 4180: fields containing the delimiter, quotes or line breaks are quoted, and rows end with CRLF.
+ *
+ * Columns are matched to fields by name (case-insensitive) unless mapped, and columns that match no field are ignored.
+ * Rows whose values can't be converted to their fields' types are reported with their errors, as
+ * { row, line, errors: [{ field, column, value, message }] } objects. Rows are appended as a transaction: unless the
+ * skipErrors option is set, nothing is appended if any row is invalid.
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+const { pipeline } = require('stream');
+const { finished } = require('stream/promises');
+const iconv = require('iconv-lite');
+const { Decimal, formatDecimal, fromDecimal, isNumericValue } = require('./lib/dbffile/decimal');
+const { formatDate, parseDate } = require('./lib/dbffile/expression');
+
+// Number of rows written or appended at a time
+const BATCH_SIZE = 1000;
+
+// Range of Currency (Y) values, which are stored as 64-bit integers of ten-thousandths
+const MIN_CURRENCY = '-922337203685477.5808';
+const MAX_CURRENCY = '922337203685477.5807';
+
+/**
+ * Write the records of an open table to a CSV file (see DbfORM.toCSV)
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {string} outputPath - Path of the CSV file
+ * @param {Object} options - `delimiter`, `header`, `dateFormat`, `fields` and `encoding`
+ * @returns {Promise<number>} - The number of records written
+ */
+async function exportCSV(orm, outputPath, options = {}) {
+  const opts = normaliseOptions(options);
+  const fields = selectFields(orm, opts.fields);
+  const out = fs.createWriteStream(outputPath);
+  const done = finished(out);
+  done.catch(() => {}); // Rejections are handled where it is awaited
+  const write = async text => {
+    if (out.destroyed) await done;
+    if (!out.write(iconv.encode(text, opts.encoding))) await once(out, 'drain');
+  };
+
+  let count = 0;
+  try {
+    if (opts.header) await write(formatRow(fields.map(field => field.name), opts.delimiter));
+    let chunk = '';
+    for await (const record of orm.dbfFile.cursor({ batchSize: BATCH_SIZE })) {
+      chunk += formatRow(fields.map(field => formatValue(field, record[field.name], opts)), opts.delimiter);
+      if (++count % BATCH_SIZE === 0) {
+        await write(chunk);
+        chunk = '';
+      }
+    }
+    await write(chunk);
+  } catch (err) {
+    out.destroy();
+    throw err;
+  }
+  out.end();
+  await done;
+  return count;
+}
+
+/**
+ * Append the rows of a CSV file to an open table (see DbfORM.appendFromCSV)
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {string} inputPath - Path of the CSV file
+ * @param {Object} options - `mapping`, `dateFormat`, `skipErrors`, `delimiter`, `header`, `fields` and `encoding`
+ * @returns {Promise<Object>} - { count, rows, errors }
+ */
+async function importCSV(orm, inputPath, options = {}) {
+  const opts = normaliseOptions(options);
+  const input = pipeline(fs.createReadStream(inputPath), iconv.decodeStream(opts.encoding), () => {});
+  try {
+    return await appendRows(orm, parseCSV(input, opts.delimiter), opts, (field, text) =>
+      parseValue(orm, field, text, opts.dateFormat));
+  } finally {
+    input.destroy();
+  }
+}
+
+/**
+ * Append rows of values to an open table, as appendFromCSV and appendFromXLSX do. The first row names the columns
+ * (unless `header` is false), and each value is converted to the type of its column's field by `convert`.
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {AsyncIterable} rows - The rows, as { values, line } objects
+ * @param {Object} options - `mapping`, `skipErrors`, `header` and `fields`
+ * @param {Function} convert - Takes a field descriptor and a value, and returns the value to write (null if empty);
+ * throws an error, whose message follows the field name, if the value is not valid for the field
+ * @returns {Promise<Object>} - { count, rows, errors }
+ */
+async function appendRows(orm, rows, options, convert) {
+  const { mapping, skipErrors = false } = options;
+  if (mapping !== undefined && (typeof mapping !== 'object' || mapping === null)) {
+    throw new Error('Invalid mapping option: must be an object of field names by column');
+  }
+
+  // Rows are appended in a transaction. Without skipErrors, appending stops at the first invalid row, the rest being
+  // checked only so that their errors are reported too, and the transaction is then rolled back.
+  let report;
+  try {
+    return await orm.transaction(async () => {
+      let count = 0;
+      report = await readRows(orm, rows, options, convert, async (batch, errors, columns) => {
+        if (skipErrors || errors.length === 0) count += await appendBatch(orm, batch, errors, columns);
+      });
+      if (!skipErrors && report.errors.length > 0) throw new RowErrors();
+      return { count, rows: report.rows, errors: report.errors };
+    });
+  } catch (err) {
+    if (!(err instanceof RowErrors)) throw err;
+    return { count: 0, rows: report.rows, errors: report.errors };
+  }
+}
+
+/**
+ * Convert the text of a CSV field to the value of a table field, as appendFromCSV does. Empty text is null.
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {Object} field - The field descriptor
+ * @param {string} text - The text
+ * @param {string} dateFormat - 'iso' or a SET DATE format, for D fields (default: 'iso')
+ * @returns {*} - The value; throws an error if the text is not a valid value of the field
+ */
+function parseValue(orm, field, text, dateFormat = 'iso') {
+  const trimmed = text.trim();
+  if (trimmed === '' && ['C', 'V', 'M'].indexOf(field.type) === -1) return null;
+  switch (field.type) {
+    case 'C': // Character
+    case 'V': // Varchar
+      {
+        const length = iconv.encode(text, fieldEncoding(orm.dbfFile.encoding, field.name)).length;
+        if (length > field.size) throw new Error(`is longer than ${field.size} bytes`);
+        return text;
+      }
+    case 'M': // Memo
+      return text;
+    case 'N': // Numeric
+    case 'F': // Float
+    case 'Y': // Currency
+      {
+        if (!isNumericValue(trimmed)) throw new Error('is not a number');
+        const decimalPlaces = field.type === 'Y' ? 4 : field.decimalPlaces || 0;
+        const decimal = Decimal.from(trimmed);
+        if (field.type === 'Y') {
+          if (decimal.compareTo(MIN_CURRENCY) < 0 || decimal.compareTo(MAX_CURRENCY) > 0) {
+            throw new Error('is out of range for a currency field');
+          }
+        } else if (decimal.toFixed(decimalPlaces).length > field.size) {
+          const width = decimalPlaces > 0 ? `${field.size},${decimalPlaces}` : `${field.size}`;
+          throw new Error(`does not fit in ${field.type}(${width})`);
+        }
+        return fromDecimal(decimal, orm.options.numeric, decimalPlaces);
+      }
+    case 'I': // Integer
+      {
+        const value = Number(trimmed);
+        if (!/^[-+]?\d+$/.test(trimmed) || value < -2147483648 || value > 2147483647) {
+          throw new Error('is not a 32-bit integer');
+        }
+        return value;
+      }
+    case 'B': // Double
+      {
+        const value = Number(trimmed);
+        if (!isNumericValue(trimmed)) throw new Error('is not a number');
+        return value;
+      }
+    case 'L': // Logical
+      {
+        const upper = trimmed.toUpperCase();
+        if (['T', 'Y', '.T.', 'TRUE', 'YES', '1'].indexOf(upper) !== -1) return true;
+        if (['F', 'N', '.F.', 'FALSE', 'NO', '0'].indexOf(upper) !== -1) return false;
+        throw new Error('is not a logical value');
+      }
+    case 'D': // Date
+      {
+        const date = parseCSVDate(trimmed, dateFormat);
+        if (!date) throw new Error(`is not a date in ${dateFormat} format`);
+        return date;
+      }
+    case 'T': // DateTime
+      {
+        const date = new Date(trimmed);
+        if (Number.isNaN(date.getTime())) throw new Error('is not a date and time');
+        return date;
+      }
+    case 'Q': // Varbinary
+    case 'G': // General
+    case 'W': // Blob
+      if (!/^[A-Za-z0-9+/=\s]*$/.test(trimmed)) throw new Error('is not base64');
+      return Buffer.from(trimmed, 'base64');
+    default:
+      throw new Error(`has unsupported field type '${field.type}'`);
+  }
+}
+
+/**
+ * Format the value of a table field as CSV text, as toCSV does. Null is empty.
+ * @param {Object} field - The field descriptor
+ * @param {*} value - The value
+ * @param {Object} options - `dateFormat`: 'iso' or a SET DATE format, for D fields (default: 'iso')
+ * @returns {string} - The text
+ */
+function formatValue(field, value, options = {}) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Buffer) return value.toString('base64');
+  if (value instanceof Date) {
+    if (field.type === 'T') return value.toISOString();
+    return formatCSVDate(value, options.dateFormat || 'iso');
+  }
+  switch (field.type) {
+    case 'N': // Numeric
+      return formatDecimal(value, field.decimalPlaces || 0);
+    case 'Y': // Currency
+      return formatDecimal(value, 4);
+    case 'L': // Logical
+      return value ? 'T' : 'F';
+    default:
+      return String(value);
+  }
+}
+
+//-------------------- Private implementation starts here --------------------
+function normaliseOptions(options) {
+  const opts = { delimiter: ',', header: true, dateFormat: 'iso', encoding: 'utf8', skipErrors: false, ...options };
+  if (typeof opts.delimiter !== 'string' || opts.delimiter.length !== 1 || /["\r\n]/.test(opts.delimiter)) {
+    throw new Error(`Invalid delimiter option: '${opts.delimiter}'. Use a single character other than a quote.`);
+  }
+  if (!iconv.encodingExists(opts.encoding)) throw new Error(`Unknown encoding: '${opts.encoding}'`);
+  if (opts.dateFormat !== 'iso') formatDate(new Date(0), opts.dateFormat); // Throws if the format is unknown
+  return opts;
+}
+
+/** Gets the descriptors of the named fields (the `fields` option), or of every field but _NullFlags. */
+function selectFields(orm, names) {
+  const fields = orm.dbfFile.fields.filter(field => field.type !== '0');
+  if (names === undefined) return fields;
+  if (!Array.isArray(names)) throw new Error('Invalid fields option: must be an array of field names');
+  return names.map(name => {
+    const field = fields.find(f => f.name.toUpperCase() === String(name).toUpperCase());
+    if (!field) throw new Error(`Field '${name}' does not exist`);
+    return field;
+  });
+}
+
+/**
+ * Converts rows of values into records, calling `onBatch` with each batch of valid rows as { row, line, record }
+ * objects, the errors so far and the columns. Resolves to the number of rows read and the errors of the invalid ones.
+ */
+async function readRows(orm, rows, opts, convert, onBatch) {
+  const errors = [];
+  let count = 0;
+  let columns = null;
+  let batch = [];
+  for await (const { values, line } of rows) {
+    if (values.every(value => value === '' || value === null || value === undefined)) continue; // Blank row
+    if (!columns) {
+      columns = mapColumns(orm, opts, opts.header === false ? null : values);
+      if (opts.header !== false) continue;
+    }
+    const row = ++count;
+    const { record, problems } = parseRow(columns, values, convert);
+    if (problems.length > 0) {
+      errors.push({ row, line, errors: problems });
+      continue;
+    }
+    batch.push({ row, line, record });
+    if (batch.length >= BATCH_SIZE) {
+      await onBatch(batch, errors, columns);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await onBatch(batch, errors, columns);
+  return { rows: count, errors };
+}
+
+/**
+ * Works out the table field of each column: by the mapping, or the column's name, or by position if there is no
+ * header row. Columns that match no field are ignored.
+ */
+function mapColumns(orm, opts, header) {
+  const fields = orm.dbfFile.fields.filter(field => field.type !== '0');
+  const find = name => fields.find(f => f.name.toUpperCase() === String(name).trim().toUpperCase());
+  const mapping = opts.mapping || {};
+  for (const column of Object.keys(mapping)) {
+    if (!find(mapping[column])) throw new Error(`Field '${mapping[column]}' of column '${column}' does not exist`);
+  }
+  if (!header) return selectFields(orm, opts.fields).map(field => ({ name: field.name, field }));
+  return header.map(value => {
+    const name = value === null || value === undefined ? '' : String(value);
+    const mapped = Object.prototype.hasOwnProperty.call(mapping, name) ? mapping[name] : name;
+    return { name, field: find(mapped) || null };
+  });
+}
+
+function parseRow(columns, values, convert) {
+  const record = {};
+  const problems = [];
+  columns.forEach(({ name, field }, i) => {
+    if (!field) return;
+    try {
+      // Empty values are null in nullable fields, and otherwise left out so that they take the model's defaults.
+      const value = convert(field, values[i] === undefined ? '' : values[i]);
+      if (value !== null || field.nullable) record[field.name] = value;
+    } catch (err) {
+      problems.push({ field: field.name, column: name, value: values[i], message: `${field.name} ${err.message}` });
+    }
+  });
+  return { record, problems };
+}
+
+/**
+ * Appends a batch of rows. If the batch is rejected, the rows are appended one at a time, and those that are still
+ * rejected are reported as errors. Errors with a code (such as I/O and lock errors) are not about a row, so they are
+ * thrown. Resolves to the number of rows appended.
+ */
+async function appendBatch(orm, batch, errors, columns) {
+  try {
+    await orm.insertMany(batch.map(item => item.record));
+    return batch.length;
+  } catch (err) {
+    if (err.code) throw err;
+  }
+  let count = 0;
+  for (const { row, line, record } of batch) {
+    try {
+      await orm.insert(record);
+      ++count;
+    } catch (err) {
+      if (err.code) throw err;
+      const problems = Array.isArray(err.errors) ?
+        err.errors.map(({ field, value, message }) => ({ field, column: columnOf(columns, field), value, message })) :
+        [{ message: err.message }];
+      errors.push({ row, line, errors: problems });
+    }
+  }
+  return count;
+}
+
+/**
+ * Splits CSV text into rows of values, following RFC 4180. Quoted values may contain delimiters, doubled quotes and
+ * line breaks. Yields each row as { values, line }, with the 1-based line it starts on.
+ */
+async function* parseCSV(input, delimiter) {
+  let values = [];
+  let value = '';
+  let quoted = false; // Inside a quoted value
+  let wasQuoted = false; // The current value was quoted (text after the closing quote is kept as is)
+  let pendingQuote = false; // A quote inside a quoted value, which either closes it or is doubled
+  let pendingCR = false;
+  let line = 1;
+  let rowLine = 1;
+  let first = true;
+
+  for await (let chunk of input) {
+    if (first) {
+      if (chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1); // Byte order mark
+      first = false;
+    }
+    for (let i = 0; i < chunk.length; ++i) {
+      const c = chunk[i];
+      if (pendingCR) {
+        pendingCR = false;
+        if (c === '\n') continue;
+      }
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (c === '"') {
+          value += '"';
+          continue;
+        }
+        quoted = false;
+      }
+      if (quoted) {
+        if (c === '"') pendingQuote = true;
+        else {
+          if (c === '\r' || (c === '\n' && !value.endsWith('\r'))) ++line;
+          value += c;
+        }
+      } else if (c === '"' && value === '' && !wasQuoted) {
+        quoted = wasQuoted = true;
+      } else if (c === delimiter) {
+        values.push(value);
+        value = '';
+        wasQuoted = false;
+      } else if (c === '\r' || c === '\n') {
+        values.push(value);
+        yield { values, line: rowLine };
+        values = [];
+        value = '';
+        wasQuoted = false;
+        pendingCR = c === '\r';
+        rowLine = ++line;
+      } else {
+        value += c;
+      }
+    }
+  }
+  if (quoted && !pendingQuote) throw new Error(`Unterminated quoted value in CSV row starting on line ${rowLine}`);
+  if (value !== '' || wasQuoted || values.length > 0) {
+    values.push(value);
+    yield { values, line: rowLine };
+  }
+}
+
+/** Gets the name of the CSV column read into a field, if any. */
+function columnOf(columns, fieldName) {
+  const column = columns.find(({ field }) => field && field.name === fieldName);
+  return column ? column.name : undefined;
+}
+
+/** Thrown to roll back an import that has invalid rows. */
+class RowErrors extends Error {}
+
+function formatRow(values, delimiter) {
+  return values.map(value => quote(value, delimiter)).join(delimiter) + '\r\n';
+}
+
+function quote(value, delimiter) {
+  if (value.indexOf(delimiter) === -1 && !/["\r\n]/.test(value) && value.trim() === value) return value;
+  return `"${value.replace(/"/g, '""')}"`;
+}
+
+function formatCSVDate(date, dateFormat) {
+  if (dateFormat !== 'iso') return formatDate(date, dateFormat);
+  return date.toISOString().slice(0, 10);
+}
+
+/** Parses a date in a SET DATE format, or for 'iso', as YYYY-MM-DD or YYYYMMDD. */
+function parseCSVDate(text, dateFormat) {
+  if (dateFormat !== 'iso') return parseDate(text, dateFormat);
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(text);
+  return match ? parseDate(`^${match[1]}-${match[2]}-${match[3]}`) : null;
+}
+
+/** Gets the encoding of a field, from the table's encoding or its encodings by field name. */
+function fieldEncoding(encoding, fieldName) {
+  return typeof encoding === 'string' ? encoding : encoding[fieldName] || encoding.default;
+}
+
+module.exports = {
+  exportCSV,
+  importCSV,
+  appendRows,
+  selectFields,
+  parseValue,
+  formatValue
+};
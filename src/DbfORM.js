@@ -11,30 +11,191 @@
 
 // Using our custom dbffile implementation instead of the npm package
 const { DBFFile, DELETED } = require('./lib/dbffile/dbf-file');
+const { Transaction } = require('./lib/dbffile/journal');
+const { Query, findFieldTag } = require('./Query');
+const { compileExpression } = require('./lib/dbffile/expression');
+const { defineModel, ValidationError } = require('./Model');
+const { runMigrations, getSchemaVersion } = require('./Migration');
+const { exportCSV, importCSV } = require('./Csv');
+const { exportXLSX, importXLSX } = require('./Xlsx');
+const { exportNDJSON, importNDJSON } = require('./Ndjson');
+const { watchTable } = require('./Watch');
+const { captureChanges } = require('./Cdc');
+const { exportSQLite, syncSQLite } = require('./Sqlite');
+const { Decimal } = require('./lib/dbffile/decimal');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Readable } = require('stream');
+const { EventEmitter } = require('events');
 const path = require('path');
 const fs = require('fs');
 
-class DbfORM {
+// The transaction, if any, that the code calling into DbfORM is running in
+const transactionContext = new AsyncLocalStorage();
+
+/**
+ * Build a filter function that matches records whose field values equal the criteria
+ * @param {Object} criteria - Object with field/value pairs to match
+ * @returns {Function} - Filter function taking a record
+ */
+function matchCriteria(criteria) {
+  return (record) => {
+    for (const [field, value] of Object.entries(criteria)) {
+      if (record[field] !== value) {
+        return false;
+      }
+    }
+    return true;
+  };
+}
+
+/**
+ * Build a filter function from a JS function or an xBase expression string such as "STATE = 'CA' .AND. AMOUNT > 100"
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {Function|string} filter - Function that takes a record (and its 1-based record number), or a logical expression
+ * @returns {Function} - Filter function taking a record and its record number
+ */
+function toFilter(orm, filter) {
+  if (typeof filter !== 'string') return filter;
+  const expression = compileExpression(filter, orm.dbfFile.fields, { dateFormat: orm.options.dateFormat });
+  if (expression.type !== 'L') {
+    throw new Error(`Filter expression '${filter}' must be logical, not of type '${expression.type}'`);
+  }
+  return (record, recno) => expression.evaluate(record, { recno, deleted: !!record[DELETED] });
+}
+
+/**
+ * Find an index tag that can be used to look up records matching the criteria, on any of the criteria fields
+ * @param {DBFFile} dbfFile - The open DBF file
+ * @param {Object} criteria - Object with field/value pairs to match
+ * @returns {Object|null} - The tag name and the value to look up, or null if no tag qualifies
+ */
+function findCriteriaTag(dbfFile, criteria) {
+  for (const field of Object.keys(criteria)) {
+    const tag = findFieldTag(dbfFile, field, criteria[field]);
+    if (tag) return { tagName: tag.name, value: criteria[field] };
+  }
+  return null;
+}
+
+/**
+ * Enlist the DBF file of an ORM instance in the transaction the caller is running in, if any, before writing to it
+ * @param {DbfORM} orm - The ORM instance
+ */
+async function joinTransaction(orm) {
+  const tx = transactionContext.getStore();
+  if (tx) await tx.enlist(orm.dbfFile);
+}
+
+/**
+ * Append records to the DBF file of an ORM instance, emitting 'beforeInsert' and 'afterInsert' events for each
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {Array} records - Records to append
+ */
+async function appendRecords(orm, records) {
+  for (const record of records) orm.emit('beforeInsert', record);
+  const first = await orm.dbfFile.appendRecords(records);
+  records.forEach((record, i) => orm.emit('afterInsert', record, first + i));
+}
+
+class DbfORM extends EventEmitter {
   /**
    * Create a new DbfORM instance
    * @param {string} dbfPath - Path to the DBF file (optional)
    * @param {Object} options - Options for the ORM
    * @param {boolean} options.autoCreate - Automatically create the file if it doesn't exist (default: false)
-   * @param {string} options.encoding - Character encoding for the DBF file (default: 'utf8')
+   * @param {string|Object} options.encoding - Character encoding for the DBF file, or encodings by field name with a `default` (default: the code page of the file's language driver ID, or 'utf8' if it has none)
    * @param {boolean} options.includeDeletedRecords - Include deleted records when reading (default: false)
    * @param {string} options.readMode - Read mode: 'strict' or 'loose' (default: 'strict')
+   * @param {number} options.fileVersion - DBF file version used when creating the file, e.g. 0x03, 0x83, 0x8b or 0x30 (optional)
+   * @param {boolean|string[]} options.indexes - Open the structural index (.cdx/.mdx) automatically, or an array of additional index files to open (default: true)
+   * @param {boolean|Object} options.locking - Locking options: `auto` (lock around every write, default true), `adapter` ('auto', 'none' or a lock adapter), `scheme` ('foxpro', 'clipper' or 'clipper53') and `timeout` in milliseconds (default 5000). Pass false to disable automatic locking.
+   * @param {string} options.numeric - How numeric (N, F and Y) field values are read: 'number', 'string' (exact decimal strings), 'bigint' (BigInts for fields without decimal places, exact strings for the others) or 'decimal' (Decimal objects) (default: 'number')
+   * @param {string} options.dateFormat - SET DATE format used by CTOD() and DTOC() in xBase expressions, e.g. 'american', 'british', 'german' or 'ansi' (default: 'american')
    */
   constructor(dbfPath, options = {}) {
+    super();
     this.dbfPath = dbfPath;
     this.options = {
       autoCreate: options.autoCreate || false,
-      encoding: options.encoding || 'utf8',
+      encoding: options.encoding,
       includeDeletedRecords: options.includeDeletedRecords || false,
-      readMode: options.readMode || 'strict'
+      readMode: options.readMode || 'strict',
+      fileVersion: options.fileVersion,
+      indexes: options.indexes === undefined ? true : options.indexes,
+      locking: options.locking,
+      numeric: options.numeric || 'number',
+      dateFormat: options.dateFormat || 'american'
     };
     this.dbfFile = null;
     this.isOpen = false;
     this.fieldDescriptors = [];
+    this.watcher = null;
+  }
+
+  /**
+   * Define a model: a DbfORM subclass for tables with a fixed schema, which fills in defaults and validates records
+   * before they are written, rejecting values that don't fit their columns with a ValidationError
+   * @param {string} name - Model name, used in error messages
+   * @param {Object} definition - Model definition
+   * @param {Object|Array} definition.fields - Field descriptors by field name (or an array of them), each with `type`, `size` and `decimalPlaces`, and optionally `required`, `enum`, `min` and `max` rules
+   * @param {Object} definition.defaults - Default values by field name, or functions taking the record and returning them (optional)
+   * @param {Object} definition.validators - Validator functions (or arrays of them) by field name, taking the value and the record and returning true if it is valid, or false or an error message if not (optional)
+   * @param {Function} definition.beforeInsert - Called with each record before it is validated and inserted; may change it or return a replacement (optional)
+   * @param {Function} definition.afterInsert - Called with each record after it is inserted (optional)
+   * @param {Function} definition.beforeUpdate - Called with each updated record and the record before the update, before it is validated and written; may change the updated record (optional)
+   * @param {Function} definition.afterUpdate - Called with each record after it is updated (optional)
+   * @returns {Function} - The model class, constructed like DbfORM with a path and options
+   */
+  static model(name, definition) {
+    return defineModel(DbfORM, name, definition);
+  }
+
+  /**
+   * Upgrade the tables of a data directory by running the migrations it has not had yet, in version order. The
+   * directory's version is saved in a state file after each migration, so a failed migration can be fixed and the
+   * remaining ones run again. A migration that changes several tables should be written so that it can be re-run.
+   * @param {string} directory - The data directory
+   * @param {Array} migrations - Migrations, as { version, name, up } objects. `version` is a positive integer, and `up({ directory, version, table })` makes the changes; `table(name, options)` resolves to an open DbfORM instance for a table in the directory, closed once the migration finishes
+   * @param {Object} options - Migration options (optional)
+   * @param {number} options.to - Version to migrate up to (default: the latest)
+   * @param {string} options.stateFile - Name of the state file in the directory (default: 'dbf-migrations.json')
+   * @param {Object} options.tableOptions - Options for the tables opened by `table()` (optional)
+   * @returns {Promise<Object>} - Promise resolving to { from, to, applied }: the versions before and after, and the versions of the migrations run
+   */
+  static migrate(directory, migrations, options) {
+    return runMigrations(DbfORM, directory, migrations, options);
+  }
+
+  /**
+   * Get the schema version of a data directory: the version of the last migration run on it by migrate()
+   * @param {string} directory - The data directory
+   * @param {Object} options - `stateFile`, as for migrate() (optional)
+   * @returns {Promise<number>} - Promise resolving to the version, or 0 if no migration has been run
+   */
+  static getSchemaVersion(directory, options) {
+    return getSchemaVersion(directory, options);
+  }
+
+  /**
+   * Check a DBF file for damage, without opening or changing it
+   * @param {string} dbfPath - Path to the DBF file
+   * @param {Object} options - Verify options (optional)
+   * @param {number} options.maxProblems - Most problems to list; the rest are only counted (default: 1000)
+   * @returns {Promise<Object>} - Promise resolving to { path, ok, recordCount, fileRecordCount, problems, problemCount, warnings }
+   */
+  static verify(dbfPath, options) {
+    return DBFFile.verify(dbfPath, options);
+  }
+
+  /**
+   * Repair the structure of a damaged DBF file, leaving the values in its records as they are
+   * @param {string} dbfPath - Path to the DBF file, which must not be open in this or any other program
+   * @param {Object} options - Repair options (optional)
+   * @param {boolean} options.backup - Copy the file to `<dbfPath>.bak` before changing it (default: false)
+   * @returns {Promise<Object>} - Promise resolving to { path, changed, fixes, previousRecordCount, recordCount, removedBytes, backupPath }
+   */
+  static repair(dbfPath, options) {
+    return DBFFile.repair(dbfPath, options);
   }
 
   /**
@@ -62,7 +223,13 @@ class DbfORM {
           case 'F': field.size = 15; break;   // Float
           case 'L': field.size = 1; break;    // Logical
           case 'D': field.size = 8; break;    // Date
-          case 'M': field.size = 10; break;   // Memo
+          case 'M': field.size = this.options.fileVersion === 0x30 ? 4 : 10; break; // Memo
+          case 'G': field.size = this.options.fileVersion === 0x30 ? 4 : 10; break; // General
+          case 'W': field.size = 4; break;    // Blob
+          case 'I': field.size = 4; break;    // Integer
+          case 'Y': field.size = 8; break;    // Currency
+          case 'T': field.size = 8; break;    // DateTime
+          case 'B': field.size = 8; break;    // Double
           default: field.size = 10;
         }
       }
@@ -83,7 +250,10 @@ class DbfORM {
       this.dbfFile = await DBFFile.open(this.dbfPath, {
         encoding: this.options.encoding,
         includeDeletedRecords: this.options.includeDeletedRecords,
-        readMode: this.options.readMode
+        readMode: this.options.readMode,
+        indexes: this.options.indexes,
+        numeric: this.options.numeric,
+        locking: this.options.locking
       });
       
       // If we opened the file, update our field descriptors from the file
@@ -105,7 +275,10 @@ class DbfORM {
         
         // Create the DBF file
         this.dbfFile = await DBFFile.create(this.dbfPath, this.fieldDescriptors, {
-          encoding: this.options.encoding
+          encoding: this.options.encoding,
+          fileVersion: this.options.fileVersion,
+          numeric: this.options.numeric,
+          locking: this.options.locking
         });
         
         this.isOpen = true;
@@ -137,7 +310,10 @@ class DbfORM {
     
     // Create the DBF file
     this.dbfFile = await DBFFile.create(targetPath, this.fieldDescriptors, {
-      encoding: this.options.encoding
+      encoding: this.options.encoding,
+      fileVersion: this.options.fileVersion,
+      numeric: this.options.numeric,
+      locking: this.options.locking
     });
     
     this.isOpen = true;
@@ -157,11 +333,43 @@ class DbfORM {
   }
 
   /**
-   * Close the DBF file
+   * Close the DBF file, releasing any locks held on it
+   * @returns {Promise<void>} - Promise resolving once the locks are released
    */
   close() {
+    this.unwatch();
+    const dbfFile = this.dbfFile;
     this.dbfFile = null;
     this.isOpen = false;
+    return dbfFile ? dbfFile.unlock() : Promise.resolve();
+  }
+
+  /**
+   * Watch the DBF file for records appended or changed by other users and programs, until unwatch() or close() is
+   * called. The file is checked when the file system reports a change to it, and polled at an interval for file systems
+   * that don't, comparing the record count and date of last update in its header. Records past the previous record
+   * count are emitted as an 'insert' event, and records whose bytes changed as a 'change' event, each with an array of
+   * { recno, record } objects (deleted records included). Writes through this instance are reported too. Errors while
+   * checking are emitted as 'error' events, so add a listener for them.
+   * @param {Object} options - Options for watching
+   * @param {number} options.interval - Polling interval in milliseconds (default: 1000)
+   * @param {boolean} options.changes - Report changed records as well as appended ones, which keeps a hash of each record in memory (default: true)
+   * @returns {Promise<DbfORM>} - Promise resolving to this instance once watching has started
+   */
+  async watch(options = {}) {
+    await this.ensureOpen();
+    if (!this.watcher) this.watcher = await watchTable(this, options);
+    return this;
+  }
+
+  /**
+   * Stop watching the DBF file for changes
+   * @returns {DbfORM} - This instance
+   */
+  unwatch() {
+    if (this.watcher) this.watcher.stop();
+    this.watcher = null;
+    return this;
   }
 
   /**
@@ -170,18 +378,41 @@ class DbfORM {
    */
   async findAll() {
     await this.ensureOpen();
-    return await this.dbfFile.readRecords();
+    return await this.dbfFile.cursor().read(Infinity);
+  }
+
+  /**
+   * Open a cursor over the records of the DBF file, to process large tables without loading them into memory. Each
+   * cursor has its own position, and reads records from disk in large batches.
+   * @param {Object} options - Options for the cursor
+   * @param {number} options.from - 1-based record number to start at (default: 1)
+   * @param {number} options.to - 1-based record number to stop after (default: the last record)
+   * @param {number} options.batchSize - Number of records read from disk at a time (default: 1000)
+   * @param {boolean} options.includeDeletedRecords - Include deleted records, with `[DELETED]: true` (default: the includeDeletedRecords option)
+   * @param {string} options.numeric - How numeric field values are read: 'number', 'string', 'bigint' or 'decimal' (default: the numeric option)
+   * @returns {Readable} - Readable object stream of records, which can also be iterated with `for await`
+   */
+  cursor(options = {}) {
+    const orm = this;
+    return Readable.from((async function* () {
+      await orm.ensureOpen();
+      yield* orm.dbfFile.cursor(options);
+    })());
   }
 
   /**
-   * Find records matching a filter function
-   * @param {Function} filterFn - Function that takes a record and returns true if it should be included
+   * Find records matching a filter function or xBase expression
+   * @param {Function|string} filter - Function that takes a record (and its 1-based record number) and returns true if it should be included, or a logical xBase expression such as "UPPER(NAME) = 'SMITH' .AND. BALANCE > 100"
    * @returns {Promise<Array>} - Promise resolving to an array of matching records
    */
-  async find(filterFn) {
+  async find(filter) {
     await this.ensureOpen();
-    const records = await this.dbfFile.readRecords();
-    return records.filter(filterFn);
+    const matches = toFilter(this, filter);
+    const records = [];
+    for await (const { recno, record } of this.dbfFile.cursor().entries()) {
+      if (matches(record, recno)) records.push(record);
+    }
+    return records;
   }
 
   /**
@@ -192,28 +423,28 @@ class DbfORM {
   async findWhere(criteria) {
     await this.ensureOpen();
     
-    const filterFn = (record) => {
-      for (const [field, value] of Object.entries(criteria)) {
-        if (record[field] !== value) {
-          return false;
-        }
-      }
-      return true;
-    };
+    // Narrow the search down with an index if one matches the criteria, keeping the records in file order.
+    const lookup = findCriteriaTag(this.dbfFile, criteria);
+    if (lookup) {
+      const recnos = await this.dbfFile.findInIndex(lookup.tagName, lookup.value, { exact: true });
+      const records = await this.dbfFile.readRecordsByRecNo(recnos.sort((a, b) => a - b));
+      return records.filter(matchCriteria(criteria));
+    }
     
-    return this.find(filterFn);
+    return this.find(matchCriteria(criteria));
   }
 
   /**
-   * Find the first record matching a filter function
-   * @param {Function} filterFn - Function that takes a record and returns true if it matches
+   * Find the first record matching a filter function or xBase expression
+   * @param {Function|string} filter - Function that takes a record (and its 1-based record number) and returns true if it matches, or a logical xBase expression
    * @returns {Promise<Object|null>} - Promise resolving to the first matching record or null
    */
-  async findOne(filterFn) {
+  async findOne(filter) {
     await this.ensureOpen();
+    const matches = toFilter(this, filter);
     
-    for await (const record of this.dbfFile) {
-      if (filterFn(record)) {
+    for await (const { recno, record } of this.dbfFile.cursor().entries()) {
+      if (matches(record, recno)) {
         return record;
       }
     }
@@ -227,40 +458,298 @@ class DbfORM {
    * @returns {Promise<Object|null>} - Promise resolving to the first matching record or null
    */
   async findOneWhere(criteria) {
-    const filterFn = (record) => {
-      for (const [field, value] of Object.entries(criteria)) {
-        if (record[field] !== value) {
-          return false;
-        }
-      }
-      return true;
-    };
+    await this.ensureOpen();
+    
+    if (findCriteriaTag(this.dbfFile, criteria)) {
+      const records = await this.findWhere(criteria);
+      return records.length > 0 ? records[0] : null;
+    }
     
-    return this.findOne(filterFn);
+    return this.findOne(matchCriteria(criteria));
+  }
+
+  /**
+   * Start a chainable query, such as `orm.query().where('AMOUNT', '>', 1000).orderBy('DATE', 'desc').limit(50).get()`.
+   * Conditions on fields with a matching index tag use the index.
+   * @returns {Query} - A new query over the records of the DBF file
+   */
+  query() {
+    return new Query(this);
   }
 
   /**
-   * Insert a single record into the DBF file
+   * Summarise the records of the DBF file for reporting, reading them one batch at a time, e.g.
+   * `orm.aggregate({ groupBy: ['GST_RATE', 'MONTH(DATE)'], sum: ['GST_TAX', 'AMOUNT'], count: true })`. Use
+   * `orm.query().where(...).aggregate(...)` to summarise only some records. See Query.aggregate.
+   * @param {Object} spec - The `groupBy` fields or expressions, `count` flag, and `sum`, `min`, `max` and `avg` fields
+   * @returns {Promise<Array>} - Promise resolving to one row per group, sorted by the group values
+   */
+  async aggregate(spec) {
+    return this.query().aggregate(spec);
+  }
+
+  /**
+   * Find records by key in an index tag (dBase/FoxPro SEEK)
+   * @param {string} tagName - Name of the index tag (for .ndx/.idx files, the file name without extension)
+   * @param {*} value - Key value to look up. Character values shorter than the key match as prefixes.
+   * @param {Object} options - Options for the lookup
+   * @param {boolean} options.exact - Only match whole character keys (default: false)
+   * @returns {Promise<Array>} - Promise resolving to the matching records, in index order
+   */
+  async seek(tagName, value, options = {}) {
+    await this.ensureOpen();
+    const recnos = await this.dbfFile.findInIndex(tagName, value, options);
+    return await this.dbfFile.readRecordsByRecNo(recnos);
+  }
+
+  /**
+   * Find records whose keys in an index tag are within a range
+   * @param {string} tagName - Name of the index tag
+   * @param {*} from - Lowest key to include (optional, no lower bound if undefined)
+   * @param {*} to - Highest key to include (optional, no upper bound if undefined)
+   * @returns {Promise<Array>} - Promise resolving to the matching records, in index order
+   */
+  async seekRange(tagName, from, to) {
+    await this.ensureOpen();
+    const recnos = await this.dbfFile.findRangeInIndex(tagName, from, to);
+    return await this.dbfFile.readRecordsByRecNo(recnos);
+  }
+
+  /**
+   * Create an index tag from the records in the DBF file (dBase/FoxPro INDEX ON)
+   * @param {Object} options - Index options
+   * @param {string} options.tag - Tag name (up to 10 characters)
+   * @param {string} options.expression - Key expression, e.g. 'UPPER(CUST_ID)'
+   * @param {string} options.for - FOR condition limiting the records in the index, e.g. '!DELETED()' (optional)
+   * @param {boolean} options.unique - Only index the first record with each key (default: false)
+   * @param {boolean} options.descending - Keep keys in descending order (default: false)
+   * @param {string} options.path - Index file to create or add the tag to (optional, defaults to the structural .cdx for FoxPro tables, otherwise a .ndx named after the tag)
+   * @returns {Promise<DbfORM>} - Promise resolving to this instance
+   */
+  async createIndex(options) {
+    await this.ensureOpen();
+    await this.dbfFile.createIndex(options);
+    return this;
+  }
+
+  /**
+   * Open an additional index file (.cdx, .idx, .ndx or .mdx) and keep it up to date when records are written
+   * @param {string} indexPath - Path to the index file
+   * @returns {Promise<DbfORM>} - Promise resolving to this instance
+   */
+  async openIndex(indexPath) {
+    await this.ensureOpen();
+    await this.dbfFile.openIndex(indexPath);
+    return this;
+  }
+
+  /**
+   * Get the index files attached to the DBF file and their tags
+   * @returns {Array} - Array of { path, format, structural, tags } objects, where each tag has name, expression, filter, unique and descending properties
+   */
+  getIndexes() {
+    if (!this.isOpen) {
+      throw new Error('DBF file is not open');
+    }
+    
+    return this.dbfFile.indexes.map(index => ({
+      path: index.path,
+      format: index.format,
+      structural: index.structural,
+      tags: index.tags.map(tag => ({
+        name: tag.name,
+        expression: tag.expression,
+        filter: tag.forExpression,
+        unique: tag.unique,
+        descending: tag.descending
+      }))
+    }));
+  }
+
+  /**
+   * Insert a single record into the DBF file, emitting a 'beforeInsert' event with the record before it is written and
+   * an 'afterInsert' event with the record and its record number after
    * @param {Object} record - The record to insert
    * @returns {Promise<DbfORM>} - Promise resolving to this instance
    */
   async insert(record) {
     await this.ensureOpen();
-    await this.dbfFile.appendRecords([record]);
+    await joinTransaction(this);
+    await appendRecords(this, [record]);
     return this;
   }
 
   /**
-   * Insert multiple records into the DBF file
+   * Insert multiple records into the DBF file, emitting 'beforeInsert' and 'afterInsert' events for each record, as
+   * insert() does
    * @param {Array} records - Array of records to insert
    * @returns {Promise<DbfORM>} - Promise resolving to this instance
    */
   async insertMany(records) {
     await this.ensureOpen();
-    await this.dbfFile.appendRecords(records);
+    await joinTransaction(this);
+    await appendRecords(this, records);
     return this;
   }
 
+  /**
+   * Update records matching a filter function or xBase expression in place
+   * @param {Function|string} filter - Function that takes a record (and its 1-based record number) and returns true if it should be updated, or a logical xBase expression
+   * @param {Object|Function} changes - Field values to set, or a function that takes a record and returns them
+   * @returns {Promise<number>} - Promise resolving to the number of records updated
+   */
+  async update(filter, changes) {
+    await this.ensureOpen();
+    const matches = toFilter(this, filter);
+    await joinTransaction(this);
+    return await this.dbfFile.updateRecords(matches, changes);
+  }
+
+  /**
+   * Update records where field values match the criteria
+   * @param {Object} criteria - Object with field/value pairs to match
+   * @param {Object|Function} changes - Field values to set, or a function that takes a record and returns them
+   * @returns {Promise<number>} - Promise resolving to the number of records updated
+   */
+  async updateWhere(criteria, changes) {
+    return this.update(matchCriteria(criteria), changes);
+  }
+
+  /**
+   * Update a single record by its record number
+   * @param {number} recno - 1-based record number, as used by dBase/FoxPro
+   * @param {Object|Function} changes - Field values to set, or a function that takes a record and returns them
+   * @returns {Promise<number>} - Promise resolving to the number of records updated (0 or 1)
+   */
+  async updateByRecNo(recno, changes) {
+    await this.ensureOpen();
+    await joinTransaction(this);
+    return await this.dbfFile.updateRecord(recno, changes);
+  }
+
+  /**
+   * Mark records matching a filter function or xBase expression as deleted (dBase/FoxPro DELETE)
+   * @param {Function|string} filter - Function that takes a record (and its 1-based record number) and returns true if it should be deleted, or a logical xBase expression
+   * @returns {Promise<number>} - Promise resolving to the number of records deleted
+   */
+  async delete(filter) {
+    await this.ensureOpen();
+    const matches = toFilter(this, filter);
+    await joinTransaction(this);
+    return await this.dbfFile.deleteRecords(matches);
+  }
+
+  /**
+   * Mark records where field values match the criteria as deleted
+   * @param {Object} criteria - Object with field/value pairs to match
+   * @returns {Promise<number>} - Promise resolving to the number of records deleted
+   */
+  async deleteWhere(criteria) {
+    return this.delete(matchCriteria(criteria));
+  }
+
+  /**
+   * Clear the deletion flag of deleted records (dBase/FoxPro RECALL)
+   * @param {Function|string} filter - Function that takes a deleted record (and its 1-based record number) and returns true if it should be recalled, or a logical xBase expression (optional, recalls all deleted records if not provided)
+   * @returns {Promise<number>} - Promise resolving to the number of records recalled
+   */
+  async recall(filter = () => true) {
+    await this.ensureOpen();
+    const matches = toFilter(this, filter);
+    await joinTransaction(this);
+    return await this.dbfFile.recallRecords(matches);
+  }
+
+  /**
+   * Recall deleted records where field values match the criteria
+   * @param {Object} criteria - Object with field/value pairs to match
+   * @returns {Promise<number>} - Promise resolving to the number of records recalled
+   */
+  async recallWhere(criteria) {
+    return this.recall(matchCriteria(criteria));
+  }
+
+  /**
+   * Physically remove deleted records from the DBF file (dBase/FoxPro PACK)
+   * @returns {Promise<number>} - Promise resolving to the number of records remaining
+   */
+  async pack() {
+    await this.ensureOpen();
+    await joinTransaction(this);
+    return await this.dbfFile.pack();
+  }
+
+  /**
+   * Remove all records from the DBF file (dBase/FoxPro ZAP)
+   * @returns {Promise<DbfORM>} - Promise resolving to this instance
+   */
+  async zap() {
+    await this.ensureOpen();
+    await joinTransaction(this);
+    await this.dbfFile.zap();
+    return this;
+  }
+
+  /**
+   * Copy the DBF file to a new file whose text is stored in another code page, such as a DOS cp437 table converted to
+   * cp1252 or UTF-8. Deleted records are copied too; indexes are not. Fails, leaving no file behind, if any text can't
+   * be represented in the new code page or no longer fits in its field.
+   * @param {string} targetPath - Path of the new DBF file
+   * @param {string} encoding - Code page of the new file, e.g. 'cp1252', 'cp850' or 'utf8'
+   * @returns {Promise<DbfORM>} - Promise resolving to a new instance with the new file open
+   */
+  async transcode(targetPath, encoding) {
+    await this.ensureOpen();
+    await this.dbfFile.transcode(targetPath, encoding);
+    const orm = new this.constructor(targetPath, { ...this.options, encoding, autoCreate: false });
+    return orm.open();
+  }
+
+  /**
+   * Change the structure of the DBF file, as FoxPro's MODIFY STRUCTURE does. Existing values are converted to the new
+   * field types, and the memo file and open indexes are carried over; index tags that use dropped fields are dropped.
+   * The file is rewritten to a temporary file and renamed over the original, so it is left as it was if any value
+   * can't be converted or doesn't fit its new field. Other users must close the table first.
+   * @param {Object} changes - Structure changes, naming fields by their current names
+   * @param {Array} changes.add - Field descriptors to add at the end of the record; `size` may be left out for types of fixed size (optional)
+   * @param {string[]} changes.drop - Names of fields to drop (optional)
+   * @param {Object} changes.rename - New field names by current name, e.g. { CUSTNAME: 'NAME' } (optional)
+   * @param {Array} changes.modify - Fields to change, as objects with the field's `name` and its new `type`, `size`, `decimalPlaces` or `nullable` (optional)
+   * @returns {Promise<DbfORM>} - Promise resolving to this instance
+   */
+  async alterTable(changes) {
+    await this.ensureOpen();
+    if (transactionContext.getStore()) {
+      throw new Error('Cannot change the structure of a table inside a transaction');
+    }
+    await this.dbfFile.alter(changes);
+    this.fieldDescriptors = this.dbfFile.fields;
+    return this;
+  }
+
+  /**
+   * Run a function as a transaction. Inserts, updates and deletes made through any DbfORM instance while it runs (such
+   * as a voucher table and its line table) are committed together when it resolves, or all rolled back if it throws.
+   * Each table is locked from its first write until the transaction ends. A transaction interrupted by a crash is
+   * rolled back the next time one of its tables is opened. Transactions started within a transaction join it.
+   * @param {Function} fn - Async function to run, taking the transaction (which can also be rolled back with `tx.rollback()`)
+   * @returns {Promise<*>} - Promise resolving to the result of fn once committed
+   */
+  async transaction(fn) {
+    const current = transactionContext.getStore();
+    if (current) return fn(current);
+    
+    const tx = new Transaction();
+    try {
+      const result = await transactionContext.run(tx, () => fn(tx));
+      if (tx.state === 'active') await tx.commit();
+      return result;
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    }
+  }
+
   /**
    * Get information about the DBF file
    * @returns {Object} - Object containing information about the DBF file
@@ -275,6 +764,8 @@ class DbfORM {
       recordCount: this.dbfFile.recordCount,
       dateOfLastUpdate: this.dbfFile.dateOfLastUpdate,
       fields: this.dbfFile.fields,
+      encoding: this.dbfFile.encoding,
+      languageDriver: this.dbfFile.languageDriver,
     };
   }
 
@@ -310,23 +801,18 @@ class DbfORM {
    */
   async toJSON(outputPath = null) {
     await this.ensureOpen();
-    
-    try {
-      // Read all records from the DBF file
-      const records = await this.dbfFile.readRecords();
-      
-      // If an output path is provided, save the JSON to a file
-      if (outputPath) {
-        const jsonString = JSON.stringify(records, null, 2);
-        fs.writeFileSync(outputPath, jsonString, 'utf8');
-        console.log(`DBF data exported to JSON file: ${outputPath}`);
-      }
-      
-      return records;
-    } catch (error) {
-      console.error('Error exporting DBF to JSON:', error);
-      throw error;
+
+    // Read all records from the DBF file
+    const records = await this.dbfFile.cursor().read(Infinity);
+
+    // If an output path is provided, save the JSON to a file
+    if (outputPath) {
+      // BigInts (see the numeric option) are written as strings, as Decimals are.
+      const jsonString = JSON.stringify(records, (key, value) => typeof value === 'bigint' ? String(value) : value, 2);
+      fs.writeFileSync(outputPath, jsonString, 'utf8');
     }
+
+    return records;
   }
 
   /**
@@ -395,6 +881,9 @@ class DbfORM {
         fields.forEach(field => {
           const fieldName = field.name;
           
+          // _NullFlags is maintained by the library from the record's null values
+          if (field.type === '0') return;
+          
           if (record.hasOwnProperty(fieldName)) {
             // Record has this field, use its value
             processedRecord[fieldName] = record[fieldName];
@@ -403,16 +892,9 @@ class DbfORM {
             switch (field.type) {
               case 'C': processedRecord[fieldName] = ''; break;         // Character
               case 'N': case 'F': processedRecord[fieldName] = 0; break; // Numeric/Float
+              case 'I': case 'Y': case 'B': processedRecord[fieldName] = 0; break; // Integer/Currency/Double
               case 'L': processedRecord[fieldName] = false; break;      // Logical
               case 'D': processedRecord[fieldName] = null; break;       // Date
-              case '0': // NullFlags field
-                if (fieldName === '_NullFlags') {
-                  // For _NullFlags, use a default byte string with all zeros
-                  processedRecord[fieldName] = Buffer.alloc(field.size); 
-                } else {
-                  processedRecord[fieldName] = null;
-                }
-                break;
               default: processedRecord[fieldName] = null;
             }
           } else if (opts.validateFields) {
@@ -426,7 +908,7 @@ class DbfORM {
       
       // Try to append the records
       try {
-        await this.dbfFile.appendRecords(processedRecords);
+        await this.transaction(() => this.insertMany(processedRecords));
         
         return {
           success: true,
@@ -435,7 +917,7 @@ class DbfORM {
         };
       } catch (appendError) {
         // Check if this is a "file in use" error
-        if (appendError.code === 'EBUSY' || 
+        if (appendError.code === 'EBUSY' || appendError.code === 'ELOCKED' ||
             appendError.message.includes('in use') || 
             appendError.message.includes('being used') ||
             appendError.message.includes('locked') ||
@@ -461,7 +943,136 @@ class DbfORM {
   }
 
   /**
-   * Check if the DBF file is locked by another process
+   * Export the records to a CSV file, streaming them so that the table is never held in memory
+   * @param {string} outputPath - Path of the CSV file to write
+   * @param {Object} options - Options for exporting
+   * @param {string} options.delimiter - Field delimiter (default: ',')
+   * @param {boolean} options.header - Write a header row of field names (default: true)
+   * @param {string} options.dateFormat - Format of date (D) fields: 'iso' (YYYY-MM-DD) or a SET DATE format such as 'american', 'british' or 'german' (default: 'iso')
+   * @param {Array<string>} options.fields - Names of the fields to export, in order (default: all fields)
+   * @param {string} options.encoding - Character encoding of the CSV file (default: 'utf8')
+   * @returns {Promise<number>} - Promise resolving to the number of records written
+   */
+  async toCSV(outputPath, options = {}) {
+    await this.ensureOpen();
+    return exportCSV(this, outputPath, options);
+  }
+
+  /**
+   * Append the rows of a CSV file, streaming it in batches, as one transaction
+   * @param {string} inputPath - Path of the CSV file to read
+   * @param {Object} options - Options for appending
+   * @param {Object} options.mapping - Field names by CSV column name, for columns not named after their fields
+   * @param {string} options.dateFormat - Format of date (D) fields: 'iso' (YYYY-MM-DD or YYYYMMDD) or a SET DATE format such as 'american', 'british' or 'german' (default: 'iso')
+   * @param {boolean} options.skipErrors - Append the valid rows and skip the invalid ones, instead of appending nothing (default: false)
+   * @param {string} options.delimiter - Field delimiter (default: ',')
+   * @param {boolean} options.header - The first row holds the column names; without it, columns are taken to be the fields (or options.fields) in order (default: true)
+   * @param {Array<string>} options.fields - Fields of the columns, in order, for files without a header row
+   * @param {string} options.encoding - Character encoding of the CSV file (default: 'utf8')
+   * @returns {Promise<{count: number, rows: number, errors: Array}>} - Promise resolving to the number of records appended, the number of rows read, and the errors of the invalid rows
+   */
+  async appendFromCSV(inputPath, options = {}) {
+    await this.ensureOpen();
+    return importCSV(this, inputPath, options);
+  }
+
+  /**
+   * Export the records to an Excel workbook (.xlsx) with one sheet, streaming them from the table
+   * @param {string} outputPath - Path of the .xlsx file to write
+   * @param {Object} options - Options for exporting
+   * @param {string} options.sheetName - Name of the sheet (default: the table's file name)
+   * @param {Array<string>} options.fields - Names of the fields to export, in order (default: all fields)
+   * @returns {Promise<number>} - Promise resolving to the number of records written
+   */
+  async toXLSX(outputPath, options = {}) {
+    await this.ensureOpen();
+    return exportXLSX(this, outputPath, options);
+  }
+
+  /**
+   * Append the rows of a sheet of an Excel workbook (.xlsx), converting each cell to its field's type
+   * @param {string} inputPath - Path of the .xlsx file to read
+   * @param {Object} options - Options for appending
+   * @param {string|number} options.sheet - Name or 1-based position of the sheet (default: the first sheet)
+   * @param {Object} options.mapping - Field names by column heading, for columns not named after their fields
+   * @param {boolean} options.skipErrors - Append the valid rows and skip the invalid ones, instead of appending nothing (default: false)
+   * @returns {Promise<{count: number, rows: number, errors: Array}>} - Promise resolving to the number of records appended, the number of rows read, and the errors of the invalid rows
+   */
+  async appendFromXLSX(inputPath, options = {}) {
+    await this.ensureOpen();
+    return importXLSX(this, inputPath, options);
+  }
+
+  /**
+   * Copy the records into a table of an SQLite database, to query them with SQL (needs the better-sqlite3 package)
+   * @param {string} dbPath - Path of the SQLite database, created if it doesn't exist
+   * @param {Object} options - Options for exporting
+   * @param {string} options.table - Name of the table (default: the name of the DBF file without its extension)
+   * @param {Array} options.indexes - Fields to index, each a field name or an array of them for an index on several (default: none)
+   * @param {string[]} options.fields - Fields to export, in order (default: all)
+   * @param {string} options.decimalType - SQLite type of numbers with decimal places: 'REAL', or 'TEXT' for exact decimal text (default: 'REAL')
+   * @returns {Promise<number>} - Promise resolving to the number of rows written
+   */
+  async exportToSQLite(dbPath, options = {}) {
+    await this.ensureOpen();
+    return exportSQLite(this, dbPath, options);
+  }
+
+  /**
+   * Write rows edited in an SQLite table back to the records with the same key (needs better-sqlite3)
+   * @param {string} dbPath - Path of the SQLite database
+   * @param {Object} options - Options for syncing
+   * @param {string} options.key - Name of the key field, whose values must be unique and which the table must have a column for
+   * @param {string} options.table - Name of the table (default: the name of the DBF file without its extension)
+   * @returns {Promise<Object>} - Promise resolving to { rows, matched, updated, unmatched }: the numbers of rows read, rows that matched a record, records changed and rows that matched none
+   */
+  async syncFromSQLite(dbPath, options = {}) {
+    await this.ensureOpen();
+    return syncSQLite(this, dbPath, options);
+  }
+
+  /**
+   * Get a stream of the records as NDJSON (one JSON object per line), which importStream reads back exactly
+   * @param {string} format - Format of the stream; only 'ndjson' is supported (default: 'ndjson')
+   * @param {Object} options - Options for exporting
+   * @param {boolean} options.includeDeleted - Include deleted records (default: the includeDeletedRecords option)
+   * @returns {Readable} - Readable stream of NDJSON text, which can be piped to a file or a response
+   */
+  exportStream(format = 'ndjson', options = {}) {
+    if (format !== 'ndjson') throw new Error(`Unsupported export format: '${format}'. Use 'ndjson'.`);
+    return exportNDJSON(this, options);
+  }
+
+  /**
+   * Append the records of an NDJSON stream, as written by exportStream, as one transaction
+   * @param {Readable|AsyncIterable} readable - Stream of NDJSON text, as Buffers or strings
+   * @param {Object} options - Options for importing
+   * @param {string} options.format - Format of the stream; only 'ndjson' is supported (default: 'ndjson')
+   * @returns {Promise<number>} - Promise resolving to the number of records appended; rejects with an error naming the line if a line is not a valid record of the table
+   */
+  async importStream(readable, options = {}) {
+    const { format = 'ndjson' } = options;
+    if (format !== 'ndjson') throw new Error(`Unsupported import format: '${format}'. Use 'ndjson'.`);
+    await this.ensureOpen();
+    return importNDJSON(this, readable);
+  }
+
+  /**
+   * Capture the changes made to the table since the last capture with the same checkpoint file, in record number order
+   * @param {string} checkpointPath - Path of the checkpoint file, created by the first capture
+   * @param {Object} options - Options for the capture; pass either onChange or output
+   * @param {Function} options.onChange - Function called with each change, as { op, recno, record }, and awaited before the next
+   * @param {Writable} options.output - Stream to write the changes to as NDJSON, one per line; it is not ended
+   * @param {boolean} options.snapshot - Report every record as inserted when there is no checkpoint file yet; if false, the first capture only creates the checkpoint (default: true)
+   * @returns {Promise<Object>} - Promise resolving to { inserts, updates, deletes, recalls, reset, recordCount }
+   */
+  async captureChanges(checkpointPath, options = {}) {
+    await this.ensureOpen();
+    return captureChanges(this, checkpointPath, options);
+  }
+
+  /**
+   * Check if the DBF file is locked by another user, i.e. whether a file lock could not be taken right now
    * @returns {Promise<boolean>} - True if the file is locked, false otherwise
    */
   async isLocked() {
@@ -469,28 +1080,49 @@ class DbfORM {
       return false; // File doesn't exist, so it's not locked
     }
     
-    try {
-      // Try to open the file for writing
-      const fd = fs.openSync(this.dbfPath, 'r+');
-      // If successful, close it and return false (not locked)
-      fs.closeSync(fd);
-      return false;
-    } catch (error) {
-      // If there's an error opening the file, it might be locked
-      if (error.code === 'EBUSY' || 
-          error.code === 'EPERM' || 
-          error.code === 'EACCES') {
-        return true;
-      }
-      
-      // For other errors, the file might exist but have other issues
-      return false;
+    await this.ensureOpen();
+    return await this.dbfFile.isLocked();
+  }
+
+  /**
+   * Lock the whole DBF file (dBase/FoxPro FLOCK), waiting up to the lock timeout if another user holds a lock
+   * @returns {Promise<DbfORM>} - Promise resolving to this instance; rejects with an error with code 'ELOCKED' if the lock could not be acquired
+   */
+  async lockFile() {
+    await this.ensureOpen();
+    await this.dbfFile.lockFile();
+    return this;
+  }
+
+  /**
+   * Lock a single record (dBase/FoxPro RLOCK), waiting up to the lock timeout if another user holds a lock on it
+   * @param {number} recno - 1-based record number
+   * @returns {Promise<DbfORM>} - Promise resolving to this instance; rejects with an error with code 'ELOCKED' if the lock could not be acquired
+   */
+  async lockRecord(recno) {
+    await this.ensureOpen();
+    await this.dbfFile.lockRecord(recno);
+    return this;
+  }
+
+  /**
+   * Release a record lock, or all locks held on the DBF file (dBase/FoxPro UNLOCK)
+   * @param {number} recno - 1-based record number (optional, releases all locks if not provided)
+   * @returns {Promise<DbfORM>} - Promise resolving to this instance
+   */
+  async unlock(recno) {
+    if (this.isOpen) {
+      await this.dbfFile.unlock(recno);
     }
+    return this;
   }
+
 }
 
 // Export both the DbfORM class and the DELETED symbol
 module.exports = { 
   DbfORM,
-  DELETED
+  DELETED,
+  ValidationError,
+  Decimal
 }; 
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Migration - versioned schema upgrades for a directory of DBF files (see DbfORM.migrate)
+ *
+ * Each migration has a version number and an `up` function, which changes the tables of a data directory, typically
+ * with alterTable. The directory's schema version is kept in a JSON state file next to the tables, and migrations
+ * newer than it are run in order, the version being saved after each one. A lock file keeps two deployments from
+ * migrating the same directory at once.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Default name of the state file, in the data directory
+const DEFAULT_STATE_FILE = 'dbf-migrations.json';
+
+/**
+ * Run the migrations a data directory has not had yet (see DbfORM.migrate)
+ * @param {Function} Base - The DbfORM class, used to open tables
+ * @param {string} directory - The data directory
+ * @param {Array} migrations - Migrations, as { version, name, up } objects
+ * @param {Object} options - `to`, `stateFile` and `tableOptions`
+ * @returns {Promise<Object>} - { from, to, applied }
+ */
+async function runMigrations(Base, directory, migrations, options = {}) {
+  const sorted = normaliseMigrations(migrations);
+  const statePath = path.resolve(directory, options.stateFile || DEFAULT_STATE_FILE);
+  const target = options.to === undefined ? Infinity : options.to;
+  if (target !== Infinity && (!Number.isInteger(target) || target < 0)) {
+    throw new Error(`Invalid target version: ${options.to}`);
+  }
+
+  const lockPath = `${statePath}.lock`;
+  let lock;
+  try {
+    lock = await fs.promises.open(lockPath, 'wx');
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    throw new Error(`Migrations are already running on '${directory}' (remove '${lockPath}' if they are not)`);
+  }
+
+  try {
+    const state = await readState(statePath);
+    const from = state.version;
+    const applied = [];
+    for (const migration of sorted) {
+      if (migration.version <= state.version || migration.version > target) continue;
+
+      // Tables opened by the migration are closed when it finishes, whether or not it succeeds.
+      const opened = [];
+      const table = async (name, tableOptions) => {
+        const orm = new Base(path.resolve(directory, name), { ...options.tableOptions, ...tableOptions });
+        opened.push(orm);
+        return orm.open();
+      };
+      try {
+        await migration.up({ directory, version: migration.version, table });
+      } catch (err) {
+        const failed = new Error(`Migration ${describe(migration)} failed: ${err.message}`);
+        failed.cause = err;
+        failed.version = migration.version;
+        throw failed;
+      } finally {
+        for (const orm of opened) if (orm.isOpen) await orm.close();
+      }
+
+      state.version = migration.version;
+      state.applied.push({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+      await writeState(statePath, state);
+      applied.push(migration.version);
+    }
+    return { from, to: state.version, applied };
+  } finally {
+    await lock.close();
+    await fs.promises.unlink(lockPath);
+  }
+}
+
+/**
+ * Get the schema version of a data directory (see DbfORM.migrate)
+ * @param {string} directory - The data directory
+ * @param {Object} options - `stateFile`
+ * @returns {Promise<number>} - The version of the last migration run, or 0 if none has been
+ */
+async function getSchemaVersion(directory, options = {}) {
+  const state = await readState(path.resolve(directory, options.stateFile || DEFAULT_STATE_FILE));
+  return state.version;
+}
+
+//-------------------- Private implementation starts here --------------------
+function normaliseMigrations(migrations) {
+  if (!Array.isArray(migrations)) throw new Error('Migrations must be an array');
+  const sorted = migrations.slice().sort((a, b) => (a && a.version) - (b && b.version));
+  sorted.forEach((migration, i) => {
+    if (!migration || !Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Invalid migration version: ${migration && migration.version} (must be a positive integer)`);
+    }
+    if (typeof migration.up !== 'function') throw new Error(`Migration ${describe(migration)} has no up function`);
+    if (i > 0 && sorted[i - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version: ${migration.version}`);
+    }
+  });
+  return sorted;
+}
+
+async function readState(statePath) {
+  let text;
+  try {
+    text = await fs.promises.readFile(statePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { version: 0, applied: [] };
+    throw err;
+  }
+  const state = JSON.parse(text);
+  if (!Number.isInteger(state.version)) throw new Error(`Invalid migration state file: '${statePath}'`);
+  return { version: state.version, applied: Array.isArray(state.applied) ? state.applied : [] };
+}
+
+/** Writes the state file through a temporary file, so that it is never left half written. */
+async function writeState(statePath, state) {
+  const tempPath = `${statePath}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2));
+  await fs.promises.rename(tempPath, statePath);
+}
+
+function describe(migration) {
+  return migration.name ? `${migration.version} (${migration.name})` : String(migration.version);
+}
+
+module.exports = {
+  runMigrations,
+  getSchemaVersion
+};
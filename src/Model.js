@@ -0,0 +1,380 @@
+/**
+ * Model - typed table definitions with defaults, validation and hooks (see DbfORM.model)
+ *
+ * A model is a DbfORM subclass bound to a schema. Before records are written, missing fields get their defaults and
+ * every value is checked against its column: strings must fit the field width, numbers must fit the field's digits and
+ * decimal places, and values must satisfy the field's `required`, `enum`, `min` and `max` rules and any custom
+ * validators. Invalid records are rejected with a ValidationError listing every failing field, instead of the values
+ * being truncated to fit.
+ */
+
+const iconv = require('iconv-lite');
+const { Decimal, formatDecimal, isNumericValue } = require('./lib/dbffile/decimal');
+
+// Hooks a model definition may provide
+const Hooks = ['beforeInsert', 'afterInsert', 'beforeUpdate', 'afterUpdate'];
+
+// Range of Currency (Y) values, which are stored as 64-bit integers of ten-thousandths
+const MIN_CURRENCY = '-922337203685477.5808';
+const MAX_CURRENCY = '922337203685477.5807';
+
+class ValidationError extends Error {
+  /**
+   * Create an error for a record that failed validation
+   * @param {string} modelName - Name of the model
+   * @param {Array} errors - Field errors, as { field, value, rule, message } objects
+   * @param {number} index - Position of the record in the records being inserted (optional)
+   */
+  constructor(modelName, errors, index) {
+    const where = index === undefined ? '' : ` (record ${index})`;
+    super(`${modelName} validation failed${where}: ${errors.map(error => error.message).join('; ')}`);
+    this.name = 'ValidationError';
+    this.model = modelName;
+    this.errors = errors;
+    if (index !== undefined) this.index = index;
+  }
+}
+
+/**
+ * Define a model class (see DbfORM.model)
+ * @param {Function} Base - The DbfORM class to extend
+ * @param {string} name - Model name, used in error messages
+ * @param {Object} definition - Model definition: `fields`, `defaults`, `validators` and hooks
+ * @returns {Function} - The model class
+ */
+function defineModel(Base, name, definition) {
+  if (typeof name !== 'string' || name.length === 0) throw new Error('Model name must be a non-empty string');
+  const schema = normaliseDefinition(name, definition || {});
+
+  const Model = class extends Base {
+    /**
+     * Create an instance of the model for a DBF file
+     * @param {string} dbfPath - Path to the DBF file
+     * @param {Object} options - DbfORM options
+     */
+    constructor(dbfPath, options) {
+      super(dbfPath, options);
+      this.model = schema;
+      this.defineFields(schema.fields.map(({ name, type, size, decimalPlaces, nullable, binary }) =>
+        ({ name, type, size, decimalPlaces, nullable, binary })));
+    }
+
+    /**
+     * Check a record against the table's columns and the model's rules, without writing it
+     * @param {Object} record - The record to check
+     * @returns {Promise<Array>} - Promise resolving to the field errors, as { field, value, rule, message } objects (empty if the record is valid)
+     */
+    async validate(record) {
+      await this.ensureOpen();
+      return validateRecord(this, record);
+    }
+
+    /**
+     * Insert a record, after applying defaults and the beforeInsert hook and validating it
+     * @param {Object} record - Record to insert
+     * @returns {Promise<DbfORM>} - Promise resolving to this instance; rejects with a ValidationError if the record is invalid
+     */
+    async insert(record) {
+      await this.insertMany([record]);
+      return this;
+    }
+
+    /**
+     * Insert records, after applying defaults and the beforeInsert hook and validating them. Nothing is written unless
+     * every record is valid.
+     * @param {Array} records - Records to insert
+     * @returns {Promise<DbfORM>} - Promise resolving to this instance; rejects with a ValidationError (with the `index` of the record) if a record is invalid
+     */
+    async insertMany(records) {
+      await this.ensureOpen();
+      const prepared = [];
+      for (let i = 0; i < records.length; ++i) {
+        let record = applyDefaults(schema, records[i]);
+        record = await runHook(this, 'beforeInsert', record) || record;
+        const errors = await validateRecord(this, record);
+        if (errors.length > 0) throw new ValidationError(name, errors, records.length > 1 ? i : undefined);
+        prepared.push(record);
+      }
+      await super.insertMany(prepared);
+      for (const record of prepared) await runHook(this, 'afterInsert', record);
+      return this;
+    }
+
+    /**
+     * Update records matching a filter function or xBase expression, running the beforeUpdate hook on and validating
+     * each updated record. The update is made as a transaction, so no record is changed unless all of them are valid.
+     * @param {Function|string} filter - Function that takes a record (and its 1-based record number) and returns true if it should be updated, or a logical xBase expression
+     * @param {Object|Function} changes - Field values to set, or a function that takes a record and returns them
+     * @returns {Promise<number>} - Promise resolving to the number of records updated; rejects with a ValidationError if an updated record is invalid
+     */
+    async update(filter, changes) {
+      return updateValidated(this, prepare => super.update(filter, prepare), changes);
+    }
+
+    /**
+     * Update a single record by its record number, running the beforeUpdate hook on and validating the updated record
+     * @param {number} recno - 1-based record number, as used by dBase/FoxPro
+     * @param {Object|Function} changes - Field values to set, or a function that takes a record and returns them
+     * @returns {Promise<number>} - Promise resolving to the number of records updated (0 or 1); rejects with a ValidationError if the updated record is invalid
+     */
+    async updateByRecNo(recno, changes) {
+      return updateValidated(this, prepare => super.updateByRecNo(recno, prepare), changes);
+    }
+  };
+  Object.defineProperty(Model, 'name', { value: name });
+  Model.modelName = name;
+  Model.schema = schema;
+  return Model;
+}
+
+//-------------------- Private implementation starts here --------------------
+function normaliseDefinition(name, definition) {
+  const fieldList = Array.isArray(definition.fields) ?
+    definition.fields :
+    Object.keys(definition.fields || {}).map(fieldName => ({ name: fieldName, ...definition.fields[fieldName] }));
+  if (fieldList.length === 0) throw new Error(`Model '${name}' has no fields`);
+
+  const fields = fieldList.map(field => {
+    if (!field.name || !field.type) throw new Error(`Field must have name and type properties`);
+    if (field.enum !== undefined && !Array.isArray(field.enum)) {
+      throw new Error(`Field '${field.name}' of model '${name}' has an enum that is not an array`);
+    }
+    return { ...field, type: field.type.toUpperCase() };
+  });
+
+  const defaults = definition.defaults || {};
+  const validators = {};
+  for (const fieldName of Object.keys(definition.validators || {})) {
+    const list = [].concat(definition.validators[fieldName]);
+    if (list.some(validator => typeof validator !== 'function')) {
+      throw new Error(`Validators of field '${fieldName}' of model '${name}' must be functions`);
+    }
+    validators[fieldName.toUpperCase()] = list;
+  }
+  for (const fieldName of Object.keys(defaults).concat(Object.keys(validators))) {
+    if (!fields.some(field => field.name.toUpperCase() === fieldName.toUpperCase())) {
+      throw new Error(`Field '${fieldName}' is not defined in model '${name}'`);
+    }
+  }
+
+  const hooks = {};
+  for (const hook of Hooks) {
+    if (definition[hook] === undefined) continue;
+    if (typeof definition[hook] !== 'function') throw new Error(`Hook '${hook}' of model '${name}' must be a function`);
+    hooks[hook] = definition[hook];
+  }
+  return { name, fields, defaults, validators, hooks };
+}
+
+/** Fills in the defaults of fields missing from a record, calling function defaults with the record. */
+function applyDefaults(schema, record) {
+  const result = Object.assign({}, record);
+  for (const fieldName of Object.keys(schema.defaults)) {
+    if (result[fieldName] !== undefined) continue;
+    const value = schema.defaults[fieldName];
+    result[fieldName] = typeof value === 'function' ? value(result) : value;
+  }
+  return result;
+}
+
+function runHook(orm, hook, ...args) {
+  const fn = orm.model.hooks[hook];
+  return fn ? fn.apply(orm, args) : undefined;
+}
+
+/**
+ * Runs an update as a transaction, with changes worked out and validated for each record by prepareUpdate, then runs
+ * the afterUpdate hook on the updated records
+ */
+async function updateValidated(orm, update, changes) {
+  return orm.transaction(async () => {
+    const updated = [];
+    const count = await update(async (record, recno) => {
+      const values = await prepareUpdate(orm, record, recno, changes);
+      updated.push(Object.assign({}, record, values));
+      return values;
+    });
+    for (const record of updated) await runHook(orm, 'afterUpdate', record);
+    return count;
+  });
+}
+
+/** Works out the values to write over a record, after the beforeUpdate hook, and validates the updated record. */
+async function prepareUpdate(orm, record, recno, changes) {
+  const values = Object.assign({}, typeof changes === 'function' ? await changes(record, recno) : changes);
+  const merged = Object.assign({}, record, values);
+  await runHook(orm, 'beforeUpdate', merged, record);
+
+  // Write back whatever the hook changed too.
+  for (const fieldName of Object.keys(merged)) {
+    if (!sameValue(merged[fieldName], record[fieldName])) values[fieldName] = merged[fieldName];
+  }
+  const errors = await validateRecord(orm, merged);
+  if (errors.length > 0) throw new ValidationError(orm.model.name, errors);
+  return values;
+}
+
+/**
+ * Checks a record against the table's columns and the model's rules
+ * @returns {Promise<Array>} - Field errors, as { field, value, rule, message } objects (empty if the record is valid)
+ */
+async function validateRecord(orm, record) {
+  const errors = [];
+  const schema = orm.model;
+  const columns = orm.dbfFile.fields;
+  const fail = (field, value, rule, message) => errors.push({ field, value, rule, message: `${field} ${message}` });
+
+  for (const key of Object.keys(record)) {
+    if (!columns.some(column => column.name === key)) fail(key, record[key], 'unknown', 'is not a field of the table');
+  }
+
+  for (const column of columns) {
+    const field = schema.fields.find(f => f.name.toUpperCase() === column.name.toUpperCase()) || {};
+    const value = record[column.name];
+
+    if (value === null || value === undefined || value === '') {
+      if (field.required) fail(column.name, value, 'required', 'is required');
+      continue;
+    }
+
+    const problem = checkColumn(column, value, fieldEncoding(orm.dbfFile.encoding, column.name));
+    if (problem) {
+      fail(column.name, value, problem.rule, problem.message);
+      continue;
+    }
+
+    if (field.enum && !field.enum.some(allowed => compareColumnValues(column, value, allowed) === 0)) {
+      fail(column.name, value, 'enum', `must be one of ${field.enum.map(formatValue).join(', ')}`);
+    }
+    if (field.min !== undefined && compareColumnValues(column, value, field.min) < 0) {
+      fail(column.name, value, 'min', `must be at least ${formatValue(field.min)}`);
+    }
+    if (field.max !== undefined && compareColumnValues(column, value, field.max) > 0) {
+      fail(column.name, value, 'max', `must be at most ${formatValue(field.max)}`);
+    }
+
+    for (const validator of schema.validators[column.name.toUpperCase()] || []) {
+      let result;
+      try {
+        result = await validator.call(orm, value, record);
+      } catch (err) {
+        result = err.message;
+      }
+      if (result === false) fail(column.name, value, 'validator', 'is invalid');
+      else if (typeof result === 'string') fail(column.name, value, 'validator', result);
+    }
+  }
+  return errors;
+}
+
+/** Checks that a value has the right type for a column and fits in it. Returns { rule, message } if it doesn't. */
+function checkColumn(column, value, encoding) {
+  const { type, size } = column;
+  const decimalPlaces = column.decimalPlaces || 0;
+  switch (type) {
+    case 'C': // Character
+    case 'V': // Varchar
+      if (typeof value !== 'string' && !(type === 'V' && value instanceof Buffer)) {
+        return { rule: 'type', message: 'must be a string' };
+      }
+      if (byteLength(value, encoding) > size) {
+        return { rule: 'size', message: `is longer than ${size} characters` };
+      }
+      return null;
+    case 'N': // Numeric
+    case 'F': // Float
+      if (!isNumericValue(value)) return { rule: 'type', message: 'must be a number' };
+      if (!hasDecimalPlaces(value, decimalPlaces)) {
+        return { rule: 'decimals', message: `has more than ${decimalPlaces} decimal places` };
+      }
+      if (formatDecimal(value, decimalPlaces).length > size) {
+        const width = decimalPlaces > 0 ? `${size},${decimalPlaces}` : `${size}`;
+        return { rule: 'overflow', message: `does not fit in ${type}(${width})` };
+      }
+      return null;
+    case 'I': // Integer
+      if (!Number.isInteger(value)) return { rule: 'type', message: 'must be an integer' };
+      if (value < -2147483648 || value > 2147483647) return { rule: 'overflow', message: 'does not fit in 32 bits' };
+      return null;
+    case 'Y': // Currency
+      if (!isNumericValue(value)) return { rule: 'type', message: 'must be a number' };
+      if (!hasDecimalPlaces(value, 4)) return { rule: 'decimals', message: 'has more than 4 decimal places' };
+      if (Decimal.from(value).compareTo(MAX_CURRENCY) > 0 || Decimal.from(value).compareTo(MIN_CURRENCY) < 0) {
+        return { rule: 'overflow', message: 'is out of range for a currency field' };
+      }
+      return null;
+    case 'B': // Double
+      if (typeof value !== 'number' || Number.isNaN(value)) return { rule: 'type', message: 'must be a number' };
+      return null;
+    case 'L': // Logical
+      if (typeof value !== 'boolean') return { rule: 'type', message: 'must be a boolean' };
+      return null;
+    case 'D': // Date
+    case 'T': // DateTime
+      if (!(value instanceof Date) || Number.isNaN(value.getTime())) {
+        return { rule: 'type', message: 'must be a valid Date' };
+      }
+      if (type === 'D' && (value.getUTCFullYear() < 1 || value.getUTCFullYear() > 9999)) {
+        return { rule: 'overflow', message: 'is out of range for a date field' };
+      }
+      return null;
+    case 'M': // Memo
+      if (typeof value !== 'string' && !(value instanceof Buffer)) {
+        return { rule: 'type', message: 'must be a string or Buffer' };
+      }
+      return null;
+    case 'Q': // Varbinary
+    case 'G': // General
+    case 'W': // Blob
+      if (!(value instanceof Buffer)) return { rule: 'type', message: 'must be a Buffer' };
+      if (type === 'Q' && value.length > size) return { rule: 'size', message: `is longer than ${size} bytes` };
+      return null;
+    default:
+      return null;
+  }
+}
+
+function byteLength(value, encoding) {
+  if (value instanceof Buffer) return value.length;
+  return iconv.encode(value, encoding).length;
+}
+
+/** Gets the encoding of a field, from the table's encoding or its encodings by field name. */
+function fieldEncoding(encoding, fieldName) {
+  return typeof encoding === 'string' ? encoding : encoding[fieldName] || encoding.default;
+}
+
+/**
+ * Checks that a value has no more than the given decimal places. Numbers are allowed some floating point error; decimal
+ * strings, BigInts and Decimals must be exact.
+ */
+function hasDecimalPlaces(value, decimalPlaces) {
+  if (typeof value !== 'number') return Decimal.from(value, decimalPlaces).equals(Decimal.from(value));
+  const scaled = value * Math.pow(10, decimalPlaces);
+  return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+}
+
+/** Compares a value of a column with another value. Numbers, decimal strings, BigInts and Decimals compare exactly. */
+function compareColumnValues(column, a, b) {
+  if (['N', 'F', 'Y'].indexOf(column.type) !== -1 && isNumericValue(a) && isNumericValue(b)) {
+    return Decimal.from(a).compareTo(b);
+  }
+  if (sameValue(a, b)) return 0;
+  return a < b ? -1 : a > b ? 1 : NaN;
+}
+
+function sameValue(a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a instanceof Buffer && b instanceof Buffer) return a.equals(b);
+  return a === b;
+}
+
+function formatValue(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+module.exports = {
+  defineModel,
+  ValidationError
+};
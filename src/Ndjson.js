@@ -0,0 +1,236 @@
+/**
+ * NDJSON streaming export and import (see DbfORM.exportStream and DbfORM.importStream)
+ *
+ * Each record is one line of JSON, with its fields in table order. Values are written so that they read back exactly:
+ * numbers that a JavaScript number can't hold exactly are decimal strings, dates are ISO 8601 strings (YYYY-MM-DD for
+ * date fields), binary values are base64 strings and nulls are null. Deleted records have `"$deleted": true`, a name
+ * no field can have. Records are read and written in batches, so tables of any size use bounded memory.
+ *
+ * Imported records are appended as a transaction, so nothing is appended if any line is invalid, and the error names
+ * the line. Records with `"$deleted": true` are appended as deleted.
+ */
+
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { DELETED } = require('./lib/dbffile/dbf-file');
+const { Decimal, isNumericValue } = require('./lib/dbffile/decimal');
+const { createDate } = require('./lib/dbffile/utils');
+
+// Number of records read or appended at a time
+const BATCH_SIZE = 1000;
+
+// Property of deleted records
+const DELETED_PROPERTY = '$deleted';
+
+/**
+ * Get a stream of the records of a table as NDJSON (see DbfORM.exportStream)
+ * @param {DbfORM} orm - The ORM instance
+ * @param {Object} options - `includeDeleted`
+ * @returns {Readable} - Readable stream of NDJSON text, one record per line
+ */
+function exportNDJSON(orm, options = {}) {
+  return Readable.from((async function* () {
+    await orm.ensureOpen();
+    const includeDeletedRecords = options.includeDeleted === undefined ?
+      orm.options.includeDeletedRecords : !!options.includeDeleted;
+    const fields = orm.dbfFile.fields.filter(field => field.type !== '0');
+    const cursor = orm.dbfFile.cursor({ batchSize: BATCH_SIZE, includeDeletedRecords, numeric: 'decimal' });
+    // A batch read may hold no records if all of them were deleted, so the cursor is iterated to its end.
+    let text = '';
+    let count = 0;
+    for await (const record of cursor) {
+      text += JSON.stringify(toJSONRecord(fields, record)) + '\n';
+      if (++count === BATCH_SIZE) {
+        yield text;
+        text = '';
+        count = 0;
+      }
+    }
+    if (text !== '') yield text;
+  })(), { objectMode: false });
+}
+
+/**
+ * Append the records of an NDJSON stream to a table (see DbfORM.importStream)
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {Readable|AsyncIterable} input - NDJSON text, as Buffers or strings
+ * @returns {Promise<number>} - The number of records appended
+ */
+async function importNDJSON(orm, input) {
+  if (!input || typeof input[Symbol.asyncIterator] !== 'function') {
+    throw new Error('importStream needs a readable stream or async iterable of NDJSON text');
+  }
+  const fields = new Map(orm.dbfFile.fields.filter(field => field.type !== '0').map(field => [field.name, field]));
+
+  // The records are appended as one transaction, so that a bad line leaves the table as it was.
+  return orm.transaction(async () => {
+    let count = 0;
+    let batch = [];
+    for await (const { text, line } of readLines(input)) {
+      try {
+        batch.push(fromJSONRecord(fields, parseLine(text)));
+      } catch (err) {
+        throw new Error(`Line ${line}: ${err.message}`);
+      }
+      if (batch.length >= BATCH_SIZE) {
+        await orm.insertMany(batch);
+        count += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) await orm.insertMany(batch);
+    return count + batch.length;
+  });
+}
+
+/**
+ * Convert a record to the JSON object written for it, as exportStream does
+ * @param {Object[]} fields - Descriptors of the fields to write
+ * @param {Object} record - The record, read with the `numeric: 'decimal'` option
+ * @returns {Object} - The JSON object
+ */
+function toJSONRecord(fields, record) {
+  const result = {};
+  for (const field of fields) result[field.name] = toJSONValue(field, record[field.name]);
+  if (record[DELETED]) result[DELETED_PROPERTY] = true;
+  return result;
+}
+
+//-------------------- Private implementation starts here --------------------
+function toJSONValue(field, value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Buffer) return value.toString('base64');
+  if (value instanceof Date) return field.type === 'D' ? value.toISOString().slice(0, 10) : value.toISOString();
+  if (value instanceof Decimal) {
+    // Numbers are written as JSON numbers if they read back the same, taking in the text of Float fields without
+    // decimal places, which is stored as it was written.
+    const number = value.toNumber();
+    const same = field.type === 'F' && !field.decimalPlaces ?
+      Decimal.from(number).toString() === value.toString() :
+      Decimal.from(number).equals(value);
+    return same ? number : value.toString();
+  }
+  return value;
+}
+
+/**
+ * Convert a JSON object written by toJSONRecord back to a record, as importStream does
+ * @param {Map} fields - Field descriptors by field name
+ * @param {Object} json - The JSON object
+ * @returns {Object} - The record; throws an error if a field doesn't exist or a value doesn't suit its field
+ */
+function fromJSONRecord(fields, json) {
+  const record = {};
+  for (const name of Object.keys(json)) {
+    if (name === DELETED_PROPERTY) {
+      if (json[name] === true) record[DELETED] = true;
+      else if (json[name] !== false && json[name] !== null) throw new Error(`${name} must be true or false`);
+      continue;
+    }
+    const field = fields.get(name) || fields.get(name.toUpperCase());
+    if (!field) throw new Error(`Field '${name}' does not exist`);
+    try {
+      record[field.name] = fromJSONValue(field, json[name]);
+    } catch (err) {
+      throw new Error(`${field.name} ${err.message}`);
+    }
+  }
+  return record;
+}
+
+function fromJSONValue(field, value) {
+  if (value === null || value === undefined) return null;
+  switch (field.type) {
+    case 'C': // Character
+    case 'V': // Varchar
+    case 'M': // Memo
+      if (typeof value !== 'string') throw new Error('must be a string');
+      return field.binary && field.type !== 'C' ? fromBase64(value) : value;
+    case 'Q': // Varbinary
+    case 'G': // General
+    case 'W': // Blob
+      if (typeof value !== 'string') throw new Error('must be a base64 string');
+      return fromBase64(value);
+    case 'N': // Numeric
+    case 'F': // Float
+    case 'Y': // Currency
+      if ((typeof value !== 'number' && typeof value !== 'string') || !isNumericValue(value)) {
+        throw new Error('must be a number or a decimal string');
+      }
+      return Decimal.from(value);
+    case 'I': // Integer
+      if (!Number.isInteger(value)) throw new Error('must be an integer');
+      return value;
+    case 'B': // Double
+      if (typeof value !== 'number') throw new Error('must be a number');
+      return value;
+    case 'L': // Logical
+      if (typeof value !== 'boolean') throw new Error('must be true or false');
+      return value;
+    case 'D': // Date
+      {
+        const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})(?:$|T)/.exec(value);
+        if (!match) throw new Error('must be a date string (YYYY-MM-DD)');
+        return createDate(Number(match[1]), Number(match[2]), Number(match[3]));
+      }
+    case 'T': // DateTime
+      {
+        const date = typeof value === 'string' ? new Date(value) : null;
+        if (!date || Number.isNaN(date.getTime())) throw new Error('must be an ISO 8601 date and time string');
+        return date;
+      }
+    default:
+      throw new Error(`has unsupported field type '${field.type}'`);
+  }
+}
+
+function fromBase64(value) {
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(value)) throw new Error('must be a base64 string');
+  return Buffer.from(value, 'base64');
+}
+
+function parseLine(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+    throw new Error('Each line must be a JSON object');
+  }
+  return json;
+}
+
+/** Splits text into lines, as { text, line } objects with 1-based line numbers, skipping blank lines. */
+async function* readLines(input) {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let line = 0;
+  let first = true;
+  for await (const chunk of input) {
+    pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (first && pending.length > 0) {
+      if (pending.charCodeAt(0) === 0xFEFF) pending = pending.slice(1); // Byte order mark
+      first = false;
+    }
+    let start = 0;
+    for (let end = pending.indexOf('\n'); end !== -1; end = pending.indexOf('\n', start)) {
+      const text = pending.slice(start, end).replace(/\r$/, '');
+      start = end + 1;
+      ++line;
+      if (text.trim() !== '') yield { text, line };
+    }
+    pending = pending.slice(start);
+  }
+  pending += decoder.end();
+  ++line;
+  if (pending.trim() !== '') yield { text: pending, line };
+}
+
+module.exports = {
+  exportNDJSON,
+  importNDJSON,
+  toJSONRecord,
+  fromJSONRecord
+};
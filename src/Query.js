@@ -0,0 +1,521 @@
+/**
+ * Query - chainable queries over the records of a DbfORM table
+ *
+ * Conditions are combined with AND. When a condition is on a field with a matching index tag (a tag whose key is just
+ * that field, with no FOR condition), the tag narrows down the records read; the conditions are still checked on every
+ * record read, so tags only ever speed queries up.
+ */
+
+const { DELETED } = require('./lib/dbffile/dbf-file');
+const { compileExpression } = require('./lib/dbffile/expression');
+const { Decimal, fromDecimal, isNumericValue } = require('./lib/dbffile/decimal');
+
+// Comparison operators accepted by where()
+const Operators = ['=', '==', '!=', '<>', '<', '<=', '>', '>=', 'in', 'between', 'like'];
+
+// Types of values that can be looked up in index tags of each key type
+const KeyValueTypes = { C: 'string', N: 'number', D: 'object' };
+
+// Preference for conditions used to look records up in an index tag, most selective first
+const IndexedOperators = ['=', 'in', 'between', 'like', '>', '>=', '<', '<='];
+
+// Field types whose values may be read as exact decimal strings (see the `numeric` option)
+const DecimalFieldTypes = ['N', 'F', 'Y'];
+
+class Query {
+  /**
+   * Create a query over the records of a DbfORM table (see DbfORM.query)
+   * @param {DbfORM} orm - The ORM instance to query
+   */
+  constructor(orm) {
+    this._orm = orm;
+    this._conditions = [];
+    this._order = [];
+    this._limit = Infinity;
+    this._offset = 0;
+  }
+
+  /**
+   * Add a condition. Called as `where(field, operator, value)`, `where(field, value)` for equality, `where(criteria)`
+   * with an object of field/value pairs to match, or `where(filterFn)` with a function taking a record.
+   * @param {string|Object|Function} field - Field name, criteria object or filter function
+   * @param {string} operator - One of =, !=, <>, <, <=, >, >=, in, between and like
+   * @param {*} value - Value to compare with (an array for in, [from, to] for between, a pattern for like)
+   * @returns {Query} - This query, for chaining
+   */
+  where(field, operator, value) {
+    if (typeof field === 'function') {
+      this._conditions.push({ field: undefined, operator: 'filter', value: field });
+    } else if (field !== null && typeof field === 'object') {
+      for (const name of Object.keys(field)) this.where(name, '=', field[name]);
+    } else {
+      if (arguments.length === 2) {
+        value = operator;
+        operator = '=';
+      }
+      const op = String(operator).toLowerCase();
+      if (Operators.indexOf(op) === -1) throw new Error(`Unsupported query operator: '${operator}'`);
+      if (op === 'in' && !Array.isArray(value)) throw new Error(`Operator 'in' needs an array of values`);
+      if (op === 'between' && !(Array.isArray(value) && value.length === 2)) {
+        throw new Error(`Operator 'between' needs an array of two values`);
+      }
+      const condition = { field, operator: op === '==' ? '=' : op === '<>' ? '!=' : op, value };
+      if (op === 'like') condition.pattern = likeToRegExp(value);
+      this._conditions.push(condition);
+    }
+    return this;
+  }
+
+  /**
+   * Add a condition that a field equals one of the values
+   * @param {string} field - Field name
+   * @param {Array} values - Values to match
+   * @returns {Query} - This query, for chaining
+   */
+  whereIn(field, values) {
+    return this.where(field, 'in', values);
+  }
+
+  /**
+   * Add a condition that a field is between two values (inclusive)
+   * @param {string} field - Field name
+   * @param {*} from - Lowest value to match
+   * @param {*} to - Highest value to match
+   * @returns {Query} - This query, for chaining
+   */
+  whereBetween(field, from, to) {
+    return this.where(field, 'between', [from, to]);
+  }
+
+  /**
+   * Add a condition that a character field matches a SQL LIKE pattern (case-sensitive), where % matches any run of
+   * characters and _ matches a single character
+   * @param {string} field - Field name
+   * @param {string} pattern - The pattern, such as 'RAM%'
+   * @returns {Query} - This query, for chaining
+   */
+  like(field, pattern) {
+    return this.where(field, 'like', pattern);
+  }
+
+  /**
+   * Sort the results by a field. Further calls sort records that are equal on the earlier fields.
+   * @param {string} field - Field name
+   * @param {string} direction - 'asc' or 'desc' (default: 'asc')
+   * @returns {Query} - This query, for chaining
+   */
+  orderBy(field, direction = 'asc') {
+    const dir = String(direction).toLowerCase();
+    if (dir !== 'asc' && dir !== 'desc') throw new Error(`Invalid sort direction: '${direction}'`);
+    this._order.push({ field, descending: dir === 'desc' });
+    return this;
+  }
+
+  /**
+   * Return at most this many records
+   * @param {number} count - Maximum number of records
+   * @returns {Query} - This query, for chaining
+   */
+  limit(count) {
+    if (!Number.isInteger(count) || count < 0) throw new Error(`Invalid limit: ${count}`);
+    this._limit = count;
+    return this;
+  }
+
+  /**
+   * Skip this many records before returning any
+   * @param {number} count - Number of records to skip
+   * @returns {Query} - This query, for chaining
+   */
+  offset(count) {
+    if (!Number.isInteger(count) || count < 0) throw new Error(`Invalid offset: ${count}`);
+    this._offset = count;
+    return this;
+  }
+
+  /**
+   * Run the query
+   * @returns {Promise<Array>} - Promise resolving to the matching records, in order, after the offset and limit
+   */
+  async get() {
+    return runQuery(this, this._offset, this._limit);
+  }
+
+  /**
+   * Run the query for its first record
+   * @returns {Promise<Object|null>} - Promise resolving to the first matching record (after the offset), or null
+   */
+  async first() {
+    const records = await runQuery(this, this._offset, Math.min(this._limit, 1));
+    return records.length > 0 ? records[0] : null;
+  }
+
+  /**
+   * Count the matching records. The offset and limit are ignored, so that the total can be used for paging.
+   * @returns {Promise<number>} - Promise resolving to the number of matching records
+   */
+  async count() {
+    let count = 0;
+    for await (const record of matchingRecords(this)) ++count;
+    return count;
+  }
+
+  /**
+   * Check whether any record matches. The offset and limit are ignored.
+   * @returns {Promise<boolean>} - Promise resolving to true if a record matches
+   */
+  async exists() {
+    const records = await findRecords(this, 1);
+    return records.length > 0;
+  }
+
+  /**
+   * Summarise the matching records, reading them one batch at a time. Sorting, the offset and the limit are ignored.
+   * Sums and averages of fields with a fixed number of decimal places (N, F, Y and I fields) are added up exactly.
+   * @param {Object} spec - What to compute
+   * @param {string|string[]} spec.groupBy - Fields or xBase expressions (such as 'MONTH(DATE)') to group by (optional)
+   * @param {boolean} spec.count - Count the records in each group
+   * @param {string|string[]} spec.sum - Fields to total
+   * @param {string|string[]} spec.min - Fields to find the lowest value of
+   * @param {string|string[]} spec.max - Fields to find the highest value of
+   * @param {string|string[]} spec.avg - Fields to average
+   * @returns {Promise<Array>} - Promise resolving to one row per group, sorted by the group values. Each row has the
+   * group values under their groupBy names, then `count` and `sum`, `min`, `max` and `avg` objects keyed by field name.
+   * Null values are left out of sums, minimums, maximums and averages.
+   */
+  async aggregate(spec = {}) {
+    return aggregateRecords(this, spec);
+  }
+}
+
+/**
+ * Find an index tag of a DBF file that can look up values of a field: one whose key expression is just the field, with
+ * no FOR condition, and whose key type suits the value. dBase IV (.mdx) tags are not used, since their FOR conditions
+ * are not read.
+ * @param {DBFFile} dbfFile - The open DBF file
+ * @param {string} field - Field name
+ * @param {*} value - A value to look up
+ * @returns {Object|null} - The tag, or null if none qualifies
+ */
+function findFieldTag(dbfFile, field, value) {
+  for (const index of dbfFile.indexes) {
+    if (index.format === 'mdx') continue;
+    for (const tag of index.tags) {
+      if (tag.filter || !tag.key) continue;
+      if (String(field).toUpperCase() !== tag.expression.trim().toUpperCase()) continue;
+      if (value === null || typeof value !== KeyValueTypes[tag.keyType]) continue;
+      if (tag.keyType === 'D' && !(value instanceof Date)) continue;
+      return tag;
+    }
+  }
+  return null;
+}
+
+/** Runs a query, resolving to the matching records in order, after `offset` and `limit`. */
+async function runQuery(query, offset, limit) {
+  // Without sorting, reading can stop as soon as enough records have matched.
+  const sorted = query._order.length > 0;
+  const records = await findRecords(query, sorted ? Infinity : offset + limit);
+  if (sorted) {
+    const fields = resolveFields(query._orm, query._order.map(order => order.field));
+    const decimal = isDecimalField(query._orm, fields);
+    records.sort((a, b) => {
+      for (let i = 0; i < fields.length; ++i) {
+        const result = compareValues(comparable(a[fields[i]], decimal[i]), comparable(b[fields[i]], decimal[i]));
+        if (result !== 0) return query._order[i].descending ? -result : result;
+      }
+      return 0;
+    });
+  }
+  return records.slice(offset, offset + limit);
+}
+
+/** Finds up to `maxCount` records matching the conditions of a query, in file order. */
+async function findRecords(query, maxCount) {
+  const records = [];
+  if (maxCount === 0) return records;
+  for await (const record of matchingRecords(query)) {
+    records.push(record);
+    if (records.length >= maxCount) break;
+  }
+  return records;
+}
+
+/** Iterates over the records matching the conditions of a query, in file order. */
+async function* matchingRecords(query) {
+  const orm = query._orm;
+  await orm.ensureOpen();
+  const fields = resolveFields(orm, query._conditions.map(condition => condition.field));
+  const decimal = isDecimalField(orm, fields);
+  const conditions = query._conditions.map((condition, i) =>
+    Object.assign({}, condition, { field: fields[i], decimal: decimal[i] }));
+  const matches = record => conditions.every(condition => testCondition(condition, record));
+
+  // Narrow the records down with an index if one suits a condition.
+  const recnos = await lookupInIndex(orm.dbfFile, conditions);
+  if (recnos) {
+    const unique = Array.from(new Set(recnos)).sort((a, b) => a - b);
+    yield* (await orm.dbfFile.readRecordsByRecNo(unique)).filter(matches);
+    return;
+  }
+
+  for await (const record of orm.dbfFile.cursor()) {
+    if (matches(record)) yield record;
+  }
+}
+
+/** Computes the rows of Query.aggregate. */
+async function aggregateRecords(query, spec) {
+  const orm = query._orm;
+  await orm.ensureOpen();
+  const keys = toList(spec.groupBy).map(source => Object.assign({ name: source }, compileGroupKey(orm, source)));
+  const fieldsOf = name => resolveFields(orm, toList(spec[name])).map(fieldName =>
+    orm.getFields().find(field => field.name === fieldName));
+  const sums = fieldsOf('sum');
+  const mins = fieldsOf('min');
+  const maxes = fieldsOf('max');
+  const avgs = fieldsOf('avg');
+  const totalled = sums.concat(avgs).filter((field, i, all) => all.indexOf(field) === i);
+
+  // Group the records by their key values. Dates are keyed by time.
+  const groups = new Map();
+  const newGroup = values => ({ values, count: 0, totals: {}, counts: {}, mins: {}, maxes: {} });
+  for await (const record of matchingRecords(query)) {
+    const values = keys.map(key => key.evaluate(record));
+    const id = JSON.stringify(values.map(value => {
+      if (value instanceof Date) return { date: value.getTime() };
+      return typeof value === 'bigint' ? { bigint: String(value) } : value;
+    }));
+    let group = groups.get(id);
+    if (!group) {
+      group = newGroup(values);
+      groups.set(id, group);
+    }
+    ++group.count;
+    for (const field of totalled) {
+      const value = record[field.name];
+      if (value === null || value === undefined) continue;
+      const scale = getDecimalScale(field);
+      const total = group.totals[field.name] === undefined ? (scale === null ? 0 : 0n) : group.totals[field.name];
+      group.totals[field.name] = scale === null ? total + value : total + Decimal.from(value, scale).units;
+      group.counts[field.name] = (group.counts[field.name] || 0) + 1;
+    }
+    for (const field of mins) {
+      const value = record[field.name];
+      const min = group.mins[field.name];
+      if (value !== null && value !== undefined && (min === undefined || compareFieldValues(field, value, min) < 0)) {
+        group.mins[field.name] = value;
+      }
+    }
+    for (const field of maxes) {
+      const value = record[field.name];
+      const max = group.maxes[field.name];
+      if (value !== null && value !== undefined && (max === undefined || compareFieldValues(field, value, max) > 0)) {
+        group.maxes[field.name] = value;
+      }
+    }
+  }
+  if (keys.length === 0 && groups.size === 0) groups.set('', newGroup([]));
+
+  const rows = Array.from(groups.values()).sort((a, b) => {
+    for (let i = 0; i < keys.length; ++i) {
+      const result = compareValues(comparable(a.values[i], keys[i].decimal), comparable(b.values[i], keys[i].decimal));
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+  return rows.map(group => {
+    const row = {};
+    keys.forEach((key, i) => { row[key.name] = group.values[i]; });
+    // Exact totals are returned as the `numeric` option reads values. Averages are numbers.
+    const total = field => {
+      const value = group.totals[field.name];
+      const scale = getDecimalScale(field);
+      if (scale === null) return value === undefined ? 0 : value;
+      return fromDecimal(new Decimal(value === undefined ? 0n : value, scale), orm.options.numeric, scale);
+    };
+    const average = field => {
+      const value = group.totals[field.name];
+      const scale = getDecimalScale(field);
+      if (!group.counts[field.name]) return null;
+      return (scale === null ? value : new Decimal(value, scale).toNumber()) / group.counts[field.name];
+    };
+    if (spec.count) row.count = group.count;
+    if (sums.length > 0) row.sum = fromFields(sums, total);
+    if (mins.length > 0) row.min = fromFields(mins, field => valueOrNull(group.mins[field.name]));
+    if (maxes.length > 0) row.max = fromFields(maxes, field => valueOrNull(group.maxes[field.name]));
+    if (avgs.length > 0) row.avg = fromFields(avgs, average);
+    return row;
+  });
+}
+
+/**
+ * Compiles a groupBy entry: a field name, or an xBase expression. Character results of expressions are trimmed, as
+ * character field values are. Returns `evaluate`, computing the key of a record, and `decimal`, which is true if keys
+ * are values of a field that may be read as exact decimal strings.
+ */
+function compileGroupKey(orm, source) {
+  if (/^\s*[A-Za-z_][A-Za-z0-9_]*\s*$/.test(source)) {
+    const [name] = resolveFields(orm, [source.trim()]);
+    return { evaluate: record => valueOrNull(record[name]), decimal: isDecimalField(orm, [name])[0] };
+  }
+  const expression = compileExpression(source, orm.getFields(), { dateFormat: orm.options.dateFormat });
+  const evaluate = record => {
+    const value = expression.evaluate(record, { deleted: Boolean(record[DELETED]) });
+    return typeof value === 'string' ? value.replace(/ +$/, '') : value;
+  };
+  return { evaluate, decimal: false };
+}
+
+/** Gets the number of decimal places values of a numeric field are stored with, or null if it is not fixed. */
+function getDecimalScale(field) {
+  switch (field.type) {
+    case 'N': case 'F': return field.decimalPlaces || 0;
+    case 'Y': return 4;
+    case 'I': return 0;
+    default: return null;
+  }
+}
+
+/** Checks which of the named fields hold numbers that may be read as exact decimal strings. */
+function isDecimalField(orm, names) {
+  return names.map(name => orm.getFields().some(field =>
+    field.name === name && DecimalFieldTypes.indexOf(field.type) !== -1));
+}
+
+/** Gets a value to compare: values of decimal fields read as strings (see isDecimalField) compare as decimals. */
+function comparable(value, decimal) {
+  return decimal && typeof value === 'string' ? Decimal.from(value) : value;
+}
+
+function compareFieldValues(field, a, b) {
+  const decimal = DecimalFieldTypes.indexOf(field.type) !== -1;
+  return compareValues(comparable(a, decimal), comparable(b, decimal));
+}
+
+function fromFields(fields, fn) {
+  const result = {};
+  for (const field of fields) result[field.name] = fn(field);
+  return result;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === false) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function valueOrNull(value) {
+  return value === undefined ? null : value;
+}
+
+/** Resolves field names case-insensitively to the names of the table's fields. Undefined names are left alone. */
+function resolveFields(orm, names) {
+  const fields = orm.getFields();
+  return names.map(name => {
+    if (name === undefined) return undefined;
+    const field = fields.find(candidate => candidate.name.toUpperCase() === String(name).toUpperCase());
+    if (!field) throw new Error(`Field '${name}' not found in file '${orm.dbfPath}'`);
+    return field.name;
+  });
+}
+
+/** Looks up the record numbers that may match the conditions in an index tag, or resolves to null if none suits. */
+async function lookupInIndex(dbfFile, conditions) {
+  for (const operator of IndexedOperators) {
+    for (const { field, value } of conditions.filter(condition => condition.operator === operator)) {
+      switch (operator) {
+        case '=': {
+          const tag = findFieldTag(dbfFile, field, value);
+          if (tag) return dbfFile.findInIndex(tag.name, value, { exact: true });
+          break;
+        }
+        case 'in': {
+          const tags = value.map(item => findFieldTag(dbfFile, field, item));
+          if (value.length === 0 || tags.some(tag => !tag)) break;
+          const recnos = [];
+          for (let i = 0; i < value.length; ++i) {
+            recnos.push(...await dbfFile.findInIndex(tags[i].name, value[i], { exact: true }));
+          }
+          return recnos;
+        }
+        case 'between': {
+          const tag = findFieldTag(dbfFile, field, value[0]);
+          if (tag && tag === findFieldTag(dbfFile, field, value[1])) {
+            return dbfFile.findRangeInIndex(tag.name, value[0], value[1]);
+          }
+          break;
+        }
+        case 'like': {
+          // Patterns with a fixed prefix are looked up as partial keys, as SEEK does.
+          const prefix = typeof value === 'string' ? value.split(/[%_]/)[0] : '';
+          const tag = prefix !== '' && findFieldTag(dbfFile, field, prefix);
+          if (tag && tag.keyType === 'C') return dbfFile.findInIndex(tag.name, prefix);
+          break;
+        }
+        default: {
+          // Character keys compare as prefixes, so ranges may include extra records; they are filtered out later.
+          const tag = findFieldTag(dbfFile, field, value);
+          if (tag && (operator === '>' || operator === '>=')) return dbfFile.findRangeInIndex(tag.name, value, undefined);
+          if (tag) return dbfFile.findRangeInIndex(tag.name, undefined, value);
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/** Checks whether a record meets a condition. Only = and != match null values. */
+function testCondition({ field, operator, value, pattern, decimal }, record) {
+  if (operator === 'filter') return Boolean(value(record));
+  const actual = comparable(record[field], decimal);
+  const isNull = actual === null || actual === undefined;
+  switch (operator) {
+    case '=':
+      return isNull ? value === null || value === undefined : compareValues(actual, value) === 0;
+    case '!=':
+      return isNull ? value !== null && value !== undefined : compareValues(actual, value) !== 0;
+    case 'in':
+      return !isNull && value.some(item => item !== null && item !== undefined && compareValues(actual, item) === 0);
+    case 'like':
+      return typeof actual === 'string' && pattern.test(actual);
+  }
+  if (isNull) return false;
+  switch (operator) {
+    case '<': return compareValues(actual, value) < 0;
+    case '<=': return compareValues(actual, value) <= 0;
+    case '>': return compareValues(actual, value) > 0;
+    case '>=': return compareValues(actual, value) >= 0;
+    default: return compareValues(actual, value[0]) >= 0 && compareValues(actual, value[1]) <= 0;
+  }
+}
+
+/**
+ * Compares two field values. Dates compare by time, Decimals and BigInts compare exactly with numbers and decimal
+ * strings, and null values sort before all others.
+ */
+function compareValues(a, b) {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : -1;
+  if (b === null || b === undefined) return 1;
+  if (a instanceof Decimal || b instanceof Decimal || typeof a === 'bigint' || typeof b === 'bigint') {
+    if (isNumericValue(a) && isNumericValue(b)) return Decimal.from(a).compareTo(b);
+  }
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return Buffer.compare(a, b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/** Converts a SQL LIKE pattern to an anchored regular expression. */
+function likeToRegExp(pattern) {
+  const source = String(pattern).split('').map(char => {
+    if (char === '%') return '[\\s\\S]*';
+    if (char === '_') return '[\\s\\S]';
+    return char.replace(/[\\^$.*+?()[\]{}|/-]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  Query,
+  findFieldTag
+};
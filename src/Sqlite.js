@@ -0,0 +1,245 @@
+/**
+ * SQLite export and sync (see DbfORM.exportToSQLite and DbfORM.syncFromSQLite)
+ *
+ * Tables are copied into an SQLite database so that they can be queried with SQL, and rows edited there can be written
+ * back to the matching records, matched by a key field. Columns get SQLite types from the field descriptors: C, V and
+ * M fields are TEXT, N fields without decimal places, I fields and L fields (0 or 1) are INTEGER, N fields with decimal
+ * places and F, Y and B fields are REAL (or exact TEXT with decimalType 'TEXT'), D fields are TEXT ISO dates
+ * (YYYY-MM-DD), T fields are TEXT ISO 8601 dates and times, and binary fields are BLOB. An export replaces any table of
+ * the same name, and leaves deleted records out.
+ *
+ * A sync updates only the fields that changed, converting values as appendFromCSV does; columns that aren't fields of
+ * the table are ignored, as are rows whose key matches no record. The table is locked while its records are matched
+ * and updated, and the updates are one transaction, so nothing is changed if a value doesn't fit its field.
+ *
+ * This uses the better-sqlite3 package, an optional peer dependency that is loaded only when needed, so it must be
+ * installed alongside to use these.
+ */
+
+const path = require('path');
+const { Decimal } = require('./lib/dbffile/decimal');
+const { formatValue, parseValue, selectFields } = require('./Csv');
+
+// Number of records read at a time
+const BATCH_SIZE = 1000;
+
+// Largest size of a Numeric field without decimal places whose values always fit in a 64-bit INTEGER
+const MAX_INTEGER_SIZE = 18;
+
+/**
+ * Copy the records of an open table into a table of an SQLite database (see DbfORM.exportToSQLite)
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {string} dbPath - Path of the SQLite database, created if it doesn't exist
+ * @param {Object} options - `table`, `indexes`, `fields` and `decimalType`
+ * @returns {Promise<number>} - The number of rows written
+ */
+async function exportSQLite(orm, dbPath, options = {}) {
+  const { table = defaultTableName(orm.dbfPath), indexes = [], decimalType = 'REAL' } = options;
+  checkTableName(table);
+  if (decimalType !== 'REAL' && decimalType !== 'TEXT') {
+    throw new Error(`Invalid decimalType option: '${decimalType}'. Use 'REAL' or 'TEXT'.`);
+  }
+  const fields = selectFields(orm, options.fields);
+  if (!Array.isArray(indexes)) {
+    throw new Error('Invalid indexes option: must be an array of field names or arrays of them');
+  }
+  const indexFields = indexes.map(index => {
+    const names = Array.isArray(index) ? index : [index];
+    const selected = selectFields(orm, names);
+    if (!selected.every(field => fields.includes(field))) {
+      throw new Error(`Index on ${names.join(', ')} uses a field that isn't exported`);
+    }
+    return selected;
+  });
+  const columns = fields.map(field => ({ field, type: getColumnType(field, decimalType) }));
+
+  const db = openDatabase(dbPath, false);
+  let count = 0;
+  try {
+    db.exec('BEGIN');
+    try {
+      db.exec(`DROP TABLE IF EXISTS ${quote(table)}`);
+      const definitions = columns.map(({ field, type }) => `${quote(field.name)}${type ? ' ' + type : ''}`);
+      db.exec(`CREATE TABLE ${quote(table)} (${definitions.join(', ')})`);
+      const insert = db.prepare(`INSERT INTO ${quote(table)} VALUES (${columns.map(() => '?').join(', ')})`);
+      const cursor = orm.dbfFile.cursor({ batchSize: BATCH_SIZE, includeDeletedRecords: false, numeric: 'decimal' });
+      // A batch read may hold no records if all of them were deleted, so the cursor is iterated to its end.
+      for await (const record of cursor) {
+        insert.run(columns.map(({ field, type }) => toSQLiteValue(field, type, record[field.name])));
+        ++count;
+      }
+      for (const selected of indexFields) {
+        const names = selected.map(field => field.name);
+        const indexName = quote(`${table}_${names.join('_')}`);
+        db.exec(`CREATE INDEX ${indexName} ON ${quote(table)} (${names.map(quote).join(', ')})`);
+      }
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  } finally {
+    db.close();
+  }
+  return count;
+}
+
+/**
+ * Write the rows of an SQLite table back to the matching records of an open table (see DbfORM.syncFromSQLite)
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {string} dbPath - Path of the SQLite database
+ * @param {Object} options - `table` and `key`
+ * @returns {Promise<Object>} - { rows, matched, updated, unmatched }
+ */
+async function syncSQLite(orm, dbPath, options = {}) {
+  const { table = defaultTableName(orm.dbfPath), key } = options;
+  checkTableName(table);
+  if (key === undefined) throw new Error('syncFromSQLite needs a key option: the field that identifies each record');
+  const [keyField] = selectFields(orm, [key]);
+
+  // Rows by key, with their values converted to those of the table's fields
+  const rows = new Map();
+  const db = openDatabase(dbPath, true);
+  let rowCount = 0;
+  let fields;
+  try {
+    const info = db.prepare(`PRAGMA table_info(${quote(table)})`).all();
+    if (info.length === 0) throw new Error(`Table '${table}' does not exist in '${dbPath}'`);
+    const columnNames = new Map(info.map(column => [column.name.toUpperCase(), column.name]));
+    if (!columnNames.has(keyField.name)) throw new Error(`Table '${table}' has no ${keyField.name} column`);
+    fields = selectFields(orm).filter(field => field !== keyField && columnNames.has(field.name));
+    const select = db.prepare(`SELECT ${[keyField, ...fields].map(f => quote(columnNames.get(f.name))).join(', ')} ` +
+      `FROM ${quote(table)}`).raw().safeIntegers();
+    for (const [keyValue, ...values] of select.iterate()) {
+      ++rowCount;
+      const keyText = compareText(keyField, toFieldValue(orm, keyField, keyValue, `Row ${rowCount}`));
+      if (keyText === null) throw new Error(`Row ${rowCount}: ${keyField.name} is null`);
+      if (rows.has(keyText)) throw new Error(`${keyField.name} '${keyText}' is the key of more than one row`);
+      const context = `Row with ${keyField.name} '${keyText}'`;
+      rows.set(keyText, fields.map((field, i) => toFieldValue(orm, field, values[i], context)));
+    }
+  } finally {
+    db.close();
+  }
+
+  // The table joins the transaction, and so is locked, before its records are read: the changes are found from the
+  // records as they are when written, and are written together, so that an invalid value leaves the table as it was.
+  const updates = [];
+  const matched = new Set();
+  await orm.transaction(async tx => {
+    await tx.enlist(orm.dbfFile);
+    const cursor = orm.dbfFile.cursor({ batchSize: BATCH_SIZE, includeDeletedRecords: false, numeric: 'decimal' });
+    for await (const { recno, record } of cursor.entries()) {
+      const keyText = compareText(keyField, record[keyField.name]);
+      const values = rows.get(keyText);
+      if (!values) continue;
+      if (matched.has(keyText)) throw new Error(`${keyField.name} '${keyText}' is the key of more than one record`);
+      matched.add(keyText);
+      const changes = {};
+      fields.forEach((field, i) => {
+        if (compareText(field, values[i]) !== compareText(field, record[field.name])) changes[field.name] = values[i];
+      });
+      if (Object.keys(changes).length > 0) updates.push({ recno, changes });
+    }
+    for (const { recno, changes } of updates) await orm.updateByRecNo(recno, changes);
+  });
+  return { rows: rowCount, matched: matched.size, updated: updates.length, unmatched: rowCount - matched.size };
+}
+
+//-------------------- Private implementation starts here --------------------
+/** Loads better-sqlite3 and opens a database with it. */
+function openDatabase(dbPath, readonly) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    throw new Error('Exporting to and syncing from SQLite need the better-sqlite3 package: npm install better-sqlite3');
+  }
+  return new Database(dbPath, { readonly, fileMustExist: readonly });
+}
+
+function defaultTableName(dbfPath) {
+  return path.basename(dbfPath, path.extname(dbfPath)).replace(/\W/g, '_') || 'records';
+}
+
+function checkTableName(name) {
+  if (typeof name !== 'string' || name.length === 0 || /^sqlite_/i.test(name)) {
+    throw new Error(`Invalid table name: '${name}'. Use a name that doesn't start with sqlite_.`);
+  }
+}
+
+/** Quotes an SQL identifier. */
+function quote(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/** Gets the SQLite type of the column for a field. */
+function getColumnType(field, decimalType) {
+  switch (field.type) {
+    case 'C': // Character
+      return 'TEXT';
+    case 'V': // Varchar
+    case 'M': // Memo
+      return field.binary ? 'BLOB' : 'TEXT';
+    case 'N': // Numeric
+      return field.decimalPlaces || field.size > MAX_INTEGER_SIZE ? decimalType : 'INTEGER';
+    case 'F': // Float (whose values may have decimals even if the field has none)
+    case 'Y': // Currency
+      return decimalType;
+    case 'I': // Integer
+    case 'L': // Logical
+      return 'INTEGER';
+    case 'B': // Double
+      return 'REAL';
+    case 'D': // Date
+    case 'T': // DateTime
+      return 'TEXT';
+    case 'Q': // Varbinary
+    case 'G': // General
+    case 'W': // Blob
+      return 'BLOB';
+    default:
+      return '';
+  }
+}
+
+/** Converts the value of a field, read with the `numeric: 'decimal'` option, to the value stored in its column. */
+function toSQLiteValue(field, type, value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Decimal) {
+    if (type === 'INTEGER' && value.scale === 0) return value.units;
+    if (type === 'TEXT') return formatValue(field, value);
+    return value.toNumber();
+  }
+  if (value instanceof Date) return field.type === 'D' ? value.toISOString().slice(0, 10) : value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+/** Converts a value read from SQLite (with BigInts for integers) to the value of a field, as appendFromCSV would. */
+function toFieldValue(orm, field, value, context) {
+  try {
+    if (value instanceof Buffer) {
+      if (['Q', 'G', 'W'].includes(field.type) || (field.binary && field.type !== 'C')) return value;
+      throw new Error('is a BLOB');
+    }
+    if (value === null) return parseValue(orm, field, '');
+    if (['Q', 'G', 'W'].includes(field.type)) throw new Error('is not a BLOB');
+    return parseValue(orm, field, String(value));
+  } catch (err) {
+    throw new Error(`${context}: ${field.name} ${err.message}`);
+  }
+}
+
+/** Gets the text a value is compared by: what toCSV writes for it, or null. Character fields are read trimmed. */
+function compareText(field, value) {
+  if (value === null || value === undefined) return null;
+  const text = formatValue(field, value);
+  return field.type === 'C' ? text.trim() : text;
+}
+
+module.exports = {
+  exportSQLite,
+  syncSQLite
+};
@@ -0,0 +1,235 @@
+/**
+ * Watching a table for records appended or changed by other programs (see DbfORM.watch)
+ *
+ * The table is checked when fs.watch reports that the file changed, and also polled at an interval, since fs.watch
+ * misses changes made over network drives. Each check compares the header's record count and date of last update, and
+ * the file's size and modification time, with those seen before. If any differ, records past the previous record
+ * count are reported as inserted and, unless the `changes` option is false, records whose bytes are no longer the same
+ * are reported as changed. A 32-bit hash of each record is kept to tell, so watching a million records takes 4 MB.
+ */
+
+const fs = require('fs');
+
+// Default polling interval, in milliseconds
+const DEFAULT_INTERVAL = 1000;
+
+// Delay before checking once fs.watch reports a change, so that a burst of writes is checked once
+const SETTLE_DELAY = 50;
+
+// Number of records read, and reported in one event, at a time
+const BATCH_SIZE = 1000;
+
+/**
+ * Start watching an open table, emitting 'insert', 'change' and 'error' events on its ORM instance
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {Object} options - `interval` and `changes` (see DbfORM.watch)
+ * @returns {Promise<TableWatcher>} - The watcher, once it has read the table's current state
+ */
+async function watchTable(orm, options = {}) {
+  const { interval = DEFAULT_INTERVAL, changes = true } = options;
+  if (typeof interval !== 'number' || !(interval > 0)) {
+    throw new Error(`Invalid interval option: must be a positive number of milliseconds.`);
+  }
+  const watcher = new TableWatcher(orm, interval, !!changes);
+  await watcher.start();
+  return watcher;
+}
+
+/** Checks a table for changes when its file changes and at an interval, until stopped. */
+class TableWatcher {
+  constructor(orm, interval, changes) {
+    /** The ORM instance events are emitted on. */
+    this.orm = orm;
+    // Private.
+    this._path = orm.dbfFile.path;
+    this._interval = interval;
+    this._changes = changes;
+    this._state = null;
+    this._hashes = new Uint32Array(0);
+    this._fsWatcher = null;
+    this._timer = null;
+    this._scheduled = null;
+    this._checking = false;
+    this._pending = false;
+    this._stopped = false;
+  }
+
+  /** Reads the state of the table and starts watching it. */
+  async start() {
+    this._state = await readState(this._path);
+    if (this._changes) {
+      this._hashes = new Uint32Array(this._state.recordCount);
+      await hashRecords(this._path, this._state, 1, this._state.recordCount, (recno, hash) => {
+        this._hashes[recno - 1] = hash;
+      });
+    }
+    try {
+      this._fsWatcher = fs.watch(this._path, { persistent: true }, () => this._schedule(SETTLE_DELAY));
+      this._fsWatcher.on('error', () => this._closeFsWatcher()); // Polling carries on
+    } catch (err) {
+      this._fsWatcher = null; // Not supported for this file; polling is enough
+    }
+    this._timer = setInterval(() => this._schedule(0), this._interval);
+  }
+
+  /** Stops watching. No events are emitted after this, even by a check that is under way. */
+  stop() {
+    this._stopped = true;
+    this._closeFsWatcher();
+    clearInterval(this._timer);
+    clearTimeout(this._scheduled);
+  }
+
+  _closeFsWatcher() {
+    if (this._fsWatcher) this._fsWatcher.close();
+    this._fsWatcher = null;
+  }
+
+  _schedule(delay) {
+    if (this._stopped || this._scheduled) return;
+    this._scheduled = setTimeout(() => {
+      this._scheduled = null;
+      this._check();
+    }, delay);
+  }
+
+  /** Runs a check, or another one after the current one if a check is under way. */
+  _check() {
+    if (this._checking) {
+      this._pending = true;
+      return;
+    }
+    this._checking = true;
+    this._run().catch(err => {
+      if (this._stopped) return;
+      // A table whose structure changed can't be watched any more. Stopping keeps events from being emitted, so it
+      // comes after the error.
+      try {
+        this.orm.emit('error', err);
+      } finally {
+        if (err.code === 'ESTRUCTURE') this.stop();
+      }
+    }).finally(() => {
+      this._checking = false;
+      if (this._pending && !this._stopped) {
+        this._pending = false;
+        this._check();
+      }
+    });
+  }
+
+  async _run() {
+    const previous = this._state;
+    const state = await readState(this._path);
+    if (isSameState(state, previous)) return;
+    if (state.headerLength !== previous.headerLength || state.recordLength !== previous.recordLength) {
+      const err = new Error(`The structure of table '${this._path}' was changed; open it again to watch it.`);
+      err.code = 'ESTRUCTURE';
+      throw err;
+    }
+    this._state = state;
+    // Records are read up to the record count this check read from the header, leaving the DBF file's own count alone,
+    // as this instance's writes may be changing it meanwhile.
+    const dbfFile = this.orm.dbfFile;
+    if (!dbfFile) return; // Closed while reading
+
+    // Records that were there before, and whose bytes changed
+    const hashes = new Uint32Array(this._changes ? state.recordCount : 0);
+    if (this._changes) {
+      const changed = [];
+      const known = Math.min(previous.recordCount, state.recordCount);
+      await hashRecords(this._path, state, 1, state.recordCount, (recno, hash) => {
+        if (recno <= known && hash !== this._hashes[recno - 1]) changed.push(recno);
+        hashes[recno - 1] = hash;
+      });
+      this._hashes = hashes;
+      for (let i = 0; i < changed.length; i += BATCH_SIZE) {
+        const entries = [];
+        for (const recno of changed.slice(i, i + BATCH_SIZE)) {
+          const cursor = dbfFile.cursor({ from: recno, to: recno, batchSize: 1, includeDeletedRecords: true });
+          const [record] = await cursor.read(1);
+          if (record) entries.push({ recno, record });
+        }
+        if (entries.length > 0 && !this._stopped) this.orm.emit('change', entries);
+      }
+    }
+
+    // Records appended since the last check
+    if (state.recordCount > previous.recordCount) {
+      const cursor = dbfFile.cursor({
+        from: previous.recordCount + 1,
+        to: state.recordCount,
+        batchSize: BATCH_SIZE,
+        includeDeletedRecords: true
+      });
+      let entries = [];
+      for await (const entry of cursor.entries()) {
+        entries.push(entry);
+        if (entries.length === BATCH_SIZE) {
+          if (!this._stopped) this.orm.emit('insert', entries);
+          entries = [];
+        }
+      }
+      if (entries.length > 0 && !this._stopped) this.orm.emit('insert', entries);
+    }
+  }
+}
+
+//-------------------- Private implementation starts here --------------------
+/** Reads what a check compares: the header's record count, date and lengths, and the file's size and time. */
+async function readState(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(12);
+    await handle.read(header, 0, 12, 0);
+    const { size, mtimeMs } = await handle.stat();
+    return {
+      recordCount: header.readInt32LE(4),
+      date: header.readUIntBE(1, 3),
+      headerLength: header.readUInt16LE(8),
+      recordLength: header.readUInt16LE(10),
+      size,
+      mtimeMs
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+function isSameState(a, b) {
+  return a.recordCount === b.recordCount && a.date === b.date && a.size === b.size && a.mtimeMs === b.mtimeMs &&
+    a.headerLength === b.headerLength && a.recordLength === b.recordLength;
+}
+
+/** Calls `visit` with the record number and a hash of the bytes of each record from `first` to `last`. */
+async function hashRecords(filePath, state, first, last, visit) {
+  if (last < first) return;
+  const { headerLength, recordLength } = state;
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(recordLength * Math.min(BATCH_SIZE, last - first + 1));
+    for (let recno = first; recno <= last; recno += BATCH_SIZE) {
+      const count = Math.min(BATCH_SIZE, last - recno + 1);
+      const { bytesRead } =
+        await handle.read(buffer, 0, count * recordLength, headerLength + (recno - 1) * recordLength);
+      buffer.fill(0, bytesRead); // Records the header counts but the file doesn't hold yet
+      for (let i = 0; i < count; ++i) visit(recno + i, hashBytes(buffer, i * recordLength, (i + 1) * recordLength));
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/** 32-bit FNV-1a hash of part of a buffer. */
+function hashBytes(buffer, start, end) {
+  let hash = 0x811c9dc5;
+  for (let i = start; i < end; ++i) {
+    hash ^= buffer[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+module.exports = {
+  watchTable
+};
@@ -0,0 +1,460 @@
+/**
+ * Excel workbook (.xlsx) import and export (see DbfORM.toXLSX and DbfORM.appendFromXLSX)
+ *
+ * Workbooks are Office Open XML: a zip archive of XML parts, written and read here without any external tool. Cell
+ * types and number formats come from the table's field descriptors: numeric fields are numbers formatted with their
+ * decimal places, logical fields are booleans, date and DateTime fields are Excel dates, and other fields are text
+ * (binary values in base64). Exported sheets are streamed from the table, with the field names in the header row;
+ * imported workbooks are read into memory, as their parts are compressed.
+ *
+ * The first row of an imported sheet names the columns, which are matched to fields as appendFromCSV matches them,
+ * and each cell is converted to its field's type: numbers to numeric fields, Excel dates (or ISO 8601 text) to date
+ * fields, booleans to logical fields, and so on. Invalid rows are reported and appended as CSV rows are, with the
+ * sheet's row number as the `line` of their errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ZipWriter, readZip } = require('./lib/zip');
+const { formatDecimal } = require('./lib/dbffile/decimal');
+const { createDate } = require('./lib/dbffile/utils');
+const { appendRows, parseValue, selectFields } = require('./Csv');
+
+// Number of records written to the sheet at a time
+const BATCH_SIZE = 1000;
+
+// Excel's day 0, in the 1900 and 1904 date systems (1900 dates are only right from 1 March 1900)
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+const MS_PER_DAY = 86400000;
+
+// Built-in number formats that need no <numFmt> element
+const BuiltInFormats = { '0': 1, '0.00': 2, '#,##0': 3, '#,##0.00': 4 };
+
+// Built-in number formats that show dates or times
+const BuiltInDateFormats = [14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57];
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PACKAGE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Write the records of an open table to a workbook with one sheet (see DbfORM.toXLSX)
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {string} outputPath - Path of the .xlsx file
+ * @param {Object} options - `sheetName` and `fields`
+ * @returns {Promise<number>} - The number of records written
+ */
+async function exportXLSX(orm, outputPath, options = {}) {
+  const fields = selectFields(orm, options.fields);
+  const sheetName = options.sheetName === undefined ? defaultSheetName(orm.dbfFile.path) : options.sheetName;
+  checkSheetName(sheetName);
+
+  // Each column's cell style: the header row is bold, and other cells have their field's number format.
+  const formats = [];
+  const columns = fields.map((field, i) => {
+    const format = getNumberFormat(field);
+    if (format !== null && formats.indexOf(format) === -1) formats.push(format);
+    return { field, ref: columnName(i), style: format === null ? 0 : 2 + formats.indexOf(format) };
+  });
+
+  let count = 0;
+  async function* sheetData() {
+    yield XML_DECLARATION + `<worksheet xmlns="${NS_MAIN}">`;
+    yield '<sheetViews><sheetView workbookViewId="0">' +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>';
+    yield `<cols>${columns.map(({ field }, i) =>
+      `<col min="${i + 1}" max="${i + 1}" width="${getColumnWidth(field)}" customWidth="1"/>`).join('')}</cols>`;
+    yield '<sheetData><row r="1">' +
+      columns.map(({ field, ref }) => `<c r="${ref}1" s="1" t="inlineStr">${inlineString(field.name)}</c>`).join('') +
+      '</row>';
+    let rows = [];
+    for await (const record of orm.dbfFile.cursor({ batchSize: BATCH_SIZE })) {
+      const r = ++count + 1;
+      const cells = columns.map(column => formatCell(column, r, record[column.field.name]));
+      rows.push(`<row r="${r}">${cells.join('')}</row>`);
+      if (rows.length >= BATCH_SIZE) {
+        yield rows.join('');
+        rows = [];
+      }
+    }
+    yield rows.join('') + '</sheetData></worksheet>';
+  }
+
+  const zip = await new ZipWriter(outputPath).open();
+  try {
+    await zip.addEntry('[Content_Types].xml', XML_DECLARATION +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>');
+    await zip.addEntry('_rels/.rels', XML_DECLARATION + `<Relationships xmlns="${NS_PACKAGE_RELATIONSHIPS}">` +
+      `<Relationship Id="rId1" Type="${NS_RELATIONSHIPS}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>');
+    await zip.addEntry('xl/workbook.xml', XML_DECLARATION +
+      `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_RELATIONSHIPS}">` +
+      `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+    await zip.addEntry('xl/_rels/workbook.xml.rels', XML_DECLARATION +
+      `<Relationships xmlns="${NS_PACKAGE_RELATIONSHIPS}">` +
+      `<Relationship Id="rId1" Type="${NS_RELATIONSHIPS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `<Relationship Id="rId2" Type="${NS_RELATIONSHIPS}/styles" Target="styles.xml"/>` +
+      '</Relationships>');
+    await zip.addEntry('xl/styles.xml', stylesXml(formats));
+    await zip.addEntry('xl/worksheets/sheet1.xml', sheetData());
+    await zip.close();
+  } catch (err) {
+    await zip.abort();
+    await fs.promises.unlink(outputPath).catch(() => {});
+    throw err;
+  }
+  return count;
+}
+
+/**
+ * Append the rows of a worksheet to an open table (see DbfORM.appendFromXLSX)
+ * @param {DbfORM} orm - The open ORM instance
+ * @param {string} inputPath - Path of the .xlsx file
+ * @param {Object} options - `sheet`, `mapping` and `skipErrors`
+ * @returns {Promise<Object>} - { count, rows, errors }
+ */
+async function importXLSX(orm, inputPath, options = {}) {
+  let entries;
+  try {
+    entries = readZip(await fs.promises.readFile(inputPath));
+  } catch (err) {
+    if (err.code) throw err;
+    throw new Error(`'${inputPath}' is not an Excel workbook: ${err.message}`);
+  }
+  const workbook = readWorkbook(entries, inputPath);
+  const sheet = findSheet(workbook, options.sheet, inputPath);
+  const convert = (field, value) => toFieldValue(orm, field, value, workbook.date1904);
+  return appendRows(orm, readSheetRows(workbook, sheet), { ...options, header: true }, convert);
+}
+
+//-------------------- Private implementation starts here --------------------
+/** An error value in a cell, such as #N/A or #DIV/0!. */
+class CellError {
+  constructor(code) {
+    this.code = code;
+  }
+
+  toString() {
+    return this.code;
+  }
+
+  toJSON() {
+    return this.code;
+  }
+}
+
+function defaultSheetName(dbfPath) {
+  const name = path.basename(dbfPath, path.extname(dbfPath)).replace(/[\\/?*[\]:]/g, '_').replace(/^'+|'+$/g, '');
+  return name.slice(0, 31) || 'Sheet1';
+}
+
+function checkSheetName(name) {
+  if (typeof name !== 'string' || name.length === 0 || name.length > 31 || /[\\/?*[\]:]/.test(name) ||
+      name.startsWith('\'') || name.endsWith('\'')) {
+    throw new Error(`Invalid sheet name: '${name}'. Use 1 to 31 characters, without \\ / ? * [ ] : or edge quotes.`);
+  }
+}
+
+/** Gets the number format of a field's cells, or null for the General format. */
+function getNumberFormat(field) {
+  const decimals = places => places > 0 ? '.' + '0'.repeat(places) : '';
+  switch (field.type) {
+    case 'N': // Numeric
+      return field.decimalPlaces > 0 ? '#,##0' + decimals(field.decimalPlaces) : '0';
+    case 'F': // Float
+    case 'B': // Double
+      return field.decimalPlaces > 0 ? '0' + decimals(field.decimalPlaces) : null;
+    case 'Y': // Currency
+      return '#,##0.0000';
+    case 'I': // Integer
+      return '0';
+    case 'D': // Date
+      return 'yyyy-mm-dd';
+    case 'T': // DateTime
+      return 'yyyy-mm-dd hh:mm:ss';
+    default:
+      return null;
+  }
+}
+
+function getColumnWidth(field) {
+  const widths = { D: 12, T: 20, L: 8, I: 12, Y: 20, B: 16, M: 40, G: 40, W: 40 };
+  const width = widths[field.type] || Math.min(field.size || 10, 50) + 2;
+  return Math.max(width, field.name.length + 2);
+}
+
+function stylesXml(formats) {
+  const custom = formats.filter(format => !(format in BuiltInFormats));
+  const formatId = format => format in BuiltInFormats ? BuiltInFormats[format] : 164 + custom.indexOf(format);
+  return XML_DECLARATION + `<styleSheet xmlns="${NS_MAIN}">` +
+    (custom.length > 0 ? `<numFmts count="${custom.length}">${custom.map(format =>
+      `<numFmt numFmtId="${formatId(format)}" formatCode="${escapeXml(format)}"/>`).join('')}</numFmts>` : '') +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    `<cellXfs count="${2 + formats.length}">` +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    formats.map(format => `<xf numFmtId="${formatId(format)}" fontId="0" fillId="0" borderId="0" xfId="0" ` +
+      'applyNumberFormat="1"/>').join('') +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+}
+
+/** Formats the cell of a record's value, or '' if the value is null. */
+function formatCell({ field, ref, style }, r, value) {
+  if (value === null || value === undefined) return '';
+  const attributes = `r="${ref}${r}"${style > 0 ? ` s="${style}"` : ''}`;
+  if (value instanceof Buffer) return `<c ${attributes} t="inlineStr">${inlineString(value.toString('base64'))}</c>`;
+  if (value instanceof Date) return `<c ${attributes}><v>${(value.getTime() - EPOCH_1900) / MS_PER_DAY}</v></c>`;
+  if (typeof value === 'boolean') return `<c ${attributes} t="b"><v>${value ? 1 : 0}</v></c>`;
+  switch (field.type) {
+    case 'N': // Numeric
+      return `<c ${attributes}><v>${formatDecimal(value, field.decimalPlaces || 0)}</v></c>`;
+    case 'Y': // Currency
+      return `<c ${attributes}><v>${formatDecimal(value, 4)}</v></c>`;
+    case 'F': // Float
+    case 'B': // Double
+    case 'I': // Integer
+      return `<c ${attributes}><v>${String(value)}</v></c>`;
+    default:
+      return `<c ${attributes} t="inlineStr">${inlineString(String(value))}</c>`;
+  }
+}
+
+function inlineString(text) {
+  const space = text.trim() === text ? '' : ' xml:space="preserve"';
+  return `<is><t${space}>${escapeXml(encodeXString(text))}</t></is>`;
+}
+
+/** Gets the column letters of a 0-based column index: A to Z, then AA, AB... */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  return name;
+}
+
+/** Gets the 0-based column index of a cell reference such as 'AB12'. */
+function columnIndex(ref) {
+  let index = 0;
+  for (const c of /^[A-Z]*/i.exec(ref)[0].toUpperCase()) index = index * 26 + c.charCodeAt(0) - 64;
+  return index - 1;
+}
+
+/** Reads the parts of a workbook needed to read its sheets: sheet names and paths, shared strings and date styles. */
+function readWorkbook(entries, filePath) {
+  const text = name => entries.has(name) ? entries.get(name).toString('utf8') : null;
+  const rootRelationships = readRelationships(text('_rels/.rels'), '');
+  const workbookPath = (rootRelationships.find(rel => rel.type.endsWith('/officeDocument')) || {}).target;
+  const workbookXml = workbookPath && text(workbookPath);
+  if (!workbookXml) throw new Error(`'${filePath}' is not an Excel workbook`);
+
+  const directory = path.posix.dirname(workbookPath);
+  const relationships = readRelationships(
+    text(path.posix.join(directory, '_rels', path.posix.basename(workbookPath) + '.rels')), directory);
+  const target = type => (relationships.find(rel => rel.type.endsWith(type)) || {}).target;
+
+  const workbookPr = /<(?:\w+:)?workbookPr\b([^>]*)>/.exec(workbookXml);
+  const date1904 = workbookPr ? /^(1|true)$/.test(getAttributes(workbookPr[1]).date1904 || '') : false;
+  const sheets = [];
+  for (const match of workbookXml.matchAll(/<(?:\w+:)?sheet\b([^>]*?)\/?>/g)) {
+    const attributes = getAttributes(match[1]);
+    const id = Object.keys(attributes).find(key => /(^|:)id$/.test(key));
+    const rel = relationships.find(r => r.id === attributes[id]);
+    if (rel) sheets.push({ name: unescapeXml(attributes.name || ''), path: rel.target });
+  }
+
+  const sharedStrings = [];
+  const sharedStringsXml = target('/sharedStrings') && text(target('/sharedStrings'));
+  if (sharedStringsXml) {
+    for (const match of sharedStringsXml.matchAll(/<(?:\w+:)?si\b[^>]*>([\s\S]*?)<\/(?:\w+:)?si>/g)) {
+      sharedStrings.push(readRichText(match[1]));
+    }
+  }
+
+  const stylesXml = target('/styles') && text(target('/styles'));
+  return { entries, sheets, sharedStrings, dateStyles: stylesXml ? readDateStyles(stylesXml) : [], date1904 };
+}
+
+/** Reads the relationships of a part, with their targets resolved to paths in the archive. */
+function readRelationships(xml, directory) {
+  const relationships = [];
+  if (!xml) return relationships;
+  for (const match of xml.matchAll(/<(?:\w+:)?Relationship\b([^>]*?)\/?>/g)) {
+    const attributes = getAttributes(match[1]);
+    const target = unescapeXml(attributes.Target || '');
+    relationships.push({
+      id: attributes.Id,
+      type: attributes.Type || '',
+      target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(directory, target))
+    });
+  }
+  return relationships;
+}
+
+/** Works out which cell styles (by index) have date or time number formats. */
+function readDateStyles(xml) {
+  const customFormats = {};
+  for (const match of xml.matchAll(/<(?:\w+:)?numFmt\b([^>]*?)\/?>/g)) {
+    const attributes = getAttributes(match[1]);
+    customFormats[attributes.numFmtId] = unescapeXml(attributes.formatCode || '');
+  }
+  const cellXfs = /<(?:\w+:)?cellXfs\b[^>]*>([\s\S]*?)<\/(?:\w+:)?cellXfs>/.exec(xml);
+  if (!cellXfs) return [];
+  return Array.from(cellXfs[1].matchAll(/<(?:\w+:)?xf\b([^>]*?)\/?>/g), match => {
+    const id = Number(getAttributes(match[1]).numFmtId || 0);
+    if (BuiltInDateFormats.indexOf(id) !== -1) return true;
+    const format = customFormats[id];
+    // A date format has date or time codes outside quoted text, escapes and [colour] or [condition] sections.
+    return format !== undefined && /[dmyhs]/i.test(format.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, ''));
+  });
+}
+
+function findSheet(workbook, sheet, filePath) {
+  if (workbook.sheets.length === 0) throw new Error(`'${filePath}' has no worksheets`);
+  let found;
+  if (sheet === undefined) found = workbook.sheets[0];
+  else if (typeof sheet === 'number') found = workbook.sheets[sheet - 1];
+  else found = workbook.sheets.find(s => s.name.toUpperCase() === String(sheet).toUpperCase());
+  if (!found) throw new Error(`Sheet '${sheet}' does not exist in '${filePath}'`);
+  if (!workbook.entries.has(found.path)) throw new Error(`Sheet '${found.name}' is missing from '${filePath}'`);
+  return found;
+}
+
+/**
+ * Reads the rows of a worksheet as { values, line } objects, the line being the row number. Values are strings,
+ * numbers, booleans, Dates (for numbers with date formats) and CellErrors; empty cells are undefined.
+ */
+function* readSheetRows(workbook, sheet) {
+  const xml = workbook.entries.get(sheet.path).toString('utf8');
+  const rowPattern = /<(?:\w+:)?row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?row>)/g;
+  const cellPattern = /<(?:\w+:)?c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?c>)/g;
+  let line = 0;
+  for (const rowMatch of xml.matchAll(rowPattern)) {
+    const rowAttributes = getAttributes(rowMatch[1]);
+    line = rowAttributes.r ? Number(rowAttributes.r) : line + 1;
+    const values = [];
+    let column = 0;
+    for (const cellMatch of (rowMatch[2] || '').matchAll(cellPattern)) {
+      const attributes = getAttributes(cellMatch[1]);
+      if (attributes.r) column = columnIndex(attributes.r);
+      values[column++] = readCell(workbook, attributes, cellMatch[2] || '');
+    }
+    yield { values, line };
+  }
+}
+
+function readCell(workbook, attributes, xml) {
+  const v = /<(?:\w+:)?v\b[^>]*>([\s\S]*?)<\/(?:\w+:)?v>/.exec(xml);
+  const value = v ? unescapeXml(v[1]) : undefined;
+  switch (attributes.t) {
+    case 's': // Shared string
+      return value === undefined ? undefined : workbook.sharedStrings[Number(value)];
+    case 'inlineStr':
+      {
+        const is = /<(?:\w+:)?is\b[^>]*>([\s\S]*?)<\/(?:\w+:)?is>/.exec(xml);
+        return is ? readRichText(is[1]) : undefined;
+      }
+    case 'str': // Formula result
+      return value === undefined ? undefined : decodeXString(value);
+    case 'b': // Boolean
+      return value === undefined ? undefined : value.trim() === '1' || value.trim().toLowerCase() === 'true';
+    case 'e': // Error
+      return value === undefined ? undefined : new CellError(value);
+    case 'd': // ISO 8601 date
+      {
+        if (value === undefined) return undefined;
+        const date = new Date(/(Z|[-+]\d\d:?\d\d)$/.test(value) || !value.includes('T') ? value : value + 'Z');
+        return Number.isNaN(date.getTime()) ? value : date;
+      }
+    default: // Number
+      {
+        if (value === undefined || value.trim() === '') return undefined;
+        const number = Number(value);
+        if (Number.isNaN(number)) return value;
+        return workbook.dateStyles[Number(attributes.s || 0)] ? fromSerial(number, workbook.date1904) : number;
+      }
+  }
+}
+
+/** Gets the text of a string item: its <t> elements, leaving out phonetic runs. */
+function readRichText(xml) {
+  const text = [];
+  for (const match of xml.replace(/<(?:\w+:)?rPh\b[\s\S]*?<\/(?:\w+:)?rPh>/g, '')
+    .matchAll(/<(?:\w+:)?t\b[^>]*?(?:\/>|>([\s\S]*?)<\/(?:\w+:)?t>)/g)) {
+    text.push(match[1] || '');
+  }
+  return decodeXString(unescapeXml(text.join('')));
+}
+
+/** Converts a cell value to the value of a table field, as appendFromXLSX does. */
+function toFieldValue(orm, field, value, date1904) {
+  if (value === null || value === undefined) return parseValue(orm, field, '');
+  if (value instanceof CellError) throw new Error(`is an error value (${value.code})`);
+  if (typeof value === 'number' && (field.type === 'D' || field.type === 'T')) value = fromSerial(value, date1904);
+  if (value instanceof Date) {
+    if (field.type === 'D') return createDate(value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate());
+    if (field.type === 'T') return value;
+    const iso = value.toISOString();
+    return parseValue(orm, field, iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso);
+  }
+  if (typeof value === 'boolean') return parseValue(orm, field, value ? 'T' : 'F');
+  return parseValue(orm, field, String(value));
+}
+
+function fromSerial(serial, date1904) {
+  return new Date((date1904 ? EPOCH_1904 : EPOCH_1900) + Math.round(serial * MS_PER_DAY));
+}
+
+function getAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return attributes;
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|amp|quot|apos));/gi, (entity, hex, decimal, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (decimal) return String.fromCodePoint(Number(decimal));
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' }[name.toLowerCase()];
+  });
+}
+
+/**
+ * Escapes characters XML can't hold as _xHHHH_, as Excel does. Text that looks like such an escape has its
+ * underscore escaped, so that it reads back as it was.
+ */
+function encodeXString(text) {
+  return text.replace(/_(?=x[0-9a-f]{4}_)|[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/gi, c =>
+    `_x${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}_`);
+}
+
+function decodeXString(text) {
+  return text.replace(/_x([0-9a-f]{4})_/gi, (escape, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+module.exports = {
+  exportXLSX,
+  importXLSX
+};
@@ -0,0 +1,208 @@
+/**
+ * Table structure changes (ALTER TABLE / MODIFY STRUCTURE)
+ *
+ * Works out the fields of a table after columns are added, dropped, renamed and modified, and converts the values of
+ * existing records to the new field types. The file itself is rewritten by the DBF file module.
+ */
+
+const iconv = require('iconv-lite');
+const { isVisualFoxProVersion } = require('./field-descriptor');
+const { Decimal, isNumericValue } = require('./decimal');
+const { createDate } = require('./utils');
+
+// Sizes of the field types whose size is fixed, used for fields added or changed to them without a size
+const FixedSizes = { L: 1, D: 8, I: 4, Y: 8, T: 8, B: 8, W: 4 };
+
+// Field types that may have decimal places
+const DecimalFieldTypes = ['N', 'F', 'B'];
+
+/**
+ * Works out the fields of a table after a structure change. Fields to drop, rename and modify are named by their
+ * current names (case-insensitive); added fields go at the end.
+ * @param {Array} fields - Field descriptors of the table, without the _NullFlags field
+ * @param {Object} changes - { add: [descriptors], drop: [names], rename: { OLD: 'NEW' }, modify: [{ name, ... }] }
+ * @param {number} fileVersion - The DBF file version, which decides the size of memo fields
+ * @returns {{fields: Array, sources: Array, renames: Object}} - The new field descriptors, the current field each one
+ * takes its values from (null for added fields), and the new names of renamed fields by their current names
+ */
+function planAlteration(fields, changes, fileVersion) {
+  const { add = [], drop = [], rename = {}, modify = [] } = changes || {};
+  if (!Array.isArray(add) || !Array.isArray(drop) || !Array.isArray(modify) || typeof rename !== 'object') {
+    throw new Error('Invalid table changes: add, drop and modify must be arrays and rename an object.');
+  }
+  const find = name => {
+    const field = fields.find(f => f.name.toUpperCase() === String(name).toUpperCase());
+    if (!field) throw new Error(`Field '${name}' does not exist`);
+    return field;
+  };
+
+  const dropped = drop.map(find);
+  const renames = {};
+  for (const name of Object.keys(rename)) {
+    const field = find(name);
+    if (dropped.indexOf(field) !== -1) throw new Error(`Field '${name}' cannot be both dropped and renamed`);
+    renames[field.name] = String(rename[name]);
+  }
+  const modifications = new Map();
+  for (const modification of modify) {
+    const field = find(modification && modification.name);
+    if (dropped.indexOf(field) !== -1) throw new Error(`Field '${field.name}' cannot be both dropped and modified`);
+    modifications.set(field, modification);
+  }
+
+  // Kept fields, in their current order, then the added ones.
+  const result = [];
+  const sources = [];
+  for (const field of fields) {
+    if (dropped.indexOf(field) !== -1) continue;
+    const modification = modifications.get(field);
+    result.push(modification ? modifyField(field, modification, fileVersion) : { ...field });
+    result[result.length - 1].name = renames[field.name] || field.name;
+    sources.push(field.name);
+  }
+  for (const field of add) {
+    result.push({ ...field, size: field.size === undefined ? getFixedSize(field.type, fileVersion) : field.size });
+    sources.push(null);
+  }
+
+  if (result.length === 0) throw new Error('Cannot drop every field of a table');
+  const seen = new Set();
+  for (const field of result) {
+    const name = String(field.name).toUpperCase();
+    if (seen.has(name)) throw new Error(`Field '${field.name}' already exists`);
+    seen.add(name);
+  }
+  return { fields: result, sources, renames };
+}
+
+/**
+ * Converts a value read from a field to the type of the field it is moved to. Numbers are read as Decimals. Throws
+ * an error if the value can't be converted, or doesn't fit the new field.
+ * @param {*} value - The value, as read from the current field
+ * @param {Object} from - The current field descriptor
+ * @param {Object} to - The new field descriptor
+ * @param {string} encoding - The character encoding of the new field
+ * @returns {*} - The converted value
+ */
+function convertValue(value, from, to, encoding) {
+  if (value === null || value === undefined) return null;
+  switch (to.type) {
+    case 'C': // Character
+    case 'V': // Varchar
+      {
+        if (to.type === 'V' && to.binary && value instanceof Buffer) return checkByteLength(value, to);
+        const str = toText(value, from, encoding);
+        checkByteLength(iconv.encode(str, encoding), to);
+        return to.type === 'C' ? str.trim() : str;
+      }
+    case 'M': // Memo
+      return value instanceof Buffer ? value : toText(value, from, encoding);
+    case 'N': // Numeric
+    case 'F': // Float
+    case 'Y': // Currency
+      return toDecimal(value);
+    case 'I': // Integer
+      {
+        const decimal = toDecimal(value);
+        return decimal === null ? null : decimal.round(0).toNumber();
+      }
+    case 'B': // Double
+      {
+        const decimal = toDecimal(value);
+        return decimal === null ? null : decimal.toNumber();
+      }
+    case 'L': // Logical
+      return toLogical(value);
+    case 'D': // Date
+      {
+        const date = toDate(value);
+        return date && createDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+      }
+    case 'T': // DateTime
+      return toDate(value);
+    case 'Q': // Varbinary
+    case 'G': // General
+    case 'W': // Blob
+      {
+        const bytes = value instanceof Buffer ? value : iconv.encode(toText(value, from, encoding), encoding);
+        return to.type === 'Q' ? checkByteLength(bytes, to) : bytes;
+      }
+    default:
+      throw new Error(`Unsupported field type: '${to.type}'`);
+  }
+}
+
+//-------------------- Private implementation starts here --------------------
+function modifyField(field, modification, fileVersion) {
+  const modified = { ...field };
+  for (const key of ['type', 'size', 'decimalPlaces', 'nullable', 'binary']) {
+    if (modification[key] !== undefined) modified[key] = modification[key];
+  }
+  if (modified.type !== field.type && modification.size === undefined) {
+    modified.size = getFixedSize(modified.type, fileVersion) || field.size;
+  }
+  if (DecimalFieldTypes.indexOf(modified.type) === -1) modified.decimalPlaces = undefined;
+  return modified;
+}
+
+/** Gets the size of a field type whose size is fixed (undefined for other types). */
+function getFixedSize(type, fileVersion) {
+  if (type === 'M' || type === 'G') return isVisualFoxProVersion(fileVersion) ? 4 : 10;
+  return FixedSizes[type];
+}
+
+function toText(value, from, encoding) {
+  if (value instanceof Decimal) return value.toString();
+  if (value instanceof Buffer) return iconv.decode(value, encoding);
+  if (typeof value === 'boolean') return value ? 'T' : 'F';
+  if (value instanceof Date) {
+    if (from.type === 'T') return value.toISOString();
+    const pad = (n, length) => String(n).padStart(length, '0');
+    return pad(value.getUTCFullYear(), 4) + pad(value.getUTCMonth() + 1, 2) + pad(value.getUTCDate(), 2);
+  }
+  return String(value);
+}
+
+function toDecimal(value) {
+  if (typeof value === 'string' && value.trim() === '') return null;
+  if (typeof value === 'boolean' || value instanceof Date || value instanceof Buffer || !isNumericValue(value)) {
+    throw new Error(`Value '${value}' is not a number`);
+  }
+  return Decimal.from(value);
+}
+
+function toLogical(value) {
+  if (typeof value === 'boolean') return value;
+  if (value instanceof Decimal) return !value.equals(0);
+  if (typeof value === 'number') return value !== 0;
+  const text = String(value).trim().toUpperCase();
+  if (text === '') return null;
+  if (['T', 'Y', '.T.', '.Y.', 'TRUE', 'YES'].indexOf(text) !== -1) return true;
+  if (['F', 'N', '.F.', '.N.', 'FALSE', 'NO'].indexOf(text) !== -1) return false;
+  throw new Error(`Value '${value}' is not a logical value`);
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (text === '') {
+    if (typeof value === 'string') return null;
+    throw new Error(`Value '${value}' is not a date`);
+  }
+  const dtos = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(text);
+  const date = dtos ? createDate(Number(dtos[1]), Number(dtos[2]), Number(dtos[3])) : new Date(text);
+  if (Number.isNaN(date.getTime())) throw new Error(`Value '${value}' is not a date`);
+  return date;
+}
+
+function checkByteLength(bytes, field) {
+  if (bytes.length > field.size) {
+    throw new Error(`Value is longer than the ${field.size} bytes of field '${field.name}'`);
+  }
+  return bytes;
+}
+
+module.exports = {
+  planAlteration,
+  convertValue
+};
@@ -0,0 +1,516 @@
+/**
+ * FoxPro index file (.CDX / .IDX) support
+ *
+ * Reads compound (.CDX) and single (.IDX) index files in both the compact and the older non-compact layout, and
+ * writes them in the compact layout. Keys are compared byte by byte (MACHINE collation); numeric and date keys are
+ * stored as big-endian doubles transformed so that their bytes sort in numeric order.
+ */
+
+const iconv = require('iconv-lite');
+const { read, write, ftruncate } = require('./utils');
+
+const HEADER_SIZE = 1024; // Compact header, including the 512-byte expression pool
+const NODE_SIZE = 512;
+const NO_NODE = 0xFFFFFFFF;
+
+// Index option flags (header byte 14)
+const OPTION_UNIQUE = 0x01;
+const OPTION_FOR = 0x08;
+const OPTION_COMPACT = 0x20;
+const OPTION_COMPOUND = 0x40;
+const OPTION_STRUCTURE = 0x80;
+
+// Node attribute flags
+const NODE_ROOT = 0x01;
+const NODE_LEAF = 0x02;
+
+// Tag names in the compound directory are 10 characters long
+const TAG_NAME_LENGTH = 10;
+
+// Julian day number of 1970-01-01, used for date keys
+const UNIX_EPOCH_JULIAN_DAY = 2440588;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Reads the header(s) of an index file
+ * @param {number} fd - Open file descriptor
+ * @param {string} name - Tag name to use for a single (.IDX) index
+ * @returns {Promise<Object>} - { compound, version, tags }, where each tag has name, expression, forExpression,
+ * unique, descending, keyLength, root, compact and collation properties
+ */
+async function readIndexHeader(fd, name) {
+  const header = await readTagHeader(fd, 0);
+  if (!(header.options & OPTION_COMPOUND)) {
+    return { compound: false, version: header.version, tags: [{ ...header, name }] };
+  }
+
+  // The compound header is itself an index whose keys are tag names and whose record numbers are tag header offsets.
+  const directory = { ...header, keyType: 'C' };
+  const tags = [];
+  await forEachEntry(fd, directory, async entry => {
+    const tagName = entry.key.toString('latin1').replace(/[\0 ]+$/, '');
+    tags.push({ ...await readTagHeader(fd, entry.recno), name: tagName });
+  });
+  return { compound: true, version: header.version, tags };
+}
+
+async function readTagHeader(fd, offset) {
+  const buffer = Buffer.alloc(HEADER_SIZE);
+  await read(fd, buffer, 0, HEADER_SIZE, offset);
+  const options = buffer[14];
+  const compact = (options & OPTION_COMPACT) !== 0;
+  const tag = {
+    headerOffset: offset,
+    root: buffer.readUInt32LE(0),
+    freeList: buffer.readUInt32LE(4),
+    version: buffer.readUInt32LE(8),
+    keyLength: buffer.readUInt16LE(12),
+    options,
+    compact,
+    unique: (options & OPTION_UNIQUE) !== 0,
+    descending: false,
+    collation: ''
+  };
+
+  if (compact) {
+    // Expressions live in the pool at 512, located by offsets and lengths at the end of the first half.
+    tag.descending = buffer.readUInt16LE(502) === 1;
+    const forPos = buffer.readUInt16LE(504);
+    const forLength = buffer.readUInt16LE(506);
+    const keyPos = buffer.readUInt16LE(508);
+    const keyLength = buffer.readUInt16LE(510);
+    tag.expression = cString(buffer, 512 + keyPos, keyLength);
+    tag.forExpression = (options & OPTION_FOR) ? cString(buffer, 512 + forPos, forLength) : undefined;
+    tag.collation = cString(buffer, 92, 26).trim();
+  } else {
+    tag.expression = cString(buffer, 16, 220);
+    tag.forExpression = (options & OPTION_FOR) ? cString(buffer, 236, 220) : undefined;
+  }
+  if (!tag.forExpression) tag.forExpression = undefined;
+  return tag;
+}
+
+function cString(buffer, start, length) {
+  const bytes = buffer.slice(start, Math.min(buffer.length, start + length));
+  const end = bytes.indexOf(0);
+  return bytes.slice(0, end >= 0 ? end : bytes.length).toString('latin1').trim();
+}
+
+/**
+ * Reads a B-tree node of a tag
+ * @param {number} fd - Open file descriptor
+ * @param {Object} tag - The tag, as returned by readIndexHeader
+ * @param {number} offset - File offset of the node
+ * @returns {Promise<Object>} - { leaf, entries, left, right }, where entries have key and recno, plus child for
+ * interior nodes, and left and right are the offsets of the sibling nodes (undefined if there are none)
+ */
+async function readNode(fd, tag, offset) {
+  const node = Buffer.alloc(NODE_SIZE);
+  await read(fd, node, 0, NODE_SIZE, offset);
+  const attributes = node.readUInt16LE(0);
+  const count = node.readUInt16LE(2);
+  const leaf = (attributes & NODE_LEAF) !== 0;
+  const left = siblingOffset(node.readUInt32LE(4));
+  const right = siblingOffset(node.readUInt32LE(8));
+  const entries = [];
+
+  if (!tag.compact) {
+    // Non-compact nodes hold full keys, each followed by a big-endian record number or child offset.
+    const size = tag.keyLength + 4;
+    for (let i = 0; i < count; ++i) {
+      const pos = 12 + i * size;
+      const key = Buffer.from(node.slice(pos, pos + tag.keyLength));
+      const pointer = node.readUInt32BE(pos + tag.keyLength);
+      entries.push(leaf ? { key, recno: pointer } : { key, recno: 0, child: pointer });
+    }
+    return { leaf, entries, left, right };
+  }
+
+  if (!leaf) {
+    // Compact interior nodes: key, big-endian record number, big-endian child offset.
+    const size = tag.keyLength + 8;
+    for (let i = 0; i < count; ++i) {
+      const pos = 12 + i * size;
+      entries.push({
+        key: Buffer.from(node.slice(pos, pos + tag.keyLength)),
+        recno: node.readUInt32BE(pos + tag.keyLength),
+        child: node.readUInt32BE(pos + tag.keyLength + 4)
+      });
+    }
+    return { leaf, entries, left, right };
+  }
+
+  // Compact leaf nodes: bit-packed record number / duplicate count / trailing count entries from byte 24, and the
+  // remaining (non-duplicate, non-trailing) key bytes stored backwards from the end of the node.
+  const recBits = node[20];
+  const dupBits = node[21];
+  const infoBytes = node[23];
+  const recRange = Math.pow(2, recBits);
+  const dupRange = Math.pow(2, dupBits);
+  const trailRange = Math.pow(2, node[22]);
+  const trailByte = trailingByte(tag);
+  let pos = NODE_SIZE;
+  let previous = Buffer.alloc(tag.keyLength, trailByte);
+  for (let i = 0; i < count; ++i) {
+    const info = node.readUIntLE(24 + i * infoBytes, infoBytes);
+    const recno = info % recRange;
+    const dup = Math.floor(info / recRange) % dupRange;
+    const trail = Math.floor(info / (recRange * dupRange)) % trailRange;
+    const stored = tag.keyLength - dup - trail;
+    pos -= stored;
+    const key = Buffer.alloc(tag.keyLength, trailByte);
+    previous.copy(key, 0, 0, dup);
+    node.copy(key, dup, pos, pos + stored);
+    entries.push({ key, recno });
+    previous = key;
+  }
+  return { leaf, entries, left, right };
+}
+
+function siblingOffset(pointer) {
+  return pointer === NO_NODE || pointer === 0 ? undefined : pointer;
+}
+
+/** Calls `fn` for each leaf entry of a tag, in key order. */
+async function forEachEntry(fd, tag, fn) {
+  let node = await readNode(fd, tag, tag.root);
+  while (!node.leaf) {
+    if (node.entries.length === 0) return;
+    node = await readNode(fd, tag, node.entries[0].child);
+  }
+
+  // Leaves are chained through their right sibling pointers.
+  for (;;) {
+    for (const entry of node.entries) await fn(entry);
+    if (node.right === undefined) return;
+    node = await readNode(fd, tag, node.right);
+  }
+}
+
+/** Gets the byte used to pad keys, which leaf nodes leave out of stored keys. */
+function trailingByte(tag) {
+  return tag.keyType === 'C' || tag.keyType === 'L' ? 0x20 : 0x00;
+}
+
+/**
+ * Encodes a key expression value as the bytes stored in the index
+ * @param {Object} tag - The tag
+ * @param {*} value - The value of the key expression
+ * @param {string} encoding - Character encoding for character keys
+ * @param {boolean} partial - Whether to leave a character key unpadded, for prefix matching
+ * @returns {Buffer} - The key
+ */
+function encodeKey(tag, value, encoding, partial = false) {
+  switch (tag.keyType) {
+    case 'N':
+      return sortableDouble(value === null || value === undefined ? 0 : value);
+    case 'D':
+      return sortableDouble(value instanceof Date ? Math.floor(value.getTime() / MS_PER_DAY) + UNIX_EPOCH_JULIAN_DAY : 0);
+    case 'T':
+      return sortableDouble(value instanceof Date ? value.getTime() / MS_PER_DAY + UNIX_EPOCH_JULIAN_DAY : 0);
+    case 'L':
+      return Buffer.from(value ? 'T' : 'F', 'latin1');
+    default: {
+      const text = value === null || value === undefined ? Buffer.alloc(0) : iconv.encode(String(value), encoding);
+      if (partial) return text.slice(0, tag.keyLength);
+      const key = Buffer.alloc(tag.keyLength, 0x20);
+      text.copy(key, 0, 0, tag.keyLength);
+      return key;
+    }
+  }
+}
+
+/** Encodes a number as a big-endian double whose bytes sort in numeric order. */
+function sortableDouble(number) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleBE(number === 0 ? 0 : number, 0);
+  if (buffer[0] & 0x80) {
+    for (let i = 0; i < 8; ++i) buffer[i] = ~buffer[i] & 0xFF;
+  } else {
+    buffer[0] |= 0x80;
+  }
+  return buffer;
+}
+
+/** Compares a key of a tag with another key, or with a (possibly shorter) character key prefix. */
+function compareKeys(tag, key, other) {
+  return Buffer.compare(key.slice(0, other.length), other);
+}
+
+/** Gets the key type for a tag given the type of its key expression. */
+function keyTypeFor(tag, expressionType) {
+  return expressionType || 'C';
+}
+
+/** Gets the key length for a key type, or undefined if it depends on the key expression. */
+function keyLengthFor(keyType) {
+  return keyType === 'N' || keyType === 'D' || keyType === 'T' ? 8 : keyType === 'L' ? 1 : undefined;
+}
+
+/** Whether the entries of interior nodes hold record numbers, which order entries with equal keys. */
+function separatorHasRecno(tag) {
+  return tag.compact;
+}
+
+/**
+ * Serializes a B-tree node of a tag in the tag's layout
+ * @param {Object} tag - The tag, as returned by readIndexHeader
+ * @param {Object} node - { leaf, root, entries, left, right }: a node as returned by readNode, and whether it is
+ * the root
+ * @returns {Buffer|null} - The node, or null if its entries don't fit in one
+ */
+function serializeNode(tag, node) {
+  const buffer = Buffer.alloc(NODE_SIZE);
+  buffer.writeUInt16LE((node.leaf ? NODE_LEAF : 0) | (node.root ? NODE_ROOT : 0), 0);
+  buffer.writeUInt16LE(node.entries.length, 2);
+  buffer.writeUInt32LE(node.left === undefined ? NO_NODE : node.left, 4);
+  buffer.writeUInt32LE(node.right === undefined ? NO_NODE : node.right, 8);
+
+  if (tag.compact && node.leaf) {
+    const maxRecno = node.entries.reduce((max, entry) => Math.max(max, entry.recno), 0);
+    const { recBits, dupBits, trailBits, infoBytes } = leafPacking(tag.keyLength, maxRecno);
+    let free = NODE_SIZE - 24;
+    let pos = NODE_SIZE;
+    for (let i = 0; i < node.entries.length; ++i) {
+      const entry = node.entries[i];
+      const { dup, trail } = compressKey(tag, i > 0 ? node.entries[i - 1].key : null, entry.key);
+      const stored = entry.key.slice(dup, tag.keyLength - trail);
+      free -= infoBytes + stored.length;
+      if (free < 0) return null;
+      const info = entry.recno + dup * Math.pow(2, recBits) + trail * Math.pow(2, recBits + dupBits);
+      buffer.writeUIntLE(info, 24 + i * infoBytes, infoBytes);
+      pos -= stored.length;
+      stored.copy(buffer, pos);
+    }
+    buffer.writeUInt16LE(free, 12);
+    buffer.writeUInt32LE(Math.pow(2, recBits) - 1, 14);
+    buffer.writeUInt8(Math.pow(2, dupBits) - 1, 18);
+    buffer.writeUInt8(Math.pow(2, trailBits) - 1, 19);
+    buffer.writeUInt8(recBits, 20);
+    buffer.writeUInt8(dupBits, 21);
+    buffer.writeUInt8(trailBits, 22);
+    buffer.writeUInt8(infoBytes, 23);
+    return buffer;
+  }
+
+  // Compact interior entries hold a key, big-endian record number and big-endian child offset; non-compact entries
+  // hold a key and a big-endian record number (in leaves) or child offset.
+  const size = tag.keyLength + (tag.compact ? 8 : 4);
+  if (12 + node.entries.length * size > NODE_SIZE) return null;
+  node.entries.forEach((entry, i) => {
+    const pos = 12 + i * size;
+    entry.key.copy(buffer, pos, 0, tag.keyLength);
+    if (tag.compact) {
+      buffer.writeUInt32BE(entry.recno, pos + tag.keyLength);
+      buffer.writeUInt32BE(entry.child, pos + tag.keyLength + 4);
+    } else {
+      buffer.writeUInt32BE(node.leaf ? entry.recno : entry.child, pos + tag.keyLength);
+    }
+  });
+  return buffer;
+}
+
+/**
+ * Serializes the fields of a tag's header that change as the tag is updated: its root node, and its version number
+ * (or, in the non-compact layout, the end of the file)
+ * @param {Object} tag - The tag, as returned by readIndexHeader
+ * @param {number} fileSize - Size of the index file
+ * @returns {{offset: number, data: Buffer}} - Where to write the fields, and their bytes
+ */
+function serializeTagHeader(tag, fileSize) {
+  const data = Buffer.alloc(12);
+  data.writeUInt32LE(tag.root, 0);
+  data.writeUInt32LE(tag.freeList, 4);
+  if (tag.compact) {
+    tag.version = (tag.version + 1) >>> 0;
+    data.writeUInt32LE(tag.version, 8);
+  } else {
+    data.writeUInt32LE(fileSize, 8);
+  }
+  return { offset: tag.headerOffset, data };
+}
+
+/**
+ * Writes a complete index file in the compact layout, replacing its previous contents
+ * @param {number} fd - File descriptor open for writing
+ * @param {Object} index - { compound, version, tags }, where each tag also has its sorted `entries`
+ */
+async function writeIndex(fd, index) {
+  const version = (index.version + 1) >>> 0;
+  const parts = [];
+  let offset = 0;
+
+  // Lay out each tag as its header followed by its nodes, after the compound header and directory if needed.
+  const tagLayouts = index.tags.map(tag => buildTree(tag, tag.entries));
+  let directoryLayout;
+  if (index.compound) {
+    const names = index.tags
+      .map((tag, i) => ({ name: tag.name.toUpperCase(), i }))
+      .sort((a, b) => Buffer.compare(tagNameKey(a.name), tagNameKey(b.name)));
+    const directory = { keyLength: TAG_NAME_LENGTH, keyType: 'C' };
+    const placeholder = names.map(({ name }) => ({ key: tagNameKey(name), recno: 0 }));
+    directoryLayout = buildTree(directory, placeholder);
+    offset = HEADER_SIZE + directoryLayout.nodes.length * NODE_SIZE;
+    for (const layout of tagLayouts) {
+      layout.headerOffset = offset;
+      offset += HEADER_SIZE + layout.nodes.length * NODE_SIZE;
+    }
+    // Now the tag header offsets are known, fill them in as the directory's record numbers.
+    const entries = names.map(({ name, i }) => ({ key: tagNameKey(name), recno: tagLayouts[i].headerOffset }));
+    directoryLayout = buildTree(directory, entries);
+    directoryLayout.headerOffset = 0;
+    parts.push(serializeTree(directory, directoryLayout, {
+      options: OPTION_COMPACT | OPTION_COMPOUND | OPTION_STRUCTURE,
+      version
+    }));
+  } else {
+    tagLayouts[0].headerOffset = 0;
+  }
+
+  index.tags.forEach((tag, i) => {
+    let options = OPTION_COMPACT | (index.compound ? OPTION_COMPOUND : 0);
+    if (tag.unique) options |= OPTION_UNIQUE;
+    if (tag.forExpression) options |= OPTION_FOR;
+    parts.push(serializeTree(tag, tagLayouts[i], { options, version }));
+  });
+
+  const data = Buffer.concat(parts);
+  await write(fd, data, 0, data.length, 0);
+  await ftruncate(fd, data.length);
+}
+
+function tagNameKey(name) {
+  const key = Buffer.alloc(TAG_NAME_LENGTH, 0x20);
+  key.write(name.substr(0, TAG_NAME_LENGTH), 0, 'latin1');
+  return key;
+}
+
+/** Works out the nodes of a compact B-tree holding the given sorted entries, from the leaves up to the root. */
+function buildTree(tag, entries) {
+  // Size the bit-packed leaf entries for the largest record number in the tag.
+  const maxRecno = entries.reduce((max, entry) => Math.max(max, entry.recno), 0);
+  const { infoBytes } = leafPacking(tag.keyLength, maxRecno);
+
+  // Fill leaves with as many compressed keys as fit.
+  const leaves = [];
+  let current = null;
+  for (const entry of entries) {
+    const previous = current && current.entries.length > 0 ? current.entries[current.entries.length - 1].key : null;
+    const { dup, trail } = compressKey(tag, previous, entry.key);
+    let size = infoBytes + tag.keyLength - dup - trail;
+    if (!current || size > current.free) {
+      current = { leaf: true, entries: [], free: NODE_SIZE - 24 };
+      leaves.push(current);
+      size = infoBytes + tag.keyLength - trail;
+    }
+    current.entries.push(entry);
+    current.free -= size;
+  }
+  if (leaves.length === 0) leaves.push({ leaf: true, entries: [], free: NODE_SIZE - 24 });
+
+  // Build interior levels until a single root remains. Each interior entry holds the last key of its child.
+  const nodes = [...leaves];
+  const maxInterior = Math.floor((NODE_SIZE - 12) / (tag.keyLength + 8));
+  let level = leaves;
+  while (level.length > 1) {
+    const parents = [];
+    for (let i = 0; i < level.length; i += maxInterior) {
+      const children = level.slice(i, i + maxInterior);
+      parents.push({ leaf: false, children });
+    }
+    nodes.push(...parents);
+    level = parents;
+  }
+
+  return { nodes, root: level[0], leaves };
+}
+
+/** Works out how many bits compact leaf entries use for record numbers and duplicate and trailing byte counts. */
+function leafPacking(keyLength, maxRecno) {
+  const dupBits = bitsFor(keyLength);
+  const infoBytes = Math.ceil((bitsFor(maxRecno) + 2 * dupBits) / 8);
+  return { dupBits, trailBits: dupBits, recBits: infoBytes * 8 - 2 * dupBits, infoBytes };
+}
+
+/**
+ * Works out how a compact leaf stores a key: the number of leading bytes it shares with the previous key in the node
+ * (null for the first), and the number of trailing pad bytes, neither of which are stored
+ */
+function compressKey(tag, previous, key) {
+  const keyLength = tag.keyLength;
+  const trailByte = trailingByte(tag);
+  let trail = 0;
+  while (trail < keyLength && key[keyLength - 1 - trail] === trailByte) ++trail;
+  let dup = 0;
+  if (previous) {
+    while (dup < keyLength - trail && previous[dup] === key[dup]) ++dup;
+  }
+  return { dup, trail };
+}
+
+/** Serializes a tag header and its nodes, given the tag's header offset. */
+function serializeTree(tag, layout, { options, version }) {
+  // Assign node offsets after the tag header.
+  layout.nodes.forEach((node, i) => {
+    node.offset = layout.headerOffset + HEADER_SIZE + i * NODE_SIZE;
+  });
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt32LE(layout.root.offset, 0);
+  header.writeUInt32LE(0, 4); // No free nodes
+  header.writeUInt32LE(version, 8);
+  header.writeUInt16LE(tag.keyLength, 12);
+  header.writeUInt8(options, 14);
+  header.writeUInt8(1, 15); // Index signature
+  header.writeUInt16LE(tag.descending ? 1 : 0, 502);
+  const keyExpression = Buffer.from((tag.expression || '') + '\0', 'latin1');
+  const forExpression = Buffer.from((tag.forExpression || '') + '\0', 'latin1');
+  header.writeUInt16LE(keyExpression.length, 504); // FOR expression follows the key expression in the pool
+  header.writeUInt16LE(tag.forExpression ? forExpression.length : 0, 506);
+  header.writeUInt16LE(0, 508);
+  header.writeUInt16LE(keyExpression.length, 510);
+  keyExpression.copy(header, 512);
+  if (tag.forExpression) forExpression.copy(header, 512 + keyExpression.length);
+
+  // Leaves are chained to their siblings, and interior entries hold the last key of their child.
+  const compactTag = { ...tag, compact: true };
+  const buffers = [header];
+  for (const node of layout.nodes) {
+    const root = node === layout.root;
+    if (node.leaf) {
+      const i = layout.leaves.indexOf(node);
+      const left = i > 0 ? layout.leaves[i - 1].offset : undefined;
+      const right = i < layout.leaves.length - 1 ? layout.leaves[i + 1].offset : undefined;
+      buffers.push(serializeNode(compactTag, { leaf: true, root, entries: node.entries, left, right }));
+    } else {
+      const entries = node.children.map(child => ({ ...lastEntry(child), child: child.offset }));
+      buffers.push(serializeNode(compactTag, { leaf: false, root, entries }));
+    }
+  }
+  return Buffer.concat(buffers);
+}
+
+function lastEntry(node) {
+  while (!node.leaf) node = node.children[node.children.length - 1];
+  return node.entries[node.entries.length - 1];
+}
+
+function bitsFor(value) {
+  let bits = 1;
+  while (Math.pow(2, bits) <= value) ++bits;
+  return bits;
+}
+
+module.exports = {
+  NODE_SIZE,
+  readIndexHeader,
+  readNode,
+  encodeKey,
+  compareKeys,
+  keyTypeFor,
+  keyLengthFor,
+  separatorHasRecno,
+  serializeNode,
+  serializeTagHeader,
+  writeIndex
+};
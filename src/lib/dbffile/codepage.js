@@ -0,0 +1,152 @@
+/**
+ * Language driver IDs (LDIDs) and the code pages they stand for
+ *
+ * Byte 29 of a DBF header identifies the code page its character data is stored in, using the language driver IDs
+ * of dBase, FoxPro and Visual FoxPro. Tables written by programs that don't set it (or by this library with UTF-8)
+ * have an LDID of 0.
+ */
+
+const iconv = require('iconv-lite');
+
+// Code page (iconv-lite encoding name) by LDID
+const LanguageDrivers = {
+  0x01: 'cp437', // U.S. MS-DOS
+  0x02: 'cp850', // International MS-DOS
+  0x03: 'cp1252', // Windows ANSI
+  0x04: 'macintosh', // Standard Macintosh
+  0x08: 'cp865', // Danish OEM
+  0x09: 'cp437', // Dutch OEM
+  0x0A: 'cp850', // Dutch OEM (secondary)
+  0x0B: 'cp437', // Finnish OEM
+  0x0D: 'cp437', // French OEM
+  0x0E: 'cp850', // French OEM (secondary)
+  0x0F: 'cp437', // German OEM
+  0x10: 'cp850', // German OEM (secondary)
+  0x11: 'cp437', // Italian OEM
+  0x12: 'cp850', // Italian OEM (secondary)
+  0x13: 'cp932', // Japanese Shift-JIS
+  0x14: 'cp850', // Spanish OEM (secondary)
+  0x15: 'cp437', // Swedish OEM
+  0x16: 'cp850', // Swedish OEM (secondary)
+  0x17: 'cp865', // Norwegian OEM
+  0x18: 'cp437', // Spanish OEM
+  0x19: 'cp437', // English OEM (Britain)
+  0x1A: 'cp850', // English OEM (Britain, secondary)
+  0x1B: 'cp437', // English OEM (U.S.)
+  0x1C: 'cp863', // French OEM (Canada)
+  0x1D: 'cp850', // French OEM (secondary)
+  0x1F: 'cp852', // Czech OEM
+  0x22: 'cp852', // Hungarian OEM
+  0x23: 'cp852', // Polish OEM
+  0x24: 'cp860', // Portuguese OEM
+  0x25: 'cp850', // Portuguese OEM (secondary)
+  0x26: 'cp866', // Russian OEM
+  0x37: 'cp850', // English OEM (U.S., secondary)
+  0x40: 'cp852', // Romanian OEM
+  0x4D: 'cp936', // Chinese GBK (PRC)
+  0x4E: 'cp949', // Korean (ANSI/OEM)
+  0x4F: 'cp950', // Chinese Big5 (Taiwan)
+  0x50: 'cp874', // Thai (ANSI/OEM)
+  0x57: 'cp1252', // ANSI
+  0x58: 'cp1252', // Western European ANSI
+  0x59: 'cp1252', // Spanish ANSI
+  0x64: 'cp852', // Eastern European MS-DOS
+  0x65: 'cp866', // Russian MS-DOS
+  0x66: 'cp865', // Nordic MS-DOS
+  0x67: 'cp861', // Icelandic MS-DOS
+  0x6A: 'cp737', // Greek MS-DOS (437G)
+  0x6B: 'cp857', // Turkish MS-DOS
+  0x6C: 'cp863', // French-Canadian MS-DOS
+  0x78: 'cp950', // Taiwan Big5
+  0x79: 'cp949', // Hangul (Wansung)
+  0x7A: 'cp936', // PRC GBK
+  0x7B: 'cp932', // Japanese Shift-JIS
+  0x7C: 'cp874', // Thai Windows/MS-DOS
+  0x7D: 'cp1255', // Hebrew Windows
+  0x7E: 'cp1256', // Arabic Windows
+  0x86: 'cp737', // Greek OEM
+  0x87: 'cp852', // Slovenian OEM
+  0x88: 'cp857', // Turkish OEM
+  0x96: 'maccyrillic', // Russian Macintosh
+  0x97: 'maccenteuro', // Eastern European Macintosh
+  0x98: 'macgreek', // Greek Macintosh
+  0xC8: 'cp1250', // Eastern European Windows
+  0xC9: 'cp1251', // Russian Windows
+  0xCA: 'cp1254', // Turkish Windows
+  0xCB: 'cp1253', // Greek Windows
+  0xCC: 'cp1257' // Baltic Windows
+};
+
+// LDID written for each code page: the one Visual FoxPro uses, where there is a choice
+const PreferredLanguageDrivers = {
+  cp437: 0x01,
+  cp850: 0x02,
+  cp1252: 0x03,
+  macintosh: 0x04,
+  cp865: 0x66,
+  cp863: 0x6C,
+  cp852: 0x64,
+  cp860: 0x24,
+  cp866: 0x65,
+  cp861: 0x67,
+  cp737: 0x6A,
+  cp857: 0x6B,
+  cp932: 0x7B,
+  cp936: 0x7A,
+  cp949: 0x79,
+  cp950: 0x78,
+  cp874: 0x7C,
+  cp1255: 0x7D,
+  cp1256: 0x7E,
+  maccyrillic: 0x96,
+  maccenteuro: 0x97,
+  macgreek: 0x98,
+  cp1250: 0xC8,
+  cp1251: 0xC9,
+  cp1254: 0xCA,
+  cp1253: 0xCB,
+  cp1257: 0xCC
+};
+
+// Other names for code pages
+const Aliases = {
+  ibm437: 'cp437', ibm850: 'cp850', ibm852: 'cp852', ibm866: 'cp866',
+  shiftjis: 'cp932', sjis: 'cp932', gbk: 'cp936', big5: 'cp950', euckr: 'cp949', tis620: 'cp874'
+};
+
+/**
+ * Gets the code page of a language driver ID
+ * @param {number} ldid - The language driver ID from the DBF header
+ * @returns {string|null} - The iconv-lite encoding name, or null if the LDID is 0 or unknown
+ */
+function getLanguageDriverEncoding(ldid) {
+  return LanguageDrivers[ldid] || null;
+}
+
+/**
+ * Gets the language driver ID to write for an encoding
+ * @param {string} encoding - An iconv-lite encoding name, such as 'cp1252' or 'windows-1252'
+ * @returns {number} - The LDID, or 0 if the encoding has none (such as UTF-8)
+ */
+function getLanguageDriverId(encoding) {
+  return PreferredLanguageDrivers[normaliseCodePage(encoding)] || 0;
+}
+
+/** Checks whether iconv-lite can encode and decode an encoding. */
+function isKnownEncoding(encoding) {
+  return typeof encoding === 'string' && iconv.encodingExists(encoding);
+}
+
+//-------------------- Private implementation starts here --------------------
+function normaliseCodePage(encoding) {
+  const name = String(encoding).toLowerCase().replace(/[^0-9a-z]/g, '');
+  const windows = /^(?:windows|win)(\d+)$/.exec(name);
+  if (windows) return `cp${windows[1]}`;
+  return Aliases[name] || name;
+}
+
+module.exports = {
+  getLanguageDriverEncoding,
+  getLanguageDriverId,
+  isKnownEncoding
+};
@@ -7,10 +7,25 @@ const assert = require('assert');
 const iconv = require('iconv-lite');
 const path = require('path');
 const fs = require('fs');
-const { validateFieldDescriptor } = require('./field-descriptor');
+const { Readable } = require('stream');
+const { validateFieldDescriptor, isVisualFoxProVersion, getNullFlagBits } = require('./field-descriptor');
 const { isValidFileVersion } = require('./file-version');
-const { normaliseOpenOptions, normaliseCreateOptions } = require('./options');
-const { open, close, read, write, stat, ftruncate, createDate } = require('./utils');
+const { normaliseOpenOptions, normaliseCreateOptions, normaliseNumericOption } = require('./options');
+const { open, close, read, write, stat, ftruncate, unlink, createDate } = require('./utils');
+const {
+  getMemoType, openMemo, closeMemo, createMemo, clearMemo, readMemo, writeMemo, findMemoFile, getMemoPath
+} = require('./memo-file');
+const { IndexFile, findStructuralIndex } = require('./index-file');
+const {
+  LockSchemes, getDefaultLockScheme, getLockAdapter, acquireLock, releaseLocks, getHeldLocks, withLock, openDBFFile,
+  closeDBFFile, reopenDBFFile
+} = require('./lock');
+const { recoverTransaction, moveFiles } = require('./journal');
+const { Decimal, formatDecimal, fromDecimal, isNumericValue } = require('./decimal');
+const { getLanguageDriverEncoding, getLanguageDriverId, isKnownEncoding } = require('./codepage');
+const { planAlteration, convertValue } = require('./alter');
+const { compileExpression, renameFields } = require('./expression');
+const { verifyDBF, repairDBF } = require('./verify');
 
 /** Represents a DBF file. */
 class DBFFile {
@@ -23,15 +38,28 @@ class DBFFile {
     this.dateOfLastUpdate = new Date();
     /** Metadata for all fields defined in the DBF file. */
     this.fields = [];
+    /** Index files attached to this DBF file. They are kept up to date as records are written. */
+    this.indexes = [];
+    /** Language driver ID from the DBF file header, identifying the code page of its text (0 if not set). */
+    this.languageDriver = 0;
+    /**
+     * Character encoding of the text in the DBF file: the `encoding` option if given, otherwise the code page of the
+     * language driver, or UTF-8 if it has none. May be an object with encodings by field name and a `default`.
+     */
+    this.encoding = 'utf8';
     // Private.
     this._readMode = 'strict';
-    this._encoding = '';
     this._includeDeletedRecords = false;
+    this._numeric = 'number';
     this._recordsRead = 0;
     this._headerLength = 0;
     this._recordLength = 0;
     this._memoPath = '';
     this._version = 0;
+    this._nullFlagBits = {};
+    this._nullFlagsOffset = 0;
+    this._locking = { auto: true, adapter: null, scheme: LockSchemes.clipper, timeout: 5000 };
+    this._transaction = null;
   }
 
   /** Opens an existing DBF file. */
@@ -44,28 +72,246 @@ class DBFFile {
     return createDBF(path, fields, options);
   }
 
+  /**
+   * Checks a DBF file for damage without opening it: a record count that disagrees with the file size, a missing
+   * end-of-file marker, bad field descriptors, invalid values in records and missing or unused memo blocks. Resolves
+   * to a report with `ok` and a list of `problems`.
+   */
+  static async verify(path, options) {
+    return verifyDBF(path, options);
+  }
+
+  /**
+   * Repairs the structure of a damaged DBF file: the record count, partial records after the last whole record and
+   * the end-of-file marker. With the `backup` option, the file is first copied to `<path>.bak`.
+   */
+  static async repair(path, options) {
+    return repairDBF(path, options);
+  }
+
   /**
    * Reads a subset of records from this DBF file. If the `includeDeletedRecords` option is set, then deleted records
    * are included in the results, otherwise they are skipped. Deleted records have the property `[DELETED]: true`,
-   * using the `DELETED` symbol exported from this library.
+   * using the `DELETED` symbol exported from this library. Each call continues where the previous one left off; use
+   * cursor() for independent positions.
    */
   readRecords(maxCount = 10000000) {
     return readRecordsFromDBF(this, maxCount);
   }
 
-  /** Appends the specified records to this DBF file. */
+  /**
+   * Opens a cursor over the records of this DBF file, with its own position, starting at the 1-based record number
+   * `from`. Records are read from disk `batchSize` at a time. Deleted records and numeric values are read as by
+   * readRecords, unless the `includeDeletedRecords` and `numeric` options are given for this cursor. The cursor stops
+   * after the last record, or after record number `to`, which may be past the record count last read from the header
+   * (to read records other users have appended since).
+   */
+  cursor({ from = 1, to, batchSize = DEFAULT_BATCH_SIZE, includeDeletedRecords, numeric } = {}) {
+    return new RecordCursor(this, from, batchSize, { to, includeDeletedRecords, numeric });
+  }
+
+  /**
+   * Reads the records with the given 1-based record numbers, in the order given. Deleted records are skipped unless
+   * the `includeDeletedRecords` option is set. Reading does not affect the position used by readRecords.
+   */
+  readRecordsByRecNo(recnos) {
+    return readRecordsByRecNoFromDBF(this, recnos);
+  }
+
+  /**
+   * Creates an index tag from the records in this DBF file. Options are the `tag` name, the key `expression`, and
+   * optionally a `for` condition, `unique`, `descending` and the index file `path`. By default FoxPro tables get a
+   * tag in their structural .cdx file, which is flagged in the table header, and other tables get a .ndx file named
+   * after the tag. Resolves to the index file, which is attached to this DBF file.
+   */
+  createIndex(options) {
+    return createIndexOfDBF(this, options);
+  }
+
+  /** Opens an index file (.cdx, .idx, .ndx or .mdx) and attaches it to this DBF file. Resolves to the index. */
+  openIndex(indexPath) {
+    return openIndexOfDBF(this, indexPath);
+  }
+
+  /**
+   * Finds the record numbers whose key in the named index tag equals `value`, in tag order. Character values shorter
+   * than the key match as prefixes, as xBase's SEEK does, unless the `exact` option is set.
+   */
+  findInIndex(tagName, value, { exact = false } = {}) {
+    return findInIndexOfDBF(this, tagName, value, value, exact);
+  }
+
+  /**
+   * Finds the record numbers whose keys in the named index tag are between `from` and `to` (inclusive; either may be
+   * undefined for an open range), in tag order.
+   */
+  findRangeInIndex(tagName, from, to) {
+    return findInIndexOfDBF(this, tagName, from, to, false);
+  }
+
+  /**
+   * Appends the specified records to this DBF file. Records with `[DELETED]: true` are appended as deleted. Resolves
+   * to the 1-based record number of the first record appended.
+   */
   appendRecords(records) {
-    return appendRecordsToDBF(this, records);
+    return writeWithLock(this, 'header', this._locking.scheme.header, () => appendRecordsToDBF(this, records));
+  }
+
+  /**
+   * Updates records in place. `predicate` is called with each record and its 1-based record number; matching records
+   * have `changes` merged into them and are re-encoded at their existing position. `changes` may also be a function
+   * returning the field values to set for a given record (or a promise of them). Deleted records are only visited if
+   * the `includeDeletedRecords` option is set. Resolves to the number of records changed.
+   */
+  updateRecords(predicate, changes) {
+    return writeWithLock(this, 'file', this._locking.scheme.file, () => updateRecordsInDBF(this, predicate, changes));
+  }
+
+  /**
+   * Updates the record with the given 1-based record number in place, whether or not it is deleted. Resolves to the
+   * number of records changed (0 or 1).
+   */
+  updateRecord(recno, changes) {
+    return writeWithLock(this, `record ${recno}`, this._locking.scheme.record(recno), () =>
+      updateRecordsInDBF(this, () => true, changes, { first: recno, last: recno }));
+  }
+
+  /**
+   * Marks records as deleted by setting their deletion flag to `*`, as dBase/FoxPro's DELETE does. `predicate` is called
+   * with each record that is not already deleted and its 1-based record number. Resolves to the number of records
+   * deleted. The records remain in the file until it is packed.
+   */
+  deleteRecords(predicate) {
+    return writeWithLock(this, 'file', this._locking.scheme.file, () => setDeletedFlagInDBF(this, predicate, true));
+  }
+
+  /**
+   * Clears the deletion flag of deleted records, as dBase/FoxPro's RECALL does. `predicate` is called with each deleted
+   * record and its 1-based record number. Resolves to the number of records recalled.
+   */
+  recallRecords(predicate) {
+    return writeWithLock(this, 'file', this._locking.scheme.file, () => setDeletedFlagInDBF(this, predicate, false));
+  }
+
+  /** Physically removes all deleted records from this DBF file and updates the record count in the header. */
+  pack() {
+    return writeWithLock(this, 'file', this._locking.scheme.file, () => packDBF(this));
+  }
+
+  /** Removes all records from this DBF file. */
+  zap() {
+    return writeWithLock(this, 'file', this._locking.scheme.file, () => zapDBF(this));
+  }
+
+  /**
+   * Copies this DBF file to a new file whose text is stored in another code page, with the matching language driver
+   * ID. Deleted records are copied too. Index files are not. Rejects, leaving no file behind, if any text can't be
+   * represented in the new code page or no longer fits in its field. Resolves to the new DBF file.
+   */
+  transcode(targetPath, encoding) {
+    return transcodeDBF(this, targetPath, encoding);
+  }
+
+  /**
+   * Changes the structure of this DBF file, as xBase's MODIFY STRUCTURE does: `changes` may `add` field descriptors,
+   * `drop` fields, `rename` fields ({ OLD: 'NEW' }) and `modify` the type, size or decimal places of fields (as
+   * { name, type, size, decimalPlaces }), naming fields by their current names. Existing values are converted to the
+   * new types. The table, its memo file and its attached indexes are written to temporary files, then renamed over
+   * the originals. Index tags that no longer apply to the new fields are dropped. Rejects, leaving the table as it
+   * was, if any value can't be converted or doesn't fit its new field. Other users must close the table first.
+   */
+  alter(changes) {
+    return writeWithLock(this, 'file', this._locking.scheme.file, () => alterDBF(this, changes));
+  }
+
+  /**
+   * Locks the whole table, as FoxPro's FLOCK() does, waiting up to the lock timeout if another user holds a lock.
+   * Rejects with an error with code 'ELOCKED' if the lock could not be acquired. Locks are held until unlock().
+   */
+  async lockFile() {
+    await acquireLock(this, 'file', this._locking.scheme.file);
+    return true;
+  }
+
+  /** Locks a single record by its 1-based record number, as FoxPro's RLOCK() does. Otherwise as lockFile(). */
+  async lockRecord(recno) {
+    if (!Number.isInteger(recno) || recno < 1) throw new Error(`Invalid record number: ${recno}`);
+    await acquireLock(this, `record ${recno}`, this._locking.scheme.record(recno));
+    return true;
+  }
+
+  /** Releases the lock on the given record, or all locks held on this table if no record number is given. */
+  unlock(recno) {
+    return releaseLocks(this, recno === undefined ? undefined : this._locking.scheme.record(recno));
+  }
+
+  /** Lists the locks this DBFFile instance holds, as { name, offset, length } objects. */
+  getLocks() {
+    return getHeldLocks(this);
+  }
+
+  /** Checks whether another user (another process or DBFFile instance) holds a lock on this table. */
+  isLocked() {
+    return isDBFLockedByOthers(this);
   }
 
   /**
-   * Iterates over each record in this DBF file. If the `includeDeletedRecords` option is set, then deleted records
-   * are yielded, otherwise they are skipped. Deleted records have the property `[DELETED]: true`, using the `DELETED`
-   * symbol exported from this library.
+   * Iterates over each record in this DBF file, from the first, using a new cursor. If the `includeDeletedRecords`
+   * option is set, then deleted records are yielded, otherwise they are skipped. Deleted records have the property
+   * `[DELETED]: true`, using the `DELETED` symbol exported from this library.
    */
+  [Symbol.asyncIterator]() {
+    return this.cursor()[Symbol.asyncIterator]();
+  }
+}
+
+/** A position in the records of a DBF file, read independently of other cursors and of readRecords. */
+class RecordCursor {
+  constructor(dbf, from, batchSize, options = {}) {
+    if (!Number.isInteger(from) || from < 1) throw new Error(`Invalid record number: ${from}`);
+    if (!Number.isInteger(batchSize) || batchSize < 1) throw new Error(`Invalid batch size: ${batchSize}`);
+    if (options.numeric !== undefined) normaliseNumericOption(options.numeric);
+    if (options.to !== undefined && !(Number.isInteger(options.to) && options.to >= 0)) {
+      throw new Error(`Invalid record number: ${options.to}`);
+    }
+    /** 1-based record number of the next record to read. */
+    this.recno = from;
+    // Private.
+    this._dbf = dbf;
+    this._batchSize = batchSize;
+    this._options = options;
+  }
+
+  /**
+   * Reads the next `maxCount` records (fewer if deleted records are skipped or the end is reached), and advances past
+   * them. Resolves to an empty array once every record has been read.
+   */
+  async read(maxCount = this._batchSize) {
+    const { records, next } =
+      await readRecordRangeFromDBF(this._dbf, this.recno, maxCount, this._batchSize, this._options);
+    this.recno = next;
+    return records;
+  }
+
+  /** Iterates over the remaining records as { recno, record } pairs, giving the 1-based record number of each. */
+  async *entries() {
+    while (this.recno <= lastRecNo(this._dbf, this._options)) {
+      const { records, recnos, next } =
+        await readRecordRangeFromDBF(this._dbf, this.recno, this._batchSize, this._batchSize, this._options);
+      this.recno = next;
+      for (let i = 0; i < records.length; ++i) yield { recno: recnos[i], record: records[i] };
+    }
+  }
+
+  /** Gets a Node.js Readable stream (in object mode) of the remaining records. */
+  toStream() {
+    return Readable.from(this);
+  }
+
+  /** Iterates over the remaining records, including any appended while iterating. */
   async *[Symbol.asyncIterator]() {
-    while (this._recordsRead !== this.recordCount) {
-      yield* await this.readRecords(100);
+    while (this.recno <= lastRecNo(this._dbf, this._options)) {
+      yield* await this.read();
     }
   }
 }
@@ -73,13 +319,32 @@ class DBFFile {
 /** Symbol used for detecting deleted records when the `includeDeletedRecords` option is used. */
 const DELETED = Symbol();
 
+// Number of records read from disk at a time
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Field types whose values are stored in the memo file
+const MemoFieldTypes = ['M', 'G', 'W'];
+
+// Field types holding text in the table's code page (unless flagged binary)
+const TextFieldTypes = ['C', 'V', 'M'];
+
+// File versions createDBF can write
+const CreatableFileVersions = [0x03, 0x83, 0x8b, 0x30, 0x31, 0x32];
+
+// Offset of the Julian day number for 1970-01-01, used by DateTime fields
+const UNIX_EPOCH_JULIAN_DAY = 2440588;
+const MS_PER_DAY = 86400000;
+
 //-------------------- Private implementation starts here --------------------
 async function openDBF(path, opts) {
   let options = normaliseOpenOptions(opts);
   let fd = 0;
   try {
+    // Roll back any transaction left unfinished by a crash before reading anything.
+    await recoverTransaction(path, options.locking);
+    
     // Open the file and create a buffer to read through.
-    fd = await open(path, 'r');
+    fd = await openDBFFile(path);
     let buffer = Buffer.alloc(32);
     
     // Read various properties from the header record.
@@ -92,6 +357,8 @@ async function openDBF(path, opts) {
     let recordCount = buffer.readInt32LE(4);
     let headerLength = buffer.readInt16LE(8);
     let recordLength = buffer.readInt16LE(10);
+    let tableFlags = buffer.readUInt8(28); // 0x01: has a structural index
+    let languageDriver = buffer.readUInt8(29);
     let memoPath;
     
     // Validate the file version. Skip validation if reading in 'loose' mode.
@@ -99,20 +366,6 @@ async function openDBF(path, opts) {
       throw new Error(`File '${path}' has unknown/unsupported dBase version: ${fileVersion}.`);
     }
     
-    // Locate the memo file, if any. Allow missing memo files if reading in 'loose' mode.
-    if (fileVersion === 0x83 || fileVersion === 0x8b) {
-      for (const ext of ['.dbt', '.DBT']) {
-        memoPath = path.slice(0, -path.extname(path).length) + ext;
-        let foundMemoFile = await stat(memoPath).catch(() => 'missing') !== 'missing';
-        if (foundMemoFile)
-          break;
-        memoPath = undefined;
-      }
-      if (options.readMode !== 'loose' && !memoPath) {
-        throw new Error(`Memo file not found for file '${path}'.`);
-      }
-    }
-    
     // Read all the field descriptors (starting from byte 32 of the header).
     buffer = Buffer.alloc(headerLength - 32 - 1);
     await read(fd, buffer, 0, buffer.length, 32);
@@ -136,19 +389,36 @@ async function openDBF(path, opts) {
       let fieldType = String.fromCharCode(buffer[offset + 11]);
       let fieldSize = buffer[offset + 16];
       let fieldDecimals = buffer[offset + 17];
+      let fieldFlags = buffer[offset + 18]; // Visual FoxPro only
       
       // Add to field descriptor list
-      fields.push({
+      let field = {
         name: fieldName,
         type: fieldType,
         size: fieldSize,
         decimalPlaces: fieldDecimals || undefined
-      });
+      };
+      if (isVisualFoxProVersion(fileVersion) && fieldType !== '0') {
+        if (fieldFlags & 0x02) field.nullable = true;
+        if (fieldFlags & 0x04) field.binary = true;
+      }
+      fields.push(field);
       
       // Move to the next field descriptor
       offset += 32;
     }
     
+    // Locate the memo file, if any. dBase III/IV tables with memos always have one, FoxPro tables only if they
+    // define memo fields. Allow missing memo files if reading in 'loose' mode.
+    const memoType = getMemoType(fileVersion);
+    const hasMemoFields = fields.some(field => MemoFieldTypes.indexOf(field.type) !== -1);
+    if (memoType && (hasMemoFields || fileVersion === 0x83 || fileVersion === 0x8b || fileVersion === 0xf5)) {
+      memoPath = await findMemoFile(path, memoType);
+      if (options.readMode !== 'loose' && !memoPath) {
+        throw new Error(`Memo file not found for file '${path}'.`);
+      }
+    }
+    
     // Create and return the DBFFile instance.
     let result = new DBFFile();
     result.path = path;
@@ -156,18 +426,42 @@ async function openDBF(path, opts) {
     result.dateOfLastUpdate = dateOfLastUpdate;
     result.fields = fields;
     result._readMode = options.readMode;
-    result._encoding = options.encoding;
+    result.languageDriver = languageDriver;
+    result.encoding = options.encoding || getLanguageDriverEncoding(languageDriver) || 'utf8';
     result._includeDeletedRecords = options.includeDeletedRecords;
+    result._numeric = options.numeric;
     result._recordsRead = 0;
     result._headerLength = headerLength;
     result._recordLength = recordLength;
     result._memoPath = memoPath;
     result._version = fileVersion;
+    result._nullFlagBits = getNullFlagBits(fields);
+    result._nullFlagsOffset = getNullFlagsOffset(fields);
+    result._locking = {
+      auto: options.locking.auto,
+      adapter: getLockAdapter(options.locking.adapter),
+      scheme: LockSchemes[options.locking.scheme || getDefaultLockScheme(fileVersion)],
+      timeout: options.locking.timeout
+    };
+    
+    // Open the structural index, if any, and any other index files asked for.
+    if (options.indexes && (tableFlags & 0x01)) {
+      const indexPath = await findStructuralIndex(path);
+      if (indexPath) {
+        const index = await openIndexOfDBF(result, indexPath);
+        index.structural = true;
+      } else if (options.readMode !== 'loose') {
+        throw new Error(`Structural index not found for file '${path}'.`);
+      }
+    }
+    for (const indexPath of Array.isArray(options.indexes) ? options.indexes : []) {
+      await openIndexOfDBF(result, indexPath);
+    }
     
     return result;
   } 
   finally {
-    if (fd) await close(fd);
+    if (fd) await closeDBFFile(path);
   }
 }
 
@@ -175,13 +469,33 @@ async function createDBF(path, fields, opts) {
   let options = normaliseCreateOptions(opts);
   let fileVersion = options.fileVersion;
   
+  // Memo fields need a version with a memo file. Use dBase III with memo unless a version was asked for.
+  const hasMemoFields = fields.some(field => MemoFieldTypes.indexOf(field.type) !== -1);
+  if (hasMemoFields && !getMemoType(fileVersion)) {
+    if (opts && opts.fileVersion !== undefined) {
+      throw new Error(`Memo fields are not supported by file version ${fileVersion}.`);
+    }
+    fileVersion = 0x83;
+  }
+  
+  // Visual FoxPro tables keep varchar lengths and null markers in a hidden _NullFlags field. Add it if needed.
+  const isVisualFoxPro = isVisualFoxProVersion(fileVersion);
+  const nullFlagBitCount = Object.values(getNullFlagBits(fields))
+    .reduce((count, bits) => count + (bits.lengthBit !== undefined) + (bits.nullBit !== undefined), 0);
+  const nullFlagsField = fields.find(field => field.type === '0');
+  if (isVisualFoxPro && nullFlagBitCount > 0 && !nullFlagsField) {
+    fields = fields.concat([{ name: '_NullFlags', type: '0', size: Math.ceil(nullFlagBitCount / 8) }]);
+  } else if (nullFlagsField && nullFlagsField.size * 8 < nullFlagBitCount) {
+    throw new Error(`Field '${nullFlagsField.name}' is too small (minimum is ${Math.ceil(nullFlagBitCount / 8)})`);
+  }
+  
   // Validate all field descriptors
   for (const field of fields) {
     validateFieldDescriptor(field, fileVersion);
   }
   
-  // Calculate the header and record length
-  let headerLength = 32 + (32 * fields.length) + 1;
+  // Calculate the header and record length. Visual FoxPro headers end with a 263-byte backlink area.
+  let headerLength = 32 + (32 * fields.length) + 1 + (isVisualFoxPro ? 263 : 0);
   let recordLength = 1; // 1 byte for deleted flag
   for (const field of fields) {
     recordLength += field.size;
@@ -200,9 +514,15 @@ async function createDBF(path, fields, opts) {
   header.writeInt32LE(0, 4); // No records initially
   header.writeInt16LE(headerLength, 8);
   header.writeInt16LE(recordLength, 10);
+  if (isVisualFoxPro && hasMemoFields) {
+    header.writeUInt8(0x02, 28); // Table flags: has memo file
+  }
+  const encoding = typeof options.encoding === 'string' ? options.encoding : options.encoding.default;
+  header.writeUInt8(getLanguageDriverId(encoding), 29);
   
   // Write field descriptors
   let offset = 32;
+  let displacement = 1; // Position of the field within the record
   for (const field of fields) {
     // Write field name (null-terminated)
     const nameBuffer = Buffer.from(field.name.padEnd(11, '\0'));
@@ -215,6 +535,14 @@ async function createDBF(path, fields, opts) {
       header.writeUInt8(field.decimalPlaces, offset + 17);
     }
     
+    // Write Visual FoxPro field displacement and flags (0x01 system, 0x02 nullable, 0x04 binary)
+    if (isVisualFoxPro) {
+      header.writeUInt32LE(displacement, offset + 12);
+      const flags = field.type === '0' ? 0x05 : (field.nullable ? 0x02 : 0) | (field.binary ? 0x04 : 0);
+      header.writeUInt8(flags, offset + 18);
+    }
+    
+    displacement += field.size;
     offset += 32;
   }
   
@@ -224,7 +552,7 @@ async function createDBF(path, fields, opts) {
   // Write the EOF marker
   let eof = Buffer.from([0x1A]);
   
-  // Write the header and EOF marker to the file
+  // Write the header and EOF marker to the file. The Visual FoxPro backlink area is left zero-filled.
   let fd = 0;
   try {
     fd = await open(path, 'w');
@@ -235,135 +563,85 @@ async function createDBF(path, fields, opts) {
     if (fd) await close(fd);
   }
   
+  // Create an empty memo file alongside the DBF file, if needed
+  if (hasMemoFields || fileVersion === 0x83 || fileVersion === 0x8b) {
+    const memoType = getMemoType(fileVersion);
+    await createMemo(getMemoPath(path, memoType), memoType);
+  }
+  
   // Open the newly created file and return it
   return openDBF(path, { 
     encoding: options.encoding, 
     readMode: 'strict',
-    includeDeletedRecords: false
+    includeDeletedRecords: false,
+    numeric: options.numeric,
+    locking: options.locking
   });
 }
 
 async function readRecordsFromDBF(dbf, maxCount) {
+  const { records, next } = await readRecordRangeFromDBF(dbf, dbf._recordsRead + 1, maxCount, DEFAULT_BATCH_SIZE);
+  dbf._recordsRead = next - 1;
+  return records;
+}
+
+/** Gets the number of the last record a read may reach: the `to` option if given, else the record count. */
+function lastRecNo(dbf, options) {
+  return options.to === undefined ? dbf.recordCount : options.to;
+}
+
+/**
+ * Reads up to `maxCount` records starting at the 1-based record number `first`, `batchSize` records per disk read.
+ * Resolves to the records that are not skipped as deleted, and the record number to continue from.
+ */
+async function readRecordRangeFromDBF(dbf, first, maxCount, batchSize, options = {}) {
+  const { includeDeletedRecords = dbf._includeDeletedRecords, numeric = dbf._numeric } = options;
   // Don't try to read more records than there are in the file.
-  maxCount = Math.min(maxCount, dbf.recordCount - dbf._recordsRead);
-  if (maxCount <= 0) return [];
+  const end = lastRecNo(dbf, options);
+  const last = Math.min(end, first + maxCount - 1);
+  if (last < first) return { records: [], recnos: [], next: first };
   
-  // Open the file and create a buffer for reading records.
+  // Open the file (and memo file, if any) and create a buffer for reading batches of records.
   let fd = 0;
+  let memo = null;
   try {
-    fd = await open(dbf.path, 'r');
-    let buffer = Buffer.alloc(dbf._recordLength);
+    fd = await openDBFFile(dbf.path);
+    memo = await openMemoOf(dbf, 'r');
+    let buffer = Buffer.alloc(dbf._recordLength * Math.min(batchSize, last - first + 1));
     let records = [];
-    let recordsToRead = maxCount;
-    
-    // File position for the record we want to start reading from.
-    let pos = dbf._headerLength + (dbf._recordsRead * dbf._recordLength);
+    let recnos = [];
     
-    // Start reading records.
-    while (recordsToRead > 0) {
-      // Read the next record into the buffer.
-      await read(fd, buffer, 0, buffer.length, pos);
-      pos += buffer.length;
-      
-      // Check if the record is marked as deleted.
-      let deleted = buffer[0] === 0x2A; // '*' character
+    for (let recno = first; recno <= last; recno += batchSize) {
+      // Read the next batch of records into the buffer.
+      let count = Math.min(batchSize, last - recno + 1);
+      const { bytesRead } =
+        await read(fd, buffer, 0, count * dbf._recordLength, dbf._headerLength + ((recno - 1) * dbf._recordLength));
       
-      // Skip deleted records if the option is not set.
-      if (deleted && !dbf._includeDeletedRecords) {
-        --recordsToRead;
-        ++dbf._recordsRead;
-        continue;
+      // The header may count records that the file doesn't hold (see DBFFile.verify). Stop at the last whole record
+      // if reading in 'loose' mode.
+      const truncated = bytesRead < count * dbf._recordLength;
+      if (truncated && dbf._readMode !== 'loose') {
+        throw new Error(`File '${dbf.path}' is too short for the ${end} records its header counts. ` +
+          `Use DBFFile.repair() to fix it.`);
       }
+      if (truncated) count = Math.floor(bytesRead / dbf._recordLength);
       
-      // Parse the record.
-      let record = {};
-      if (deleted) record[DELETED] = true;
-      let offset = 1; // Skip the deleted flag
-      
-      // Helper functions to extract data
-      let substrAt = (start, len, enc) => iconv.decode(buffer.slice(start, start + len), enc);
-      let int32At = (start, len) => buffer.slice(start, start + len).readInt32LE(0);
-      
-      // Process each field in the record
-      for (const field of dbf.fields) {
-        // Get the encoding for this field
-        let encoding = typeof dbf._encoding === 'string' ? 
-          dbf._encoding : 
-          dbf._encoding[field.name] || dbf._encoding.default;
+      for (let i = 0; i < count; ++i) {
+        const record = buffer.slice(i * dbf._recordLength, (i + 1) * dbf._recordLength);
         
-        // Extract the field value based on its type
-        let value;
-        switch (field.type) {
-          case 'C': // Character
-            value = substrAt(offset, field.size, encoding).trim();
-            break;
-          case 'N': // Numeric
-            value = parseFloat(substrAt(offset, field.size, encoding).trim());
-            if (isNaN(value)) value = null;
-            break;
-          case 'F': // Float
-            value = parseFloat(substrAt(offset, field.size, encoding).trim());
-            if (isNaN(value)) value = null;
-            break;
-          case 'L': // Logical
-            {
-              const c = String.fromCharCode(buffer[offset]).toUpperCase();
-              value = (c === 'T' || c === 'Y') ? true : (c === 'F' || c === 'N') ? false : null;
-            }
-            break;
-          case 'D': // Date
-            {
-              const str = substrAt(offset, field.size, encoding).trim();
-              if (str.length >= 8) {
-                const year = parseInt(str.substring(0, 4), 10);
-                const month = parseInt(str.substring(4, 6), 10);
-                const day = parseInt(str.substring(6, 8), 10);
-                if (!isNaN(year) && !isNaN(month) && !isNaN(day)) {
-                  value = createDate(year, month, day);
-                }
-                else value = null;
-              }
-              else value = null;
-            }
-            break;
-          case '0': // NullFlags or special field
-            {
-              // For type '0', get the raw buffer
-              const rawBytes = buffer.slice(offset, offset + field.size);
-              // For display purposes, convert to a byte string format
-              const byteStr = "b'" + Array.from(rawBytes)
-                .map(b => '\\x' + b.toString(16).padStart(2, '0'))
-                .join('') + "'";
-              value = byteStr;
-            }
-            break;
-          // Other field types can be added here as needed
-          default:
-            // Skip unsupported field types in loose mode
-            if (dbf._readMode === 'loose') {
-              value = null;
-            } else {
-              throw new Error(`Unsupported field type: '${field.type}'`);
-            }
-        }
-        
-        // Add the field to the record
-        record[field.name] = value;
-        
-        // Move to the next field
-        offset += field.size;
+        // Skip deleted records if the option is not set.
+        if (record[0] === 0x2A && !includeDeletedRecords) continue; // '*' character
+        records.push(await decodeRecord(dbf, record, memo, numeric));
+        recnos.push(recno + i);
       }
-      
-      // Add the record to our results and continue.
-      records.push(record);
-      --recordsToRead;
-      ++dbf._recordsRead;
+      if (truncated) return { records, recnos, next: end + 1 };
     }
     
-    return records;
+    return { records, recnos, next: last + 1 };
   } 
   finally {
-    if (fd) await close(fd);
+    await closeMemo(memo);
+    if (fd) await closeDBFFile(dbf.path);
   }
 }
 
@@ -372,14 +650,21 @@ async function appendRecordsToDBF(dbf, records) {
   for (const record of records) {
     validateRecord(dbf.fields, record);
   }
+  assertIndexesWritable(dbf);
+  const changes = [];
+  const first = dbf.recordCount + 1;
+  const count = dbf.recordCount + records.length;
   
-  // Open the file for appending
+  // Open the file (and memo file, if any) for appending
   let fd = 0;
+  let memo = null;
   try {
-    fd = await open(dbf.path, 'r+');
+    fd = await openDBFFile(dbf.path);
+    memo = await openMemoOf(dbf, 'r+');
     
     // Calculate the file position for appending
-    let position = dbf._headerLength + (dbf.recordCount * dbf._recordLength);
+    let position = dbf._headerLength + ((first - 1) * dbf._recordLength);
+    await saveBeforeImage(dbf, dbf.path, position);
     
     // Buffer for each record
     let buffer = Buffer.alloc(dbf._recordLength);
@@ -388,163 +673,1031 @@ async function appendRecordsToDBF(dbf, records) {
     for (const record of records) {
       // Clear the buffer
       buffer.fill(0);
-      
-      // Set the deleted flag (0x20 means not deleted)
-      buffer[0] = 0x20;
-      
-      let offset = 1; // Skip the deleted flag
-      
-      // Write each field value
-      for (const field of dbf.fields) {
-        // Get the encoding for this field
-        let encoding = typeof dbf._encoding === 'string' ? 
-          dbf._encoding : 
-          dbf._encoding[field.name] || dbf._encoding.default;
-        
-        // Get the field value (or null/empty if not provided)
-        let value = record[field.name];
-        
-        // Convert the value based on the field type
-        switch (field.type) {
-          case 'C': // Character
-            {
-              const str = value !== null && value !== undefined ? String(value) : '';
-              const bytes = iconv.encode(str.padEnd(field.size, ' ').substring(0, field.size), encoding);
-              bytes.copy(buffer, offset);
-            }
-            break;
-          case 'N': // Numeric
-            {
-              if (value === null || value === undefined) {
-                buffer.fill(0x20, offset, offset + field.size); // Fill with spaces
-              } else {
-                let str;
-                if (field.decimalPlaces && field.decimalPlaces > 0) {
-                  str = value.toFixed(field.decimalPlaces);
-                } else {
-                  str = Math.round(value).toString();
-                }
-                const bytes = iconv.encode(str.padStart(field.size, ' ').substring(0, field.size), encoding);
-                bytes.copy(buffer, offset);
-              }
-            }
-            break;
-          case 'F': // Float
-            {
-              if (value === null || value === undefined) {
-                buffer.fill(0x20, offset, offset + field.size); // Fill with spaces
-              } else {
-                const str = String(value);
-                const bytes = iconv.encode(str.padStart(field.size, ' ').substring(0, field.size), encoding);
-                bytes.copy(buffer, offset);
-              }
-            }
-            break;
-          case 'L': // Logical
-            {
-              buffer[offset] = value === true ? 
-                0x54 : // 'T'
-                value === false ? 
-                  0x46 : // 'F'
-                  0x20;  // Space for null/undefined
-            }
-            break;
-          case 'D': // Date
-            {
-              if (value instanceof Date) {
-                const year = value.getFullYear();
-                const month = value.getMonth() + 1;
-                const day = value.getDate();
-                const str = 
-                  String(year).padStart(4, '0') + 
-                  String(month).padStart(2, '0') + 
-                  String(day).padStart(2, '0');
-                const bytes = iconv.encode(str, encoding);
-                bytes.copy(buffer, offset);
-              } else {
-                buffer.fill(0x20, offset, offset + field.size); // Fill with spaces
-              }
-            }
-            break;
-          case '0': // NullFlags or special field
-            {
-              // For type '0', just fill with zeros or use the provided value if it's a buffer
-              if (value instanceof Buffer) {
-                // If a Buffer is provided, use it directly (truncating or padding as needed)
-                const bytesToCopy = Math.min(value.length, field.size);
-                value.copy(buffer, offset, 0, bytesToCopy);
-                // Pad with zeros if needed
-                if (bytesToCopy < field.size) {
-                  buffer.fill(0, offset + bytesToCopy, offset + field.size);
-                }
-              } else if (typeof value === 'string' && value.startsWith("b'")) {
-                // Handle Python-style byte string format like "b'\x00\x01'"
-                try {
-                  // Parse the byte string by replacing b'...' with actual bytes
-                  const byteStr = value.substring(2, value.length - 1)
-                    .replace(/\\x([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
-                  
-                  // Convert to buffer and copy
-                  const byteBuffer = Buffer.from(byteStr, 'binary');
-                  const bytesToCopy = Math.min(byteBuffer.length, field.size);
-                  byteBuffer.copy(buffer, offset, 0, bytesToCopy);
-                  
-                  // Pad with zeros if needed
-                  if (bytesToCopy < field.size) {
-                    buffer.fill(0, offset + bytesToCopy, offset + field.size);
-                  }
-                } catch (e) {
-                  // On error, just fill with zeros
-                  buffer.fill(0, offset, offset + field.size);
-                }
-              } else {
-                // Default: fill with zeros
-                buffer.fill(0, offset, offset + field.size);
-              }
-            }
-            break;
-          // Other field types can be added here as needed
-          default:
-            throw new Error(`Unsupported field type: '${field.type}'`);
-        }
-        
-        // Move to the next field
-        offset += field.size;
-      }
+      await encodeRecord(dbf, record, buffer, memo);
+      if (record[DELETED]) buffer[0] = 0x2A; // Appended as deleted
       
       // Write the record to the file
       await write(fd, buffer, 0, buffer.length, position);
       position += buffer.length;
+      if (dbf.indexes.length > 0) {
+        changes.push({ recno: first + changes.length, before: null, after: await decodeForIndex(dbf, buffer) });
+      }
     }
     
     // Update the record count in the header
     let countBuffer = Buffer.alloc(4);
-    countBuffer.writeInt32LE(dbf.recordCount + records.length, 0);
+    countBuffer.writeInt32LE(count, 0);
     await write(fd, countBuffer, 0, 4, 4);
     
     // Update the last modified date in the header
-    const now = new Date();
-    let dateBuffer = Buffer.alloc(3);
-    dateBuffer.writeUInt8(now.getFullYear() - 1900, 0);
-    dateBuffer.writeUInt8(now.getMonth() + 1, 1);
-    dateBuffer.writeUInt8(now.getDate(), 2);
-    await write(fd, dateBuffer, 0, 3, 1);
+    const now = await writeDateOfLastUpdate(fd);
     
     // Write the EOF marker
     let eofBuffer = Buffer.from([0x1A]);
     await write(fd, eofBuffer, 0, 1, position);
     
     // Update the DBF object properties
-    dbf.recordCount += records.length;
+    dbf.recordCount = count;
     dbf.dateOfLastUpdate = now;
     
-    return dbf;
+    await updateIndexes(dbf, changes);
+    return first;
   } 
   finally {
-    if (fd) await close(fd);
+    await closeMemo(memo);
+    if (fd) await closeDBFFile(dbf.path);
   }
 }
 
+async function updateRecordsInDBF(dbf, predicate, changes, range) {
+  // By default, scan every record, skipping deleted ones unless the option is set.
+  const first = range ? range.first : 1;
+  const last = range ? range.last : dbf.recordCount;
+  const includeDeleted = range ? true : dbf._includeDeletedRecords;
+  if (first < 1 || last > dbf.recordCount || first > last) return 0;
+  assertIndexesWritable(dbf);
+  
+  let fd = 0;
+  let memo = null;
+  try {
+    fd = await openDBFFile(dbf.path);
+    memo = await openMemoOf(dbf, 'r+');
+    let buffer = Buffer.alloc(dbf._recordLength);
+    let updated = 0;
+    const indexChanges = [];
+    
+    for (let recno = first; recno <= last; ++recno) {
+      // Read the existing record.
+      const pos = dbf._headerLength + ((recno - 1) * dbf._recordLength);
+      await read(fd, buffer, 0, buffer.length, pos);
+      if (buffer[0] === 0x2A && !includeDeleted) continue;
+      
+      // Decode it and check whether it should be changed.
+      const record = await decodeRecord(dbf, buffer, memo);
+      if (!predicate(record, recno)) continue;
+      
+      // Merge the changes and re-encode the record over the old bytes, keeping its deleted flag.
+      const values = typeof changes === 'function' ? await changes(record, recno) : changes;
+      const merged = Object.assign({}, record, values);
+      validateRecord(dbf.fields, merged);
+      
+      // Memo fields that are not being changed keep pointing at their existing memo blocks.
+      const previous = Buffer.from(buffer);
+      const unchangedMemos = dbf.fields.filter(field =>
+        MemoFieldTypes.indexOf(field.type) !== -1 && !Object.prototype.hasOwnProperty.call(values, field.name));
+      for (const field of unchangedMemos) merged[field.name] = undefined;
+      
+      buffer.fill(0);
+      await encodeRecord(dbf, merged, buffer, memo);
+      buffer[0] = previous[0];
+      let offset = 1;
+      for (const field of dbf.fields) {
+        if (unchangedMemos.indexOf(field) !== -1) previous.copy(buffer, offset, offset, offset + field.size);
+        offset += field.size;
+      }
+      await saveBeforeImage(dbf, dbf.path, pos, buffer.length);
+      await write(fd, buffer, 0, buffer.length, pos);
+      ++updated;
+      if (dbf.indexes.length > 0) {
+        const before = await decodeForIndex(dbf, previous);
+        indexChanges.push({ recno, before, after: await decodeForIndex(dbf, buffer) });
+      }
+    }
+    
+    // Update the last modified date in the header
+    if (updated > 0) {
+      dbf.dateOfLastUpdate = await writeDateOfLastUpdate(fd);
+    }
+    
+    await updateIndexes(dbf, indexChanges);
+    return updated;
+  } 
+  finally {
+    await closeMemo(memo);
+    if (fd) await closeDBFFile(dbf.path);
+  }
+}
+
+async function setDeletedFlagInDBF(dbf, predicate, deleted) {
+  assertIndexesWritable(dbf);
+  let fd = 0;
+  let memo = null;
+  try {
+    fd = await openDBFFile(dbf.path);
+    memo = await openMemoOf(dbf, 'r');
+    let buffer = Buffer.alloc(dbf._recordLength);
+    const flag = deleted ? 0x2A : 0x20; // '*' or ' '
+    let changed = 0;
+    const changes = [];
+    
+    for (let recno = 1; recno <= dbf.recordCount; ++recno) {
+      // Only visit records whose flag would actually change.
+      const pos = dbf._headerLength + ((recno - 1) * dbf._recordLength);
+      await read(fd, buffer, 0, buffer.length, pos);
+      if ((buffer[0] === 0x2A) === deleted) continue;
+      if (!predicate(await decodeRecord(dbf, buffer, memo), recno)) continue;
+      
+      // Rewrite just the deletion flag byte.
+      await saveBeforeImage(dbf, dbf.path, pos, 1);
+      await write(fd, Buffer.from([flag]), 0, 1, pos);
+      ++changed;
+      
+      // Index keys only change here if a tag refers to DELETED().
+      if (dbf.indexes.length > 0) {
+        const { record } = await decodeForIndex(dbf, buffer);
+        changes.push({ recno, before: { record, deleted: !deleted }, after: { record, deleted } });
+      }
+    }
+    
+    // Update the last modified date in the header
+    if (changed > 0) {
+      dbf.dateOfLastUpdate = await writeDateOfLastUpdate(fd);
+    }
+    
+    await updateIndexes(dbf, changes);
+    return changed;
+  } 
+  finally {
+    await closeMemo(memo);
+    if (fd) await closeDBFFile(dbf.path);
+  }
+}
+
+async function packDBF(dbf) {
+  assertIndexesWritable(dbf);
+  let fd = 0;
+  try {
+    fd = await openDBFFile(dbf.path);
+    await saveBeforeImage(dbf, dbf.path, dbf._headerLength);
+    let buffer = Buffer.alloc(dbf._recordLength);
+    let kept = 0;
+    
+    // Move each live record down over the gaps left by deleted ones. Records only ever move towards the start of
+    // the file, so a record is always read before its position is overwritten.
+    for (let recno = 1; recno <= dbf.recordCount; ++recno) {
+      const pos = dbf._headerLength + ((recno - 1) * dbf._recordLength);
+      await read(fd, buffer, 0, buffer.length, pos);
+      if (buffer[0] === 0x2A) continue;
+      if (kept !== recno - 1) {
+        await write(fd, buffer, 0, buffer.length, dbf._headerLength + (kept * dbf._recordLength));
+      }
+      ++kept;
+    }
+    
+    await writeRecordCount(fd, dbf, kept);
+  } 
+  finally {
+    if (fd) await closeDBFFile(dbf.path);
+  }
+  
+  // Record numbers have changed, so rebuild the indexes.
+  await rebuildIndexes(dbf);
+  return dbf.recordCount;
+}
+
+async function zapDBF(dbf) {
+  assertIndexesWritable(dbf);
+  let fd = 0;
+  let memo = null;
+  try {
+    fd = await openDBFFile(dbf.path);
+    memo = await openMemoOf(dbf, 'r+');
+    await saveBeforeImage(dbf, dbf.path, dbf._headerLength);
+    if (memo) await saveBeforeImage(dbf, memo.path, 0);
+    await writeRecordCount(fd, dbf, 0);
+    if (memo) await clearMemo(memo);
+  } 
+  finally {
+    await closeMemo(memo);
+    if (fd) await closeDBFFile(dbf.path);
+  }
+  await rebuildIndexes(dbf);
+}
+
+async function transcodeDBF(dbf, targetPath, encoding) {
+  if (!isKnownEncoding(encoding)) throw new Error(`Unknown encoding: '${encoding}'`);
+  if (path.resolve(targetPath) === path.resolve(dbf.path)) {
+    throw new Error(`Cannot transcode file '${dbf.path}' onto itself.`);
+  }
+  
+  // The copy has the same fields and version. createDBF adds the _NullFlags field again if it is needed.
+  const fields = dbf.fields.filter(field => field.type !== '0').map(field => ({
+    name: field.name,
+    type: field.type,
+    size: field.size,
+    decimalPlaces: field.decimalPlaces,
+    nullable: field.nullable,
+    binary: field.binary
+  }));
+  const fileVersion = CreatableFileVersions.indexOf(dbf._version) !== -1 ? dbf._version : undefined;
+  const target = await createDBF(targetPath, fields, { fileVersion, encoding, numeric: dbf._numeric });
+  
+  let fd = 0;
+  let memo = null;
+  try {
+    fd = await openDBFFile(dbf.path);
+    memo = await openMemoOf(dbf, 'r');
+    const buffer = Buffer.alloc(dbf._recordLength * DEFAULT_BATCH_SIZE);
+    const deleted = new Set();
+    
+    for (let recno = 1; recno <= dbf.recordCount; recno += DEFAULT_BATCH_SIZE) {
+      // Decode a batch of records, deleted or not, checking that their text survives the new code page.
+      const count = Math.min(DEFAULT_BATCH_SIZE, dbf.recordCount - recno + 1);
+      await read(fd, buffer, 0, count * dbf._recordLength, dbf._headerLength + ((recno - 1) * dbf._recordLength));
+      const records = [];
+      for (let i = 0; i < count; ++i) {
+        const record = await decodeRecord(dbf, buffer.slice(i * dbf._recordLength, (i + 1) * dbf._recordLength),
+          memo, 'decimal');
+        if (record[DELETED]) deleted.add(recno + i);
+        checkTranscodedRecord(fields, record, recno + i, encoding);
+        records.push(record);
+      }
+      await appendRecordsToDBF(target, records);
+    }
+    
+    if (deleted.size > 0) await setDeletedFlagInDBF(target, (record, recno) => deleted.has(recno), true);
+    return target;
+  } catch (err) {
+    await unlink(targetPath).catch(() => {});
+    if (target._memoPath) await unlink(target._memoPath).catch(() => {});
+    throw err;
+  } 
+  finally {
+    await closeMemo(memo);
+    if (fd) await closeDBFFile(dbf.path);
+  }
+}
+
+async function alterDBF(dbf, changes) {
+  if (dbf._transaction) throw new Error(`Cannot change the structure of '${dbf.path}' inside a transaction.`);
+  assertIndexesWritable(dbf);
+  const current = dbf.fields.filter(field => field.type !== '0');
+  const plan = planAlteration(current, changes, dbf._version);
+  const sources = plan.sources.map(name => name && current.find(field => field.name === name));
+  
+  // dBase III tables get a memo file (version 0x83) if memo fields are added.
+  const hasMemoFields = plan.fields.some(field => MemoFieldTypes.indexOf(field.type) !== -1);
+  let fileVersion = CreatableFileVersions.indexOf(dbf._version) !== -1 ? dbf._version : undefined;
+  if (hasMemoFields && !getMemoType(fileVersion)) fileVersion = undefined;
+  
+  // Write the new table, memo file and indexes next to the originals, leaving the originals untouched until the end.
+  const tempPath = getAlterPath(dbf.path);
+  const tempIndexPaths = dbf.indexes.map(index => getAlterPath(index.path));
+  for (const tempIndexPath of tempIndexPaths) await unlink(tempIndexPath).catch(() => {});
+  let target = null;
+  let fd = 0;
+  let memo = null;
+  try {
+    target = await createDBF(tempPath, plan.fields, { fileVersion, encoding: dbf.encoding, numeric: dbf._numeric });
+    if (dbf.languageDriver) await setLanguageDriver(target, dbf.languageDriver);
+    
+    fd = await openDBFFile(dbf.path);
+    memo = await openMemoOf(dbf, 'r');
+    const buffer = Buffer.alloc(dbf._recordLength * DEFAULT_BATCH_SIZE);
+    const deleted = new Set();
+    for (let recno = 1; recno <= dbf.recordCount; recno += DEFAULT_BATCH_SIZE) {
+      // Decode a batch of records, deleted or not, and convert their values to the new fields.
+      const count = Math.min(DEFAULT_BATCH_SIZE, dbf.recordCount - recno + 1);
+      await read(fd, buffer, 0, count * dbf._recordLength, dbf._headerLength + ((recno - 1) * dbf._recordLength));
+      const records = [];
+      for (let i = 0; i < count; ++i) {
+        const record = await decodeRecord(dbf, buffer.slice(i * dbf._recordLength, (i + 1) * dbf._recordLength),
+          memo, 'decimal');
+        if (record[DELETED]) deleted.add(recno + i);
+        records.push(convertRecord(target, plan.fields, sources, record, recno + i));
+      }
+      await appendRecordsToDBF(target, records);
+    }
+    if (deleted.size > 0) await setDeletedFlagInDBF(target, (record, recno) => deleted.has(recno), true);
+    
+    // Rebuild each index's tags on the new table. Tags whose expressions no longer compile, because they use a
+    // dropped field or one whose type has changed, are dropped as FoxPro does.
+    for (const [i, index] of dbf.indexes.entries()) {
+      for (const tag of index.tags) {
+        const expression = renameFields(tag.expression, plan.renames);
+        const forExpression = tag.forExpression && renameFields(tag.forExpression, plan.renames);
+        try {
+          compileExpression(expression, target.fields);
+          if (forExpression) compileExpression(forExpression, target.fields);
+        } catch (err) {
+          continue;
+        }
+        await createIndexOfDBF(target, {
+          tag: tag.name,
+          expression,
+          for: forExpression,
+          unique: tag.unique,
+          descending: tag.descending,
+          path: tempIndexPaths[i]
+        });
+      }
+    }
+  } catch (err) {
+    for (const filePath of [tempPath, target && target._memoPath].concat(tempIndexPaths)) {
+      if (filePath) await unlink(filePath).catch(() => {});
+    }
+    throw err;
+  } 
+  finally {
+    await closeMemo(memo);
+    if (fd) await closeDBFFile(dbf.path);
+  }
+  
+  // Rename the new files over the originals, the table last, and remove memo and index files no longer needed. If a
+  // crash interrupts this, it is finished when the table is next opened.
+  const moves = [];
+  const obsolete = [];
+  dbf.indexes.forEach((index, i) => {
+    if (target.indexes.some(created => created.path === tempIndexPaths[i])) moves.push([tempIndexPaths[i], index.path]);
+    else obsolete.push(index.path);
+  });
+  if (target._memoPath) {
+    const memoType = getMemoType(target._version);
+    const sameType = dbf._memoPath && getMemoType(dbf._version) === memoType;
+    moves.push([target._memoPath, sameType ? dbf._memoPath : getMemoPath(dbf.path, memoType)]);
+    if (dbf._memoPath && !sameType) obsolete.push(dbf._memoPath);
+  } else if (dbf._memoPath) {
+    obsolete.push(dbf._memoPath);
+  }
+  moves.push([tempPath, dbf.path]);
+  await moveFiles(dbf.path, moves, obsolete);
+  
+  // Re-read the table's structure and reattach the indexes that were kept.
+  await reopenDBFFile(dbf.path);
+  const reopened = await openDBF(dbf.path, {
+    readMode: dbf._readMode,
+    encoding: dbf.encoding,
+    indexes: false,
+    numeric: dbf._numeric,
+    locking: { adapter: 'none' }
+  });
+  for (const key of ['fields', 'recordCount', 'dateOfLastUpdate', 'languageDriver', '_headerLength', '_recordLength',
+    '_memoPath', '_version', '_nullFlagBits', '_nullFlagsOffset']) {
+    dbf[key] = reopened[key];
+  }
+  dbf._recordsRead = 0;
+  const kept = dbf.indexes.filter(index => moves.some(([, to]) => to === index.path));
+  dbf.indexes = [];
+  for (const index of kept) {
+    const reopenedIndex = await openIndexOfDBF(dbf, index.path);
+    reopenedIndex.structural = index.structural;
+  }
+  return dbf;
+}
+
+/** Converts a record's values to the fields of an altered table. Added fields are null if nullable, else blank. */
+function convertRecord(target, fields, sources, record, recno) {
+  const values = {};
+  fields.forEach((field, i) => {
+    const from = sources[i];
+    if (!from) {
+      if (field.nullable) values[field.name] = null;
+      return;
+    }
+    const encoding = typeof target.encoding === 'string' ?
+      target.encoding :
+      target.encoding[field.name] || target.encoding.default;
+    try {
+      values[field.name] = convertValue(record[from.name], from, field, encoding);
+    } catch (err) {
+      throw new Error(`Cannot convert field '${from.name}' of record ${recno}: ${err.message}`);
+    }
+  });
+  try {
+    validateRecord(target.fields, values);
+  } catch (err) {
+    throw new Error(`Cannot convert record ${recno}: ${err.message}`);
+  }
+  return values;
+}
+
+/** Gets the path of the temporary copy of a file written while altering a table, e.g. CUST-alter.DBF. */
+function getAlterPath(filePath) {
+  const ext = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - ext.length)}-alter${ext}`;
+}
+
+/** Checks that the text of a record can be stored in another code page without loss. */
+function checkTranscodedRecord(fields, record, recno, encoding) {
+  for (const field of fields) {
+    const value = record[field.name];
+    if (typeof value !== 'string' || TextFieldTypes.indexOf(field.type) === -1) continue;
+    const bytes = iconv.encode(value, encoding);
+    if (iconv.decode(bytes, encoding) !== value) {
+      throw new Error(`Field '${field.name}' of record ${recno} can't be represented in encoding '${encoding}'`);
+    }
+    if (field.type !== 'M' && bytes.length > field.size) {
+      throw new Error(`Field '${field.name}' of record ${recno} is too long for its field in encoding '${encoding}'`);
+    }
+  }
+}
+
+/**
+ * Runs a write operation under an automatic lock. The record count is re-read first, since other users may have
+ * appended records since it was last read.
+ */
+async function writeWithLock(dbf, name, range, fn) {
+  return withLock(dbf, name, range, async () => {
+    await readRecordCount(dbf);
+    return fn();
+  });
+}
+
+/** Re-reads the record count and the date of last update from the header of the DBF file. */
+async function readRecordCount(dbf) {
+  let fd = 0;
+  try {
+    fd = await openDBFFile(dbf.path);
+    let buffer = Buffer.alloc(8);
+    await read(fd, buffer, 0, 8, 0);
+    dbf.dateOfLastUpdate = createDate(buffer.readUInt8(1) + 1900, buffer.readUInt8(2), buffer.readUInt8(3));
+    dbf.recordCount = buffer.readInt32LE(4);
+  } 
+  finally {
+    if (fd) await closeDBFFile(dbf.path);
+  }
+}
+
+/** Checks for locks held by others by briefly taking a file lock. Locks held by this instance do not count. */
+async function isDBFLockedByOthers(dbf) {
+  try {
+    const acquired = await acquireLock(dbf, 'file', dbf._locking.scheme.file, 0);
+    if (acquired) await releaseLocks(dbf, dbf._locking.scheme.file);
+    return false;
+  } catch (err) {
+    if (err.code === 'ELOCKED') return true;
+    throw err;
+  }
+}
+
+async function readRecordsByRecNoFromDBF(dbf, recnos) {
+  let fd = 0;
+  let memo = null;
+  try {
+    fd = await openDBFFile(dbf.path);
+    memo = await openMemoOf(dbf, 'r');
+    let buffer = Buffer.alloc(dbf._recordLength);
+    let records = [];
+    
+    for (const recno of recnos) {
+      if (recno < 1 || recno > dbf.recordCount) continue;
+      await read(fd, buffer, 0, buffer.length, dbf._headerLength + ((recno - 1) * dbf._recordLength));
+      if (buffer[0] === 0x2A && !dbf._includeDeletedRecords) continue;
+      records.push(await decodeRecord(dbf, buffer, memo));
+    }
+    
+    return records;
+  } 
+  finally {
+    await closeMemo(memo);
+    if (fd) await closeDBFFile(dbf.path);
+  }
+}
+
+async function openIndexOfDBF(dbf, indexPath) {
+  const index = await IndexFile.open(indexPath, dbf.fields, dbf.encoding);
+  dbf.indexes.push(index);
+  return index;
+}
+
+async function createIndexOfDBF(dbf, options) {
+  const opts = options || {};
+  const definition = {
+    name: opts.tag,
+    expression: opts.expression,
+    forExpression: opts.for,
+    unique: opts.unique,
+    descending: opts.descending
+  };
+  const isFoxPro = isVisualFoxProVersion(dbf._version) || dbf._version === 0xf5;
+  const indexPath = opts.path || getIndexPath(dbf.path, isFoxPro ? null : String(opts.tag), isFoxPro ? '.cdx' : '.ndx');
+  const scan = () => scanRecordsInDBF(dbf);
+  
+  // Compound index files get the tag added; other index files are created afresh.
+  let index = dbf.indexes.find(attached => path.resolve(attached.path) === path.resolve(indexPath));
+  const exists = await stat(indexPath).catch(() => 'missing') !== 'missing';
+  if (path.extname(indexPath).toLowerCase() === '.cdx' && (index || exists)) {
+    if (!index) index = await openIndexOfDBF(dbf, indexPath);
+    await index.addTag(definition, scan);
+  } else {
+    const created = await IndexFile.create(indexPath, dbf.fields, dbf.encoding, definition, scan);
+    if (index) dbf.indexes.splice(dbf.indexes.indexOf(index), 1, created);
+    else dbf.indexes.push(created);
+    index = created;
+  }
+  
+  // A .cdx file named after a FoxPro table is its structural index, which FoxPro opens when the table is opened.
+  const structuralPath = getIndexPath(dbf.path, null, '.cdx');
+  if (isFoxPro && path.resolve(indexPath).toLowerCase() === path.resolve(structuralPath).toLowerCase()) {
+    index.structural = true;
+    await setTableFlags(dbf, 0x01);
+  }
+  return index;
+}
+
+/** Gets the path of an index file next to a DBF file, named after the DBF file or a tag, matching its case. */
+function getIndexPath(dbfPath, tagName, extension) {
+  const ext = path.extname(dbfPath);
+  const upper = ext !== '' && ext === ext.toUpperCase();
+  const base = tagName === null ?
+    dbfPath.slice(0, dbfPath.length - ext.length) :
+    path.join(path.dirname(dbfPath), upper ? tagName.toUpperCase() : tagName.toLowerCase());
+  return base + (upper ? extension.toUpperCase() : extension);
+}
+
+/** Sets the language driver ID in the header of the DBF file (byte 29). */
+async function setLanguageDriver(dbf, languageDriver) {
+  let fd = 0;
+  try {
+    fd = await openDBFFile(dbf.path);
+    await write(fd, Buffer.from([languageDriver]), 0, 1, 29);
+    dbf.languageDriver = languageDriver;
+  } 
+  finally {
+    if (fd) await closeDBFFile(dbf.path);
+  }
+}
+
+/** Sets bits of the table flags in the header of the DBF file (byte 28). */
+async function setTableFlags(dbf, flags) {
+  let fd = 0;
+  try {
+    fd = await openDBFFile(dbf.path);
+    let buffer = Buffer.alloc(1);
+    await read(fd, buffer, 0, 1, 28);
+    if ((buffer[0] & flags) === flags) return;
+    buffer[0] |= flags;
+    await write(fd, buffer, 0, 1, 28);
+  } 
+  finally {
+    if (fd) await closeDBFFile(dbf.path);
+  }
+}
+
+async function findInIndexOfDBF(dbf, tagName, from, to, exact) {
+  for (const index of dbf.indexes) {
+    const tag = index.getTag(tagName);
+    if (tag) return index.find(tag, from, to, exact);
+  }
+  throw new Error(`Index tag '${tagName}' not found for file '${dbf.path}'.`);
+}
+
+/** Throws before a write if any attached index could not be kept up to date. */
+function assertIndexesWritable(dbf) {
+  for (const index of dbf.indexes) index.assertWritable();
+}
+
+/** Applies changes to records to all attached indexes. */
+async function updateIndexes(dbf, changes) {
+  if (changes.length === 0) return;
+  for (const index of dbf.indexes) {
+    await index.update(changes, (offset, length) => saveBeforeImage(dbf, index.path, offset, length));
+  }
+}
+
+/** Rebuilds all attached indexes from the records of the DBF file. */
+async function rebuildIndexes(dbf) {
+  for (const index of dbf.indexes) {
+    await saveBeforeImage(dbf, index.path, 0);
+    await index.rebuild(() => scanRecordsInDBF(dbf));
+  }
+}
+
+/**
+ * Saves the bytes of a file about to be overwritten to the journal of the transaction the DBF file takes part in, if
+ * any. The length defaults to the rest of the file.
+ */
+async function saveBeforeImage(dbf, filePath, offset, length) {
+  if (dbf._transaction) await dbf._transaction.save(dbf, filePath, offset, length);
+}
+
+/** Decodes a record buffer for computing index keys. Memo fields are not read. */
+async function decodeForIndex(dbf, buffer) {
+  return { record: await decodeRecord(dbf, buffer, null, 'number'), deleted: buffer[0] === 0x2A };
+}
+
+/** Reads every record of the DBF file, including deleted ones, for building indexes. */
+async function* scanRecordsInDBF(dbf) {
+  const batchSize = 1000;
+  let fd = 0;
+  try {
+    fd = await openDBFFile(dbf.path);
+    let buffer = Buffer.alloc(dbf._recordLength * batchSize);
+    for (let first = 1; first <= dbf.recordCount; first += batchSize) {
+      const count = Math.min(batchSize, dbf.recordCount - first + 1);
+      await read(fd, buffer, 0, count * dbf._recordLength, dbf._headerLength + ((first - 1) * dbf._recordLength));
+      for (let i = 0; i < count; ++i) {
+        const record = buffer.slice(i * dbf._recordLength, (i + 1) * dbf._recordLength);
+        yield { recno: first + i, ...await decodeForIndex(dbf, record) };
+      }
+    }
+  } 
+  finally {
+    if (fd) await closeDBFFile(dbf.path);
+  }
+}
+
+/** Sets the record count of the open DBF file, then rewrites the EOF marker and truncates anything after it. */
+async function writeRecordCount(fd, dbf, recordCount) {
+  let countBuffer = Buffer.alloc(4);
+  countBuffer.writeInt32LE(recordCount, 0);
+  await write(fd, countBuffer, 0, 4, 4);
+  const now = await writeDateOfLastUpdate(fd);
+  
+  const eofPosition = dbf._headerLength + (recordCount * dbf._recordLength);
+  await write(fd, Buffer.from([0x1A]), 0, 1, eofPosition);
+  await ftruncate(fd, eofPosition + 1);
+  
+  // Update the DBF object properties
+  dbf.recordCount = recordCount;
+  dbf.dateOfLastUpdate = now;
+  dbf._recordsRead = Math.min(dbf._recordsRead, recordCount);
+}
+
+/** Finds the position of the _NullFlags field within a record, or 0 if there is none. */
+function getNullFlagsOffset(fields) {
+  let offset = 1;
+  for (const field of fields) {
+    if (field.type === '0') return offset;
+    offset += field.size;
+  }
+  return 0;
+}
+
+/** Checks whether a bit of the _NullFlags field is set in a record buffer. */
+function isNullFlagSet(dbf, buffer, bit) {
+  if (!dbf._nullFlagsOffset || bit === undefined) return false;
+  return (buffer[dbf._nullFlagsOffset + (bit >> 3)] & (1 << (bit & 7))) !== 0;
+}
+
+/** Sets or clears a bit of the _NullFlags field in a record buffer. */
+function setNullFlag(dbf, buffer, bit, value) {
+  if (!dbf._nullFlagsOffset || bit === undefined) return;
+  const pos = dbf._nullFlagsOffset + (bit >> 3);
+  if (value) buffer[pos] |= (1 << (bit & 7));
+  else buffer[pos] &= ~(1 << (bit & 7));
+}
+
+/** Opens the memo file of a DBF file. Resolves to null if it has none (or it is missing in 'loose' mode). */
+async function openMemoOf(dbf, mode) {
+  if (!dbf._memoPath) return null;
+  return openMemo(dbf._memoPath, getMemoType(dbf._version), mode);
+}
+
+/** Writes today's date into the header of the open DBF file and returns it. */
+async function writeDateOfLastUpdate(fd) {
+  const now = new Date();
+  let dateBuffer = Buffer.alloc(3);
+  dateBuffer.writeUInt8(now.getFullYear() - 1900, 0);
+  dateBuffer.writeUInt8(now.getMonth() + 1, 1);
+  dateBuffer.writeUInt8(now.getDate(), 2);
+  await write(fd, dateBuffer, 0, 3, 1);
+  return now;
+}
+
+/** Decodes a single record from its fixed-width bytes, as read from the DBF file. */
+async function decodeRecord(dbf, buffer, memo, numeric = dbf._numeric) {
+  // Parse the record.
+  let record = {};
+  if (buffer[0] === 0x2A) record[DELETED] = true; // '*' character
+  let offset = 1; // Skip the deleted flag
+  
+  // Helper functions to extract data
+  let substrAt = (start, len, enc) => iconv.decode(buffer.slice(start, start + len), enc);
+  let int32At = (start, len) => buffer.slice(start, start + len).readInt32LE(0);
+  
+  // Process each field in the record
+  for (const field of dbf.fields) {
+    // The _NullFlags system field is not part of the record
+    if (field.type === '0') {
+      offset += field.size;
+      continue;
+    }
+    
+    // Nullable Visual FoxPro fields are null when their bit in _NullFlags is set
+    const bits = dbf._nullFlagBits[field.name];
+    if (bits && isNullFlagSet(dbf, buffer, bits.nullBit)) {
+      record[field.name] = null;
+      offset += field.size;
+      continue;
+    }
+    
+    // Get the encoding for this field
+    let encoding = typeof dbf.encoding === 'string' ? 
+      dbf.encoding : 
+      dbf.encoding[field.name] || dbf.encoding.default;
+    
+    // Extract the field value based on its type
+    let value;
+    switch (field.type) {
+      case 'C': // Character
+        value = substrAt(offset, field.size, encoding).trim();
+        break;
+      case 'N': // Numeric
+      case 'F': // Float
+        if (numeric === 'number') {
+          value = parseFloat(substrAt(offset, field.size, encoding).trim());
+          if (isNaN(value)) value = null;
+        } else {
+          const str = substrAt(offset, field.size, encoding).trim();
+          value = fromDecimal(isNumericValue(str) ? Decimal.from(str) : null, numeric, field.decimalPlaces || 0);
+        }
+        break;
+      case 'L': // Logical
+        {
+          const c = String.fromCharCode(buffer[offset]).toUpperCase();
+          value = (c === 'T' || c === 'Y') ? true : (c === 'F' || c === 'N') ? false : null;
+        }
+        break;
+      case 'D': // Date
+        {
+          const str = substrAt(offset, field.size, encoding).trim();
+          if (str.length >= 8) {
+            const year = parseInt(str.substring(0, 4), 10);
+            const month = parseInt(str.substring(4, 6), 10);
+            const day = parseInt(str.substring(6, 8), 10);
+            if (!isNaN(year) && !isNaN(month) && !isNaN(day)) {
+              value = createDate(year, month, day);
+            }
+            else value = null;
+          }
+          else value = null;
+        }
+        break;
+      case 'I': // Integer
+        value = int32At(offset, 4);
+        break;
+      case 'Y': // Currency (int64 scaled by 10^4)
+        value = numeric === 'number' ?
+          Number(buffer.readBigInt64LE(offset)) / 10000 :
+          fromDecimal(new Decimal(buffer.readBigInt64LE(offset), 4), numeric, 4);
+        break;
+      case 'B': // Double
+        value = buffer.readDoubleLE(offset);
+        break;
+      case 'T': // DateTime (Julian day number, then milliseconds since midnight)
+        {
+          const julianDay = int32At(offset, 4);
+          const ms = int32At(offset + 4, 4);
+          value = julianDay === 0 && ms === 0 ?
+            null :
+            new Date((julianDay - UNIX_EPOCH_JULIAN_DAY) * MS_PER_DAY + ms);
+        }
+        break;
+      case 'V': // Varchar
+      case 'Q': // Varbinary
+        {
+          // If the value is shorter than the field, its length is kept in the last byte of the field.
+          let length = field.size;
+          if (isNullFlagSet(dbf, buffer, (dbf._nullFlagBits[field.name] || {}).lengthBit)) {
+            length = buffer[offset + field.size - 1];
+          }
+          const bytes = buffer.slice(offset, offset + length);
+          value = field.type === 'Q' || field.binary ? Buffer.from(bytes) : iconv.decode(bytes, encoding);
+        }
+        break;
+      case 'M': // Memo
+      case 'G': // General
+      case 'W': // Blob
+        {
+          // The block number is a binary integer in Visual FoxPro tables, otherwise it is stored as text.
+          const block = field.size === 4 ?
+            int32At(offset, 4) :
+            parseInt(substrAt(offset, field.size, 'ascii').trim(), 10) || 0;
+          if (!memo) {
+            value = null; // Memo file missing in 'loose' mode
+          } else if (block === 0) {
+            value = field.type === 'M' ? '' : null;
+          } else {
+            const { data, isText } = await readMemo(memo, block);
+            value = isText && field.type === 'M' && !field.binary ? iconv.decode(data, encoding) : data;
+          }
+        }
+        break;
+      // Other field types can be added here as needed
+      default:
+        // Skip unsupported field types in loose mode
+        if (dbf._readMode === 'loose') {
+          value = null;
+        } else {
+          throw new Error(`Unsupported field type: '${field.type}'`);
+        }
+    }
+    
+    // Add the field to the record
+    record[field.name] = value;
+    
+    // Move to the next field
+    offset += field.size;
+  }
+  
+  return record;
+}
+
+/**
+ * Encodes a single record into its fixed-width bytes. The buffer must be zero-filled and `_recordLength` long. Memo
+ * values are written to new blocks in the memo file.
+ */
+async function encodeRecord(dbf, record, buffer, memo) {
+  // Set the deleted flag (0x20 means not deleted)
+  buffer[0] = 0x20;
+  
+  let offset = 1; // Skip the deleted flag
+  let nullFlags = []; // Bits of the _NullFlags field, applied once all fields have been written
+  
+  // Write each field value
+  for (const field of dbf.fields) {
+    // Get the encoding for this field
+    let encoding = typeof dbf.encoding === 'string' ? 
+      dbf.encoding : 
+      dbf.encoding[field.name] || dbf.encoding.default;
+    
+    // Get the field value (or null/empty if not provided)
+    let value = record[field.name];
+    
+    // Nullable Visual FoxPro fields set their bit in _NullFlags when the value is null
+    const bits = dbf._nullFlagBits[field.name] || {};
+    if (bits.nullBit !== undefined) {
+      nullFlags.push({ bit: bits.nullBit, set: value === null });
+    }
+    
+    // Convert the value based on the field type
+    switch (field.type) {
+      case 'C': // Character
+        {
+          const str = value !== null && value !== undefined ? String(value) : '';
+          buffer.fill(0x20, offset, offset + field.size); // Pad with spaces
+          encodeCharacterField(str, field.size, encoding).copy(buffer, offset);
+        }
+        break;
+      case 'N': // Numeric
+        {
+          if (value === null || value === undefined) {
+            buffer.fill(0x20, offset, offset + field.size); // Fill with spaces
+          } else {
+            const str = formatNumericField(field, value);
+            const bytes = iconv.encode(str.padStart(field.size, ' '), encoding);
+            bytes.copy(buffer, offset);
+          }
+        }
+        break;
+      case 'F': // Float
+        {
+          if (value === null || value === undefined) {
+            buffer.fill(0x20, offset, offset + field.size); // Fill with spaces
+          } else {
+            const str = formatNumericField(field, value);
+            const bytes = iconv.encode(str.padStart(field.size, ' '), encoding);
+            bytes.copy(buffer, offset);
+          }
+        }
+        break;
+      case 'L': // Logical
+        {
+          buffer[offset] = value === true ? 
+            0x54 : // 'T'
+            value === false ? 
+              0x46 : // 'F'
+              0x20;  // Space for null/undefined
+        }
+        break;
+      case 'D': // Date
+        {
+          if (value instanceof Date) {
+            // Dates are read as UTC midnight (see createDate), so they are written in UTC too
+            const year = value.getUTCFullYear();
+            const month = value.getUTCMonth() + 1;
+            const day = value.getUTCDate();
+            const str = 
+              String(year).padStart(4, '0') + 
+              String(month).padStart(2, '0') + 
+              String(day).padStart(2, '0');
+            const bytes = iconv.encode(str, encoding);
+            bytes.copy(buffer, offset);
+          } else {
+            buffer.fill(0x20, offset, offset + field.size); // Fill with spaces
+          }
+        }
+        break;
+      case 'I': // Integer
+        buffer.writeInt32LE(value === null || value === undefined ? 0 : Math.round(value), offset);
+        break;
+      case 'Y': // Currency (int64 scaled by 10^4)
+        buffer.writeBigInt64LE(value === null || value === undefined ? 0n : toCurrencyUnits(field, value), offset);
+        break;
+      case 'B': // Double
+        buffer.writeDoubleLE(value === null || value === undefined ? 0 : value, offset);
+        break;
+      case 'T': // DateTime (Julian day number, then milliseconds since midnight)
+        if (value instanceof Date) {
+          const time = value.getTime();
+          const days = Math.floor(time / MS_PER_DAY);
+          buffer.writeInt32LE(days + UNIX_EPOCH_JULIAN_DAY, offset);
+          buffer.writeInt32LE(time - (days * MS_PER_DAY), offset + 4);
+        }
+        break;
+      case 'V': // Varchar
+      case 'Q': // Varbinary
+        {
+          // Values shorter than the field store their length in the last byte and set the field's length bit.
+          let bytes;
+          if (value === null || value === undefined) bytes = Buffer.alloc(0);
+          else if (value instanceof Buffer) bytes = value;
+          else bytes = iconv.encode(String(value), encoding);
+          bytes = bytes.slice(0, field.size);
+          bytes.copy(buffer, offset);
+          nullFlags.push({ bit: bits.lengthBit, set: bytes.length < field.size });
+          if (bytes.length < field.size) buffer[offset + field.size - 1] = bytes.length;
+        }
+        break;
+      case 'M': // Memo
+      case 'G': // General
+      case 'W': // Blob
+        {
+          // Write non-empty values to a new memo block. Buffers are stored as binary data.
+          let block = 0;
+          if (value !== null && value !== undefined && value.length !== 0) {
+            if (!memo) {
+              throw new Error(`Memo file not found for file '${dbf.path}'.`);
+            }
+            const isText = field.type === 'M' && !(value instanceof Buffer);
+            const data = isText ? iconv.encode(String(value), encoding) : value;
+            block = await writeMemo(memo, data, isText);
+          }
+          if (field.size === 4) {
+            buffer.writeInt32LE(block, offset);
+          } else if (block === 0) {
+            buffer.fill(0x20, offset, offset + field.size); // Fill with spaces
+          } else {
+            buffer.write(String(block).padStart(field.size, ' '), offset, field.size, 'ascii');
+          }
+        }
+        break;
+      case '0': // _NullFlags
+        // Left zero-filled here; the null and varchar length bits are set once all fields are written
+        break;
+      // Other field types can be added here as needed
+      default:
+        throw new Error(`Unsupported field type: '${field.type}'`);
+    }
+    
+    // Move to the next field
+    offset += field.size;
+  }
+  
+  for (const { bit, set } of nullFlags) {
+    setNullFlag(dbf, buffer, bit, set);
+  }
+}
+
+/**
+ * Encodes the value of a character field, cut to fit in the field's size in bytes. Multibyte values are cut at a
+ * character boundary.
+ */
+function encodeCharacterField(str, size, encoding) {
+  let bytes = iconv.encode(str, encoding);
+  if (bytes.length <= size) return bytes;
+  const chars = Array.from(str).slice(0, size);
+  bytes = iconv.encode(chars.join(''), encoding);
+  while (bytes.length > size) {
+    chars.pop();
+    bytes = iconv.encode(chars.join(''), encoding);
+  }
+  return bytes;
+}
+
+/**
+ * Formats the value of a numeric (N or F) field as exact decimal text with the field's decimal places. Float fields
+ * without decimal places keep as many as fit. Throws an error if the value does not fit in the field.
+ */
+function formatNumericField(field, value) {
+  const decimalPlaces = field.decimalPlaces || 0;
+  let str;
+  if (field.type === 'F' && decimalPlaces === 0) {
+    const decimal = Decimal.from(value);
+    str = decimal.toString();
+    if (str.length > field.size && decimal.scale > 0) {
+      str = decimal.toFixed(Math.max(0, field.size - decimal.toFixed(0).length - 1));
+    }
+  } else {
+    str = formatDecimal(value, decimalPlaces);
+  }
+  if (str.length > field.size) {
+    const width = decimalPlaces > 0 ? `${field.size},${decimalPlaces}` : `${field.size}`;
+    throw new Error(`Value ${value} of field '${field.name}' does not fit in ${field.type}(${width})`);
+  }
+  return str;
+}
+
+/** Converts the value of a currency (Y) field to ten-thousandths. Throws an error if it is out of range. */
+function toCurrencyUnits(field, value) {
+  const units = Decimal.from(value, 4).units;
+  if (units < -(2n ** 63n) || units >= 2n ** 63n) {
+    throw new Error(`Value ${value} of field '${field.name}' is out of range for a currency field`);
+  }
+  return units;
+}
+
 function validateRecord(fields, record) {
   for (const field of fields) {
     const value = record[field.name];
@@ -561,9 +1714,10 @@ function validateRecord(fields, record) {
         break;
       case 'N': // Numeric
       case 'F': // Float
-        if (typeof value !== 'number') {
+        if (!isNumericValue(value)) {
           throw new Error(`Field '${field.name}' must be a number`);
         }
+        formatNumericField(field, value); // Throws if the value does not fit
         break;
       case 'L': // Logical
         if (typeof value !== 'boolean') {
@@ -575,6 +1729,40 @@ function validateRecord(fields, record) {
           throw new Error(`Field '${field.name}' must be a Date`);
         }
         break;
+      case 'M': // Memo
+      case 'V': // Varchar
+        if (typeof value !== 'string' && !(value instanceof Buffer)) {
+          throw new Error(`Field '${field.name}' must be a string or Buffer`);
+        }
+        break;
+      case 'I': // Integer
+        if (!Number.isInteger(value) || value < -2147483648 || value > 2147483647) {
+          throw new Error(`Field '${field.name}' must be a 32-bit integer`);
+        }
+        break;
+      case 'Y': // Currency
+        if (!isNumericValue(value)) {
+          throw new Error(`Field '${field.name}' must be a number`);
+        }
+        toCurrencyUnits(field, value); // Throws if the value is out of range
+        break;
+      case 'B': // Double
+        if (typeof value !== 'number') {
+          throw new Error(`Field '${field.name}' must be a number`);
+        }
+        break;
+      case 'T': // DateTime
+        if (!(value instanceof Date)) {
+          throw new Error(`Field '${field.name}' must be a Date`);
+        }
+        break;
+      case 'Q': // Varbinary
+      case 'G': // General
+      case 'W': // Blob
+        if (!(value instanceof Buffer)) {
+          throw new Error(`Field '${field.name}' must be a Buffer`);
+        }
+        break;
       // Other field types can be added here as needed
     }
   }
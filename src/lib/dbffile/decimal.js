@@ -0,0 +1,177 @@
+/**
+ * Exact decimal numbers, for reading and writing numeric fields without floating point rounding
+ *
+ * Numeric (N and F) fields store numbers as decimal text, and Currency (Y) fields as integer counts of ten-thousandths,
+ * so both can hold values that JavaScript numbers can't represent exactly. The `numeric` option chooses how their
+ * values are read:
+ * - number: JavaScript numbers (the default)
+ * - string: exact decimal strings, such as '1234.50'
+ * - bigint: BigInts for fields without decimal places, and exact decimal strings for the others
+ * - decimal: Decimal objects
+ * Values of any of these types may be written, whatever the option.
+ */
+
+const NumericModes = ['number', 'string', 'bigint', 'decimal'];
+
+// Largest exponent accepted in decimal strings such as '1.5e+21', far beyond any field's range
+const MAX_EXPONENT = 1000;
+
+class Decimal {
+  /**
+   * Create a decimal from an integer count of units and a scale, the number of decimal places the units are worth
+   * (use Decimal.from to convert other values)
+   * @param {bigint} units - The value times 10^scale
+   * @param {number} scale - Number of decimal places
+   */
+  constructor(units, scale = 0) {
+    if (typeof units !== 'bigint') throw new Error('Decimal units must be a BigInt');
+    if (!Number.isInteger(scale) || scale < 0) throw new Error(`Invalid decimal scale: ${scale}`);
+    /** The value times 10^scale. */
+    this.units = units;
+    /** Number of decimal places. */
+    this.scale = scale;
+  }
+
+  /**
+   * Converts a number, decimal string, BigInt or Decimal to a Decimal. Numbers are taken as their shortest decimal
+   * representation, so 0.1 + 0.2 becomes 0.30000000000000004.
+   * @param {number|string|bigint|Decimal} value - The value to convert
+   * @param {number} scale - Number of decimal places to round to, halves away from zero (optional)
+   * @returns {Decimal} - The decimal
+   */
+  static from(value, scale) {
+    let decimal;
+    if (value instanceof Decimal) decimal = value;
+    else if (typeof value === 'bigint') decimal = new Decimal(value, 0);
+    else if (typeof value === 'number' && Number.isFinite(value)) decimal = parseDecimal(String(value));
+    else if (typeof value === 'string') decimal = parseDecimal(value.trim());
+    if (!decimal) throw new Error(`Invalid decimal number: '${value}'`);
+    return scale === undefined ? decimal : decimal.round(scale);
+  }
+
+  /** Returns the sum of this decimal and another value. */
+  plus(other) {
+    const [a, b] = align(this, Decimal.from(other));
+    return new Decimal(a.units + b.units, a.scale);
+  }
+
+  /** Returns the difference between this decimal and another value. */
+  minus(other) {
+    const [a, b] = align(this, Decimal.from(other));
+    return new Decimal(a.units - b.units, a.scale);
+  }
+
+  /** Returns the product of this decimal and another value. */
+  times(other) {
+    const b = Decimal.from(other);
+    return new Decimal(this.units * b.units, this.scale + b.scale);
+  }
+
+  /** Rounds to a number of decimal places, halves away from zero. */
+  round(scale) {
+    if (!Number.isInteger(scale) || scale < 0) throw new Error(`Invalid decimal scale: ${scale}`);
+    if (scale >= this.scale) return new Decimal(this.units * 10n ** BigInt(scale - this.scale), scale);
+    const divisor = 10n ** BigInt(this.scale - scale);
+    const negative = this.units < 0n;
+    const magnitude = negative ? -this.units : this.units;
+    let units = magnitude / divisor;
+    if ((magnitude % divisor) * 2n >= divisor) ++units;
+    return new Decimal(negative ? -units : units, scale);
+  }
+
+  /** Compares with another value, returning -1, 0 or 1. */
+  compareTo(other) {
+    const [a, b] = align(this, Decimal.from(other));
+    return a.units < b.units ? -1 : a.units > b.units ? 1 : 0;
+  }
+
+  /** Checks whether this decimal has the same value as another, whatever their scales. */
+  equals(other) {
+    return this.compareTo(other) === 0;
+  }
+
+  /** Formats the decimal with a number of decimal places, rounding halves away from zero. */
+  toFixed(scale = 0) {
+    return this.round(scale).toString();
+  }
+
+  /** Converts the decimal to the nearest JavaScript number. */
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  /** Formats the decimal with all of its decimal places, e.g. '-1234.50'. */
+  toString() {
+    const negative = this.units < 0n;
+    const digits = (negative ? -this.units : this.units).toString().padStart(this.scale + 1, '0');
+    const integer = digits.slice(0, digits.length - this.scale);
+    const fraction = this.scale > 0 ? '.' + digits.slice(digits.length - this.scale) : '';
+    return (negative ? '-' : '') + integer + fraction;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * Formats a numeric value as exact decimal text with a number of decimal places, rounding halves away from zero
+ * @param {number|string|bigint|Decimal} value - The value to format
+ * @param {number} decimalPlaces - Number of decimal places
+ * @returns {string} - The formatted value
+ */
+function formatDecimal(value, decimalPlaces) {
+  return Decimal.from(value).toFixed(decimalPlaces);
+}
+
+/**
+ * Converts the exact value of a numeric field to the type chosen by the `numeric` option
+ * @param {Decimal} decimal - The value (or null)
+ * @param {string} mode - The `numeric` option
+ * @param {number} decimalPlaces - Number of decimal places of the field
+ * @returns {*} - The value as a number, string, BigInt or Decimal, or null
+ */
+function fromDecimal(decimal, mode, decimalPlaces) {
+  if (decimal === null) return null;
+  switch (mode) {
+    case 'string': return decimal.toString();
+    case 'bigint': return decimalPlaces > 0 || decimal.scale > 0 ? decimal.toString() : decimal.units;
+    case 'decimal': return decimal;
+    default: return decimal.toNumber();
+  }
+}
+
+/** Checks whether a value can be written to a numeric field. */
+function isNumericValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (typeof value === 'bigint' || value instanceof Decimal) return true;
+  return typeof value === 'string' && parseDecimal(value.trim()) !== null;
+}
+
+//-------------------- Private implementation starts here --------------------
+function parseDecimal(text) {
+  const match = /^([-+]?)(\d*)(?:\.(\d*))?(?:[eE]([-+]?\d+))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) return null;
+  const [, sign, integer, fraction = '', exponent = '0'] = match;
+  if (Math.abs(Number(exponent)) > MAX_EXPONENT) return null;
+  let units = BigInt(integer + fraction || '0');
+  let scale = fraction.length - Number(exponent);
+  if (scale < 0) {
+    units *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return new Decimal(sign === '-' ? -units : units, scale);
+}
+
+function align(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return [a.round(scale), b.round(scale)];
+}
+
+module.exports = {
+  Decimal,
+  NumericModes,
+  formatDecimal,
+  fromDecimal,
+  isNumericValue
+};
@@ -0,0 +1,660 @@
+/**
+ * xBase expression support
+ *
+ * Parses and evaluates dBase/FoxPro expressions such as index keys (`UPPER(NAME)+DTOS(DATE)`) and FOR clauses
+ * (`AMOUNT > 0 .AND. !DELETED()`). Expressions are compiled against a table's field descriptors, and evaluated
+ * against records as read from the table.
+ */
+
+/**
+ * Compiles an xBase expression
+ * @param {string} source - The expression text
+ * @param {Array} fields - Field descriptors of the table the expression refers to
+ * @param {Object} options - Options: `dateFormat`, the SET DATE format used by CTOD() and DTOC() (default: 'american')
+ * @returns {{source: string, type: string, evaluate: Function}} - The compiled expression. `type` is the xBase type of
+ * the result ('C', 'N', 'D', 'T' or 'L'), and `evaluate(record, context)` computes it for a record. The context may
+ * provide the record's `recno` and whether it is `deleted`.
+ */
+function compileExpression(source, fields, options = {}) {
+  const dateFormat = getDateFormat(options.dateFormat);
+  const parser = new Parser(tokenize(String(source)), source, fields || []);
+  const node = parser.parseExpression();
+  if (!parser.atEnd()) {
+    throw new SyntaxError(`Unexpected '${parser.peek().text}' in expression '${source}'`);
+  }
+  return {
+    source,
+    type: node.type,
+    evaluate: (record, context) => node.evaluate({ record, recno: 0, deleted: false, dateFormat, ...context })
+  };
+}
+
+/**
+ * Formats a date as DTOC() does (with SET CENTURY ON)
+ * @param {Date} date - The date
+ * @param {string} dateFormat - The SET DATE format, e.g. 'american', 'british' or 'german' (default: 'american')
+ * @returns {string} - The formatted date, e.g. '01/31/2024'
+ */
+function formatDate(date, dateFormat) {
+  return dtoc(date, getDateFormat(dateFormat));
+}
+
+/**
+ * Parses a date as CTOD() does
+ * @param {string} text - The date text, in the order of the date format
+ * @param {string} dateFormat - The SET DATE format (default: 'american')
+ * @returns {Date|null} - The date, or null if the text is not a valid date
+ */
+function parseDate(text, dateFormat) {
+  return ctod(text, getDateFormat(dateFormat));
+}
+
+/**
+ * Renames fields in an xBase expression, leaving the rest of its text as it was
+ * @param {string} source - The expression text
+ * @param {Object} renames - New field names by old field name (case-insensitive)
+ * @returns {string} - The expression with the fields renamed
+ */
+function renameFields(source, renames) {
+  const byName = {};
+  for (const name of Object.keys(renames)) byName[name.toUpperCase()] = renames[name];
+  const tokens = tokenize(String(source));
+  let result = '';
+  let last = 0;
+  tokens.forEach((token, i) => {
+    // Names followed by a parenthesis are functions. Qualified names (ALIAS.FIELD) are renamed after the alias.
+    if (token.kind !== 'name' || (tokens[i + 1] && tokens[i + 1].text === '(')) return;
+    const name = /[A-Za-z_][A-Za-z0-9_]*$/.exec(token.text)[0];
+    const renamed = byName[name.toUpperCase()];
+    if (renamed === undefined) return;
+    const start = token.start + token.text.length - name.length;
+    result += source.slice(last, start) + renamed;
+    last = start + name.length;
+  });
+  return result + source.slice(last);
+}
+
+//-------------------- Tokenizer --------------------
+const DOT_WORDS = ['.AND.', '.OR.', '.NOT.', '.T.', '.F.', '.Y.', '.N.'];
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const c = source[i];
+    if (/\s/.test(c)) {
+      ++i;
+      continue;
+    }
+
+    // Dotted operators and logical literals, e.g. .AND. or .T.
+    if (c === '.') {
+      const word = DOT_WORDS.find(w => source.substr(i, w.length).toUpperCase() === w);
+      if (word) {
+        tokens.push({ kind: 'dot', text: word, start: i });
+        i += word.length;
+        continue;
+      }
+    }
+
+    // Numbers
+    if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = /^(?:[0-9]+(?:\.[0-9]+)?|\.[0-9]+)/.exec(source.slice(i))[0];
+      tokens.push({ kind: 'number', text: match, value: parseFloat(match), start: i });
+      i += match.length;
+      continue;
+    }
+
+    // Strings: "...", '...' or [...]
+    if (c === '"' || c === "'" || c === '[') {
+      const close = c === '[' ? ']' : c;
+      const end = source.indexOf(close, i + 1);
+      if (end < 0) throw new SyntaxError(`Unterminated string in expression '${source}'`);
+      tokens.push({ kind: 'string', text: source.slice(i, end + 1), value: source.slice(i + 1, end), start: i });
+      i = end + 1;
+      continue;
+    }
+
+    // Date literals: {^2024-01-31}, or {} for an empty date
+    if (c === '{') {
+      const end = source.indexOf('}', i + 1);
+      if (end < 0) throw new SyntaxError(`Unterminated date literal in expression '${source}'`);
+      tokens.push({ kind: 'date', text: source.slice(i, end + 1), value: source.slice(i + 1, end).trim(), start: i });
+      i = end + 1;
+      continue;
+    }
+
+    // Identifiers, optionally qualified with an alias (ALIAS.FIELD or ALIAS->FIELD)
+    if (/[A-Za-z_]/.test(c)) {
+      let match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i))[0];
+      const rest = source.slice(i + match.length);
+      const qualified = /^(?:->|\.)[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+      if (qualified && !DOT_WORDS.some(w => rest.toUpperCase().startsWith(w))) match += qualified[0];
+      tokens.push({ kind: 'name', text: match, start: i });
+      i += match.length;
+      continue;
+    }
+
+    // Operators
+    const op = ['==', '<>', '!=', '<=', '>=', '**', '->'].find(o => source.substr(i, 2) === o) ||
+      ('+-*/%^=<>#!$(),'.indexOf(c) >= 0 ? c : null);
+    if (!op) throw new SyntaxError(`Unexpected character '${c}' in expression '${source}'`);
+    tokens.push({ kind: 'op', text: op, start: i });
+    i += op.length;
+  }
+  return tokens;
+}
+
+//-------------------- Parser --------------------
+// Binary operators by precedence level, lowest first
+const BINARY_LEVELS = [
+  ['.OR.'],
+  ['.AND.'],
+  null, // .NOT. / ! (unary)
+  ['=', '==', '<>', '!=', '#', '<', '>', '<=', '>=', '$'],
+  ['+', '-'],
+  ['*', '/', '%'],
+  ['^', '**']
+];
+
+class Parser {
+  constructor(tokens, source, fields) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.source = source;
+    this.fields = fields;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  atEnd() {
+    return this.pos >= this.tokens.length;
+  }
+
+  next() {
+    const token = this.tokens[this.pos++];
+    if (!token) throw new SyntaxError(`Unexpected end of expression '${this.source}'`);
+    return token;
+  }
+
+  expect(text) {
+    const token = this.next();
+    if (token.text !== text) throw new SyntaxError(`Expected '${text}' in expression '${this.source}'`);
+  }
+
+  isOperator(texts) {
+    const token = this.peek();
+    return token && (token.kind === 'op' || token.kind === 'dot') && texts.indexOf(token.text) >= 0;
+  }
+
+  parseExpression(level = 0) {
+    if (level >= BINARY_LEVELS.length) return this.parseUnary();
+
+    // .NOT. and ! bind looser than comparisons but tighter than .AND.
+    if (BINARY_LEVELS[level] === null) {
+      if (this.isOperator(['.NOT.', '!'])) {
+        this.next();
+        return notNode(this.parseExpression(level));
+      }
+      return this.parseExpression(level + 1);
+    }
+
+    let left = this.parseExpression(level + 1);
+    while (this.isOperator(BINARY_LEVELS[level])) {
+      const op = this.next().text;
+      const right = this.parseExpression(level + 1);
+      left = binaryNode(op, left, right, this.source);
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator(['-', '+'])) {
+      const op = this.next().text;
+      const operand = this.parseUnary();
+      return op === '-' ? { type: 'N', evaluate: ctx => nullable(operand.evaluate(ctx), v => -v) } : operand;
+    }
+    if (this.isOperator(['!'])) {
+      this.next();
+      return notNode(this.parseUnary());
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    switch (token.kind) {
+      case 'number':
+        return constant('N', token.value);
+      case 'string':
+        return constant('C', token.value);
+      case 'date':
+        return constant('D', parseDateLiteral(token.value, this.source));
+      case 'dot':
+        if (['.T.', '.Y.'].indexOf(token.text) >= 0) return constant('L', true);
+        if (['.F.', '.N.'].indexOf(token.text) >= 0) return constant('L', false);
+        break;
+      case 'op':
+        if (token.text === '(') {
+          const inner = this.parseExpression();
+          this.expect(')');
+          return inner;
+        }
+        break;
+      case 'name':
+        if (this.isOperator(['('])) {
+          this.next();
+          const args = [];
+          if (!this.isOperator([')'])) {
+            do {
+              args.push(this.parseExpression());
+            } while (this.isOperator([',']) && this.next());
+          }
+          this.expect(')');
+          return functionNode(token.text, args, this.source);
+        }
+        return fieldNode(token.text, this.fields, this.source);
+    }
+    throw new SyntaxError(`Unexpected '${token.text}' in expression '${this.source}'`);
+  }
+}
+
+//-------------------- Nodes --------------------
+function constant(type, value) {
+  return { type, evaluate: () => value };
+}
+
+function fieldNode(name, fields, source) {
+  // Strip any alias qualifier; the expression always refers to the current table.
+  const fieldName = name.split(/->|\./).pop().toUpperCase();
+  const field = fields.find(f => f.name.toUpperCase() === fieldName);
+  if (!field) throw new Error(`Unknown field '${name}' in expression '${source}'`);
+
+  const type = fieldValueType(field.type);
+  if (type === 'C' && field.type === 'C') {
+    // Character fields are read trimmed, but xBase expressions see them padded to the field width.
+    return {
+      type,
+      evaluate: ctx => {
+        const value = ctx.record[field.name];
+        return value === null || value === undefined ? null : String(value).padEnd(field.size, ' ');
+      }
+    };
+  }
+  if (type === 'N') {
+    // Numeric fields may be read as exact strings, BigInts or Decimals (the `numeric` option); expressions use numbers.
+    return {
+      type,
+      evaluate: ctx => {
+        const value = ctx.record[field.name];
+        return value === null || value === undefined ? null : typeof value === 'number' ? value : Number(value);
+      }
+    };
+  }
+  return {
+    type,
+    evaluate: ctx => {
+      const value = ctx.record[field.name];
+      return value === undefined ? null : value;
+    }
+  };
+}
+
+function fieldValueType(fieldType) {
+  switch (fieldType) {
+    case 'N': case 'F': case 'I': case 'Y': case 'B': return 'N';
+    case 'D': return 'D';
+    case 'T': return 'T';
+    case 'L': return 'L';
+    default: return 'C';
+  }
+}
+
+function notNode(operand) {
+  return { type: 'L', evaluate: ctx => !operand.evaluate(ctx) };
+}
+
+function binaryNode(op, left, right, source) {
+  switch (op) {
+    case '.AND.':
+      return { type: 'L', evaluate: ctx => !!left.evaluate(ctx) && !!right.evaluate(ctx) };
+    case '.OR.':
+      return { type: 'L', evaluate: ctx => !!left.evaluate(ctx) || !!right.evaluate(ctx) };
+    case '=': case '==': case '<>': case '!=': case '#': case '<': case '>': case '<=': case '>=':
+      checkOperandTypes(op, left.type, right.type, source);
+      return {
+        type: 'L',
+        evaluate: ctx => compareValues(op, left.evaluate(ctx), right.evaluate(ctx))
+      };
+    case '$':
+      checkOperandTypes(op, left.type, 'C', source);
+      checkOperandTypes(op, right.type, 'C', source);
+      return {
+        type: 'L',
+        evaluate: ctx => {
+          const needle = left.evaluate(ctx);
+          const haystack = right.evaluate(ctx);
+          return needle !== null && haystack !== null && String(haystack).indexOf(String(needle)) >= 0;
+        }
+      };
+    case '+':
+      if (left.type === 'C') {
+        return { type: 'C', evaluate: ctx => concat(left.evaluate(ctx), right.evaluate(ctx)) };
+      }
+      if (left.type === 'D' || left.type === 'T') {
+        const unit = left.type === 'D' ? MS_PER_DAY : 1000;
+        return {
+          type: left.type,
+          evaluate: ctx => nullable2(left.evaluate(ctx), right.evaluate(ctx), (d, n) => new Date(d.getTime() + n * unit))
+        };
+      }
+      return arithmetic((a, b) => a + b);
+    case '-':
+      if (left.type === 'C') {
+        // Trailing blanks of the left operand are moved to the end of the result.
+        return {
+          type: 'C',
+          evaluate: ctx => nullable2(left.evaluate(ctx), right.evaluate(ctx), (a, b) => {
+            const trimmed = a.replace(/ +$/, '');
+            return trimmed + b + ' '.repeat(a.length - trimmed.length);
+          })
+        };
+      }
+      if (left.type === 'D' || left.type === 'T') {
+        const unit = left.type === 'D' ? MS_PER_DAY : 1000;
+        if (right.type === left.type) {
+          return {
+            type: 'N',
+            evaluate: ctx => nullable2(left.evaluate(ctx), right.evaluate(ctx), (a, b) => (a.getTime() - b.getTime()) / unit)
+          };
+        }
+        return {
+          type: left.type,
+          evaluate: ctx => nullable2(left.evaluate(ctx), right.evaluate(ctx), (d, n) => new Date(d.getTime() - n * unit))
+        };
+      }
+      return arithmetic((a, b) => a - b);
+    case '*':
+      return arithmetic((a, b) => a * b);
+    case '/':
+      return arithmetic((a, b) => a / b);
+    case '%':
+      return arithmetic((a, b) => a - Math.floor(a / b) * b);
+    case '^': case '**':
+      return arithmetic((a, b) => Math.pow(a, b));
+  }
+  throw new SyntaxError(`Unsupported operator '${op}' in expression '${source}'`);
+
+  function arithmetic(fn) {
+    return { type: 'N', evaluate: ctx => nullable2(left.evaluate(ctx), right.evaluate(ctx), fn) };
+  }
+}
+
+/**
+ * Throws if the operands of an operator are of types it can't compare, as FoxPro does when it compiles `AMOUNT > 'x'`.
+ * Dates and datetimes compare with each other.
+ */
+function checkOperandTypes(op, leftType, rightType, source) {
+  const kind = type => type === 'T' ? 'D' : type;
+  if (kind(leftType) !== kind(rightType)) {
+    throw new TypeError(`Operator/operand type mismatch: '${op}' on types '${leftType}' and '${rightType}' in ` +
+      `expression '${source}'`);
+  }
+}
+
+function functionNode(name, args, source) {
+  const fn = Functions[name.toUpperCase()];
+  if (!fn) throw new Error(`Unknown function '${name}' in expression '${source}'`);
+  if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+    throw new Error(`Wrong number of arguments to ${name.toUpperCase()}() in expression '${source}'`);
+  }
+  const type = typeof fn.type === 'function' ? fn.type(args.map(arg => arg.type)) : fn.type;
+  return {
+    type,
+    evaluate: ctx => fn.evaluate(args.map(arg => arg.evaluate(ctx)), ctx)
+  };
+}
+
+//-------------------- Semantics --------------------
+const MS_PER_DAY = 86400000;
+
+// SET DATE formats: the order of the day, month and year, and the separator DTOC() puts between them
+const DateFormats = {
+  american: { order: 'MDY', separator: '/' },
+  ansi: { order: 'YMD', separator: '.' },
+  british: { order: 'DMY', separator: '/' },
+  french: { order: 'DMY', separator: '/' },
+  german: { order: 'DMY', separator: '.' },
+  italian: { order: 'DMY', separator: '-' },
+  japan: { order: 'YMD', separator: '/' },
+  usa: { order: 'MDY', separator: '-' },
+  mdy: { order: 'MDY', separator: '/' },
+  dmy: { order: 'DMY', separator: '/' },
+  ymd: { order: 'YMD', separator: '/' }
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October',
+  'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function getDateFormat(name) {
+  const dateFormat = DateFormats[String(name || 'american').toLowerCase()];
+  if (!dateFormat) throw new Error(`Invalid date format: '${name}'`);
+  return dateFormat;
+}
+
+function nullable(value, fn) {
+  return value === null || value === undefined ? null : fn(value);
+}
+
+function nullable2(a, b, fn) {
+  return a === null || a === undefined || b === null || b === undefined ? null : fn(a, b);
+}
+
+function concat(a, b) {
+  return nullable2(a, b, (x, y) => String(x) + String(y));
+}
+
+/** Compares two values using xBase rules: `=` on strings matches a prefix (SET EXACT OFF), `==` matches exactly. */
+function compareValues(op, a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return op === '<>' || op === '!=' || op === '#' ? a !== b : a === b && (op === '=' || op === '==');
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    if (op === '=') return a.startsWith(b);
+    if (op === '==') return a === b;
+    if (op === '<>' || op === '!=' || op === '#') return !a.startsWith(b);
+    const length = Math.max(a.length, b.length);
+    return compareOrdered(op, a.padEnd(length, ' '), b.padEnd(length, ' '));
+  }
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  switch (op) {
+    case '=': case '==': return a === b;
+    case '<>': case '!=': case '#': return a !== b;
+    default: return compareOrdered(op, a, b);
+  }
+}
+
+function compareOrdered(op, a, b) {
+  switch (op) {
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    default: return a >= b;
+  }
+}
+
+function parseDateLiteral(text, source) {
+  if (text === '' || text === '^') return null;
+  const match = /^\^?(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(text);
+  if (!match) throw new SyntaxError(`Invalid date literal '{${text}}' in expression '${source}'`);
+  return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+}
+
+/** Formats a number the way STR() does: right-aligned in `length` characters, or asterisks if it does not fit. */
+function formatNumber(value, length = 10, decimals = 0) {
+  const str = value.toFixed(decimals);
+  return str.length > length ? '*'.repeat(length) : str.padStart(length, ' ');
+}
+
+/**
+ * Parses a date the way CTOD() does, in the order of the date format, or as a strict date ('^yyyy-mm-dd'). Two-digit
+ * years are taken as 19yy from 50 and 20yy below. Resolves to null (an empty date) if the text is not a valid date.
+ */
+function ctod(text, format) {
+  const strict = /^\s*\^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(text);
+  const parts = strict ? strict.slice(1) : String(text).trim().split(/[^0-9]+/);
+  if (parts.length !== 3 || parts.some(part => part === '')) return null;
+  const order = strict ? 'YMD' : format.order;
+  let year = Number(parts[order.indexOf('Y')]);
+  const month = Number(parts[order.indexOf('M')]);
+  const day = Number(parts[order.indexOf('D')]);
+  if (parts[order.indexOf('Y')].length <= 2) year += year >= 50 ? 1900 : 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+/** Formats a date the way DTOC() does (with SET CENTURY ON), or as blanks for an empty date. */
+function dtoc(date, format) {
+  if (!date) return ' '.repeat(10);
+  const parts = {
+    Y: String(date.getUTCFullYear()).padStart(4, '0'),
+    M: String(date.getUTCMonth() + 1).padStart(2, '0'),
+    D: String(date.getUTCDate()).padStart(2, '0')
+  };
+  return format.order.split('').map(part => parts[part]).join(format.separator);
+}
+
+/** Rounds a number to a number of decimal places (negative to round to tens, hundreds...), halves away from zero. */
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  const scaled = Number((Math.abs(value) * factor).toPrecision(15));
+  return Math.sign(value) * Math.round(scaled) / factor;
+}
+
+function dtos(date) {
+  if (!date) return ' '.repeat(8);
+  return String(date.getUTCFullYear()).padStart(4, '0') +
+    String(date.getUTCMonth() + 1).padStart(2, '0') +
+    String(date.getUTCDate()).padStart(2, '0');
+}
+
+// Built-in functions. Each has a result type (or a function of the argument types), argument count limits and an
+// evaluator taking the evaluated arguments and the evaluation context.
+const Functions = {
+  UPPER: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([s]) => nullable(s, v => String(v).toUpperCase()) },
+  LOWER: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([s]) => nullable(s, v => String(v).toLowerCase()) },
+  TRIM: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([s]) => nullable(s, v => String(v).replace(/ +$/, '')) },
+  RTRIM: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([s]) => nullable(s, v => String(v).replace(/ +$/, '')) },
+  LTRIM: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([s]) => nullable(s, v => String(v).replace(/^ +/, '')) },
+  ALLTRIM: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([s]) => nullable(s, v => String(v).trim()) },
+  SUBSTR: {
+    type: 'C', minArgs: 2, maxArgs: 3,
+    evaluate: ([s, start, length]) => nullable(s, v => {
+      const from = Math.max(0, start - 1);
+      return length === undefined ? v.substr(from) : v.substr(from, Math.max(0, length));
+    })
+  },
+  LEFT: { type: 'C', minArgs: 2, maxArgs: 2, evaluate: ([s, n]) => nullable(s, v => v.substr(0, Math.max(0, n))) },
+  RIGHT: {
+    type: 'C', minArgs: 2, maxArgs: 2,
+    evaluate: ([s, n]) => nullable(s, v => n <= 0 ? '' : v.substr(Math.max(0, v.length - n)))
+  },
+  PADL: {
+    type: 'C', minArgs: 2, maxArgs: 3,
+    evaluate: ([s, n, c = ' ']) => nullable(s, v => String(v).padStart(n, c).substr(-n))
+  },
+  PADR: {
+    type: 'C', minArgs: 2, maxArgs: 3,
+    evaluate: ([s, n, c = ' ']) => nullable(s, v => String(v).padEnd(n, c).substr(0, n))
+  },
+  STR: {
+    type: 'C', minArgs: 1, maxArgs: 3,
+    evaluate: ([n, length, decimals]) => nullable(n, v => formatNumber(v, length, decimals))
+  },
+  VAL: {
+    type: 'N', minArgs: 1, maxArgs: 1,
+    evaluate: ([s]) => nullable(s, v => parseFloat(String(v).trim()) || 0)
+  },
+  DTOS: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([d]) => dtos(d) },
+  CTOD: { type: 'D', minArgs: 1, maxArgs: 1, evaluate: ([s], ctx) => nullable(s, v => ctod(v, ctx.dateFormat)) },
+  DTOC: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([d], ctx) => dtoc(d, ctx.dateFormat) },
+  DATE: { type: 'D', minArgs: 0, maxArgs: 0, evaluate: () => {
+    const now = new Date();
+    return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  } },
+  YEAR: { type: 'N', minArgs: 1, maxArgs: 1, evaluate: ([d]) => d ? d.getUTCFullYear() : 0 },
+  MONTH: { type: 'N', minArgs: 1, maxArgs: 1, evaluate: ([d]) => d ? d.getUTCMonth() + 1 : 0 },
+  DAY: { type: 'N', minArgs: 1, maxArgs: 1, evaluate: ([d]) => d ? d.getUTCDate() : 0 },
+  DOW: { type: 'N', minArgs: 1, maxArgs: 1, evaluate: ([d]) => d ? d.getUTCDay() + 1 : 0 },
+  CMONTH: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([d]) => d ? MONTH_NAMES[d.getUTCMonth()] : '' },
+  CDOW: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([d]) => d ? DAY_NAMES[d.getUTCDay()] : '' },
+  LEN: { type: 'N', minArgs: 1, maxArgs: 1, evaluate: ([s]) => nullable(s, v => String(v).length) },
+  AT: {
+    type: 'N', minArgs: 2, maxArgs: 3,
+    evaluate: ([needle, haystack, occurrence = 1]) => nullable2(needle, haystack, (n, h) => {
+      let pos = -1;
+      for (let i = 0; i < occurrence; ++i) {
+        pos = h.indexOf(n, pos + 1);
+        if (pos < 0) break;
+      }
+      return pos + 1;
+    })
+  },
+  SPACE: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([n]) => ' '.repeat(Math.max(0, n)) },
+  REPLICATE: {
+    type: 'C', minArgs: 2, maxArgs: 2,
+    evaluate: ([s, n]) => nullable(s, v => String(v).repeat(Math.max(0, n)))
+  },
+  STRTRAN: {
+    type: 'C', minArgs: 2, maxArgs: 3,
+    evaluate: ([s, search, replacement = '']) => nullable(s, v => search === '' ? v : v.split(search).join(replacement))
+  },
+  CHR: { type: 'C', minArgs: 1, maxArgs: 1, evaluate: ([n]) => nullable(n, v => String.fromCharCode(v)) },
+  ASC: { type: 'N', minArgs: 1, maxArgs: 1, evaluate: ([s]) => nullable(s, v => v === '' ? 0 : v.charCodeAt(0)) },
+  ABS: { type: 'N', minArgs: 1, maxArgs: 1, evaluate: ([n]) => nullable(n, Math.abs) },
+  INT: { type: 'N', minArgs: 1, maxArgs: 1, evaluate: ([n]) => nullable(n, Math.trunc) },
+  ROUND: { type: 'N', minArgs: 2, maxArgs: 2, evaluate: ([n, places]) => nullable(n, v => round(v, places)) },
+  MOD: {
+    type: 'N', minArgs: 2, maxArgs: 2,
+    evaluate: ([a, b]) => nullable2(a, b, (x, y) => x - Math.floor(x / y) * y)
+  },
+  MAX: {
+    type: argTypes => argTypes[0], minArgs: 2, maxArgs: 2,
+    evaluate: ([a, b]) => nullable2(a, b, (x, y) => x >= y ? x : y)
+  },
+  MIN: {
+    type: argTypes => argTypes[0], minArgs: 2, maxArgs: 2,
+    evaluate: ([a, b]) => nullable2(a, b, (x, y) => x <= y ? x : y)
+  },
+  BETWEEN: {
+    type: 'L', minArgs: 3, maxArgs: 3,
+    evaluate: ([v, low, high]) => compareValues('>=', v, low) && compareValues('<=', v, high)
+  },
+  INLIST: {
+    type: 'L', minArgs: 2, maxArgs: 25,
+    evaluate: ([v, ...items]) => items.some(item => compareValues('=', v, item))
+  },
+  NVL: { type: argTypes => argTypes[0], minArgs: 2, maxArgs: 2, evaluate: ([v, other]) => v === null ? other : v },
+  ISNULL: { type: 'L', minArgs: 1, maxArgs: 1, evaluate: ([v]) => v === null || v === undefined },
+  IIF: {
+    type: argTypes => argTypes[1], minArgs: 3, maxArgs: 3,
+    evaluate: ([condition, a, b]) => condition ? a : b
+  },
+  EMPTY: {
+    type: 'L', minArgs: 1, maxArgs: 1,
+    evaluate: ([v]) => v === null || v === undefined || v === 0 || v === false || (typeof v === 'string' && v.trim() === '')
+  },
+  DELETED: { type: 'L', minArgs: 0, maxArgs: 0, evaluate: (args, ctx) => !!ctx.deleted },
+  RECNO: { type: 'N', minArgs: 0, maxArgs: 0, evaluate: (args, ctx) => ctx.recno }
+};
+
+module.exports = {
+  compileExpression,
+  formatDate,
+  parseDate,
+  renameFields
+};
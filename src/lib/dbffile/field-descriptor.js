@@ -23,9 +23,13 @@ function validateFieldDescriptor(field, fileVersion) {
     throw new Error('Type must be a single character');
   if (FieldTypes.indexOf(type) === -1)
     throw new Error(`Type '${type}' is not supported`);
+  if (VisualFoxProFieldTypes.indexOf(type) !== -1 && !isVisualFoxProVersion(fileVersion))
+    throw new Error(`Type '${type}' is only supported by Visual FoxPro tables (file version 0x30, 0x31 or 0x32)`);
+  if (field.nullable && !isVisualFoxProVersion(fileVersion))
+    throw new Error(`Field '${name}' can only be nullable in a Visual FoxPro table (file version 0x30, 0x31 or 0x32)`);
   
   // size
-  const memoSize = fileVersion == 0x30 ? 4 : 10;
+  const memoSize = isVisualFoxProVersion(fileVersion) ? 4 : 10;
   if (typeof size !== 'number')
     throw new Error('Size must be a number');
   if (size < 1)
@@ -44,6 +48,14 @@ function validateFieldDescriptor(field, fileVersion) {
     throw new Error('Invalid field size (must be 8)');
   if (type === 'M' && size !== memoSize)
     throw new Error(`Invalid field size (must be ${memoSize})`);
+  if (type === 'G' && size !== memoSize)
+    throw new Error(`Invalid field size (must be ${memoSize})`);
+  if (type === 'W' && size !== 4)
+    throw new Error('Invalid field size (must be 4)');
+  if (type === 'I' && size !== 4)
+    throw new Error('Invalid field size (must be 4)');
+  if ((type === 'V' || type === 'Q') && size > 254)
+    throw new Error('Field size is too large (maximum is 254)');
   if (type === 'T' && size !== 8)
     throw new Error('Invalid field size (must be 8)');
   if (type === 'B' && size !== 8)
@@ -59,9 +71,43 @@ function validateFieldDescriptor(field, fileVersion) {
     throw new Error('Decimal count is too large (maximum is 15)');
 }
 
+/**
+ * Checks if a file version is one of the Visual FoxPro versions
+ * @param {number} fileVersion - The DBF file version
+ * @returns {boolean} - True for Visual FoxPro tables (0x30, 0x31 and 0x32)
+ */
+function isVisualFoxProVersion(fileVersion) {
+  return fileVersion === 0x30 || fileVersion === 0x31 || fileVersion === 0x32;
+}
+
+/**
+ * Works out which bits of the _NullFlags field belong to each field of a Visual FoxPro table. Bits are numbered in
+ * field order: varchar and varbinary fields get a bit that is set when the value is shorter than the field, then
+ * nullable fields get a bit that is set when the value is null.
+ * @param {Array} fields - The field descriptors
+ * @returns {Object} - Map from field name to { lengthBit, nullBit } (either may be undefined)
+ */
+function getNullFlagBits(fields) {
+  const bits = {};
+  let next = 0;
+  for (const field of fields) {
+    if (field.type === '0') continue;
+    const entry = {};
+    if (field.type === 'V' || field.type === 'Q') entry.lengthBit = next++;
+    if (field.nullable) entry.nullBit = next++;
+    if (entry.lengthBit !== undefined || entry.nullBit !== undefined) bits[field.name] = entry;
+  }
+  return bits;
+}
+
 // Supported field types
-const FieldTypes = ['C', 'N', 'F', 'Y', 'L', 'D', 'I', 'M', 'T', 'B', '0'];
+const FieldTypes = ['C', 'N', 'F', 'Y', 'L', 'D', 'I', 'M', 'T', 'B', 'V', 'Q', 'G', 'W', '0'];
+
+// Field types only Visual FoxPro tables have, since they need its record layout or its _NullFlags field
+const VisualFoxProFieldTypes = ['Y', 'I', 'T', 'B', 'V', 'Q', 'W', '0'];
 
 module.exports = {
-  validateFieldDescriptor
+  validateFieldDescriptor,
+  isVisualFoxProVersion,
+  getNullFlagBits
 }; 
\ No newline at end of file
@@ -3,7 +3,7 @@
  */
 
 // Supported DBF file versions
-const SupportedFileVersions = [0x03, 0x83, 0x8b, 0x30, 0xf5];
+const SupportedFileVersions = [0x03, 0x83, 0x8b, 0x30, 0x31, 0x32, 0xf5];
 
 /**
  * Checks if a file version is valid/supported
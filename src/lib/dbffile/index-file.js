@@ -0,0 +1,669 @@
+/**
+ * Index file support for DBF files
+ *
+ * Opens .CDX, .IDX, .NDX and .MDX index files, searches their tags, and keeps them up to date as records are written.
+ * The file layouts are handled by the format modules; this module works in terms of tags, keys and record numbers.
+ *
+ * Indexes are maintained as records are written by inserting and removing keys in place, rewriting only the B-tree
+ * nodes a change touches. A node that overflows is split, with its upper half moved to a new node at the end of the
+ * file; the new node is written before anything points to it, so that other programs reading the index never follow a
+ * pointer to a node that isn't there. Nodes left empty are unlinked from the tree, and their space is reclaimed when
+ * the index is rebuilt (when the table is packed). As in FoxPro, a unique tag keeps the first record indexed with each
+ * key, checked by seeking the key, and removing that record's key leaves the other records with the key unindexed
+ * until the index is rebuilt. Only MACHINE collation (byte order) is supported, and .MDX files are read-only.
+ */
+
+const path = require('path');
+const iconv = require('iconv-lite');
+const cdx = require('./cdx-file');
+const ndx = require('./ndx-file');
+const mdx = require('./mdx-file');
+const { compileExpression } = require('./expression');
+const { open, close, write, stat } = require('./utils');
+
+// Format modules by file extension
+const Formats = {
+  '.cdx': cdx,
+  '.idx': cdx,
+  '.ndx': ndx,
+  '.mdx': mdx
+};
+
+// Longest keys each writable format allows
+const MaxKeyLengths = {
+  cdx: 240,
+  idx: 240,
+  ndx: 100
+};
+
+/** Represents an index file attached to a DBF file. */
+class IndexFile {
+  constructor() {
+    /** Full path to the index file. */
+    this.path = '';
+    /** Index file format: 'cdx', 'idx', 'ndx' or 'mdx'. */
+    this.format = '';
+    /** Whether this is the structural index, opened automatically with its table. */
+    this.structural = false;
+    /** Tags in this index file. Single-index formats have one tag, named after the file. */
+    this.tags = [];
+    // Private.
+    this._compound = false;
+    this._version = 0;
+    this._fields = [];
+    this._encoding = '';
+  }
+
+  /** Opens an index file for a table with the given fields and character encoding. */
+  static async open(indexPath, fields, encoding) {
+    return openIndex(indexPath, fields, encoding);
+  }
+
+  /**
+   * Creates an index file holding a single tag, replacing any existing file, and builds the tag from the records
+   * returned by `scan`. The definition has the tag `name`, key `expression`, and optional `forExpression`, `unique`
+   * and `descending` properties. More tags can be added to compound (.cdx) files with addTag.
+   */
+  static async create(indexPath, fields, encoding, definition, scan) {
+    return createIndex(indexPath, fields, encoding, definition, scan);
+  }
+
+  /** Adds a tag to this compound index, replacing any tag with the same name, and builds it from `scan`. */
+  addTag(definition, scan) {
+    return addTagToIndex(this, definition, scan);
+  }
+
+  /** Gets a tag by name (case-insensitive). Single-index files also match when no name is given. */
+  getTag(name) {
+    if (name === undefined && this.tags.length === 1) return this.tags[0];
+    const upper = String(name).toUpperCase();
+    return this.tags.find(tag => tag.name.toUpperCase() === upper);
+  }
+
+  /**
+   * Finds the record numbers of keys between `from` and `to` (inclusive, either may be undefined), in tag order.
+   * Character values shorter than the key match as prefixes, as xBase's SEEK does. Set `exact` to compare whole keys.
+   */
+  find(tag, from, to, exact = false) {
+    return findInIndex(this, tag, from, to, exact);
+  }
+
+  /** Throws if this index cannot be kept up to date when its table changes. */
+  assertWritable() {
+    const reason = getReadOnlyReason(this);
+    if (reason) throw new Error(`Cannot update index '${this.path}': ${reason}.`);
+  }
+
+  /**
+   * Applies changes to the table's records. Each change has the record number, and the record `before` and `after`
+   * the change as { record, deleted }, or null for a record that did not exist. `save(offset, length)` is called
+   * (and awaited) before each write to the file, so that the bytes about to be overwritten can be journaled.
+   */
+  update(changes, save) {
+    return updateIndex(this, changes, save);
+  }
+
+  /** Rebuilds every tag from the records of the table, as returned by `scan`. */
+  rebuild(scan) {
+    return rebuildIndex(this, scan);
+  }
+
+  /** Re-reads the tags of this index file, after it has been changed by other means (e.g. a rolled back transaction). */
+  reload() {
+    return readTags(this);
+  }
+}
+
+/**
+ * Finds the structural index next to a DBF file: a .cdx (FoxPro) or .mdx (dBase IV) file with the same base name
+ * @param {string} dbfPath - Path to the DBF file
+ * @returns {Promise<string|undefined>} - Path to the index file, or undefined if it was not found
+ */
+async function findStructuralIndex(dbfPath) {
+  const basePath = dbfPath.slice(0, dbfPath.length - path.extname(dbfPath).length);
+  for (const ext of ['.cdx', '.CDX', '.mdx', '.MDX']) {
+    const indexPath = basePath + ext;
+    const found = await stat(indexPath).catch(() => 'missing') !== 'missing';
+    if (found) return indexPath;
+  }
+  return undefined;
+}
+
+//-------------------- Private implementation starts here --------------------
+async function openIndex(indexPath, fields, encoding) {
+  const format = Formats[path.extname(indexPath).toLowerCase()];
+  if (!format) throw new Error(`Unsupported index file: '${indexPath}'.`);
+
+  const index = new IndexFile();
+  index.path = indexPath;
+  index.format = path.extname(indexPath).slice(1).toLowerCase();
+  index._fields = fields;
+  index._encoding = encoding;
+  await readTags(index);
+  return index;
+}
+
+/** Reads the tags of an index file, and compiles their expressions against the table's fields. */
+async function readTags(index) {
+  let fd = 0;
+  try {
+    fd = await open(index.path, 'r');
+    const name = path.basename(index.path, path.extname(index.path)).toUpperCase();
+    const header = await getFormat(index).readIndexHeader(fd, name);
+    index._compound = header.compound;
+    index._version = header.version;
+    index.tags = header.tags.map(tag => compileTag(index, tag));
+  }
+  finally {
+    if (fd) await close(fd);
+  }
+}
+
+async function createIndex(indexPath, fields, encoding, definition, scan) {
+  const extension = path.extname(indexPath).toLowerCase();
+  if (!MaxKeyLengths[extension.slice(1)]) throw new Error(`Cannot create index file: '${indexPath}'.`);
+
+  const index = new IndexFile();
+  index.path = indexPath;
+  index.format = extension.slice(1);
+  index._compound = index.format === 'cdx';
+  index._fields = fields;
+  index._encoding = encoding;
+  const tag = defineTag(index, definition);
+  const entries = await buildEntries(index, tag, scan);
+
+  let fd = 0;
+  try {
+    fd = await open(indexPath, 'w');
+    await writeTags(index, fd, [{ ...tag, entries }]);
+  }
+  finally {
+    if (fd) await close(fd);
+  }
+  return index;
+}
+
+async function addTagToIndex(index, definition, scan) {
+  if (!index._compound) throw new Error(`Cannot add a tag to single index file '${index.path}'.`);
+  index.assertWritable();
+  const format = getFormat(index);
+  const tag = defineTag(index, definition);
+
+  let fd = 0;
+  try {
+    fd = await open(index.path, 'r+');
+    const tags = [];
+    for (const existing of index.tags) {
+      if (existing.name.toUpperCase() === tag.name) continue;
+      const entries = [];
+      await collectEntries(fd, format, existing, existing.root, undefined, undefined, entries);
+      tags.push({ ...existing, entries });
+    }
+    tags.push({ ...tag, entries: await buildEntries(index, tag, scan) });
+    await writeTags(index, fd, tags);
+  }
+  finally {
+    if (fd) await close(fd);
+  }
+}
+
+/** Validates a new tag's definition and works out its key type and length. */
+function defineTag(index, definition) {
+  const name = String(definition.name || '').toUpperCase();
+  if (!/^[A-Z_][A-Z0-9_]{0,9}$/.test(name)) {
+    throw new Error(`Invalid index tag name: '${definition.name}'. Use up to 10 letters, digits or underscores.`);
+  }
+  if (typeof definition.expression !== 'string' || !definition.expression.trim()) {
+    throw new Error(`Missing key expression for index tag '${name}'.`);
+  }
+
+  const tag = {
+    name,
+    expression: definition.expression.trim(),
+    forExpression: definition.forExpression ? definition.forExpression.trim() : undefined,
+    unique: !!definition.unique,
+    descending: !!definition.descending,
+    collation: ''
+  };
+  tag.key = compileExpression(tag.expression, index._fields);
+  if (tag.forExpression) {
+    tag.filter = compileExpression(tag.forExpression, index._fields);
+    if (tag.filter.type !== 'L') throw new Error(`FOR expression '${tag.forExpression}' must be logical.`);
+  }
+  if (index.format === 'ndx') {
+    if (['C', 'N', 'D'].indexOf(tag.key.type) === -1) {
+      throw new Error(`Index key '${tag.expression}' must be character, numeric or date for a .ndx file.`);
+    }
+    if (tag.forExpression || tag.descending) {
+      throw new Error(`FOR conditions and descending order are not supported by .ndx files.`);
+    }
+  }
+  tag.keyType = tag.key.type;
+  tag.numeric = tag.keyType !== 'C';
+
+  // Character keys are as long as the key expression's value for a blank record, as in FoxPro.
+  tag.keyLength = getFormat(index).keyLengthFor(tag.keyType);
+  if (tag.keyLength === undefined) {
+    const value = tag.key.evaluate(blankRecord(index._fields), { recno: 0, deleted: false });
+    tag.keyLength = iconv.encode(String(value === null ? '' : value), getKeyEncoding(index)).length;
+  }
+  const maxKeyLength = MaxKeyLengths[index.format];
+  if (tag.keyLength < 1 || tag.keyLength > maxKeyLength) {
+    throw new Error(`Index key '${tag.expression}' is ${tag.keyLength} bytes long (must be 1 to ${maxKeyLength}).`);
+  }
+  return tag;
+}
+
+function blankRecord(fields) {
+  const record = {};
+  for (const field of fields) {
+    if (['N', 'F', 'I', 'Y', 'B'].indexOf(field.type) !== -1) record[field.name] = 0;
+    else if (field.type === 'L') record[field.name] = false;
+    else if (field.type === 'D' || field.type === 'T') record[field.name] = null;
+    else record[field.name] = '';
+  }
+  return record;
+}
+
+function compileTag(index, tag) {
+  try {
+    tag.key = compileExpression(tag.expression, index._fields);
+    if (tag.forExpression) tag.filter = compileExpression(tag.forExpression, index._fields);
+  } catch (err) {
+    tag.error = err.message;
+  }
+  tag.keyType = getFormat(index).keyTypeFor(tag, tag.key && tag.key.type);
+  return tag;
+}
+
+function getFormat(index) {
+  return Formats[`.${index.format}`];
+}
+
+function getReadOnlyReason(index) {
+  if (index.format === 'mdx') return 'dBase IV (.mdx) indexes are read-only';
+  for (const tag of index.tags) {
+    if (tag.error) return `tag '${tag.name}' has an unsupported expression (${tag.error})`;
+    if (tag.collation && tag.collation.toUpperCase() !== 'MACHINE') {
+      return `tag '${tag.name}' uses unsupported collation '${tag.collation}'`;
+    }
+  }
+  return undefined;
+}
+
+async function findInIndex(index, tag, from, to, exact) {
+  const format = getFormat(index);
+  const encoding = getKeyEncoding(index);
+  const low = from === undefined ? undefined : format.encodeKey(tag, from, encoding, !exact);
+  const high = to === undefined ? undefined : format.encodeKey(tag, to, encoding, !exact);
+
+  let fd = 0;
+  try {
+    fd = await open(index.path, 'r');
+    const entries = [];
+    await collectEntries(fd, format, tag, tag.root, low, high, entries);
+    const recnos = entries.map(entry => entry.recno);
+    return tag.descending ? recnos.reverse() : recnos;
+  }
+  finally {
+    if (fd) await close(fd);
+  }
+}
+
+/** Walks the B-tree below a node, collecting the leaf entries whose keys are between `low` and `high`. */
+async function collectEntries(fd, format, tag, offset, low, high, entries) {
+  const node = await format.readNode(fd, tag, offset);
+  const compare = (key, other) => format.compareKeys(tag, key, other);
+  if (node.leaf) {
+    for (const entry of node.entries) {
+      if (low && compare(entry.key, low) < 0) continue;
+      if (high && compare(entry.key, high) > 0) break;
+      entries.push(entry);
+    }
+    return;
+  }
+
+  // Each interior entry's child holds the keys from the previous entry's key up to its own key.
+  let previous;
+  for (const entry of node.entries) {
+    if (high && previous && compare(previous, high) > 0) break;
+    if (!(low && entry.key && compare(entry.key, low) < 0)) {
+      await collectEntries(fd, format, tag, entry.child, low, high, entries);
+    }
+    previous = entry.key;
+  }
+}
+
+async function updateIndex(index, changes, save) {
+  index.assertWritable();
+  const format = getFormat(index);
+  let fd = 0;
+  try {
+    fd = await open(index.path, 'r+');
+    // New nodes are added at the end of the file.
+    const size = (await stat(index.path)).size;
+    const file = { path: index.path, fd, format, save, end: Math.ceil(size / format.NODE_SIZE) * format.NODE_SIZE };
+    for (const tag of index.tags) {
+      let changed = false;
+      for (const { recno, before, after } of changes) {
+        const oldKey = before && getKey(index, tag, before, recno);
+        const newKey = after && getKey(index, tag, after, recno);
+        if (oldKey && newKey && oldKey.equals(newKey)) continue;
+        if (oldKey && await removeKey(file, tag, { key: oldKey, recno })) changed = true;
+        if (newKey && await insertKey(file, tag, { key: newKey, recno })) changed = true;
+      }
+      if (changed) await writeTagHeader(file, tag);
+    }
+  }
+  finally {
+    if (fd) await close(fd);
+  }
+}
+
+/** Inserts a key into a tag, unless the tag is unique and already has the key. Returns whether it was inserted. */
+async function insertKey(file, tag, entry) {
+  if (tag.unique && await seekEntry(file, tag, entry.key, () => true)) return false;
+
+  // Descend to the leaf the entry belongs in: below the first interior entry whose key is not less than its key.
+  const ancestors = [];
+  let node = await readNodeAt(file, tag, tag.root);
+  while (!node.leaf) {
+    if (node.entries.length === 0) {
+      throw new Error(`Index '${file.path}' is damaged: tag '${tag.name}' has an empty node.`);
+    }
+    let pos = node.entries.findIndex(separator => compareSeparator(file.format, tag, separator, entry) >= 0);
+    if (pos < 0) pos = node.entries.length - 1;
+    ancestors.push({ node, pos });
+    node = await readChild(file, tag, node.entries[pos]);
+  }
+  insertEntry(file.format, tag, node.entries, entry);
+  await storeNode(file, tag, node, ancestors);
+  return true;
+}
+
+/** Removes a record's key from a tag, if the tag holds it. Returns whether it was removed. */
+async function removeKey(file, tag, entry) {
+  const path = await seekEntry(file, tag, entry.key, found => found.recno === entry.recno);
+  if (!path) return false;
+
+  // Take the entry out of its leaf, and any node that is left empty out of its parent.
+  let level = path.length - 1;
+  let { node } = path[level];
+  node.entries.splice(path[level].pos, 1);
+  while (node.entries.length === 0 && level > 0) {
+    if (node.leaf) await unlinkLeaf(file, tag, node);
+    node = path[--level].node;
+    node.entries.splice(path[level].pos, 1);
+  }
+
+  if (node.entries.length === 0) {
+    // The tag is now empty, and its root becomes an empty leaf.
+    Object.assign(node, { leaf: true, left: undefined, right: undefined });
+  } else if (!node.leaf && node.entries.length === 1) {
+    // An interior node with a single child is replaced by the child (.NDX files can't hold such a node).
+    const child = await readChild(file, tag, node.entries[0]);
+    if (level === 0) {
+      child.root = true;
+      await writeNode(file, tag, child);
+      tag.root = child.offset;
+      await writeTagHeader(file, tag);
+      return true;
+    }
+    const { node: parent, pos } = path[--level];
+    const separator = parent.entries[pos];
+    parent.entries[pos] = {
+      ...(separator.key === undefined ? separator : separatorOf(file.format, tag, child)),
+      child: child.offset
+    };
+    node = parent;
+  }
+  await storeNode(file, tag, node, path.slice(0, level));
+  return true;
+}
+
+/**
+ * Finds a leaf entry of a tag with the given key for which `match` returns true
+ * @returns {Promise<Array|null>} - The path to the entry, as { node, pos } from the root down to the leaf, or null
+ */
+async function seekEntry(file, tag, key, match, node, path = []) {
+  if (!node) node = await readNodeAt(file, tag, tag.root);
+  const compare = other => file.format.compareKeys(tag, other, key);
+  if (node.leaf) {
+    const pos = node.entries.findIndex(entry => compare(entry.key) === 0 && match(entry));
+    return pos < 0 ? null : [...path, { node, pos }];
+  }
+
+  // Entries with equal keys may span several children.
+  for (let pos = 0; pos < node.entries.length; ++pos) {
+    const separator = node.entries[pos].key;
+    if (separator && compare(separator) < 0) continue;
+    const child = await readChild(file, tag, node.entries[pos]);
+    const found = await seekEntry(file, tag, key, match, child, [...path, { node, pos }]);
+    if (found) return found;
+    if (!separator || compare(separator) > 0) return null;
+  }
+  return null;
+}
+
+/**
+ * Writes a changed node, then brings its ancestors up to date: a node that no longer fits is split in two, adding an
+ * entry to its parent (or a new root above it), and a change to a node's last key is copied to its parent's entry.
+ * @param {Object} file - The open index file
+ * @param {Object} tag - The tag
+ * @param {Object} node - The changed node
+ * @param {Array} ancestors - The node's ancestors, as { node, pos } from the root down, where pos is the parent entry
+ */
+async function storeNode(file, tag, node, ancestors) {
+  const { format } = file;
+  for (let level = ancestors.length; level >= 0; --level) {
+    const data = format.serializeNode(tag, node);
+    const parent = level > 0 ? ancestors[level - 1] : null;
+    if (data) {
+      await writeAt(file, node.offset, data);
+      if (!parent) return;
+      const separator = parent.node.entries[parent.pos];
+      const last = separatorOf(format, tag, node);
+      if (separator.key === undefined || (separator.recno === last.recno && separator.key.equals(last.key))) return;
+      parent.node.entries[parent.pos] = { ...last, child: node.offset };
+      node = parent.node;
+      continue;
+    }
+
+    const sibling = await splitNode(file, tag, node);
+    if (!parent) {
+      await growTree(file, tag, node, sibling);
+      return;
+    }
+    const separator = parent.node.entries[parent.pos];
+    parent.node.entries.splice(parent.pos, 1,
+      { ...separatorOf(format, tag, node), child: node.offset },
+      { ...(separator.key === undefined ? separator : separatorOf(format, tag, sibling)), child: sibling.offset });
+    node = parent.node;
+  }
+}
+
+/** Moves the upper entries of a node that no longer fits to a new node, writes both, and returns the new node. */
+async function splitNode(file, tag, node) {
+  const entries = node.entries;
+  const sibling = { leaf: node.leaf, root: false, offset: allocateNode(file) };
+  node.root = false;
+  if (node.leaf) {
+    // Leaves are chained to their siblings.
+    Object.assign(sibling, { left: node.offset, right: node.right });
+    node.right = sibling.offset;
+  }
+
+  // Split in the middle if both halves fit, which compressed keys may not, or else as near the middle as they do.
+  const middle = entries.length >> 1;
+  for (let i = 0; i < entries.length; ++i) {
+    const at = middle + (i % 2 ? (i + 1) >> 1 : -(i >> 1));
+    if (at < 1 || at >= entries.length) continue;
+    node.entries = entries.slice(0, at);
+    sibling.entries = entries.slice(at);
+    const nodeData = file.format.serializeNode(tag, node);
+    const siblingData = file.format.serializeNode(tag, sibling);
+    if (!nodeData || !siblingData) continue;
+
+    await writeAt(file, sibling.offset, siblingData);
+    if (sibling.right !== undefined) {
+      const next = await readNodeAt(file, tag, sibling.right);
+      next.left = sibling.offset;
+      await writeNode(file, tag, next);
+    }
+    await writeAt(file, node.offset, nodeData);
+    return sibling;
+  }
+  throw new Error(`Cannot split a node of index tag '${tag.name}' in '${file.path}'.`);
+}
+
+/** Adds a new root above the two halves of a split root. */
+async function growTree(file, tag, node, sibling) {
+  const root = {
+    leaf: false,
+    root: true,
+    offset: allocateNode(file),
+    entries: [
+      { ...separatorOf(file.format, tag, node), child: node.offset },
+      { ...separatorOf(file.format, tag, sibling), child: sibling.offset }
+    ]
+  };
+  await writeNode(file, tag, root);
+  tag.root = root.offset;
+  await writeTagHeader(file, tag);
+}
+
+/** Points the siblings of an emptied leaf at each other. */
+async function unlinkLeaf(file, tag, node) {
+  if (node.left !== undefined) {
+    const left = await readNodeAt(file, tag, node.left);
+    left.right = node.right;
+    await writeNode(file, tag, left);
+  }
+  if (node.right !== undefined) {
+    const right = await readNodeAt(file, tag, node.right);
+    right.left = node.left;
+    await writeNode(file, tag, right);
+  }
+}
+
+async function readNodeAt(file, tag, offset) {
+  const node = await file.format.readNode(file.fd, tag, offset);
+  return { ...node, offset, root: offset === tag.root };
+}
+
+/** Reads the child of an interior entry, whose key is the last key below it (which .NDX pages don't hold). */
+async function readChild(file, tag, entry) {
+  const node = await readNodeAt(file, tag, entry.child);
+  const last = node.entries[node.entries.length - 1];
+  if (!node.leaf && last && last.key === undefined) last.key = entry.key;
+  return node;
+}
+
+async function writeNode(file, tag, node) {
+  const data = file.format.serializeNode(tag, node);
+  if (!data) throw new Error(`Cannot write a node of index tag '${tag.name}' in '${file.path}'.`);
+  await writeAt(file, node.offset, data);
+}
+
+async function writeTagHeader(file, tag) {
+  const { offset, data } = file.format.serializeTagHeader(tag, file.end);
+  await writeAt(file, offset, data);
+}
+
+async function writeAt(file, offset, data) {
+  await file.save(offset, data.length);
+  await write(file.fd, data, 0, data.length, offset);
+}
+
+function allocateNode(file) {
+  const offset = file.end;
+  file.end += file.format.NODE_SIZE;
+  return offset;
+}
+
+/** Gets the entry a node's parent holds for it: its last key, and the record number if the format orders by it. */
+function separatorOf(format, tag, node) {
+  const last = node.entries[node.entries.length - 1];
+  return { key: last.key, recno: format.separatorHasRecno(tag) ? last.recno : 0 };
+}
+
+/** Compares an interior entry with a leaf entry. The last interior entry of an .NDX page has no key, and sorts last. */
+function compareSeparator(format, tag, separator, entry) {
+  if (separator.key === undefined) return 1;
+  const order = format.compareKeys(tag, separator.key, entry.key);
+  return order || !format.separatorHasRecno(tag) ? order : separator.recno - entry.recno;
+}
+
+async function rebuildIndex(index, scan) {
+  index.assertWritable();
+  const tags = [];
+  for (const tag of index.tags) {
+    tags.push({ ...tag, entries: await buildEntries(index, tag, scan) });
+  }
+
+  let fd = 0;
+  try {
+    fd = await open(index.path, 'r+');
+    await writeTags(index, fd, tags);
+  }
+  finally {
+    if (fd) await close(fd);
+  }
+}
+
+/** Rewrites the index file with the given tags and their entries, then re-reads its tags. */
+async function writeTags(index, fd, tags) {
+  await getFormat(index).writeIndex(fd, { compound: index._compound, version: index._version, tags });
+  await readTags(index);
+}
+
+/** Computes the sorted entries of a tag from all records of the table. */
+async function buildEntries(index, tag, scan) {
+  const format = getFormat(index);
+  const entries = [];
+  for await (const { recno, record, deleted } of scan()) {
+    const key = getKey(index, tag, { record, deleted }, recno);
+    if (key) entries.push({ key, recno });
+  }
+  entries.sort((a, b) => compareEntries(format, tag, a, b));
+
+  // Unique tags keep only the first record with each key.
+  if (!tag.unique) return entries;
+  return entries.filter((entry, i) => i === 0 || format.compareKeys(tag, entries[i - 1].key, entry.key) !== 0);
+}
+
+/** Computes the key of a record for a tag, or null if the tag's FOR condition excludes the record. */
+function getKey(index, tag, { record, deleted }, recno) {
+  const context = { recno, deleted };
+  if (tag.filter && !tag.filter.evaluate(record, context)) return null;
+  return getFormat(index).encodeKey(tag, tag.key.evaluate(record, context), getKeyEncoding(index));
+}
+
+function getKeyEncoding(index) {
+  return typeof index._encoding === 'string' ? index._encoding : index._encoding.default;
+}
+
+function compareEntries(format, tag, a, b) {
+  return format.compareKeys(tag, a.key, b.key) || a.recno - b.recno;
+}
+
+/** Finds the position of the first entry that sorts after the given one, using a binary search. */
+function upperBound(format, tag, entries, entry) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (compareEntries(format, tag, entries[mid], entry) <= 0) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function insertEntry(format, tag, entries, entry) {
+  entries.splice(upperBound(format, tag, entries, entry), 0, entry);
+}
+
+module.exports = {
+  IndexFile,
+  findStructuralIndex
+};
@@ -0,0 +1,493 @@
+/**
+ * Transactions over one or more DBF files, with rollback journals
+ *
+ * Before a table taking part in a transaction changes a file (the DBF file, its memo file or its index files), the
+ * bytes about to be overwritten and the original size of the file are appended to the table's journal,
+ * `<table>-journal`, and flushed to disk. Rolling back writes these before-images back and truncates each file to its
+ * original size.
+ *
+ * Each transaction also has a super-journal, `<first table>-mj<id>`, listing its tables. Deleting it is what commits
+ * the transaction, so a table journal whose super-journal still exists belongs to a transaction that never finished.
+ * Such transactions are rolled back, on all of their tables at once, the next time one of their tables is opened.
+ *
+ * Tables are locked (as by lockFile) from the time they join a transaction until it ends, which is also how recovery
+ * tells a transaction still running from one interrupted by a crash.
+ *
+ * Structure changes use the same files to rename a new table and its memo and index files over the originals. Their
+ * super-journal also lists the moves, and since the new files are complete before it is written, recovery finishes
+ * the moves rather than undoing anything.
+ *
+ * Journals are sequences of entries, each a 4-byte header length, a JSON header and optional data. The first entry
+ * names the super-journal and table, the others record a file's original `size` or the before-image of `length` bytes
+ * at `offset`, with a hash of the data so that an entry torn by a crash is ignored (its change was never written).
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { open, close, read, write, stat, ftruncate, fsync, unlink, rename, readFile, subtractRanges } = require('./utils');
+const {
+  LockSchemes,
+  getDefaultLockScheme,
+  getLockAdapter,
+  acquireLock,
+  releaseLocks,
+  openDBFFile,
+  closeDBFFile
+} = require('./lock');
+
+// Size of the memo file header, which holds the next free block number
+const MEMO_HEADER_SIZE = 512;
+
+/** A transaction over one or more DBF files. */
+class Transaction {
+  constructor() {
+    /** DBF files taking part in this transaction. */
+    this.tables = [];
+    /** State of this transaction: 'active', 'committed' or 'rolled back'. */
+    this.state = 'active';
+    // Private.
+    this._id = crypto.randomBytes(4).toString('hex');
+    this._masterPath = '';
+    this._journals = new Map();
+  }
+
+  /**
+   * Makes a DBF file take part in this transaction, locking the whole table until the transaction ends. Does nothing
+   * if it already takes part. Rejects with an error with code 'ELOCKED' if the table could not be locked.
+   */
+  enlist(dbf) {
+    return enlistInTransaction(this, dbf);
+  }
+
+  /**
+   * Saves the before-image of `length` bytes at `offset` of a file belonging to an enlisted DBF file, before they are
+   * changed. The length defaults to the rest of the file. Parts already saved in this transaction are skipped.
+   */
+  save(dbf, filePath, offset, length = Infinity) {
+    return saveBeforeImage(this, dbf, filePath, offset, length);
+  }
+
+  /** Makes the changes permanent, and releases the tables. */
+  commit() {
+    return commitTransaction(this);
+  }
+
+  /** Undoes all changes made to the enlisted DBF files, and releases the tables. Does nothing once ended. */
+  rollback() {
+    return rollbackTransaction(this);
+  }
+}
+
+/**
+ * Rolls back the unfinished transaction a DBF file took part in, or finishes its unfinished structure change, if any,
+ * when the transaction or change is no longer running
+ * @param {string} dbfPath - Path to the DBF file
+ * @param {Object} locking - Normalised locking options, used to lock the transaction's tables while rolling back
+ * @returns {Promise<boolean>} - True if a transaction was rolled back or a structure change finished
+ */
+async function recoverTransaction(dbfPath, locking) {
+  const journalPath = getJournalPath(dbfPath);
+  if (!await exists(journalPath)) return false;
+
+  const held = [];
+  try {
+    // A running transaction holds a file lock on each of its tables.
+    const lock = await lockForRecovery(dbfPath, locking);
+    if (!lock) return false;
+    held.push(lock);
+
+    // Without a super-journal the transaction committed (or never got as far as changing anything).
+    const entries = await readJournal(journalPath);
+    const masterPath = entries.length > 0 ? entries[0].header.master : undefined;
+    const master = masterPath ? await readMaster(masterPath) : null;
+    if (!master) {
+      await unlink(journalPath);
+      return false;
+    }
+    if (isRunningElsewhere(master)) return false;
+
+    if (master.moves) {
+      await finishMoves(master);
+      await unlink(journalPath);
+      await unlinkIfExists(masterPath);
+      return true;
+    }
+
+    // Roll back every table of the transaction, so that none is left with only part of its changes.
+    const journals = [];
+    for (const table of master.tables) {
+      const tableJournal = getJournalPath(table);
+      if (!await exists(tableJournal)) continue;
+      const tableEntries = await readJournal(tableJournal);
+      if (tableEntries.length > 0 && tableEntries[0].header.master !== masterPath) continue;
+      if (path.resolve(table) !== path.resolve(dbfPath) && await exists(table)) {
+        const tableLock = await lockForRecovery(table, locking);
+        if (!tableLock) return false;
+        held.push(tableLock);
+      }
+      journals.push({ path: tableJournal, entries: tableEntries });
+    }
+    for (const journal of journals) {
+      await rollbackJournal(journal.entries);
+      await unlink(journal.path);
+    }
+    await unlinkIfExists(masterPath);
+    return true;
+  }
+  finally {
+    for (const { owner, scheme } of held) await releaseLocks(owner, scheme.file);
+  }
+}
+
+/**
+ * Renames files over others as one change that a crash can't leave half done: if it is interrupted, the moves are
+ * finished the next time the table is opened. The table must be locked, and not taking part in a transaction.
+ * @param {string} dbfPath - Path to the DBF file
+ * @param {Array} moves - [from, to] pairs of paths, renamed in order. The files being moved must be complete.
+ * @param {string[]} obsolete - Paths of files to delete once the moves are done (optional)
+ */
+async function moveFiles(dbfPath, moves, obsolete = []) {
+  // The files must be on disk before the super-journal points recovery at them.
+  for (const [from] of moves) await syncFile(from);
+  const masterPath = `${dbfPath}-mj${crypto.randomBytes(4).toString('hex')}`;
+  const journal = { path: getJournalPath(dbfPath), fd: 0, position: 0 };
+  try {
+    journal.fd = await open(journal.path, 'w');
+    await appendEntry(journal, { master: path.resolve(masterPath), table: path.resolve(dbfPath) });
+    await fsync(journal.fd);
+  }
+  finally {
+    await closeJournal(journal);
+  }
+
+  // Once the super-journal exists, the moves will be finished whatever happens.
+  const master = {
+    moves: moves.map(([from, to]) => [path.resolve(from), path.resolve(to)]),
+    obsolete: obsolete.map(filePath => path.resolve(filePath))
+  };
+  await writeMaster(masterPath, [dbfPath], master);
+  await finishMoves(master);
+  await unlink(journal.path);
+  await unlinkIfExists(masterPath);
+}
+
+/** Gets the path of the journal of a DBF file. */
+function getJournalPath(dbfPath) {
+  return `${dbfPath}-journal`;
+}
+
+//-------------------- Private implementation starts here --------------------
+async function enlistInTransaction(tx, dbf) {
+  if (tx.state !== 'active') throw new Error(`Cannot use a transaction that has been ${tx.state}.`);
+  if (tx._journals.has(dbf)) return;
+  if (dbf._transaction) throw new Error(`File '${dbf.path}' is already taking part in another transaction.`);
+
+  const locked = await acquireLock(dbf, 'file', dbf._locking.scheme.file);
+  const journal = {
+    path: getJournalPath(dbf.path),
+    fd: 0,
+    position: 0,
+    sizes: new Map(),
+    saved: new Map(),
+    locked,
+    dateOfLastUpdate: dbf.dateOfLastUpdate
+  };
+  tx._journals.set(dbf, journal);
+  tx.tables.push(dbf);
+  dbf._transaction = tx;
+
+  // List the table in the super-journal before creating its journal, so that recovery can always find the former.
+  if (!tx._masterPath) tx._masterPath = `${dbf.path}-mj${tx._id}`;
+  await writeMaster(tx._masterPath, tx.tables.map(table => table.path));
+  journal.fd = await open(journal.path, 'w');
+  await appendEntry(journal, { master: path.resolve(tx._masterPath), table: path.resolve(dbf.path) });
+
+  // Appends and updates change the record count and last update date in the header, and the memo file header.
+  await saveBeforeImage(tx, dbf, dbf.path, 0, dbf._headerLength);
+  if (dbf._memoPath) await saveBeforeImage(tx, dbf, dbf._memoPath, 0, MEMO_HEADER_SIZE);
+}
+
+async function saveBeforeImage(tx, dbf, filePath, offset, length) {
+  const journal = tx._journals.get(dbf);
+  if (!journal) throw new Error(`File '${dbf.path}' is not taking part in the transaction.`);
+  const key = path.resolve(filePath);
+
+  // The first time a file is seen, record its size, so that anything appended to it can be truncated away.
+  let size = journal.sizes.get(key);
+  if (size === undefined) {
+    size = await stat(filePath).then(stats => stats.size, () => 0);
+    await appendEntry(journal, { path: key, size });
+    journal.sizes.set(key, size);
+    journal.saved.set(key, []);
+  }
+
+  // Only bytes that existed at the start of the transaction, and have not been saved yet, need saving.
+  const saved = journal.saved.get(key);
+  const end = Math.min(offset + length, size);
+  const parts = end > offset ? subtractRanges({ offset, length: end - offset }, saved) : [];
+  if (parts.length > 0) {
+    let fd = 0;
+    try {
+      fd = await openDBFFile(filePath);
+      for (const part of parts) {
+        const data = Buffer.alloc(part.length);
+        await read(fd, data, 0, part.length, part.offset);
+        await appendEntry(journal, { path: key, offset: part.offset, length: part.length, hash: hash(data) }, data);
+        addRange(saved, part);
+      }
+    }
+    finally {
+      if (fd) await closeDBFFile(filePath);
+    }
+  }
+  await fsync(journal.fd);
+}
+
+async function commitTransaction(tx) {
+  if (tx.state !== 'active') throw new Error(`Cannot commit a transaction that has been ${tx.state}.`);
+  try {
+    // The changes must be on disk before the super-journal is deleted, which is what commits them.
+    for (const journal of tx._journals.values()) {
+      for (const filePath of journal.sizes.keys()) await syncFile(filePath);
+    }
+    if (tx._masterPath) await unlinkIfExists(tx._masterPath);
+    tx.state = 'committed';
+    for (const journal of tx._journals.values()) {
+      await closeJournal(journal);
+      await unlinkIfExists(journal.path);
+    }
+  }
+  finally {
+    if (tx.state === 'committed') await endTransaction(tx);
+  }
+}
+
+async function rollbackTransaction(tx) {
+  if (tx.state !== 'active') return;
+  tx.state = 'rolled back';
+  try {
+    // If rolling back fails, the journals are left for recovery when the tables are next opened.
+    for (const [dbf, journal] of tx._journals) {
+      await closeJournal(journal);
+      if (!await exists(journal.path)) continue;
+      await rollbackJournal(await readJournal(journal.path));
+      await unlink(journal.path);
+      await refreshDBF(dbf, journal);
+    }
+    if (tx._masterPath) await unlinkIfExists(tx._masterPath);
+  }
+  finally {
+    await endTransaction(tx);
+  }
+}
+
+/** Closes the journals and releases the tables of a transaction that has ended. */
+async function endTransaction(tx) {
+  for (const [dbf, journal] of tx._journals) {
+    await closeJournal(journal);
+    dbf._transaction = null;
+    if (journal.locked) await releaseLocks(dbf, dbf._locking.scheme.file);
+  }
+}
+
+/** Brings a DBF file's in-memory state back in line with its rolled back files. */
+async function refreshDBF(dbf, journal) {
+  let fd = 0;
+  try {
+    fd = await openDBFFile(dbf.path);
+    const buffer = Buffer.alloc(4);
+    await read(fd, buffer, 0, 4, 4);
+    dbf.recordCount = buffer.readInt32LE(0);
+  }
+  finally {
+    if (fd) await closeDBFFile(dbf.path);
+  }
+  dbf.dateOfLastUpdate = journal.dateOfLastUpdate;
+  dbf._recordsRead = Math.min(dbf._recordsRead, dbf.recordCount);
+  for (const index of dbf.indexes) await index.reload();
+}
+
+/** Writes the before-images in a journal back to their files, and truncates the files to their original sizes. */
+async function rollbackJournal(entries) {
+  const files = new Map();
+  for (const { header, data } of entries.slice(1)) {
+    if (!files.has(header.path)) files.set(header.path, { size: undefined, images: [] });
+    const file = files.get(header.path);
+    if (header.size !== undefined) file.size = header.size;
+    else file.images.push({ offset: header.offset, data });
+  }
+
+  for (const [filePath, { size, images }] of files) {
+    if (!await exists(filePath)) continue;
+    let fd = 0;
+    try {
+      fd = await openDBFFile(filePath);
+      for (const { offset, data } of images.reverse()) await write(fd, data, 0, data.length, offset);
+      if (size !== undefined) await ftruncate(fd, size);
+      await fsync(fd);
+    }
+    finally {
+      if (fd) await closeDBFFile(filePath);
+    }
+  }
+}
+
+/** Reads the entries of a journal, stopping at the first incomplete or corrupt one. */
+async function readJournal(journalPath) {
+  const buffer = await readFile(journalPath);
+  const entries = [];
+  let pos = 0;
+  while (pos + 4 <= buffer.length) {
+    const dataStart = pos + 4 + buffer.readUInt32LE(pos);
+    if (dataStart > buffer.length) break;
+    let header;
+    try {
+      header = JSON.parse(buffer.toString('utf8', pos + 4, dataStart));
+    } catch (err) {
+      break;
+    }
+    const dataEnd = dataStart + (header.length || 0);
+    if (dataEnd > buffer.length) break;
+    const data = buffer.slice(dataStart, dataEnd);
+    if (header.hash !== undefined && header.hash !== hash(data)) break;
+    entries.push({ header, data });
+    pos = dataEnd;
+  }
+  return entries;
+}
+
+async function appendEntry(journal, header, data = Buffer.alloc(0)) {
+  const json = Buffer.from(JSON.stringify(header));
+  const buffer = Buffer.alloc(4 + json.length + data.length);
+  buffer.writeUInt32LE(json.length, 0);
+  json.copy(buffer, 4);
+  data.copy(buffer, 4 + json.length);
+  await write(journal.fd, buffer, 0, buffer.length, journal.position);
+  journal.position += buffer.length;
+}
+
+async function closeJournal(journal) {
+  if (!journal.fd) return;
+  const fd = journal.fd;
+  journal.fd = 0;
+  await close(fd);
+}
+
+/** Writes a super-journal listing the tables of a transaction, and any other details, replacing it atomically. */
+async function writeMaster(masterPath, tables, details = {}) {
+  const master = {
+    pid: process.pid,
+    host: os.hostname(),
+    tables: tables.map(table => path.resolve(table)),
+    ...details
+  };
+  const data = Buffer.from(JSON.stringify(master));
+  const tempPath = `${masterPath}.tmp`;
+  let fd = 0;
+  try {
+    fd = await open(tempPath, 'w');
+    await write(fd, data, 0, data.length, 0);
+    await fsync(fd);
+  }
+  finally {
+    if (fd) await close(fd);
+  }
+  await rename(tempPath, masterPath);
+}
+
+async function readMaster(masterPath) {
+  try {
+    return JSON.parse(await readFile(masterPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Checks whether the process that wrote a super-journal is still running on this machine. Processes elsewhere can
+ * only be detected through their locks.
+ */
+function isRunningElsewhere(master) {
+  if (master.host !== os.hostname() || master.pid === process.pid) return false;
+  try {
+    process.kill(master.pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/** Renames the files of a structure change that have not been moved yet, and deletes those no longer needed. */
+async function finishMoves({ moves, obsolete }) {
+  for (const [from, to] of moves) {
+    if (await exists(from)) await rename(from, to);
+  }
+  for (const filePath of obsolete) await unlinkIfExists(filePath);
+}
+
+/** Takes a file lock on a table for recovery, without waiting. Resolves to null if it is locked by someone else. */
+async function lockForRecovery(tablePath, locking) {
+  let fileVersion = 0;
+  let fd = 0;
+  try {
+    fd = await openDBFFile(tablePath);
+    const buffer = Buffer.alloc(1);
+    await read(fd, buffer, 0, 1, 0);
+    fileVersion = buffer[0];
+  }
+  finally {
+    if (fd) await closeDBFFile(tablePath);
+  }
+
+  const owner = { path: tablePath, _locking: { adapter: getLockAdapter(locking.adapter), timeout: 0 } };
+  const scheme = LockSchemes[locking.scheme || getDefaultLockScheme(fileVersion)];
+  try {
+    await acquireLock(owner, 'file', scheme.file, 0);
+    return { owner, scheme };
+  } catch (err) {
+    if (err.code === 'ELOCKED') return null;
+    throw err;
+  }
+}
+
+async function syncFile(filePath) {
+  if (!await exists(filePath)) return;
+  let fd = 0;
+  try {
+    fd = await openDBFFile(filePath);
+    await fsync(fd);
+  }
+  finally {
+    if (fd) await closeDBFFile(filePath);
+  }
+}
+
+/** Adds a range to a list of saved ranges, merging it with the last one when they are adjacent. */
+function addRange(ranges, range) {
+  const last = ranges[ranges.length - 1];
+  if (last && last.offset + last.length === range.offset) last.length += range.length;
+  else ranges.push({ offset: range.offset, length: range.length });
+}
+
+function hash(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+async function exists(filePath) {
+  return await stat(filePath).catch(() => 'missing') !== 'missing';
+}
+
+async function unlinkIfExists(filePath) {
+  await unlink(filePath).catch(err => {
+    if (err.code !== 'ENOENT') throw err;
+  });
+}
+
+module.exports = {
+  Transaction,
+  recoverTransaction,
+  moveFiles,
+  getJournalPath
+};
@@ -0,0 +1,262 @@
+/**
+ * Record and file locking for DBF files
+ *
+ * Locks are byte-range locks at the offsets dBase-family applications use, far beyond the end of the file, so that
+ * they interoperate with FoxPro and Clipper programs using the same tables:
+ * - foxpro: records lock the byte at 0x7FFFFFFE - recno, the header (for appends) locks 0x7FFFFFFE, and a file lock
+ *   covers the header byte and the record range below it
+ * - clipper: records lock the byte at 1000000000 + recno, the header locks 1000000000, and a file lock covers
+ *   1000000000 bytes from there
+ * - clipper53: as clipper, but based at 4000000000
+ *
+ * Operating system locks are taken through an adapter with `lock(fd, offset, length, { exclusive, immediate })` and
+ * `unlock(fd, offset, length)` methods returning promises (the API of the `os-lock` package, an optional dependency
+ * that is used by default). Locks are also tracked in-process, so separate DBFFile instances for the same table exclude
+ * each other even though POSIX record locks do not conflict within a process.
+ *
+ * POSIX releases all of a process's locks on a file when any of its descriptors for that file is closed. So every read
+ * and write of a table goes through one descriptor per process, shared and reference counted (see openDBFFile), which
+ * stays open while locks are held.
+ */
+
+const path = require('path');
+const { open, close, subtractRanges, overlaps } = require('./utils');
+
+const LockSchemes = {
+  foxpro: {
+    header: { offset: 0x7FFFFFFE, length: 1 },
+    file: { offset: 0x7FFFFFFE - 0x3FFFFFFD, length: 0x3FFFFFFE },
+    record: recno => ({ offset: 0x7FFFFFFE - recno, length: 1 })
+  },
+  clipper: {
+    header: { offset: 1000000000, length: 1 },
+    file: { offset: 1000000000, length: 1000000000 },
+    record: recno => ({ offset: 1000000000 + recno, length: 1 })
+  },
+  clipper53: {
+    header: { offset: 4000000000, length: 1 },
+    file: { offset: 4000000000, length: 294967295 },
+    record: recno => ({ offset: 4000000000 + recno, length: 1 })
+  }
+};
+
+// How often to retry a lock held by someone else, until the lock timeout expires
+const RETRY_INTERVAL = 50;
+
+// Open tables by resolved path: { fd, opening, users, locks: [{ owner, offset, length, name }] }
+const openFiles = new Map();
+
+// The os-lock package once loaded, null if it couldn't be, or undefined before the first attempt
+let osLock;
+
+/**
+ * Gets the default lock scheme for a DBF file version
+ * @param {number} fileVersion - The DBF file version
+ * @returns {string} - 'foxpro' for FoxPro tables, otherwise 'clipper'
+ */
+function getDefaultLockScheme(fileVersion) {
+  return [0x30, 0x31, 0x32, 0xf5].indexOf(fileVersion) !== -1 ? 'foxpro' : 'clipper';
+}
+
+/**
+ * Resolves the `adapter` locking option to an adapter object. With 'auto', a warning is emitted (once per process) if
+ * `os-lock` can't be loaded, since other processes are then not excluded.
+ * @param {string|Object} adapter - 'auto' (use `os-lock` if installed), 'none' (in-process locks only), or an adapter
+ * @returns {Object|null} - The adapter, or null for in-process locks only
+ */
+function getLockAdapter(adapter) {
+  if (adapter === 'none') return null;
+  if (adapter && adapter !== 'auto') return adapter;
+  if (osLock === undefined) {
+    try {
+      osLock = require('os-lock');
+    } catch (err) {
+      osLock = null;
+      const reason = err.message.split('\n')[0]; // Without the require stack
+      process.emitWarning(`The os-lock package could not be loaded (${reason}), so DBF locks only exclude other ` +
+        `instances in this process. Install os-lock, or set the locking adapter option to 'none'.`,
+        { code: 'DBF_NO_OS_LOCK' });
+    }
+  }
+  return osLock;
+}
+
+/**
+ * Acquires an exclusive lock on a range of a DBF file, waiting up to the lock timeout for other holders to let go
+ * @param {DBFFile} dbf - The DBF file (the lock owner)
+ * @param {string} name - Description of what is being locked, used in error messages
+ * @param {{offset: number, length: number}} range - The byte range to lock
+ * @param {number} timeout - Milliseconds to keep retrying (optional, defaults to the DBF file's lock timeout)
+ * @returns {Promise<boolean>} - True if the lock was acquired, false if this DBF file already held it
+ */
+async function acquireLock(dbf, name, range, timeout = dbf._locking.timeout) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const fd = await openDBFFile(dbf.path);
+    const entry = openFiles.get(path.resolve(dbf.path));
+    try {
+      if (entry.locks.some(lock => lock.owner === dbf && covers(lock, range))) return false;
+
+      // Other instances in this process holding an overlapping lock always conflict. Record the lock before asking
+      // the operating system for it, so that other instances see it straight away.
+      if (!entry.locks.some(lock => lock.owner !== dbf && overlaps(lock, range))) {
+        const lock = { owner: dbf, offset: range.offset, length: range.length, name };
+        entry.locks.push(lock);
+        let locked = false;
+        try {
+          locked = await lockRange(dbf._locking.adapter, fd, range);
+        }
+        finally {
+          if (!locked) entry.locks.splice(entry.locks.indexOf(lock), 1);
+        }
+        if (locked) return true;
+      }
+    }
+    finally {
+      await closeDBFFile(dbf.path);
+    }
+
+    if (Date.now() >= deadline) {
+      const err = new Error(`Could not lock ${name} of '${dbf.path}': it is locked by another user.`);
+      err.code = 'ELOCKED';
+      throw err;
+    }
+    await new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL));
+  }
+}
+
+/**
+ * Releases locks held by a DBF file
+ * @param {DBFFile} dbf - The DBF file (the lock owner)
+ * @param {{offset: number, length: number}} range - The range to release (optional, releases all locks if omitted)
+ */
+async function releaseLocks(dbf, range) {
+  const key = path.resolve(dbf.path);
+  const entry = openFiles.get(key);
+  if (!entry) return;
+
+  const released = entry.locks.filter(lock =>
+    lock.owner === dbf && (!range || (lock.offset === range.offset && lock.length === range.length)));
+  entry.locks = entry.locks.filter(lock => released.indexOf(lock) === -1);
+  for (const lock of released) {
+    // Unlocking a byte range unlocks it for the whole process, so leave alone any parts other locks still cover.
+    if (!dbf._locking.adapter) continue;
+    for (const part of subtractRanges(lock, entry.locks)) {
+      await dbf._locking.adapter.unlock(entry.fd, part.offset, part.length);
+    }
+  }
+  await closeIfUnused(key, entry);
+}
+
+/** Lists the locks held by a DBF file, as { name, offset, length } objects. */
+function getHeldLocks(dbf) {
+  const entry = openFiles.get(path.resolve(dbf.path));
+  if (!entry) return [];
+  return entry.locks.filter(lock => lock.owner === dbf).map(({ name, offset, length }) => ({ name, offset, length }));
+}
+
+/**
+ * Runs `fn` while holding a lock, unless locking is disabled. A lock that was already held is kept afterwards.
+ * @param {DBFFile} dbf - The DBF file
+ * @param {string} name - Description of what is being locked
+ * @param {{offset: number, length: number}} range - The byte range to lock
+ * @param {Function} fn - Async function to run under the lock
+ */
+async function withLock(dbf, name, range, fn) {
+  if (!dbf._locking.auto) return fn();
+  const acquired = await acquireLock(dbf, name, range);
+  try {
+    return await fn();
+  }
+  finally {
+    if (acquired) await releaseLocks(dbf, range);
+  }
+}
+
+/**
+ * Gets the process's shared descriptor for a DBF file, opening it for reading and writing (or just reading, if the
+ * file is read-only) if needed
+ * @param {string} dbfPath - Path to the DBF file
+ * @returns {Promise<number>} - The file descriptor, to be released with closeDBFFile
+ */
+async function openDBFFile(dbfPath) {
+  const key = path.resolve(dbfPath);
+  let entry = openFiles.get(key);
+  if (!entry) {
+    entry = { fd: 0, users: 0, locks: [] };
+    entry.opening = open(dbfPath, 'r+').catch(err => {
+      if (['EACCES', 'EPERM', 'EROFS'].indexOf(err.code) === -1) throw err;
+      return open(dbfPath, 'r');
+    });
+    openFiles.set(key, entry);
+  }
+
+  ++entry.users;
+  try {
+    entry.fd = await entry.opening;
+    return entry.fd;
+  } catch (err) {
+    --entry.users;
+    if (openFiles.get(key) === entry) openFiles.delete(key);
+    throw err;
+  }
+}
+
+/** Releases a descriptor returned by openDBFFile. It is closed once unused and no locks are held on the file. */
+async function closeDBFFile(dbfPath) {
+  const key = path.resolve(dbfPath);
+  const entry = openFiles.get(key);
+  if (!entry) return;
+  --entry.users;
+  await closeIfUnused(key, entry);
+}
+
+/**
+ * Reopens the shared descriptor of a DBF file after another file has been renamed over it, and takes the locks held
+ * on the old file again on the new one
+ * @param {string} dbfPath - Path to the DBF file
+ */
+async function reopenDBFFile(dbfPath) {
+  const entry = openFiles.get(path.resolve(dbfPath));
+  if (!entry) return;
+  const previous = await entry.opening;
+  const fd = await open(dbfPath, 'r+');
+  entry.opening = Promise.resolve(fd);
+  entry.fd = fd;
+  for (const lock of entry.locks) await lockRange(lock.owner._locking.adapter, fd, lock);
+  await close(previous);
+}
+
+async function lockRange(adapter, fd, range) {
+  if (!adapter) return true;
+  try {
+    await adapter.lock(fd, range.offset, range.length, { exclusive: true, immediate: true });
+    return true;
+  } catch (err) {
+    if (['EAGAIN', 'EACCES', 'EWOULDBLOCK', 'EBUSY', 'ELOCKED'].indexOf(err.code) !== -1) return false;
+    throw err;
+  }
+}
+
+async function closeIfUnused(key, entry) {
+  if (entry.users > 0 || entry.locks.length > 0) return;
+  openFiles.delete(key);
+  await close(entry.fd);
+}
+
+function covers(a, b) {
+  return a.offset <= b.offset && a.offset + a.length >= b.offset + b.length;
+}
+
+module.exports = {
+  LockSchemes,
+  getDefaultLockScheme,
+  getLockAdapter,
+  acquireLock,
+  releaseLocks,
+  getHeldLocks,
+  withLock,
+  openDBFFile,
+  closeDBFFile,
+  reopenDBFFile
+};
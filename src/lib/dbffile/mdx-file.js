@@ -0,0 +1,166 @@
+/**
+ * dBase IV multiple index file (.MDX) support
+ *
+ * MDX files are read-only: their tags can be listed and searched, but not maintained. An MDX file starts with a
+ * 544-byte header followed by a table of 32-byte tag entries, each pointing to a tag header. Blocks are addressed in
+ * 512-byte pages. Numeric keys are 12-byte BCD numbers and date keys are little-endian doubles.
+ */
+
+const iconv = require('iconv-lite');
+const { read } = require('./utils');
+
+const PAGE_SIZE = 512;
+const TAG_TABLE_OFFSET = 544;
+const TAG_ENTRY_SIZE = 32;
+
+// Julian day number of 1970-01-01, used for date keys
+const UNIX_EPOCH_JULIAN_DAY = 2440588;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Reads the header and tag table of an MDX file
+ * @param {number} fd - Open file descriptor
+ * @returns {Promise<Object>} - { compound: true, version, tags }
+ */
+async function readIndexHeader(fd) {
+  const header = Buffer.alloc(TAG_TABLE_OFFSET);
+  await read(fd, header, 0, TAG_TABLE_OFFSET, 0);
+  const blockSize = header.readUInt16LE(22) || 1024;
+  const tagCount = header.readUInt16LE(28);
+
+  const table = Buffer.alloc(tagCount * TAG_ENTRY_SIZE);
+  await read(fd, table, 0, table.length, TAG_TABLE_OFFSET);
+  const tags = [];
+  for (let i = 0; i < tagCount; ++i) {
+    const entry = table.slice(i * TAG_ENTRY_SIZE, (i + 1) * TAG_ENTRY_SIZE);
+    const tagHeader = Buffer.alloc(PAGE_SIZE);
+    await read(fd, tagHeader, 0, PAGE_SIZE, entry.readUInt32LE(0) * PAGE_SIZE);
+    const keyFormat = tagHeader[8];
+    tags.push({
+      name: cString(entry, 4, 11),
+      root: tagHeader.readUInt32LE(0) * PAGE_SIZE,
+      blockSize,
+      mdxKeyType: String.fromCharCode(tagHeader[9]),
+      keyLength: tagHeader.readUInt16LE(12),
+      itemLength: tagHeader.readUInt16LE(18),
+      unique: (keyFormat & 0x40) !== 0,
+      descending: (keyFormat & 0x08) !== 0,
+      expression: cString(tagHeader, 24, 220),
+      forExpression: undefined
+    });
+  }
+  return { compound: true, version: 0, tags };
+}
+
+function cString(buffer, start, length) {
+  const bytes = buffer.slice(start, start + length);
+  const end = bytes.indexOf(0);
+  return bytes.slice(0, end >= 0 ? end : bytes.length).toString('latin1').trim();
+}
+
+/**
+ * Reads a block of a tag
+ * @param {number} fd - Open file descriptor
+ * @param {Object} tag - The tag, as returned by readIndexHeader
+ * @param {number} offset - File offset of the block
+ * @returns {Promise<Object>} - { leaf, entries }. In interior blocks the last entry has no key.
+ */
+async function readNode(fd, tag, offset) {
+  const block = Buffer.alloc(tag.blockSize);
+  await read(fd, block, 0, block.length, offset);
+  const count = block.readUInt32LE(0);
+  const pointerAt = i => block.readUInt32LE(8 + i * tag.itemLength);
+
+  // Interior blocks have one more child pointer than keys.
+  const leaf = 8 + (count + 1) * tag.itemLength > block.length || pointerAt(count) === 0;
+  const entries = [];
+  for (let i = 0; i < count; ++i) {
+    const pos = 8 + i * tag.itemLength;
+    const key = Buffer.from(block.slice(pos + 4, pos + 4 + tag.keyLength));
+    entries.push(leaf ? { key, recno: pointerAt(i) } : { key, recno: 0, child: pointerAt(i) * PAGE_SIZE });
+  }
+  if (!leaf) entries.push({ key: undefined, recno: 0, child: pointerAt(count) * PAGE_SIZE });
+  return { leaf, entries };
+}
+
+/**
+ * Encodes a value as a key of the tag
+ * @param {Object} tag - The tag
+ * @param {*} value - The value to look up
+ * @param {string} encoding - Character encoding for character keys
+ * @param {boolean} partial - Whether to leave a character key unpadded, for prefix matching
+ * @returns {Buffer} - The key
+ */
+function encodeKey(tag, value, encoding, partial = false) {
+  switch (tag.keyType) {
+    case 'N':
+      return encodeBcd(typeof value === 'number' ? value : 0);
+    case 'D': {
+      const key = Buffer.alloc(8);
+      if (value instanceof Date) key.writeDoubleLE(Math.floor(value.getTime() / MS_PER_DAY) + UNIX_EPOCH_JULIAN_DAY, 0);
+      return key;
+    }
+    default: {
+      const text = value === null || value === undefined ? Buffer.alloc(0) : iconv.encode(String(value), encoding);
+      if (partial) return text.slice(0, tag.keyLength);
+      const key = Buffer.alloc(tag.keyLength, 0x20);
+      text.copy(key, 0, 0, tag.keyLength);
+      return key;
+    }
+  }
+}
+
+/** Compares a key of the tag with another key, or with a (possibly shorter) character key prefix. */
+function compareKeys(tag, key, other) {
+  if (tag.keyType === 'N' || tag.keyType === 'D') {
+    const a = tag.keyType === 'N' ? decodeBcd(key) : key.readDoubleLE(0);
+    const b = tag.keyType === 'N' ? decodeBcd(other) : other.readDoubleLE(0);
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return Buffer.compare(key.slice(0, other.length), other);
+}
+
+/** Decodes a 12-byte BCD number: exponent byte, sign/length byte, then 20 packed decimal digits. */
+function decodeBcd(key) {
+  let digits = '';
+  for (let i = 2; i < 12; ++i) digits += (key[i] >> 4).toString() + (key[i] & 0x0F).toString();
+  const value = parseFloat(`0.${digits}`) * Math.pow(10, key[0] - 0x34);
+  return (key[1] & 0x80) ? -value : value;
+}
+
+function encodeBcd(value) {
+  const key = Buffer.alloc(12);
+  key[0] = 0x34;
+  if (value === 0) return key;
+  const [mantissa, exponent] = Math.abs(value).toExponential(19).split('e');
+  const digits = mantissa.replace('.', '');
+  key[0] = 0x34 + Number(exponent) + 1;
+  key[1] = (value < 0 ? 0x80 : 0) | (digits.replace(/0+$/, '').length << 2);
+  for (let i = 0; i < 10; ++i) key[2 + i] = (Number(digits[2 * i]) << 4) | Number(digits[2 * i + 1]);
+  return key;
+}
+
+/** Gets the key type for a tag given the type of its key expression. */
+function keyTypeFor(tag) {
+  return tag.mdxKeyType === 'N' || tag.mdxKeyType === 'F' ? 'N' : tag.mdxKeyType === 'D' ? 'D' : 'C';
+}
+
+/** Gets the key length for a key type, or undefined if it depends on the key expression. */
+function keyLengthFor() {
+  return undefined;
+}
+
+/** MDX files cannot be written. */
+async function writeIndex() {
+  throw new Error('Updating dBase IV (.mdx) indexes is not supported');
+}
+
+module.exports = {
+  readIndexHeader,
+  readNode,
+  encodeKey,
+  compareKeys,
+  keyTypeFor,
+  keyLengthFor,
+  writeIndex
+};
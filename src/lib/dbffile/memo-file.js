@@ -0,0 +1,285 @@
+/**
+ * Memo file (.DBT / .FPT) support for DBF files
+ *
+ * Three memo file layouts are supported:
+ * - dBase III (.dbt): 512-byte blocks, each memo terminated by 0x1A 0x1A
+ * - dBase IV (.dbt): blocks prefixed with FF FF 08 00 and a little-endian length, block size in the header
+ * - FoxPro (.fpt): blocks prefixed with a big-endian type and length, block size in the header
+ */
+
+const path = require('path');
+const { open, close, read, write, stat, ftruncate } = require('./utils');
+
+// Memo file types
+const MemoTypes = {
+  DBASE3: 'dbase3',
+  DBASE4: 'dbase4',
+  FOXPRO: 'foxpro'
+};
+
+// Block types used in FoxPro memo blocks
+const FPT_PICTURE = 0;
+const FPT_TEXT = 1;
+
+// Size of the memo file header. For dBase files this is also the default block size.
+const HEADER_SIZE = 512;
+
+// Default block size for new FoxPro memo files (FoxPro's default SET BLOCKSIZE)
+const DEFAULT_FPT_BLOCK_SIZE = 64;
+
+/**
+ * Gets the memo file type used by a DBF file version
+ * @param {number} fileVersion - The DBF file version
+ * @returns {string|undefined} - One of the MemoTypes, or undefined if the version has no memo file
+ */
+function getMemoType(fileVersion) {
+  switch (fileVersion) {
+    case 0x83: return MemoTypes.DBASE3;
+    case 0x8b: return MemoTypes.DBASE4;
+    case 0x30:
+    case 0x31:
+    case 0x32:
+    case 0xf5: return MemoTypes.FOXPRO;
+    default: return undefined;
+  }
+}
+
+/**
+ * Gets the file extensions to look for when locating a memo file, in order of preference
+ * @param {string} memoType - One of the MemoTypes
+ * @returns {string[]} - The candidate extensions
+ */
+function getMemoExtensions(memoType) {
+  return memoType === MemoTypes.FOXPRO ? ['.fpt', '.FPT'] : ['.dbt', '.DBT'];
+}
+
+/**
+ * Opens a memo file and reads its header
+ * @param {string} memoPath - Path to the memo file
+ * @param {string} memoType - One of the MemoTypes
+ * @param {string} mode - File access mode ('r' or 'r+')
+ * @returns {Promise<Object>} - Memo file handle with fd, type, blockSize and nextFreeBlock properties
+ */
+async function openMemo(memoPath, memoType, mode) {
+  const fd = await open(memoPath, mode);
+  try {
+    const header = Buffer.alloc(HEADER_SIZE);
+    await read(fd, header, 0, HEADER_SIZE, 0);
+
+    let blockSize, nextFreeBlock;
+    switch (memoType) {
+      case MemoTypes.DBASE3:
+        nextFreeBlock = header.readUInt32LE(0);
+        blockSize = HEADER_SIZE;
+        break;
+      case MemoTypes.DBASE4:
+        nextFreeBlock = header.readUInt32LE(0);
+        blockSize = header.readUInt16LE(20) || HEADER_SIZE;
+        break;
+      case MemoTypes.FOXPRO:
+        nextFreeBlock = header.readUInt32BE(0);
+        blockSize = header.readUInt16BE(6) || DEFAULT_FPT_BLOCK_SIZE;
+        break;
+      default:
+        throw new Error(`Unsupported memo file type: '${memoType}'`);
+    }
+
+    return { fd, path: memoPath, type: memoType, blockSize, nextFreeBlock };
+  } catch (err) {
+    await close(fd);
+    throw err;
+  }
+}
+
+/**
+ * Closes a memo file opened with openMemo
+ * @param {Object} memo - The memo file handle (may be null)
+ */
+async function closeMemo(memo) {
+  if (memo) await close(memo.fd);
+}
+
+/**
+ * Creates an empty memo file
+ * @param {string} memoPath - Path to the memo file
+ * @param {string} memoType - One of the MemoTypes
+ * @param {number} blockSize - Block size for dBase IV and FoxPro memo files (optional)
+ */
+async function createMemo(memoPath, memoType, blockSize) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  switch (memoType) {
+    case MemoTypes.DBASE3:
+      header.writeUInt32LE(1, 0);
+      header.writeUInt8(0x03, 16); // version
+      break;
+    case MemoTypes.DBASE4:
+      blockSize = blockSize || HEADER_SIZE;
+      header.writeUInt32LE(Math.ceil(HEADER_SIZE / blockSize), 0);
+      header.writeUInt16LE(blockSize, 20);
+      break;
+    case MemoTypes.FOXPRO:
+      blockSize = blockSize || DEFAULT_FPT_BLOCK_SIZE;
+      header.writeUInt32BE(Math.ceil(HEADER_SIZE / blockSize), 0);
+      header.writeUInt16BE(blockSize, 6);
+      break;
+    default:
+      throw new Error(`Unsupported memo file type: '${memoType}'`);
+  }
+
+  let fd = 0;
+  try {
+    fd = await open(memoPath, 'w');
+    await write(fd, header, 0, header.length, 0);
+  } finally {
+    if (fd) await close(fd);
+  }
+}
+
+/**
+ * Resets a memo file to its empty state, discarding all memo blocks
+ * @param {Object} memo - Memo file handle opened with mode 'r+'
+ */
+async function clearMemo(memo) {
+  memo.nextFreeBlock = Math.ceil(HEADER_SIZE / memo.blockSize);
+  await writeNextFreeBlock(memo);
+  await ftruncate(memo.fd, memo.nextFreeBlock * memo.blockSize);
+}
+
+/**
+ * Reads the data stored in a memo block
+ * @param {Object} memo - Memo file handle
+ * @param {number} block - The block number, as stored in the DBF record
+ * @returns {Promise<{data: Buffer, isText: boolean}>} - The raw memo data, and whether it is marked as text
+ */
+async function readMemo(memo, block) {
+  const position = block * memo.blockSize;
+
+  // dBase III memos have no length prefix, so read block by block until the terminator.
+  if (memo.type === MemoTypes.DBASE3) {
+    const chunks = [];
+    const chunk = Buffer.alloc(memo.blockSize);
+    for (let pos = position; ; pos += chunk.length) {
+      const { bytesRead } = await read(memo.fd, chunk, 0, chunk.length, pos);
+      const end = chunk.indexOf(0x1A);
+      if (end >= 0 && end < bytesRead) {
+        chunks.push(Buffer.from(chunk.slice(0, end)));
+        break;
+      }
+      chunks.push(Buffer.from(chunk.slice(0, bytesRead)));
+      if (bytesRead < chunk.length) break;
+    }
+    return { data: Buffer.concat(chunks), isText: true };
+  }
+
+  // dBase IV and FoxPro memos start with an 8-byte block header.
+  const blockHeader = Buffer.alloc(8);
+  await read(memo.fd, blockHeader, 0, 8, position);
+  let length, isText = true;
+  if (memo.type === MemoTypes.DBASE4) {
+    if (blockHeader.readUInt32LE(0) !== 0x0008FFFF) {
+      throw new Error(`Invalid memo block ${block} in '${memo.path}'`);
+    }
+    length = blockHeader.readUInt32LE(4) - 8; // length includes the block header
+  } else {
+    isText = blockHeader.readUInt32BE(0) === FPT_TEXT;
+    length = blockHeader.readUInt32BE(4);
+  }
+
+  const data = Buffer.alloc(Math.max(0, length));
+  await read(memo.fd, data, 0, data.length, position + 8);
+  return { data, isText };
+}
+
+/**
+ * Writes data into newly allocated blocks at the end of a memo file and updates the next free block in its header
+ * @param {Object} memo - Memo file handle opened with mode 'r+'
+ * @param {Buffer} data - The memo data
+ * @param {boolean} isText - Whether the data is text (FoxPro records this in the block header)
+ * @returns {Promise<number>} - The block number to store in the DBF record
+ */
+async function writeMemo(memo, data, isText = true) {
+  let block;
+  switch (memo.type) {
+    case MemoTypes.DBASE3:
+      block = Buffer.concat([data, Buffer.from([0x1A, 0x1A])]);
+      break;
+    case MemoTypes.DBASE4:
+      block = Buffer.alloc(8 + data.length);
+      block.writeUInt32LE(0x0008FFFF, 0);
+      block.writeUInt32LE(data.length + 8, 4);
+      data.copy(block, 8);
+      break;
+    default:
+      block = Buffer.alloc(8 + data.length);
+      block.writeUInt32BE(isText ? FPT_TEXT : FPT_PICTURE, 0);
+      block.writeUInt32BE(data.length, 4);
+      data.copy(block, 8);
+  }
+
+  // Pad the data out to a whole number of blocks, so the file always ends on a block boundary.
+  const blockCount = Math.max(1, Math.ceil(block.length / memo.blockSize));
+  const padded = Buffer.alloc(blockCount * memo.blockSize);
+  block.copy(padded);
+
+  const blockNumber = memo.nextFreeBlock;
+  await write(memo.fd, padded, 0, padded.length, blockNumber * memo.blockSize);
+  memo.nextFreeBlock += blockCount;
+  await writeNextFreeBlock(memo);
+  return blockNumber;
+}
+
+/**
+ * Writes the next free block number into the memo file header
+ * @param {Object} memo - Memo file handle opened with mode 'r+'
+ */
+async function writeNextFreeBlock(memo) {
+  const buffer = Buffer.alloc(4);
+  if (memo.type === MemoTypes.FOXPRO) {
+    buffer.writeUInt32BE(memo.nextFreeBlock, 0);
+  } else {
+    buffer.writeUInt32LE(memo.nextFreeBlock, 0);
+  }
+  await write(memo.fd, buffer, 0, 4, 0);
+}
+
+/**
+ * Finds the memo file next to a DBF file, trying each candidate extension
+ * @param {string} dbfPath - Path to the DBF file
+ * @param {string} memoType - One of the MemoTypes
+ * @returns {Promise<string|undefined>} - Path to the memo file, or undefined if it was not found
+ */
+async function findMemoFile(dbfPath, memoType) {
+  const basePath = dbfPath.slice(0, dbfPath.length - path.extname(dbfPath).length);
+  for (const ext of getMemoExtensions(memoType)) {
+    const memoPath = basePath + ext;
+    const found = await stat(memoPath).catch(() => 'missing') !== 'missing';
+    if (found) return memoPath;
+  }
+  return undefined;
+}
+
+/**
+ * Gets the path for a new memo file next to a DBF file, matching the case of the DBF file's extension
+ * @param {string} dbfPath - Path to the DBF file
+ * @param {string} memoType - One of the MemoTypes
+ * @returns {string} - Path for the memo file
+ */
+function getMemoPath(dbfPath, memoType) {
+  const ext = path.extname(dbfPath);
+  const [lower, upper] = getMemoExtensions(memoType);
+  const memoExt = ext && ext === ext.toUpperCase() ? upper : lower;
+  return dbfPath.slice(0, dbfPath.length - ext.length) + memoExt;
+}
+
+module.exports = {
+  MemoTypes,
+  getMemoType,
+  openMemo,
+  closeMemo,
+  createMemo,
+  clearMemo,
+  readMemo,
+  writeMemo,
+  findMemoFile,
+  getMemoPath
+};
@@ -0,0 +1,249 @@
+/**
+ * dBase III index file (.NDX) support
+ *
+ * An NDX file holds a single index in 512-byte pages. Page 0 is the header; each other page holds a key count and
+ * fixed-size entries made of a child page pointer, a record number and the key. Character keys are padded with
+ * spaces; numeric and date keys are little-endian doubles (dates as Julian day numbers).
+ */
+
+const iconv = require('iconv-lite');
+const { read, write, ftruncate } = require('./utils');
+
+const PAGE_SIZE = 512;
+
+// Julian day number of 1970-01-01, used for date keys
+const UNIX_EPOCH_JULIAN_DAY = 2440588;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Reads the header of an NDX file
+ * @param {number} fd - Open file descriptor
+ * @param {string} name - Tag name to give the index
+ * @returns {Promise<Object>} - { compound: false, version, tags }, with a single tag
+ */
+async function readIndexHeader(fd, name) {
+  const header = Buffer.alloc(PAGE_SIZE);
+  await read(fd, header, 0, PAGE_SIZE, 0);
+  const expressionBytes = header.slice(24);
+  const end = expressionBytes.indexOf(0);
+  const tag = {
+    name,
+    root: header.readUInt32LE(0) * PAGE_SIZE,
+    keyLength: header.readUInt16LE(12),
+    maxKeys: header.readUInt16LE(14),
+    numeric: header.readUInt16LE(16) === 1,
+    groupLength: header.readUInt16LE(18),
+    unique: header[23] !== 0,
+    descending: false,
+    expression: expressionBytes.slice(0, end >= 0 ? end : expressionBytes.length).toString('latin1').trim(),
+    forExpression: undefined
+  };
+  return { compound: false, version: 0, tags: [tag] };
+}
+
+/**
+ * Reads a page of the index
+ * @param {number} fd - Open file descriptor
+ * @param {Object} tag - The tag, as returned by readIndexHeader
+ * @param {number} offset - File offset of the page
+ * @returns {Promise<Object>} - { leaf, entries }. Interior entries have a child offset, and their last entry has no
+ * key (it covers all keys greater than the previous one).
+ */
+async function readNode(fd, tag, offset) {
+  const page = Buffer.alloc(PAGE_SIZE);
+  await read(fd, page, 0, PAGE_SIZE, offset);
+  const count = page.readUInt32LE(0);
+  const entries = [];
+  const leaf = count === 0 || page.readUInt32LE(4) === 0;
+  for (let i = 0; i < count; ++i) {
+    const pos = 4 + i * tag.groupLength;
+    const key = Buffer.from(page.slice(pos + 8, pos + 8 + tag.keyLength));
+    if (leaf) {
+      entries.push({ key, recno: page.readUInt32LE(pos + 4) });
+    } else {
+      entries.push({ key, recno: 0, child: page.readUInt32LE(pos) * PAGE_SIZE });
+    }
+  }
+  if (!leaf) {
+    const child = page.readUInt32LE(4 + count * tag.groupLength);
+    if (child) entries.push({ key: undefined, recno: 0, child: child * PAGE_SIZE });
+  }
+  return { leaf, entries };
+}
+
+/**
+ * Encodes a key expression value as the bytes stored in the index
+ * @param {Object} tag - The tag
+ * @param {*} value - The value of the key expression
+ * @param {string} encoding - Character encoding for character keys
+ * @param {boolean} partial - Whether to leave a character key unpadded, for prefix matching
+ * @returns {Buffer} - The key
+ */
+function encodeKey(tag, value, encoding, partial = false) {
+  if (tag.keyType === 'N' || tag.keyType === 'D') {
+    let number = 0;
+    if (value instanceof Date) number = Math.floor(value.getTime() / MS_PER_DAY) + UNIX_EPOCH_JULIAN_DAY;
+    else if (typeof value === 'number') number = value;
+    const key = Buffer.alloc(8);
+    key.writeDoubleLE(number, 0);
+    return key;
+  }
+  const text = value === null || value === undefined ? Buffer.alloc(0) : iconv.encode(String(value), encoding);
+  if (partial) return text.slice(0, tag.keyLength);
+  const key = Buffer.alloc(tag.keyLength, 0x20);
+  text.copy(key, 0, 0, tag.keyLength);
+  return key;
+}
+
+/** Compares a key of the index with another key, or with a (possibly shorter) character key prefix. */
+function compareKeys(tag, key, other) {
+  if (tag.keyType === 'N' || tag.keyType === 'D') {
+    const a = key.readDoubleLE(0);
+    const b = other.readDoubleLE(0);
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return Buffer.compare(key.slice(0, other.length), other);
+}
+
+/** Gets the key type for a tag given the type of its key expression. */
+function keyTypeFor(tag, expressionType) {
+  if (!tag.numeric) return 'C';
+  return expressionType === 'D' ? 'D' : 'N';
+}
+
+/** Gets the key length for a key type, or undefined if it depends on the key expression. */
+function keyLengthFor(keyType) {
+  return keyType === 'N' || keyType === 'D' ? 8 : undefined;
+}
+
+/** Whether the entries of interior pages hold record numbers, which order entries with equal keys. */
+function separatorHasRecno() {
+  return false;
+}
+
+/**
+ * Serializes a page of the index
+ * @param {Object} tag - The tag
+ * @param {Object} node - { leaf, entries }, as returned by readNode. Interior pages don't store the last entry's key.
+ * @returns {Buffer|null} - The page, or null if its entries don't fit in one
+ */
+function serializeNode(tag, node) {
+  const { groupLength, maxKeys } = getPageLayout(tag);
+  const buffer = Buffer.alloc(PAGE_SIZE);
+  if (node.leaf) {
+    if (node.entries.length > maxKeys) return null;
+    buffer.writeUInt32LE(node.entries.length, 0);
+    node.entries.forEach((entry, i) => {
+      const pos = 4 + i * groupLength;
+      buffer.writeUInt32LE(entry.recno, pos + 4);
+      entry.key.copy(buffer, pos + 8, 0, tag.keyLength);
+    });
+    return buffer;
+  }
+
+  // Every child but the last is preceded by its last key; the last child pointer follows the keys.
+  const keyCount = node.entries.length - 1;
+  if (keyCount > maxKeys) return null;
+  buffer.writeUInt32LE(keyCount, 0);
+  node.entries.forEach((entry, i) => {
+    const pos = 4 + i * groupLength;
+    buffer.writeUInt32LE(entry.child / PAGE_SIZE, pos);
+    if (i < keyCount) entry.key.copy(buffer, pos + 8, 0, tag.keyLength);
+  });
+  return buffer;
+}
+
+/**
+ * Serializes the fields of the header that change as the index is updated: the root page and the number of pages
+ * @param {Object} tag - The tag
+ * @param {number} fileSize - Size of the index file
+ * @returns {{offset: number, data: Buffer}} - Where to write the fields, and their bytes
+ */
+function serializeTagHeader(tag, fileSize) {
+  const data = Buffer.alloc(8);
+  data.writeUInt32LE(tag.root / PAGE_SIZE, 0);
+  data.writeUInt32LE(Math.ceil(fileSize / PAGE_SIZE), 4);
+  return { offset: 0, data };
+}
+
+/**
+ * Writes a complete NDX file, replacing its previous contents
+ * @param {number} fd - File descriptor open for writing
+ * @param {Object} index - { tags }, where the single tag also has its sorted `entries`
+ */
+async function writeIndex(fd, index) {
+  const tag = index.tags[0];
+  // Pages are laid out for the key length, whatever the layout of the file being replaced.
+  const layout = { keyLength: tag.keyLength, ...getPageLayout({ keyLength: tag.keyLength }) };
+  const { groupLength, maxKeys } = layout;
+
+  // Build the leaf pages, then interior pages until a single root page remains.
+  const pages = [];
+  let level = [];
+  for (let i = 0; i < tag.entries.length || level.length === 0; i += maxKeys) {
+    const page = { leaf: true, entries: tag.entries.slice(i, i + maxKeys) };
+    level.push(page);
+    pages.push(page);
+  }
+  while (level.length > 1) {
+    const parents = [];
+    // Spread the children evenly, so that no interior page is left with a single child and no keys.
+    const count = Math.ceil(level.length / (maxKeys + 1));
+    for (let i = 0; i < count; ++i) {
+      const start = Math.floor(i * level.length / count);
+      const page = { leaf: false, children: level.slice(start, Math.floor((i + 1) * level.length / count)) };
+      parents.push(page);
+      pages.push(page);
+    }
+    level = parents;
+  }
+  pages.forEach((page, i) => { page.number = i + 1; });
+  const root = level[0];
+
+  const header = Buffer.alloc(PAGE_SIZE);
+  header.writeUInt32LE(root.number, 0);
+  header.writeUInt32LE(pages.length + 1, 4);
+  header.writeUInt16LE(tag.keyLength, 12);
+  header.writeUInt16LE(maxKeys, 14);
+  header.writeUInt16LE(tag.keyType === 'C' ? 0 : 1, 16);
+  header.writeUInt16LE(groupLength, 18);
+  header.writeUInt8(tag.unique ? 1 : 0, 23);
+  header.write(`${tag.expression}\0`, 24, PAGE_SIZE - 24, 'latin1');
+
+  const buffers = [header];
+  for (const page of pages) {
+    buffers.push(serializeNode(layout, page.leaf ? page : {
+      leaf: false,
+      entries: page.children.map(child => ({ key: lastKey(child), recno: 0, child: child.number * PAGE_SIZE }))
+    }));
+  }
+
+  const data = Buffer.concat(buffers);
+  await write(fd, data, 0, data.length, 0);
+  await ftruncate(fd, data.length);
+}
+
+/** Gets the length of a page's entries, and the most keys a page holds, from the header or else the key length. */
+function getPageLayout(tag) {
+  const groupLength = tag.groupLength || Math.ceil((tag.keyLength + 8) / 4) * 4;
+  return { groupLength, maxKeys: tag.maxKeys || Math.floor((PAGE_SIZE - 8) / groupLength) };
+}
+
+function lastKey(page) {
+  while (!page.leaf) page = page.children[page.children.length - 1];
+  return page.entries[page.entries.length - 1].key;
+}
+
+module.exports = {
+  NODE_SIZE: PAGE_SIZE,
+  readIndexHeader,
+  readNode,
+  encodeKey,
+  compareKeys,
+  keyTypeFor,
+  keyLengthFor,
+  separatorHasRecno,
+  serializeNode,
+  serializeTagHeader,
+  writeIndex
+};
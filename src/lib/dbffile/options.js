@@ -2,6 +2,8 @@
  * Options handling for DBF file operations
  */
 
+const { NumericModes } = require('./decimal');
+
 /**
  * Validates and normalizes open options
  * @param {Object} options - The options to normalize
@@ -33,11 +35,20 @@ function normaliseOpenOptions(options) {
     }
   }
   
+  // Validate indexes
+  if (opts.indexes !== undefined && typeof opts.indexes !== 'boolean' &&
+      !(Array.isArray(opts.indexes) && opts.indexes.every(indexPath => typeof indexPath === 'string'))) {
+    throw new Error(`Invalid indexes option: must be a boolean or an array of index file paths.`);
+  }
+  
   // Create a new options object with defaults
   return {
     readMode: opts.readMode || 'strict',
-    encoding: opts.encoding || 'utf8',
-    includeDeletedRecords: !!opts.includeDeletedRecords
+    encoding: opts.encoding,
+    includeDeletedRecords: !!opts.includeDeletedRecords,
+    indexes: opts.indexes === undefined ? true : opts.indexes,
+    numeric: normaliseNumericOption(opts.numeric),
+    locking: normaliseLockingOption(opts.locking)
   };
 }
 
@@ -51,7 +62,7 @@ function normaliseCreateOptions(options) {
   
   // Validate fileVersion
   if (opts.fileVersion !== undefined && 
-      [0x03, 0x83, 0x8b, 0x30].indexOf(opts.fileVersion) === -1) {
+      [0x03, 0x83, 0x8b, 0x30, 0x31, 0x32].indexOf(opts.fileVersion) === -1) {
     throw new Error(`Invalid fileVersion option: '${opts.fileVersion}'.`);
   }
   
@@ -76,11 +87,60 @@ function normaliseCreateOptions(options) {
   // Create a new options object with defaults
   return {
     fileVersion: opts.fileVersion || 0x03,
-    encoding: opts.encoding || 'utf8'
+    encoding: opts.encoding || 'utf8',
+    numeric: normaliseNumericOption(opts.numeric),
+    locking: normaliseLockingOption(opts.locking)
+  };
+}
+
+/**
+ * Validates the numeric option, which chooses how numeric (N, F and Y) field values are read
+ * @param {string} numeric - 'number', 'string', 'bigint' or 'decimal'
+ * @returns {string} - The option, defaulting to 'number'
+ */
+function normaliseNumericOption(numeric) {
+  if (numeric === undefined) return 'number';
+  if (NumericModes.indexOf(numeric) === -1) {
+    const valid = NumericModes.map(mode => `'${mode}'`).join(', ');
+    throw new Error(`Invalid numeric option: '${numeric}'. Valid options are ${valid}.`);
+  }
+  return numeric;
+}
+
+/**
+ * Validates and normalizes the locking option, which is either false (no automatic locking) or an object with
+ * `auto`, `adapter`, `scheme` and `timeout` properties
+ * @param {boolean|Object} locking - The locking option
+ * @returns {Object} - Normalized locking options with defaults
+ */
+function normaliseLockingOption(locking) {
+  const opts = locking === false ? { auto: false } : (locking === undefined || locking === true ? {} : locking);
+  if (typeof opts !== 'object' || opts === null) {
+    throw new Error(`Invalid locking option: must be a boolean or an object.`);
+  }
+  
+  const adapter = opts.adapter === undefined ? 'auto' : opts.adapter;
+  if (adapter !== 'auto' && adapter !== 'none' &&
+      (typeof adapter !== 'object' || typeof adapter.lock !== 'function' || typeof adapter.unlock !== 'function')) {
+    throw new Error(`Invalid locking adapter: must be 'auto', 'none' or an object with lock and unlock methods.`);
+  }
+  if (opts.scheme !== undefined && ['foxpro', 'clipper', 'clipper53'].indexOf(opts.scheme) === -1) {
+    throw new Error(`Invalid locking scheme: '${opts.scheme}'. Valid schemes are 'foxpro', 'clipper' or 'clipper53'.`);
+  }
+  if (opts.timeout !== undefined && !(typeof opts.timeout === 'number' && opts.timeout >= 0)) {
+    throw new Error(`Invalid locking timeout: must be a number of milliseconds.`);
+  }
+  
+  return {
+    auto: opts.auto !== false,
+    adapter,
+    scheme: opts.scheme,
+    timeout: opts.timeout === undefined ? 5000 : opts.timeout
   };
 }
 
 module.exports = {
   normaliseOpenOptions,
-  normaliseCreateOptions
+  normaliseCreateOptions,
+  normaliseNumericOption
 }; 
\ No newline at end of file
@@ -12,6 +12,10 @@ const read = util.promisify(fs.read);
 const write = util.promisify(fs.write);
 const stat = util.promisify(fs.stat);
 const ftruncate = util.promisify(fs.ftruncate);
+const fsync = util.promisify(fs.fsync);
+const unlink = util.promisify(fs.unlink);
+const rename = util.promisify(fs.rename);
+const readFile = util.promisify(fs.readFile);
 
 /**
  * Creates a Date object from year, month, and day values
@@ -70,6 +74,40 @@ async function validateFileAccess(filePath, mode) {
   }
 }
 
+/**
+ * Gets the parts of a byte range not covered by any of the other ranges
+ * 
+ * @param {{offset: number, length: number}} range - The range
+ * @param {Array<{offset: number, length: number}>} others - The ranges to take away
+ * @returns {Array<{offset: number, length: number}>} - The remaining parts, in order
+ */
+function subtractRanges(range, others) {
+  let parts = [range];
+  for (const other of others) {
+    parts = parts.flatMap(part => {
+      if (!overlaps(part, other)) return [part];
+      const end = part.offset + part.length;
+      const otherEnd = other.offset + other.length;
+      const remaining = [];
+      if (part.offset < other.offset) remaining.push({ offset: part.offset, length: other.offset - part.offset });
+      if (end > otherEnd) remaining.push({ offset: otherEnd, length: end - otherEnd });
+      return remaining;
+    });
+  }
+  return parts;
+}
+
+/**
+ * Checks whether two byte ranges overlap
+ * 
+ * @param {{offset: number, length: number}} a - A range
+ * @param {{offset: number, length: number}} b - Another range
+ * @returns {boolean} - True if the ranges have at least one byte in common
+ */
+function overlaps(a, b) {
+  return a.offset < b.offset + b.length && b.offset < a.offset + a.length;
+}
+
 module.exports = {
   open,
   close,
@@ -77,8 +115,14 @@ module.exports = {
   write,
   stat,
   ftruncate,
+  fsync,
+  unlink,
+  rename,
+  readFile,
   createDate,
   getDateParts,
   zeroPad,
-  validateFileAccess
+  validateFileAccess,
+  subtractRanges,
+  overlaps
 }; 
\ No newline at end of file
@@ -0,0 +1,416 @@
+/**
+ * Integrity checks and repairs of DBF files
+ *
+ * verifyDBF reads a table's bytes directly rather than opening it, so that it can report on files that openDBF would
+ * refuse or misread: a record count that disagrees with the file size, a missing end-of-file marker, bad field
+ * descriptors, values that are not valid for their fields, and memo blocks that are missing or used by no record.
+ * repairDBF fixes what can be fixed without guessing at data: the record count, partial records and the marker.
+ *
+ * Each problem is { type, message }, with `recno` and `field` for problems in records. Types are 'header' (record
+ * count, lengths or version), 'field' (bad field descriptors), 'size' (record count disagreeing with the file size),
+ * 'eof' (missing end-of-file marker), 'record' (invalid deletion flags, numbers, dates and other values) and 'memo'
+ * (missing memo file or blocks). Warnings, such as memo blocks used by no record, don't make a report's `ok` false.
+ * Each change repairDBF makes is described in its result's `fixes`. It changes the header and size of the file under
+ * any program that has the table open, so the table must be closed first.
+ */
+
+const fs = require('fs');
+const { open, close, read, write, stat, ftruncate } = require('./utils');
+const { validateFieldDescriptor, isVisualFoxProVersion, getNullFlagBits } = require('./field-descriptor');
+const { isValidFileVersion } = require('./file-version');
+const { isNumericValue } = require('./decimal');
+const { MemoTypes, getMemoType, openMemo, closeMemo, readMemo, findMemoFile } = require('./memo-file');
+
+// Byte that follows the last record
+const EOF_MARKER = 0x1A;
+
+// Deletion flags that start each record
+const NOT_DELETED = 0x20;
+const DELETED_FLAG = 0x2A;
+
+// Number of records read from disk at a time
+const BATCH_SIZE = 1000;
+
+// Most problems listed in a report; the rest are only counted, so a table full of garbage gives a short report
+const DEFAULT_MAX_PROBLEMS = 1000;
+
+// Field types whose values are stored in the memo file
+const MemoFieldTypes = ['M', 'G', 'W'];
+
+// Milliseconds in a day, the limit of the time part of DateTime fields
+const MS_PER_DAY = 86400000;
+
+/**
+ * Checks a DBF file (and its memo file) for damage, without changing it
+ * @param {string} path - Path to the DBF file
+ * @param {Object} options - `maxProblems`: most problems to list (default 1000)
+ * @returns {Promise<Object>} - { path, ok, recordCount, fileRecordCount, problems, problemCount, warnings }, where
+ * problems and warnings are { type, message } objects, with `recno` and `field` for problems in records. Problem types
+ * are 'header', 'field', 'size', 'eof', 'record' and 'memo'; warnings (such as memo blocks no record uses) don't make
+ * the file fail verification.
+ */
+async function verifyDBF(path, options = {}) {
+  const { maxProblems = DEFAULT_MAX_PROBLEMS } = options;
+  if (!Number.isInteger(maxProblems) || maxProblems < 0) {
+    throw new Error(`Invalid maxProblems option: must be a whole number.`);
+  }
+  const report = { path, ok: true, recordCount: 0, fileRecordCount: 0, problems: [], problemCount: 0, warnings: [] };
+  const problem = (type, message, details) => {
+    if (report.problems.length < maxProblems) report.problems.push({ type, message, ...details });
+    ++report.problemCount;
+  };
+
+  const fd = await open(path, 'r');
+  let memo = null;
+  try {
+    const table = await readLayout(fd, path, problem);
+    if (table) {
+      report.recordCount = table.recordCount;
+      report.fileRecordCount = table.wholeRecords;
+      checkSize(table, problem);
+      memo = await openMemoOfLayout(path, table, problem);
+      await checkRecords(fd, table, memo, problem);
+      if (memo) checkMemoBlocks(memo, report.warnings);
+    }
+  } finally {
+    if (memo) await closeMemo(memo.file);
+    await close(fd);
+  }
+  report.ok = report.problemCount === 0;
+  return report;
+}
+
+/**
+ * Repairs the structure of a damaged DBF file: sets the header's record count to the number of whole records in the
+ * file, removes any partial record or other bytes after them, and writes the end-of-file marker. Records past the
+ * header's count are kept as long as they start with a deletion flag, as records appended by a program that stopped
+ * before updating the header do. Values inside records are not changed. The table must not be in use.
+ * @param {string} path - Path to the DBF file
+ * @param {Object} options - `backup`: copy the file to `<path>.bak` before changing it (default false)
+ * @returns {Promise<Object>} - { path, changed, fixes, previousRecordCount, recordCount, removedBytes, backupPath },
+ * with `fixes` describing each change made
+ */
+async function repairDBF(path, options = {}) {
+  const { backup = false } = options;
+  const fd = await open(path, 'r+');
+  try {
+    const { size } = await stat(path);
+    const header = Buffer.alloc(32);
+    const { bytesRead } = await read(fd, header, 0, 32, 0);
+    const headerLength = header.readUInt16LE(8);
+    const recordLength = header.readUInt16LE(10);
+    if (bytesRead < 32 || headerLength < 33 || headerLength > size || recordLength < 1) {
+      throw new Error(`Cannot repair '${path}': its header is damaged.`);
+    }
+    const previousRecordCount = header.readUInt32LE(4);
+    const wholeRecords = Math.floor((size - headerLength) / recordLength);
+
+    // Keep the records the header counts that are whole, then any whole records after them that look like records.
+    let recordCount = Math.min(previousRecordCount, wholeRecords);
+    const flag = Buffer.alloc(1);
+    while (recordCount < wholeRecords) {
+      await read(fd, flag, 0, 1, headerLength + recordCount * recordLength);
+      if (flag[0] !== NOT_DELETED && flag[0] !== DELETED_FLAG) break;
+      ++recordCount;
+    }
+    const end = headerLength + recordCount * recordLength;
+    const marker = Buffer.alloc(1);
+    if (size > end) await read(fd, marker, 0, 1, end);
+
+    const fixes = [];
+    if (recordCount !== previousRecordCount) {
+      fixes.push(`Changed the record count from ${previousRecordCount} to ${recordCount}`);
+    }
+    // An end-of-file marker right after the last record is kept; any other byte there is replaced by one.
+    const hasMarker = size > end && marker[0] === EOF_MARKER;
+    const removedBytes = Math.max(0, size - end - (hasMarker ? 1 : 0));
+    if (removedBytes > 0) fixes.push(`Removed ${removedBytes} bytes after the last record`);
+    if (!hasMarker) fixes.push('Wrote the end-of-file marker');
+
+    const result = { path, changed: fixes.length > 0, fixes, previousRecordCount, recordCount, removedBytes };
+    if (!result.changed) return result;
+    if (backup) {
+      result.backupPath = `${path}.bak`;
+      await fs.promises.copyFile(path, result.backupPath);
+    }
+    const count = Buffer.alloc(4);
+    count.writeUInt32LE(recordCount, 0);
+    await write(fd, count, 0, 4, 4);
+    await write(fd, Buffer.from([EOF_MARKER]), 0, 1, end);
+    await ftruncate(fd, end + 1);
+    return result;
+  } finally {
+    await close(fd);
+  }
+}
+
+//-------------------- Private implementation starts here --------------------
+/** Reads the header and field descriptors, reporting their problems. Resolves to null if records can't be found. */
+async function readLayout(fd, path, problem) {
+  const { size } = await stat(path);
+  if (size < 32) {
+    problem('header', `File is ${size} bytes, too short for a DBF header`);
+    return null;
+  }
+  const header = Buffer.alloc(32);
+  await read(fd, header, 0, 32, 0);
+  const fileVersion = header.readUInt8(0);
+  const recordCount = header.readUInt32LE(4);
+  const headerLength = header.readUInt16LE(8);
+  const recordLength = header.readUInt16LE(10);
+  if (!isValidFileVersion(fileVersion)) {
+    problem('header', `Unknown dBase version 0x${fileVersion.toString(16).padStart(2, '0')}`);
+  }
+  if (headerLength < 33 || headerLength > size) {
+    problem('header', `Header length ${headerLength} is not possible in a file of ${size} bytes`);
+    return null;
+  }
+
+  // Field descriptors are 32 bytes each, ending with 0x0D.
+  const descriptors = Buffer.alloc(headerLength - 32);
+  await read(fd, descriptors, 0, descriptors.length, 32);
+  const fields = [];
+  let offset = 0;
+  while (offset < descriptors.length && descriptors[offset] !== 0x0D && descriptors[offset] !== 0) {
+    if (offset + 32 > descriptors.length) {
+      problem('field', `Field descriptor ${fields.length + 1} is cut short by the end of the header`);
+      break;
+    }
+    const nameBytes = descriptors.subarray(offset, offset + 11);
+    const nameEnd = nameBytes.indexOf(0);
+    const field = {
+      name: nameBytes.toString('latin1', 0, nameEnd === -1 ? 11 : nameEnd).trim(),
+      type: String.fromCharCode(descriptors[offset + 11]),
+      size: descriptors[offset + 16],
+      decimalPlaces: descriptors[offset + 17] || undefined,
+      offset: 1 + fields.reduce((total, f) => total + f.size, 0)
+    };
+    if (isVisualFoxProVersion(fileVersion) && field.type !== '0') {
+      if (descriptors[offset + 18] & 0x02) field.nullable = true;
+      if (descriptors[offset + 18] & 0x04) field.binary = true;
+    }
+    checkField(field, fields, fileVersion, problem);
+    fields.push(field);
+    offset += 32;
+  }
+  if (offset >= descriptors.length || descriptors[offset] !== 0x0D) {
+    problem('field', 'Field descriptors are not ended by 0x0D');
+  }
+  if (fields.length === 0) {
+    problem('field', 'The table has no fields');
+    return null;
+  }
+
+  const fieldsLength = 1 + fields.reduce((total, field) => total + field.size, 0);
+  if (recordLength !== fieldsLength) {
+    problem('header', `Record length ${recordLength} does not match the fields, which take ${fieldsLength} bytes`);
+  }
+  if (recordLength < 1) return null;
+  const wholeRecords = Math.floor((size - headerLength) / recordLength);
+  const nullFlagsField = fields.find(field => field.type === '0');
+  return {
+    size, fileVersion, recordCount, headerLength, recordLength, fields, wholeRecords,
+    nullFlagBits: getNullFlagBits(fields),
+    nullFlagsOffset: nullFlagsField ? nullFlagsField.offset : 0,
+    // Only fields inside the record can be checked, if the record length is wrong.
+    checkedFields: fields.filter(field => field.offset + field.size <= recordLength)
+  };
+}
+
+function checkField(field, previous, fileVersion, problem) {
+  const label = `Field ${previous.length + 1} '${field.name}'`;
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(field.name)) {
+    problem('field', `${label} has an invalid name`, { field: field.name });
+  }
+  if (previous.some(f => f.name.toUpperCase() === field.name.toUpperCase())) {
+    problem('field', `${label} has the same name as an earlier field`, { field: field.name });
+  }
+  try {
+    validateFieldDescriptor(field, fileVersion);
+  } catch (err) {
+    problem('field', `${label}: ${err.message}`, { field: field.name });
+  }
+}
+
+/** Reports a record count that disagrees with the file size, and a missing end-of-file marker (see checkRecords). */
+function checkSize(table, problem) {
+  const { size, headerLength, recordLength, recordCount, wholeRecords } = table;
+  const end = headerLength + recordCount * recordLength;
+  if (wholeRecords < recordCount) {
+    const partial = size - headerLength - wholeRecords * recordLength;
+    problem('size', `The header counts ${recordCount} records, but the file holds only ${wholeRecords}` +
+      (partial > 0 ? ` and ${partial} bytes of another` : ''));
+  } else if (size > end + 1) {
+    const more = wholeRecords - recordCount;
+    problem('size', `The file has ${size - end} bytes after the ${recordCount} records the header counts` +
+      (more > 0 ? `, enough for ${more} more` : ''));
+  } else if (size === end) {
+    problem('eof', 'The end-of-file marker (0x1A) is missing');
+  }
+}
+
+/** Opens the memo file of a table with memo fields, reporting it if it is missing. */
+async function openMemoOfLayout(path, table, problem) {
+  const memoType = getMemoType(table.fileVersion);
+  if (!table.fields.some(field => MemoFieldTypes.indexOf(field.type) !== -1)) return null;
+  const memoPath = memoType && await findMemoFile(path, memoType);
+  if (!memoPath) {
+    problem('memo', 'The memo file is missing');
+    return null;
+  }
+  const file = await openMemo(memoPath, memoType, 'r');
+  const { size } = await stat(memoPath);
+  const fileBlocks = Math.ceil(size / file.blockSize);
+  if (file.nextFreeBlock > fileBlocks) {
+    problem('memo', `The memo file's next free block ${file.nextFreeBlock} is past its end (block ${fileBlocks})`);
+  }
+  const blockCount = Math.min(file.nextFreeBlock, fileBlocks);
+  return {
+    file, size, blockCount,
+    firstBlock: Math.ceil(512 / file.blockSize), // Blocks after the memo file header
+    used: new Uint8Array(blockCount)
+  };
+}
+
+/** Checks the deletion flag and the values of every record the header counts and the file holds. */
+async function checkRecords(fd, table, memo, problem) {
+  const { headerLength, recordLength } = table;
+  const last = Math.min(table.recordCount, table.wholeRecords);
+  const buffer = Buffer.alloc(recordLength * Math.min(BATCH_SIZE, Math.max(last, 1)));
+  for (let first = 1; first <= last; first += BATCH_SIZE) {
+    const count = Math.min(BATCH_SIZE, last - first + 1);
+    await read(fd, buffer, 0, count * recordLength, headerLength + (first - 1) * recordLength);
+    for (let i = 0; i < count; ++i) {
+      await checkRecord(table, buffer.subarray(i * recordLength, (i + 1) * recordLength), first + i, memo, problem);
+    }
+  }
+
+  // Note the byte after the counted records, to check the end-of-file marker.
+  const end = headerLength + table.recordCount * recordLength;
+  if (table.size === end + 1) {
+    const marker = Buffer.alloc(1);
+    await read(fd, marker, 0, 1, end);
+    if (marker[0] !== EOF_MARKER) {
+      problem('eof', `The end-of-file marker is 0x${marker[0].toString(16).padStart(2, '0')} instead of 0x1a`);
+    }
+  }
+}
+
+async function checkRecord(table, record, recno, memo, problem) {
+  if (record[0] !== NOT_DELETED && record[0] !== DELETED_FLAG) {
+    problem('record', `Record ${recno} has an invalid deletion flag 0x${record[0].toString(16).padStart(2, '0')}`,
+      { recno });
+  }
+  for (const field of table.checkedFields) {
+    if (field.type === '0') continue;
+    const bits = table.nullFlagBits[field.name] || {};
+    if (isNullFlagSet(table, record, bits.nullBit)) continue;
+    const bytes = record.subarray(field.offset, field.offset + field.size);
+    const message = await checkValue(field, bytes, isNullFlagSet(table, record, bits.lengthBit), memo);
+    if (message) problem('record', `Record ${recno}: ${field.name} ${message}`, { recno, field: field.name });
+  }
+}
+
+/** Checks the bytes of a value, resolving to a description of what is wrong with them, or undefined. */
+async function checkValue(field, bytes, short, memo) {
+  const text = bytes.toString('latin1');
+  switch (field.type) {
+    case 'N': // Numeric
+    case 'F': // Float
+      if (text.trim() !== '' && !isNumericValue(text)) return `has an invalid number '${text.trim()}'`;
+      break;
+    case 'D': // Date
+      if (text.trim() !== '' && text !== '00000000' && !isValidDate(text)) return `has an invalid date '${text}'`;
+      break;
+    case 'L': // Logical
+      if ('TtFfYyNn? \0'.indexOf(text) === -1) return `has an invalid logical value '${text}'`;
+      break;
+    case 'T': // DateTime
+      {
+        const julianDay = bytes.readInt32LE(0);
+        const ms = bytes.readInt32LE(4);
+        const blank = (julianDay === 0 && ms === 0) || text === ' '.repeat(8);
+        if (!blank && (julianDay < 1 || ms < 0 || ms >= MS_PER_DAY)) return 'has an invalid date and time';
+      }
+      break;
+    case 'V': // Varchar
+    case 'Q': // Varbinary
+      if (short && bytes[field.size - 1] >= field.size) return `has an invalid length ${bytes[field.size - 1]}`;
+      break;
+    case 'M': // Memo
+    case 'G': // General
+    case 'W': // Blob
+      return checkMemoReference(field, bytes, text, memo);
+  }
+  return undefined;
+}
+
+/** Checks that a memo field refers to a memo in the memo file, and marks the blocks of the memo as used. */
+async function checkMemoReference(field, bytes, text, memo) {
+  // The block number is a binary integer in Visual FoxPro tables, otherwise it is stored as text.
+  let block;
+  if (field.size === 4) {
+    block = bytes.readInt32LE(0);
+  } else if (/^ *\d* *$/.test(text)) {
+    block = Number(text.trim());
+  } else {
+    return `has an invalid memo block number '${text.trim()}'`;
+  }
+  if (block === 0 || !memo) return undefined;
+  if (block < memo.firstBlock || block >= memo.blockCount) return `refers to memo block ${block}, which does not exist`;
+
+  const { file } = memo;
+  let length;
+  if (file.type === MemoTypes.DBASE3) {
+    const { data } = await readMemo(file, block);
+    length = data.length + 2; // Ended by 0x1A 0x1A
+  } else {
+    const blockHeader = Buffer.alloc(8);
+    await read(file.fd, blockHeader, 0, 8, block * file.blockSize);
+    if (file.type === MemoTypes.DBASE4) {
+      if (blockHeader.readUInt32LE(0) !== 0x0008FFFF) return `refers to memo block ${block}, which is not a memo`;
+      length = blockHeader.readUInt32LE(4);
+    } else {
+      length = 8 + blockHeader.readUInt32BE(4);
+    }
+  }
+  const blocks = Math.max(1, Math.ceil(length / file.blockSize));
+  if (block * file.blockSize + length > memo.size) {
+    return `refers to memo block ${block}, whose memo runs past the end of the memo file`;
+  }
+  memo.used.fill(1, block, Math.min(block + blocks, memo.blockCount));
+  return undefined;
+}
+
+/** Warns of memo blocks that no record refers to, such as those left behind when memos are replaced. */
+function checkMemoBlocks(memo, warnings) {
+  let unused = 0;
+  for (let block = memo.firstBlock; block < memo.blockCount; ++block) {
+    if (!memo.used[block]) ++unused;
+  }
+  if (unused > 0) {
+    warnings.push({
+      type: 'memo',
+      message: `${unused} memo blocks (${unused * memo.file.blockSize} bytes) are not used by any record`
+    });
+  }
+}
+
+function isValidDate(text) {
+  if (!/^\d{8}$/.test(text)) return false;
+  const year = Number(text.slice(0, 4));
+  const month = Number(text.slice(4, 6));
+  const day = Number(text.slice(6, 8));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isNullFlagSet(table, record, bit) {
+  if (!table.nullFlagsOffset || bit === undefined) return false;
+  return (record[table.nullFlagsOffset + (bit >> 3)] & (1 << (bit & 7))) !== 0;
+}
+
+module.exports = {
+  verifyDBF,
+  repairDBF
+};
@@ -0,0 +1,212 @@
+/**
+ * Zip archives, as used by Office Open XML files such as .xlsx workbooks
+ *
+ * ZipWriter streams entries into a new archive, compressing them with deflate as they are written, so that large
+ * entries are never held in memory. readZip reads the entries of an archive that is in memory. Only what OOXML needs
+ * is supported: stored and deflated entries, without encryption, spanning or Zip64.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+
+// Record signatures
+const LOCAL_FILE_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// General purpose flags: sizes and CRC follow the data, and names are UTF-8
+const FLAGS = 0x0008 | 0x0800;
+
+// Compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// Largest size or offset without Zip64
+const MAX_SIZE = 0xFFFFFFFF;
+
+/** Writes a zip archive to a file, one entry at a time. */
+class ZipWriter {
+  /**
+   * Create a writer for a new archive (use open() before adding entries)
+   * @param {string} filePath - Path of the archive to create, replacing any existing file
+   */
+  constructor(filePath) {
+    /** Path of the archive. */
+    this.path = filePath;
+    // Private.
+    this._fd = null;
+    this._position = 0;
+    this._entries = [];
+  }
+
+  /** Creates the file. */
+  async open() {
+    this._fd = await fs.promises.open(this.path, 'w');
+    return this;
+  }
+
+  /**
+   * Adds an entry, compressing its data as it is read
+   * @param {string} name - Path of the entry in the archive, e.g. 'xl/workbook.xml'
+   * @param {string|Buffer|AsyncIterable} data - The data, or an iterable of strings and Buffers (strings are UTF-8)
+   */
+  async addEntry(name, data) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const { time, date } = toDosDateTime(new Date());
+    const entry = { nameBytes, time, date, offset: this._position, crc: 0, compressedSize: 0, size: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    header.writeUInt16LE(20, 4); // Version needed to extract
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(DEFLATED, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBytes.length, 26);
+    await this._write(Buffer.concat([header, nameBytes]));
+
+    // Compressed data is written as deflate produces it, while the input is fed in.
+    const deflate = zlib.createDeflateRaw();
+    const output = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await this._write(chunk);
+      }
+    })();
+    output.catch(err => deflate.destroy(err));
+    const chunks = typeof data === 'string' || data instanceof Buffer ? [data] : data;
+    for await (const chunk of chunks) {
+      const bytes = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+      entry.crc = crc32(bytes, entry.crc);
+      entry.size += bytes.length;
+      if (!deflate.write(bytes)) await once(deflate, 'drain');
+    }
+    deflate.end();
+    await output;
+    if (entry.size > MAX_SIZE || this._position > MAX_SIZE) throw new Error(`Zip entry '${name}' is too large`);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this._write(descriptor);
+    this._entries.push(entry);
+  }
+
+  /** Writes the central directory and closes the file. */
+  async close() {
+    const start = this._position;
+    for (const entry of this._entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+      header.writeUInt16LE(20, 4); // Version made by
+      header.writeUInt16LE(20, 6); // Version needed to extract
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(DEFLATED, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBytes.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this._write(Buffer.concat([header, entry.nameBytes]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(this._entries.length, 8);
+    end.writeUInt16LE(this._entries.length, 10);
+    end.writeUInt32LE(this._position - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this._write(end);
+    await this.abort();
+  }
+
+  /** Closes the file without finishing the archive (the caller should remove it). */
+  async abort() {
+    if (!this._fd) return;
+    const fd = this._fd;
+    this._fd = null;
+    await fd.close();
+  }
+
+  async _write(buffer) {
+    await this._fd.write(buffer, 0, buffer.length, this._position);
+    this._position += buffer.length;
+  }
+}
+
+/**
+ * Reads the entries of a zip archive
+ * @param {Buffer} buffer - The archive
+ * @returns {Map<string, Buffer>} - The uncompressed data of each file entry, by its path in the archive
+ */
+function readZip(buffer) {
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+  for (let i = 0; i < count; ++i) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Invalid zip file: bad central directory');
+    }
+    const flags = buffer.readUInt16LE(position + 8);
+    const method = buffer.readUInt16LE(position + 10);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString(flags & 0x0800 ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) continue; // Directory
+
+    if (flags & 0x0001) throw new Error(`Zip entry '${name}' is encrypted`);
+    if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Invalid zip file: bad local header for '${name}'`);
+    }
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    if (method === STORED) entries.set(name, data);
+    else if (method === DEFLATED) entries.set(name, zlib.inflateRawSync(data));
+    else throw new Error(`Zip entry '${name}' uses unsupported compression method ${method}`);
+  }
+  return entries;
+}
+
+//-------------------- Private implementation starts here --------------------
+function findEndOfCentralDirectory(buffer) {
+  // The record is at the end, followed by a comment of up to 65535 bytes.
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); --i) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) return i;
+  }
+  throw new Error('Invalid zip file: no end of central directory record');
+}
+
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; ++k) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(bytes, crc) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; ++i) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+module.exports = {
+  ZipWriter,
+  readZip
+};
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DbfORM } = require('..');
+const { createTable } = require('./helpers');
+
+function fields() {
+  return [
+    { name: 'PARTY', type: 'C', size: 12 },
+    { name: 'TYPE', type: 'C', size: 1 },
+    { name: 'DATE', type: 'D' },
+    { name: 'AMOUNT', type: 'N', size: 15, decimalPlaces: 2 },
+    { name: 'RATE', type: 'N', size: 5, decimalPlaces: 0 }
+  ];
+}
+
+const SALES = [
+  { PARTY: 'ACME', TYPE: 'S', DATE: new Date('2024-04-03'), AMOUNT: 0.1, RATE: 5 },
+  { PARTY: 'BOLT', TYPE: 'S', DATE: new Date('2024-04-20'), AMOUNT: 0.2, RATE: 12 },
+  { PARTY: 'ACME', TYPE: 'P', DATE: new Date('2024-05-01'), AMOUNT: 100.05, RATE: 5 },
+  { PARTY: 'ACME', TYPE: 'S', DATE: new Date('2024-05-15'), AMOUNT: 12345678901.23, RATE: 5 },
+  { PARTY: 'COGS', TYPE: 'S', DATE: null, AMOUNT: null, RATE: 12 }
+];
+
+async function createSales(options) {
+  return createTable(fields(), SALES, { name: 'SALES.DBF', ...options });
+}
+
+test('records are grouped by fields and expressions, with rows in group order', async () => {
+  const orm = await createSales();
+  assert.deepStrictEqual(await orm.aggregate({ groupBy: ['RATE', 'MONTH(DATE)'], count: true, sum: 'AMOUNT' }), [
+    { RATE: 5, 'MONTH(DATE)': 4, count: 1, sum: { AMOUNT: 0.1 } },
+    { RATE: 5, 'MONTH(DATE)': 5, count: 2, sum: { AMOUNT: 12345679001.28 } },
+    { RATE: 12, 'MONTH(DATE)': 0, count: 1, sum: { AMOUNT: 0 } },
+    { RATE: 12, 'MONTH(DATE)': 4, count: 1, sum: { AMOUNT: 0.2 } }
+  ]);
+  assert.deepStrictEqual(await orm.aggregate({ groupBy: 'LEFT(PARTY, 2)', count: true }), [
+    { 'LEFT(PARTY, 2)': 'AC', count: 3 },
+    { 'LEFT(PARTY, 2)': 'BO', count: 1 },
+    { 'LEFT(PARTY, 2)': 'CO', count: 1 }
+  ]);
+  await orm.close();
+});
+
+test('sums of fixed decimal fields are exact, and nulls are left out of every summary', async () => {
+  const orm = await createSales();
+  const spec = { count: true, sum: ['AMOUNT', 'RATE'], min: 'DATE', max: 'AMOUNT', avg: 'AMOUNT' };
+  const [row] = await orm.aggregate(spec);
+  assert.deepStrictEqual(row, {
+    count: 5,
+    sum: { AMOUNT: 12345679001.58, RATE: 39 },
+    min: { DATE: new Date('2024-04-03') },
+    max: { AMOUNT: 12345678901.23 },
+    avg: { AMOUNT: 12345679001.58 / 4 }
+  });
+  assert.strictEqual((await orm.aggregate({ groupBy: 'TYPE', sum: 'AMOUNT' }))[1].sum.AMOUNT, 12345678901.53);
+  await orm.close();
+});
+
+test('totals are returned as the numeric option reads values', async () => {
+  const orm = await createSales();
+  await orm.close();
+  const exact = new DbfORM(orm.dbfPath, { numeric: 'string' });
+  await exact.open();
+  assert.deepStrictEqual(await exact.aggregate({ groupBy: 'PARTY', sum: 'AMOUNT', max: 'AMOUNT' }), [
+    { PARTY: 'ACME', sum: { AMOUNT: '12345679001.38' }, max: { AMOUNT: '12345678901.23' } },
+    { PARTY: 'BOLT', sum: { AMOUNT: '0.20' }, max: { AMOUNT: '0.20' } },
+    { PARTY: 'COGS', sum: { AMOUNT: '0.00' }, max: { AMOUNT: null } }
+  ]);
+  await exact.close();
+});
+
+test('queries and deleted records narrow the records summarised', async () => {
+  const orm = await createSales();
+  await orm.deleteWhere({ PARTY: 'BOLT' });
+  assert.deepStrictEqual(await orm.aggregate({ groupBy: 'PARTY', count: true }),
+    [{ PARTY: 'ACME', count: 3 }, { PARTY: 'COGS', count: 1 }]);
+  // Sorting and paging don't apply
+  const query = orm.query().where('TYPE', 'S').orderBy('PARTY', 'desc').limit(1);
+  assert.deepStrictEqual(await query.aggregate({ groupBy: 'PARTY', count: true, avg: 'RATE' }),
+    [{ PARTY: 'ACME', count: 2, avg: { RATE: 5 } }, { PARTY: 'COGS', count: 1, avg: { RATE: 12 } }]);
+  assert.deepStrictEqual(await orm.query().where('TYPE', 'X').aggregate({ count: true, sum: 'AMOUNT', min: 'RATE' }),
+    [{ count: 0, sum: { AMOUNT: 0 }, min: { RATE: null } }]);
+  assert.deepStrictEqual(await orm.query().where('TYPE', 'X').aggregate({ groupBy: 'PARTY', count: true }), []);
+  await orm.close();
+});
+
+test('unknown fields and invalid expressions are refused', async () => {
+  const orm = await createSales();
+  await assert.rejects(orm.aggregate({ sum: 'TOTAL' }), /Field 'TOTAL' not found/);
+  await assert.rejects(orm.aggregate({ groupBy: 'MONTH(WHEN)' }), /Unknown field 'WHEN'/);
+  await orm.close();
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { DbfORM } = require('..');
+const { createTable } = require('./helpers');
+
+function fields() {
+  return [
+    { name: 'CODE', type: 'C', size: 6 },
+    { name: 'NAME', type: 'C', size: 20 },
+    { name: 'QTY', type: 'C', size: 5 },
+    { name: 'PRICE', type: 'N', size: 10, decimalPlaces: 2 },
+    { name: 'NOTE', type: 'M' }
+  ];
+}
+
+const RECORDS = [
+  { CODE: 'A1', NAME: 'apple', QTY: '12', PRICE: 1.25, NOTE: 'crisp' },
+  { CODE: 'B2', NAME: 'banana', QTY: '7', PRICE: 0.5, NOTE: 'ripe' },
+  { CODE: 'C3', NAME: 'cherry', QTY: '300', PRICE: 12.75, NOTE: '' }
+];
+
+/** Creates a FoxPro table with a memo file and a structural index with tags on CODE and NAME. */
+async function createItems() {
+  const orm = await createTable(fields(), RECORDS, { name: 'ITEMS.DBF', fileVersion: 0x30 });
+  await orm.createIndex({ tag: 'CODE', expression: 'CODE' });
+  await orm.createIndex({ tag: 'NAME', expression: 'UPPER(NAME)' });
+  return orm;
+}
+
+/** Reads every file of a directory, by name. */
+function snapshot(dir) {
+  return Object.fromEntries(fs.readdirSync(dir).sort().map(name => [name, fs.readFileSync(path.join(dir, name))]));
+}
+
+test('fields are added, dropped, renamed and modified, converting their values', async () => {
+  const orm = await createItems();
+  await orm.alterTable({
+    add: [{ name: 'ACTIVE', type: 'L' }],
+    drop: ['PRICE'],
+    rename: { NAME: 'TITLE' },
+    modify: [{ name: 'QTY', type: 'N', size: 6, decimalPlaces: 0 }]
+  });
+  assert.deepStrictEqual(orm.fieldDescriptors.map(field => field.name), ['CODE', 'TITLE', 'QTY', 'NOTE', 'ACTIVE']);
+  assert.deepStrictEqual((await orm.findAll()).map(({ TITLE, QTY, NOTE }) => [TITLE, QTY, NOTE]),
+    [['apple', 12, 'crisp'], ['banana', 7, 'ripe'], ['cherry', 300, '']]);
+  await orm.close();
+
+  const reopened = new DbfORM(orm.dbfPath);
+  await reopened.open();
+  assert.deepStrictEqual(await reopened.findOneWhere({ CODE: 'B2' }),
+    { CODE: 'B2', TITLE: 'banana', QTY: 7, NOTE: 'ripe', ACTIVE: null });
+  await reopened.close();
+});
+
+test('index tags follow renamed fields, and tags on dropped fields are dropped', async () => {
+  const orm = await createItems();
+  await orm.alterTable({ rename: { NAME: 'TITLE' }, drop: ['CODE'] });
+  await orm.insert({ TITLE: 'apricot', QTY: '1' });
+  assert.deepStrictEqual((await orm.seekRange('NAME')).map(record => record.TITLE),
+    ['apple', 'apricot', 'banana', 'cherry']);
+  await assert.rejects(orm.seekRange('CODE'));
+  await orm.close();
+});
+
+test('a change that does not fit leaves every file as it was', async () => {
+  const orm = await createItems();
+  const dir = path.dirname(orm.dbfPath);
+  const before = snapshot(dir);
+  await assert.rejects(orm.alterTable({ modify: [{ name: 'NAME', size: 5 }] }));
+  assert.deepStrictEqual(snapshot(dir), before);
+  assert.deepStrictEqual((await orm.findAll()).map(record => record.NAME), ['apple', 'banana', 'cherry']);
+  await orm.close();
+});
+
+test('the structure can not be changed inside a transaction', async () => {
+  const orm = await createItems();
+  await assert.rejects(orm.transaction(() => orm.alterTable({ drop: ['QTY'] })),
+    /Cannot change the structure of a table inside a transaction/);
+  assert.ok(orm.fieldDescriptors.some(field => field.name === 'QTY'));
+  await orm.close();
+});
+
+/** Runs a structure change in a child process that exits when `fs.rename` is called to move a file onto `target`. */
+function alterAndCrash(dbfPath, target) {
+  const script = `
+    const fs = require('fs');
+    const rename = fs.rename;
+    fs.rename = (from, to, callback) => {
+      if (to === ${JSON.stringify(target)}) process.exit(3);
+      rename(from, to, callback);
+    };
+    const { DbfORM } = require(${JSON.stringify(path.resolve(__dirname, '..'))});
+    (async () => {
+      const orm = new DbfORM(${JSON.stringify(dbfPath)});
+      await orm.alterTable({ rename: { NAME: 'TITLE' }, drop: ['PRICE'] });
+    })();`;
+  return spawnSync(process.execPath, ['-e', script], { stdio: 'inherit', timeout: 60000 }).status;
+}
+
+test('a structure change interrupted between its renames is finished when the table is next opened', async () => {
+  const orm = await createItems();
+  await orm.close();
+  const dir = path.dirname(orm.dbfPath);
+
+  // The memo and index files have been moved over the originals, but not the table
+  assert.strictEqual(alterAndCrash(orm.dbfPath, orm.dbfPath), 3);
+  assert.ok(fs.existsSync(path.join(dir, 'ITEMS-alter.DBF')));
+
+  const reopened = new DbfORM(orm.dbfPath);
+  await reopened.open();
+  assert.deepStrictEqual(reopened.fieldDescriptors.map(field => field.name), ['CODE', 'TITLE', 'QTY', 'NOTE']);
+  assert.deepStrictEqual((await reopened.findAll()).map(({ TITLE, NOTE }) => [TITLE, NOTE]),
+    [['apple', 'crisp'], ['banana', 'ripe'], ['cherry', '']]);
+  assert.deepStrictEqual((await reopened.seek('CODE', 'C3')).map(record => record.TITLE), ['cherry']);
+  assert.deepStrictEqual((await reopened.seekRange('NAME')).map(record => record.TITLE),
+    ['apple', 'banana', 'cherry']);
+  await reopened.close();
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['ITEMS.CDX', 'ITEMS.DBF', 'ITEMS.FPT']);
+});
+
+test('a structure change interrupted before its renames were journaled leaves the table as it was', async () => {
+  const orm = await createItems();
+  await orm.close();
+  const dir = path.dirname(orm.dbfPath);
+  const original = ['ITEMS.CDX', 'ITEMS.DBF', 'ITEMS.FPT'].map(name => fs.readFileSync(path.join(dir, name)));
+
+  // Dies as the super-journal is renamed into place, which is what commits the renames
+  const masterPattern = /-mj[0-9a-f]+$/;
+  const script = `
+    const fs = require('fs');
+    const rename = fs.rename;
+    fs.rename = (from, to, callback) => {
+      if (${masterPattern}.test(to)) process.exit(3);
+      rename(from, to, callback);
+    };
+    const { DbfORM } = require(${JSON.stringify(path.resolve(__dirname, '..'))});
+    (async () => {
+      const orm = new DbfORM(${JSON.stringify(orm.dbfPath)});
+      await orm.alterTable({ drop: ['PRICE'] });
+    })();`;
+  const { status } = spawnSync(process.execPath, ['-e', script], { stdio: 'inherit', timeout: 60000 });
+  assert.strictEqual(status, 3);
+
+  const reopened = new DbfORM(orm.dbfPath);
+  await reopened.open();
+  assert.ok(reopened.fieldDescriptors.some(field => field.name === 'PRICE'));
+  assert.deepStrictEqual((await reopened.findAll()).map(record => record.PRICE), [1.25, 0.5, 12.75]);
+  await reopened.close();
+  assert.deepStrictEqual(['ITEMS.CDX', 'ITEMS.DBF', 'ITEMS.FPT'].map(name => fs.readFileSync(path.join(dir, name))),
+    original);
+  assert.ok(!fs.existsSync(`${orm.dbfPath}-journal`));
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { DbfORM } = require('..');
+const { createTable } = require('./helpers');
+
+const FIELDS = [{ name: 'NAME', type: 'C', size: 10 }, { name: 'N', type: 'N', size: 6, decimalPlaces: 0 }];
+
+async function capture(orm, checkpointPath) {
+  const changes = [];
+  const summary = await orm.captureChanges(checkpointPath, {
+    onChange: ({ op, recno, record }) => changes.push(op === 'reset' ? [op] : [op, recno, record.NAME])
+  });
+  return { summary, changes };
+}
+
+test('captureChanges reports inserts, updates, deletes and recalls since the checkpoint', async () => {
+  const orm = await createTable(FIELDS, [{ NAME: 'a', N: 1 }, { NAME: 'b', N: 2 }, { NAME: 'c', N: 3 }]);
+  const checkpointPath = path.join(path.dirname(orm.dbfPath), 'TEST.CDC');
+  let { changes } = await capture(orm, checkpointPath);
+  assert.deepStrictEqual(changes, [['insert', 1, 'a'], ['insert', 2, 'b'], ['insert', 3, 'c']]);
+
+  await orm.updateByRecNo(2, { N: 20 });
+  await orm.deleteWhere({ NAME: 'c' });
+  await orm.insert({ NAME: 'd', N: 4 });
+  ({ changes } = await capture(orm, checkpointPath));
+  assert.deepStrictEqual(changes, [['update', 2, 'b'], ['delete', 3, 'c'], ['insert', 4, 'd']]);
+
+  await orm.recallWhere({ NAME: 'c' });
+  ({ changes } = await capture(orm, checkpointPath));
+  assert.deepStrictEqual(changes, [['recall', 3, 'c']]);
+  await orm.close();
+});
+
+test('captureChanges sees records other instances appended, leaving the table\'s record count alone', async () => {
+  const orm = await createTable(FIELDS, [{ NAME: 'a', N: 1 }]);
+  const checkpointPath = path.join(path.dirname(orm.dbfPath), 'TEST.CDC');
+  await capture(orm, checkpointPath);
+
+  const other = new DbfORM(orm.dbfPath);
+  await other.open();
+  await other.insertMany([{ NAME: 'b', N: 2 }, { NAME: 'c', N: 3 }]);
+  await other.close();
+
+  const { summary, changes } = await capture(orm, checkpointPath);
+  assert.deepStrictEqual(changes, [['insert', 2, 'b'], ['insert', 3, 'c']]);
+  assert.strictEqual(summary.recordCount, 3);
+  assert.strictEqual(orm.dbfFile.recordCount, 1);
+
+  await orm.insert({ NAME: 'd', N: 4 });
+  assert.strictEqual(orm.dbfFile.recordCount, 4);
+  await orm.close();
+});
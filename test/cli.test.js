@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Readable, Writable } = require('stream');
+const { DbfORM } = require('..');
+const { run } = require('../src/Cli');
+const { createTable, tempDir } = require('./helpers');
+
+const BIN = path.join(__dirname, '..', 'bin', 'dbf-orm.js');
+
+function fields() {
+  return [
+    { name: 'ID', type: 'N', size: 4, decimalPlaces: 0 },
+    { name: 'NAME', type: 'C', size: 10 },
+    { name: 'AMOUNT', type: 'N', size: 10, decimalPlaces: 2 }
+  ];
+}
+
+async function createParties() {
+  const orm = await createTable(fields(), [
+    { ID: 1, NAME: 'Acme', AMOUNT: 10.5 },
+    { ID: 2, NAME: 'Bolt', AMOUNT: 0.1 },
+    { ID: 3, NAME: 'Cogs', AMOUNT: 12345.67 }
+  ], { name: 'PARTY.DBF' });
+  await orm.deleteWhere({ ID: 2 });
+  await orm.close();
+  return orm.dbfPath;
+}
+
+/** Runs a command in this process, collecting what it writes. */
+async function cli(args, stdinText = '') {
+  let stdout = '';
+  let stderr = '';
+  const collect = append => new Writable({ write(chunk, encoding, callback) { append(String(chunk)); callback(); } });
+  const code = await run(args, {
+    stdout: collect(text => { stdout += text; }),
+    stderr: collect(text => { stderr += text; }),
+    stdin: Readable.from([stdinText])
+  });
+  return { code, stdout, stderr };
+}
+
+test('info shows the header and fields, as text or JSON', async () => {
+  const table = await createParties();
+  const { code, stdout } = await cli(['info', table]);
+  assert.strictEqual(code, 0);
+  assert.match(stdout, /^Version: {7}0x03 \(dBase III\)$/m);
+  assert.match(stdout, /^Records: {7}3$/m);
+  assert.match(stdout, /^AMOUNT {5}N {6}10 {3}2$/m);
+
+  const json = JSON.parse((await cli(['info', table, '--json'])).stdout);
+  assert.strictEqual(json.recordCount, 3);
+  assert.deepStrictEqual(json.fields.map(field => field.name), ['ID', 'NAME', 'AMOUNT']);
+});
+
+test('head, tail and query show records as columns or JSON', async () => {
+  const table = await createParties();
+  assert.deepStrictEqual((await cli(['head', table])).stdout.split('\n'), [
+    '#   ID NAME           AMOUNT',
+    '- ---- ---------- ----------',
+    '1    1 Acme            10.50',
+    '3    3 Cogs         12345.67',
+    ''
+  ]);
+  const tail = await cli(['tail', table, '-n', '1', '--include-deleted', '--fields', 'name']);
+  assert.deepStrictEqual(tail.stdout.split('\n').slice(2), ['3   Cogs', '']);
+  const deleted = await cli(['head', table, '--include-deleted', '--json', '-n', '2']);
+  assert.deepStrictEqual(JSON.parse(deleted.stdout), [
+    { ID: 1, NAME: 'Acme', AMOUNT: 10.5 },
+    { ID: 2, NAME: 'Bolt', AMOUNT: 0.1, $deleted: true }
+  ]);
+  const query = await cli(['query', table, '--where', 'AMOUNT > 100', '--json']);
+  assert.deepStrictEqual(JSON.parse(query.stdout).map(record => record.ID), [3]);
+});
+
+test('export and import carry records over exactly, through files and stdin', async () => {
+  const table = await createParties();
+  const dir = path.dirname(table);
+  const exported = await cli(['export', table, '-o', path.join(dir, 'parties.ndjson')]);
+  assert.deepStrictEqual(exported, { code: 0, stdout: `Exported 2 records to ${path.join(dir, 'parties.ndjson')}\n`,
+    stderr: '' });
+
+  const copy = path.join(dir, 'COPY.DBF');
+  fs.writeFileSync(path.join(dir, 'schema.json'), JSON.stringify({ fields: fields(), fileVersion: '0x30' }));
+  assert.strictEqual((await cli(['create', copy, '--schema', path.join(dir, 'schema.json')])).code, 0);
+  assert.strictEqual((await cli(['import', copy, path.join(dir, 'parties.ndjson')])).code, 0);
+  const stdin = fs.readFileSync(path.join(dir, 'parties.ndjson'), 'utf8');
+  assert.deepStrictEqual(await cli(['import', copy, '-'], stdin),
+    { code: 0, stdout: `Imported 2 records into ${copy}\n`, stderr: '' });
+
+  const orm = new DbfORM(copy);
+  await orm.open();
+  assert.strictEqual(fs.readFileSync(copy)[0], 0x30);
+  assert.deepStrictEqual((await orm.findAll()).map(record => record.AMOUNT), [10.5, 12345.67, 10.5, 12345.67]);
+  await orm.close();
+});
+
+test('pack, verify and repair report what they did, and verify fails on a damaged table', async () => {
+  const table = await createParties();
+  assert.match((await cli(['pack', table])).stdout, /removed 1 deleted records, 2 remain/);
+  assert.deepStrictEqual(await cli(['verify', table]), { code: 0, stdout: `${table}: OK (2 records)\n`, stderr: '' });
+
+  fs.appendFileSync(table, Buffer.alloc(7, 0x20));
+  const damaged = await cli(['verify', table, '--json']);
+  assert.strictEqual(damaged.code, 1);
+  assert.strictEqual(JSON.parse(damaged.stdout).ok, false);
+  const repaired = await cli(['repair', table, '--backup']);
+  assert.strictEqual(repaired.code, 0);
+  assert.match(repaired.stdout, /The original was copied to /);
+  assert.strictEqual((await cli(['verify', table])).code, 0);
+});
+
+test('usage errors exit with 2, and failed commands with 1', async () => {
+  const table = await createParties();
+  const usage = [
+    [[], 0, /^Usage: dbf-orm <command>/],
+    [['frobnicate', table], 2, /Unknown command 'frobnicate'/],
+    [['head'], 2, /The head command needs the path of a table/],
+    [['head', table, '--colour'], 2, /Unknown option '--colour'/],
+    [['head', table, '-n', 'ten'], 2, /Invalid limit: 'ten'/],
+    [['query', table], 2, /needs a --where expression/],
+    [['export', table, '--format', 'csv'], 2, /Exporting to csv needs an --output file/],
+    [['import', table, 'data.txt'], 2, /Can't tell the format of 'data.txt'/],
+    [['head', path.join(tempDir(), 'MISSING.DBF')], 1, /MISSING\.DBF/],
+    [['query', table, '--where', 'AMOUNT + 1'], 1, /must be logical, not of type 'N'/],
+    [['head', table, '--fields', 'PHONE'], 1, /Field 'PHONE' does not exist/],
+    [['create', table, '--schema', 'schema.json'], 1, /already exists/]
+  ];
+  for (const [args, expected, message] of usage) {
+    const { code, stdout, stderr } = await cli(args);
+    assert.strictEqual(code, expected, args.join(' '));
+    assert.match(expected === 0 ? stdout : stderr, message);
+    if (expected === 2) assert.match(stderr, /Run 'dbf-orm --help'/);
+  }
+});
+
+test('the dbf-orm program exits with the code of its command', async () => {
+  const table = await createParties();
+  const ok = spawnSync(process.execPath, [BIN, 'head', table, '--json'], { encoding: 'utf8', timeout: 60000 });
+  assert.strictEqual(ok.status, 0);
+  assert.strictEqual(JSON.parse(ok.stdout).length, 2);
+  const usage = spawnSync(process.execPath, [BIN, 'head'], { encoding: 'utf8', timeout: 60000 });
+  assert.strictEqual(usage.status, 2);
+  const failed = spawnSync(process.execPath, [BIN, 'head', `${table}.missing`], { encoding: 'utf8', timeout: 60000 });
+  assert.strictEqual(failed.status, 1);
+  assert.match(failed.stderr, /^dbf-orm: /);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DbfORM, DELETED } = require('..');
+const { createTable, readRawRecord, tempDir } = require('./helpers');
+
+function fields() {
+  return [{ name: 'NAME', type: 'C', size: 8 }, { name: 'NOTE', type: 'M' }];
+}
+
+/** Sets byte 29 of a table's header, its language driver ID. */
+function setLanguageDriver(dbfPath, ldid) {
+  const fd = fs.openSync(dbfPath, 'r+');
+  fs.writeSync(fd, Buffer.from([ldid]), 0, 1, 29);
+  fs.closeSync(fd);
+}
+
+async function open(dbfPath, options) {
+  const orm = new DbfORM(dbfPath, options);
+  return orm.open();
+}
+
+test('new tables are created with the LDID of their encoding, and 0 for UTF-8', async () => {
+  for (const [encoding, ldid] of [['cp437', 0x01], ['windows-1252', 0x03], ['cp1251', 0xC9], ['utf8', 0]]) {
+    const orm = await createTable(fields(), [], { encoding, fileVersion: 0x30 });
+    assert.strictEqual(fs.readFileSync(orm.dbfPath)[29], ldid, encoding);
+    assert.strictEqual(orm.getInfo().languageDriver, ldid);
+    await orm.close();
+  }
+});
+
+test('tables are read in the code page of their LDID, unless an encoding is given', async () => {
+  const orm = await createTable(fields(), [{ NAME: 'Jäger', NOTE: 'Größe' }], { encoding: 'cp437' });
+  await orm.close();
+  assert.deepStrictEqual([...readRawRecord(orm.dbfPath, 1).subarray(1, 6)], [0x4A, 0x84, 0x67, 0x65, 0x72]);
+
+  const dos = await open(orm.dbfPath);
+  assert.strictEqual(dos.getInfo().encoding, 'cp437');
+  assert.deepStrictEqual(await dos.findAll(), [{ NAME: 'Jäger', NOTE: 'Größe' }]);
+  await dos.close();
+
+  // 0x84 is ä in cp437, but „ in cp1252
+  setLanguageDriver(orm.dbfPath, 0x57);
+  const windows = await open(orm.dbfPath);
+  assert.strictEqual(windows.getInfo().encoding, 'cp1252');
+  assert.strictEqual((await windows.findOne('.T.')).NAME, 'J„ger');
+  await windows.close();
+
+  const overridden = await open(orm.dbfPath, { encoding: 'cp437' });
+  assert.strictEqual((await overridden.findOne('.T.')).NAME, 'Jäger');
+  await overridden.close();
+});
+
+test('tables without an LDID, or with an unknown one, are read as UTF-8', async () => {
+  const orm = await createTable(fields(), [{ NAME: 'café' }]);
+  await orm.close();
+  for (const ldid of [0, 0xFE]) {
+    setLanguageDriver(orm.dbfPath, ldid);
+    const reopened = await open(orm.dbfPath);
+    assert.strictEqual(reopened.getInfo().encoding, 'utf8');
+    assert.strictEqual((await reopened.findOne('.T.')).NAME, 'café');
+    await reopened.close();
+  }
+});
+
+test('transcode copies every record and memo into the new code page', async () => {
+  const orm = await createTable(fields(), [
+    { NAME: 'Müller', NOTE: 'Größe' },
+    { NAME: 'gone', NOTE: 'bye' },
+    { NAME: 'Ñandú', NOTE: 'x'.repeat(600) }
+  ], { encoding: 'cp437' });
+  await orm.deleteWhere({ NAME: 'gone' });
+  const targetPath = path.join(path.dirname(orm.dbfPath), 'WIN.DBF');
+  const converted = await orm.transcode(targetPath, 'cp1252');
+  assert.strictEqual(converted.getInfo().languageDriver, 0x03);
+  assert.strictEqual(converted.getInfo().encoding, 'cp1252');
+  assert.deepStrictEqual([...readRawRecord(targetPath, 1).subarray(1, 3)], [0x4D, 0xFC]);
+  await converted.close();
+
+  const copied = await open(targetPath, { includeDeletedRecords: true });
+  assert.deepStrictEqual((await copied.findAll()).map(record => [record.NAME, record.NOTE.length, !!record[DELETED]]),
+    [['Müller', 5, false], ['gone', 3, true], ['Ñandú', 600, false]]);
+  await copied.close();
+
+  const reopened = await open(targetPath);
+  assert.deepStrictEqual(await reopened.findAll(),
+    [{ NAME: 'Müller', NOTE: 'Größe' }, { NAME: 'Ñandú', NOTE: 'x'.repeat(600) }]);
+  await reopened.close();
+  await orm.close();
+});
+
+test('transcode leaves no file behind if any text does not survive the new code page', async () => {
+  const dir = tempDir();
+  const orm = await createTable(fields(), [{ NAME: 'ok' }, { NAME: 'Ωmega' }], { encoding: 'cp1253', dir });
+  await assert.rejects(orm.transcode(path.join(dir, 'LATIN.DBF'), 'cp1252'),
+    /Field 'NAME' of record 2 can't be represented in encoding 'cp1252'/);
+  await orm.updateByRecNo(2, { NAME: 'άέήίόύώ' });
+  await assert.rejects(orm.transcode(path.join(dir, 'UNICODE.DBF'), 'utf8'),
+    /Field 'NAME' of record 2 is too long for its field in encoding 'utf8'/);
+  await assert.rejects(orm.transcode(path.join(dir, 'X.DBF'), 'klingon'), /Unknown encoding: 'klingon'/);
+  await assert.rejects(orm.transcode(orm.dbfPath, 'cp1252'), /onto itself/);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['TEST.DBF', 'TEST.DBT']);
+  await orm.close();
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTable, tempDir } = require('./helpers');
+
+function fields() {
+  return [
+    { name: 'NAME', type: 'C', size: 20 },
+    { name: 'AMT', type: 'N', size: 10, decimalPlaces: 2 },
+    { name: 'OK', type: 'L', size: 1 },
+    { name: 'JOINED', type: 'D', size: 8 },
+    { name: 'NOTE', type: 'M' }
+  ];
+}
+
+const RECORDS = [
+  { NAME: 'Smith, John', AMT: 1234.5, OK: true, JOINED: new Date('2024-01-02'), NOTE: 'said "hello"\r\nand left' },
+  { NAME: 'Łukasz', AMT: -0.25, OK: false, JOINED: new Date('1999-12-31'), NOTE: '' }
+];
+
+function values(records) {
+  return records.map(({ NAME, AMT, OK, JOINED, NOTE }) => [NAME, AMT, OK, JOINED && JOINED.toISOString(), NOTE]);
+}
+
+test('toCSV and appendFromCSV copy records with quoted text, dates, logicals and memos', async () => {
+  const orm = await createTable(fields(), RECORDS);
+  const csvPath = path.join(tempDir(), 'out.csv');
+  assert.strictEqual(await orm.toCSV(csvPath), 2);
+  const text = fs.readFileSync(csvPath, 'utf8');
+  assert.ok(text.startsWith('NAME,AMT,OK,JOINED,NOTE\r\n' +
+    '"Smith, John",1234.50,T,2024-01-02,"said ""hello""\r\nand left"\r\n'));
+
+  const copy = await createTable(fields());
+  const { count, rows, errors } = await copy.appendFromCSV(csvPath);
+  assert.deepStrictEqual({ count, rows, errors }, { count: 2, rows: 2, errors: [] });
+  assert.deepStrictEqual(values(await copy.findAll()), values(await orm.findAll()));
+  await orm.close();
+  await copy.close();
+});
+
+test('toCSV and appendFromCSV use the delimiter, date format and fields given', async () => {
+  const orm = await createTable(fields(), RECORDS);
+  const csvPath = path.join(tempDir(), 'out.csv');
+  await orm.toCSV(csvPath, { delimiter: ';', dateFormat: 'british', fields: ['JOINED', 'NAME'] });
+  assert.strictEqual(fs.readFileSync(csvPath, 'utf8'),
+    'JOINED;NAME\r\n02/01/2024;Smith, John\r\n31/12/1999;Łukasz\r\n');
+
+  const copy = await createTable(fields());
+  await copy.appendFromCSV(csvPath, { delimiter: ';', dateFormat: 'british' });
+  assert.deepStrictEqual((await copy.findAll()).map(({ NAME, JOINED }) => [NAME, JOINED.toISOString()]),
+    [['Smith, John', '2024-01-02T00:00:00.000Z'], ['Łukasz', '1999-12-31T00:00:00.000Z']]);
+  await orm.close();
+  await copy.close();
+});
+
+test('appendFromCSV maps columns to fields, and appends nothing if a row has errors', async () => {
+  const csvPath = path.join(tempDir(), 'in.csv');
+  fs.writeFileSync(csvPath, 'Customer,Amount,Extra\nA,1.5,x\nB,not a number,y\nC,3,z\n');
+  const orm = await createTable(fields());
+  const mapping = { Customer: 'NAME', Amount: 'AMT' };
+
+  const failed = await orm.appendFromCSV(csvPath, { mapping });
+  assert.strictEqual(failed.count, 0);
+  assert.deepStrictEqual(failed.errors.map(({ row, line, errors }) => [row, line, errors[0].field]), [[2, 3, 'AMT']]);
+  assert.deepStrictEqual(await orm.findAll(), []);
+
+  const skipped = await orm.appendFromCSV(csvPath, { mapping, skipErrors: true });
+  assert.strictEqual(skipped.count, 2);
+  assert.deepStrictEqual((await orm.findAll()).map(({ NAME, AMT }) => [NAME, AMT]), [['A', 1.5], ['C', 3]]);
+  await orm.close();
+});
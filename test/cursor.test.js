@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DELETED } = require('..');
+const { createTable } = require('./helpers');
+
+function fields() {
+  return [{ name: 'ID', type: 'N', size: 6, decimalPlaces: 0 }, { name: 'AMT', type: 'N', size: 10, decimalPlaces: 2 }];
+}
+
+/** Creates a table with records 1 to `count`, with IDs equal to their record numbers. */
+async function createNumbered(count) {
+  return createTable(fields(), Array.from({ length: count }, (_, i) => ({ ID: i + 1, AMT: (i + 1) / 4 })));
+}
+
+async function collect(iterable) {
+  const ids = [];
+  for await (const record of iterable) ids.push(record.ID);
+  return ids;
+}
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+test('a cursor reads every record, from and to the given record numbers', async () => {
+  const orm = await createNumbered(25);
+  assert.deepStrictEqual(await collect(orm.cursor()), range(1, 25));
+  assert.deepStrictEqual(await collect(orm.cursor({ from: 20 })), range(20, 25));
+  assert.deepStrictEqual(await collect(orm.cursor({ from: 5, to: 9, batchSize: 2 })), range(5, 9));
+  assert.deepStrictEqual(await collect(orm.cursor({ to: 0 })), []);
+  assert.deepStrictEqual(await collect(orm.cursor({ from: 26 })), []);
+  await orm.close();
+});
+
+test('records are read batchSize at a time', async () => {
+  const orm = await createNumbered(10);
+  const cursor = orm.dbfFile.cursor({ batchSize: 4 });
+  assert.deepStrictEqual((await cursor.read()).map(record => record.ID), [1, 2, 3, 4]);
+  assert.strictEqual(cursor.recno, 5);
+  assert.deepStrictEqual((await cursor.read()).map(record => record.ID), [5, 6, 7, 8]);
+  assert.deepStrictEqual((await cursor.read()).map(record => record.ID), [9, 10]);
+  assert.deepStrictEqual(await cursor.read(), []);
+
+  const entries = [];
+  for await (const { recno, record } of orm.dbfFile.cursor({ from: 8, batchSize: 3 }).entries()) {
+    entries.push([recno, record.ID]);
+  }
+  assert.deepStrictEqual(entries, [[8, 8], [9, 9], [10, 10]]);
+  await orm.close();
+});
+
+test('cursors keep their own positions, apart from each other and from readRecords', async () => {
+  const orm = await createNumbered(6);
+  const first = orm.dbfFile.cursor({ batchSize: 2 });
+  const second = orm.dbfFile.cursor({ from: 3, batchSize: 1 });
+  const read = async cursor => (await cursor.read()).map(record => record.ID);
+  assert.deepStrictEqual(await read(first), [1, 2]);
+  assert.deepStrictEqual(await read(second), [3]);
+  assert.deepStrictEqual((await orm.dbfFile.readRecords(4)).map(record => record.ID), [1, 2, 3, 4]);
+  assert.deepStrictEqual(await read(first), [3, 4]);
+  assert.deepStrictEqual(await read(second), [4]);
+  assert.deepStrictEqual((await orm.dbfFile.readRecords(4)).map(record => record.ID), [5, 6]);
+
+  // Two streams iterated together each see every record once
+  const a = orm.cursor({ batchSize: 4 })[Symbol.asyncIterator]();
+  const b = orm.cursor({ batchSize: 1 })[Symbol.asyncIterator]();
+  const pairs = [];
+  for (let i = 0; i < 6; ++i) pairs.push([(await a.next()).value.ID, (await b.next()).value.ID]);
+  assert.deepStrictEqual(pairs, range(1, 6).map(id => [id, id]));
+  assert.strictEqual((await a.next()).done, true);
+  await orm.close();
+});
+
+test('records appended while iterating are read too, unless they are past `to`', async () => {
+  const orm = await createNumbered(3);
+  const ids = [];
+  for await (const record of orm.dbfFile.cursor({ batchSize: 2 })) {
+    ids.push(record.ID);
+    if (record.ID === 3) await orm.insert({ ID: 4 });
+  }
+  assert.deepStrictEqual(ids, [1, 2, 3, 4]);
+  const upTo = [];
+  for await (const record of orm.dbfFile.cursor({ to: 4 })) {
+    upTo.push(record.ID);
+    if (record.ID === 4) await orm.insert({ ID: 5 });
+  }
+  assert.deepStrictEqual(upTo, [1, 2, 3, 4]);
+  await orm.close();
+});
+
+test('deleted records are skipped unless the cursor includes them, and numeric values read as it says', async () => {
+  const orm = await createNumbered(5);
+  await orm.deleteWhere({ ID: 2 });
+  await orm.deleteWhere({ ID: 4 });
+  assert.deepStrictEqual(await collect(orm.cursor({ batchSize: 2 })), [1, 3, 5]);
+  const all = [];
+  for await (const record of orm.cursor({ includeDeletedRecords: true })) all.push([record.ID, !!record[DELETED]]);
+  assert.deepStrictEqual(all, [[1, false], [2, true], [3, false], [4, true], [5, false]]);
+  const amounts = [];
+  for await (const record of orm.cursor({ numeric: 'string', to: 3 })) amounts.push(record.AMT);
+  assert.deepStrictEqual(amounts, ['0.25', '0.75']);
+  await orm.close();
+});
+
+test('invalid cursor options are refused', async () => {
+  const orm = await createNumbered(1);
+  assert.throws(() => orm.dbfFile.cursor({ from: 0 }), /Invalid record number: 0/);
+  assert.throws(() => orm.dbfFile.cursor({ to: -1 }), /Invalid record number: -1/);
+  assert.throws(() => orm.dbfFile.cursor({ batchSize: 0 }), /Invalid batch size: 0/);
+  assert.throws(() => orm.dbfFile.cursor({ numeric: 'float' }), /float/);
+  await assert.rejects(collect(orm.cursor({ batchSize: 1.5 })), /Invalid batch size: 1.5/);
+  await orm.close();
+});
@@ -0,0 +1,75 @@
+// Dates must survive every write path in time zones west of UTC, where local midnight is the previous UTC day.
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { tempDir, createTable, readRawRecord } = require('./helpers');
+
+const FIELDS = [
+  { name: 'D', type: 'D', size: 8 },
+  { name: 'AMT', type: 'N', size: 5, decimalPlaces: 0 }
+];
+
+async function readDates(orm) {
+  return (await orm.findAll()).map(record => record.D.toISOString().slice(0, 10));
+}
+
+test('runs in a time zone west of UTC', () => {
+  assert.strictEqual(new Date('2024-01-02T00:00:00Z').getDate(), 1);
+});
+
+test('insert writes the UTC date', async () => {
+  const orm = await createTable(FIELDS, [{ D: new Date('2024-01-02'), AMT: 1 }]);
+  assert.strictEqual(readRawRecord(orm.dbfPath, 1).toString('latin1', 1, 9), '20240102');
+  assert.deepStrictEqual(await readDates(orm), ['2024-01-02']);
+  await orm.close();
+});
+
+test('updates leave date fields they do not change as they were', async () => {
+  const orm = await createTable(FIELDS, [{ D: new Date('2024-01-02'), AMT: 1 }]);
+  await orm.updateWhere({ AMT: 1 }, { AMT: 2 });
+  await orm.updateWhere({ AMT: 2 }, { AMT: 3 });
+  await orm.updateByRecNo(1, { AMT: 4 });
+  assert.deepStrictEqual(await readDates(orm), ['2024-01-02']);
+  await orm.close();
+});
+
+test('alterTable and transcode keep dates', async () => {
+  const orm = await createTable(FIELDS, [{ D: new Date('2024-01-02'), AMT: 1 }]);
+  await orm.alterTable({ add: [{ name: 'NOTE', type: 'C', size: 10 }] });
+  assert.deepStrictEqual(await readDates(orm), ['2024-01-02']);
+  const copy = await orm.transcode(path.join(path.dirname(orm.dbfPath), 'COPY.DBF'), 'cp1252');
+  assert.deepStrictEqual(await readDates(copy), ['2024-01-02']);
+  await copy.close();
+  await orm.close();
+});
+
+test('CSV import stores the date it reads', async () => {
+  const orm = await createTable(FIELDS);
+  const csvPath = path.join(path.dirname(orm.dbfPath), 'in.csv');
+  fs.writeFileSync(csvPath, 'D,AMT\n2024-01-02,1\n');
+  await orm.appendFromCSV(csvPath);
+  assert.strictEqual(readRawRecord(orm.dbfPath, 1).toString('latin1', 1, 9), '20240102');
+  await orm.close();
+});
+
+test('NDJSON export and import round-trip byte for byte', async () => {
+  const dir = tempDir();
+  const source = await createTable(FIELDS, [{ D: new Date('2024-01-02'), AMT: 1 }, { D: null, AMT: 2 }], { dir });
+  const text = await readAll(source.exportStream());
+  const target = await createTable(FIELDS, [], { dir, name: 'TARGET.DBF' });
+  await target.importStream(Readable.from([text]));
+  assert.strictEqual(await readAll(target.exportStream()), text);
+  assert.deepStrictEqual(readRawRecord(target.dbfPath, 1), readRawRecord(source.dbfPath, 1));
+  await source.close();
+  await target.close();
+});
+
+async function readAll(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
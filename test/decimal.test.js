@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { DbfORM, Decimal } = require('..');
+const { createTable } = require('./helpers');
+
+test('Decimal converts numbers, strings and BigInts exactly', () => {
+  assert.strictEqual(Decimal.from(0.1 + 0.2).toString(), '0.30000000000000004');
+  assert.strictEqual(Decimal.from(' -1234.50 ').toString(), '-1234.50');
+  assert.strictEqual(Decimal.from('1.5e3').toString(), '1500');
+  assert.strictEqual(Decimal.from('25e-4').toString(), '0.0025');
+  assert.strictEqual(Decimal.from(12345678901234567890n).toString(), '12345678901234567890');
+  assert.strictEqual(Decimal.from('.5').toString(), '0.5');
+  assert.strictEqual(JSON.stringify({ amount: Decimal.from('7.10') }), '{"amount":"7.10"}');
+  for (const value of ['', '1.2.3', 'abc', '1e5000', NaN, Infinity, null]) {
+    assert.throws(() => Decimal.from(value), /Invalid decimal number/);
+  }
+  assert.throws(() => new Decimal(5, 0), /Decimal units must be a BigInt/);
+  assert.throws(() => new Decimal(5n, -1), /Invalid decimal scale: -1/);
+});
+
+test('Decimal arithmetic and comparisons are exact', () => {
+  const a = Decimal.from('0.1');
+  assert.strictEqual(a.plus('0.2').toString(), '0.3');
+  assert.ok(a.plus(0.2).equals('0.3'));
+  assert.strictEqual(Decimal.from('10.00').minus('0.005').toString(), '9.995');
+  assert.strictEqual(Decimal.from('1.25').times('-0.4').toString(), '-0.500');
+  assert.strictEqual(Decimal.from('2.50').compareTo('2.5'), 0);
+  assert.strictEqual(Decimal.from('-3').compareTo(2n), -1);
+  assert.strictEqual(Decimal.from('9007199254740993').compareTo(9007199254740992), 1);
+  assert.strictEqual(Decimal.from('12.5').toNumber(), 12.5);
+});
+
+test('Decimal rounds halves away from zero', () => {
+  assert.strictEqual(Decimal.from('2.345').toFixed(2), '2.35');
+  assert.strictEqual(Decimal.from('-2.345').toFixed(2), '-2.35');
+  assert.strictEqual(Decimal.from('2.344').toFixed(2), '2.34');
+  assert.strictEqual(Decimal.from('0.5').toFixed(), '1');
+  assert.strictEqual(Decimal.from('-0.5').toFixed(), '-1');
+  assert.strictEqual(Decimal.from('1.5').toFixed(3), '1.500');
+  assert.strictEqual(Decimal.from(1.005, 2).toString(), '1.01');
+  assert.throws(() => Decimal.from('1').round(1.5), /Invalid decimal scale: 1.5/);
+});
+
+// The widest values of an N(18,4) field and of a Currency field
+const N18_MAX = '9999999999999.9999';
+const N18_MIN = '-999999999999.9999';
+const CURRENCY_MAX = '922337203685477.5807';
+const CURRENCY_MIN = '-922337203685477.5808';
+
+function ledgerFields() {
+  return [
+    { name: 'AMOUNT', type: 'N', size: 18, decimalPlaces: 4 },
+    { name: 'COUNT', type: 'N', size: 20, decimalPlaces: 0 },
+    { name: 'BALANCE', type: 'Y', size: 8 }
+  ];
+}
+
+const LEDGER = [
+  { AMOUNT: N18_MAX, COUNT: 12345678901234567890n, BALANCE: CURRENCY_MAX },
+  { AMOUNT: N18_MIN, COUNT: -9007199254740993n, BALANCE: CURRENCY_MIN },
+  { AMOUNT: Decimal.from('0.0001'), COUNT: 0, BALANCE: '0.1' }
+];
+
+async function reopen(orm, numeric) {
+  await orm.close();
+  const reopened = new DbfORM(orm.dbfPath, { numeric });
+  return reopened.open();
+}
+
+test('the numeric option reads N(18,4) and Currency values exactly, up to their limits', async () => {
+  let orm = await createTable(ledgerFields(), LEDGER, { fileVersion: 0x30 });
+
+  orm = await reopen(orm, 'string');
+  assert.deepStrictEqual(await orm.findAll(), [
+    { AMOUNT: N18_MAX, COUNT: '12345678901234567890', BALANCE: CURRENCY_MAX },
+    { AMOUNT: N18_MIN, COUNT: '-9007199254740993', BALANCE: CURRENCY_MIN },
+    { AMOUNT: '0.0001', COUNT: '0', BALANCE: '0.1000' }
+  ]);
+
+  orm = await reopen(orm, 'bigint');
+  const [first, second] = await orm.findAll();
+  assert.strictEqual(first.COUNT, 12345678901234567890n);
+  assert.strictEqual(second.COUNT, -9007199254740993n);
+  assert.strictEqual(first.AMOUNT, N18_MAX);
+  assert.strictEqual(first.BALANCE, CURRENCY_MAX);
+
+  orm = await reopen(orm, 'decimal');
+  const records = await orm.findAll();
+  assert.ok(records.every(record => Object.values(record).every(value => value instanceof Decimal)));
+  assert.ok(records[0].BALANCE.equals(CURRENCY_MAX));
+  assert.ok(records[1].AMOUNT.equals(N18_MIN));
+  assert.strictEqual(records[2].AMOUNT.toString(), '0.0001');
+
+  orm = await reopen(orm, 'number');
+  assert.deepStrictEqual((await orm.findAll())[2], { AMOUNT: 0.0001, COUNT: 0, BALANCE: 0.1 });
+  await orm.close();
+});
+
+test('values written back exactly as read leave the records byte for byte the same', async () => {
+  let orm = await createTable(ledgerFields(), LEDGER, { fileVersion: 0x30 });
+  orm = await reopen(orm, 'decimal');
+  const before = fs.readFileSync(orm.dbfPath);
+  await orm.update(() => true, record => ({ AMOUNT: record.AMOUNT, COUNT: record.COUNT, BALANCE: record.BALANCE }));
+  assert.deepStrictEqual(fs.readFileSync(orm.dbfPath), before);
+  await orm.close();
+});
+
+test('numbers too wide for their field are refused, rounding included', async () => {
+  const orm = await createTable(ledgerFields(), [], { fileVersion: 0x30 });
+  await assert.rejects(orm.insert({ AMOUNT: '99999999999999.9999' }),
+    /Value 99999999999999.9999 of field 'AMOUNT' does not fit in N\(18,4\)/);
+  await assert.rejects(orm.insert({ AMOUNT: '9999999999999.99995' }), /does not fit in N\(18,4\)/);
+  await assert.rejects(orm.insert({ COUNT: 10n ** 20n }), /does not fit in N\(20\)/);
+  await assert.rejects(orm.insert({ BALANCE: '922337203685477.5808' }),
+    /Value 922337203685477.5808 of field 'BALANCE' is out of range for a currency field/);
+  await assert.rejects(orm.insert({ BALANCE: '-922337203685477.5809' }), /out of range for a currency field/);
+  await assert.rejects(orm.insert({ AMOUNT: 'lots' }), /Field 'AMOUNT' must be a number/);
+  assert.deepStrictEqual(await orm.findAll(), []);
+  await orm.close();
+});
+
+test('float fields without decimal places keep as many as fit', async () => {
+  const orm = await createTable([{ name: 'RATIO', type: 'F', size: 8 }], [{ RATIO: 1 / 3 }, { RATIO: -2.5 }]);
+  assert.deepStrictEqual((await orm.findAll()).map(record => record.RATIO), [0.333333, -2.5]);
+  await assert.rejects(orm.insert({ RATIO: 123456789 }), /does not fit in F\(8\)/);
+  await orm.close();
+});
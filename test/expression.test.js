@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileExpression } = require('../src/lib/dbffile/expression');
+const { createTable } = require('./helpers');
+
+const FIELDS = [
+  { name: 'NAME', type: 'C', size: 10 },
+  { name: 'AMOUNT', type: 'N', size: 10, decimalPlaces: 2 },
+  { name: 'SINCE', type: 'D', size: 8 },
+  { name: 'PAID', type: 'L', size: 1 },
+  { name: 'CODE', type: 'C', size: 6 }
+];
+
+const RECORD = { NAME: 'Smith', AMOUNT: 123.45, SINCE: new Date('2024-03-09'), PAID: false, CODE: '  42' };
+
+/** Compiles and evaluates an expression against RECORD. */
+function evaluate(source, context, options) {
+  return compileExpression(source, FIELDS, options).evaluate(RECORD, context);
+}
+
+test('functions compute what FoxPro computes', () => {
+  assert.strictEqual(evaluate('STR(AMOUNT)'), '       123');
+  assert.strictEqual(evaluate('STR(AMOUNT, 8, 2)'), '  123.45');
+  assert.strictEqual(evaluate('STR(AMOUNT, 2)'), '**');
+  assert.strictEqual(evaluate('DTOS(SINCE)'), '20240309');
+  assert.strictEqual(evaluate('DTOS({})'), '        ');
+  assert.deepStrictEqual(evaluate("CTOD('03/09/2024')"), new Date('2024-03-09'));
+  assert.deepStrictEqual(evaluate("CTOD('09.03.24')", {}, { dateFormat: 'german' }), new Date('2024-03-09'));
+  assert.deepStrictEqual(evaluate("CTOD('^2024-03-09')", {}, { dateFormat: 'british' }), new Date('2024-03-09'));
+  assert.strictEqual(evaluate("CTOD('02/30/2024')"), null);
+  assert.strictEqual(evaluate('SUBSTR(NAME, 2, 3)'), 'mit');
+  assert.strictEqual(evaluate('SUBSTR(NAME, 4)'), 'th     ');
+  assert.strictEqual(evaluate('UPPER(NAME)'), 'SMITH     ');
+  assert.strictEqual(evaluate('TRIM(NAME) + "!"'), 'Smith!');
+  assert.strictEqual(evaluate("IIF(PAID, 'paid', 'due')"), 'due');
+  assert.strictEqual(evaluate('IIF(AMOUNT > 100, 1, 2)'), 1);
+  assert.strictEqual(evaluate('VAL(CODE) + 1'), 43);
+  assert.strictEqual(evaluate("VAL('abc')"), 0);
+  assert.strictEqual(evaluate('RECNO()', { recno: 7 }), 7);
+  assert.strictEqual(evaluate('DELETED()'), false);
+  assert.strictEqual(evaluate('DELETED()', { deleted: true }), true);
+});
+
+test('character fields are padded to their width, = matches a prefix and == matches exactly', () => {
+  assert.strictEqual(evaluate('NAME'), 'Smith     ');
+  assert.strictEqual(evaluate("NAME = 'Smi'"), true);
+  assert.strictEqual(evaluate("NAME == 'Smith'"), false);
+  assert.strictEqual(evaluate("NAME == 'Smith     '"), true);
+  assert.strictEqual(evaluate("NAME <> 'Jones'"), true);
+  assert.strictEqual(evaluate("NAME < 'Smithy'"), true);
+  assert.strictEqual(evaluate("'mit' $ NAME"), true);
+  assert.strictEqual(evaluate("'MIT' $ NAME"), false);
+  assert.strictEqual(evaluate("NAME - '!'"), 'Smith!     ');
+});
+
+test('dates compare and take arithmetic in days', () => {
+  assert.strictEqual(evaluate('SINCE > {^2024-03-01}'), true);
+  assert.strictEqual(evaluate("SINCE = CTOD('03/09/2024')"), true);
+  assert.deepStrictEqual(evaluate('SINCE + 30'), new Date('2024-04-08'));
+  assert.strictEqual(evaluate('SINCE - {^2024-01-01}'), 68);
+});
+
+test('operators bind with FoxPro precedence', () => {
+  assert.strictEqual(evaluate('2 + 3 * 4'), 14);
+  assert.strictEqual(evaluate('(2 + 3) * 4'), 20);
+  assert.strictEqual(evaluate('2 * 3 ^ 2'), 18);
+  assert.strictEqual(evaluate('-2 ^ 2'), 4);
+  assert.strictEqual(evaluate('10 - 4 - 3'), 3);
+  assert.strictEqual(evaluate('7 % 3 + 1'), 2);
+  assert.strictEqual(evaluate('AMOUNT > 100 .AND. AMOUNT < 200'), true);
+  assert.strictEqual(evaluate('.T. .OR. .F. .AND. .F.'), true);
+  assert.strictEqual(evaluate('(.T. .OR. .F.) .AND. .F.'), false);
+  assert.strictEqual(evaluate('!PAID .AND. AMOUNT > 1000'), false);
+  assert.strictEqual(evaluate('.NOT. AMOUNT > 1000'), true);
+});
+
+test('syntax errors name the expression', () => {
+  assert.throws(() => evaluate('AMOUNT >'),
+    { name: 'SyntaxError', message: "Unexpected end of expression 'AMOUNT >'" });
+  assert.throws(() => evaluate('(AMOUNT + 1, 2)'), /Expected '\)' in expression '\(AMOUNT \+ 1, 2\)'/);
+  assert.throws(() => evaluate('AMOUNT 1'), /Unexpected '1' in expression 'AMOUNT 1'/);
+  assert.throws(() => evaluate("NAME = 'Smith"), /Unterminated string in expression/);
+  assert.throws(() => evaluate('AMOUNT ? 1'), /Unexpected character '\?' in expression/);
+  assert.throws(() => evaluate('SINCE > {^2024-13}'), /Invalid date literal '\{\^2024-13\}'/);
+});
+
+test('unknown fields and functions, and wrong argument counts, are refused', () => {
+  assert.throws(() => evaluate('BALANCE > 0'), /Unknown field 'BALANCE' in expression 'BALANCE > 0'/);
+  assert.throws(() => evaluate('FOO(NAME)'), /Unknown function 'FOO' in expression/);
+  assert.throws(() => evaluate('SUBSTR(NAME)'), /Wrong number of arguments to SUBSTR\(\)/);
+});
+
+test('comparing values of different types is a type error when the expression is compiled', () => {
+  assert.throws(() => compileExpression("AMOUNT > 'x'", FIELDS), {
+    name: 'TypeError',
+    message: "Operator/operand type mismatch: '>' on types 'N' and 'C' in expression 'AMOUNT > 'x''"
+  });
+  assert.throws(() => compileExpression('NAME = 1', FIELDS), TypeError);
+  assert.throws(() => compileExpression("SINCE >= '20240101'", FIELDS), TypeError);
+  assert.throws(() => compileExpression('PAID = 0', FIELDS), TypeError);
+  assert.throws(() => compileExpression('1 $ NAME', FIELDS), TypeError);
+  assert.strictEqual(compileExpression("DTOS(SINCE) >= '20240101'", FIELDS).type, 'L');
+});
+
+test('find and findOne accept expressions, evaluated against each record', async () => {
+  const orm = await createTable(FIELDS.map(field => ({ ...field })), [
+    { NAME: 'Smith', AMOUNT: 123.45, SINCE: new Date('2024-03-09'), PAID: false, CODE: 'A' },
+    { NAME: 'Jones', AMOUNT: 50, SINCE: new Date('2023-11-30'), PAID: true, CODE: 'B' },
+    { NAME: 'smithers', AMOUNT: 900, SINCE: null, PAID: false, CODE: 'C' }
+  ]);
+  await orm.deleteWhere({ CODE: 'B' });
+  const codes = records => records.map(record => record.CODE);
+
+  assert.deepStrictEqual(codes(await orm.find("UPPER(NAME) = 'SMITH'")), ['A', 'C']);
+  assert.deepStrictEqual(codes(await orm.find("UPPER(NAME) == 'SMITH'")), []);
+  assert.deepStrictEqual(codes(await orm.find("TRIM(UPPER(NAME)) == 'SMITH'")), ['A']);
+  assert.deepStrictEqual(codes(await orm.find('!PAID .AND. AMOUNT >= 100')), ['A', 'C']);
+  assert.deepStrictEqual(codes(await orm.find("DTOS(SINCE) >= '20240101'")), ['A']);
+  assert.deepStrictEqual(codes(await orm.find('RECNO() > 1')), ['C']);
+  assert.strictEqual((await orm.findOne("'ith' $ NAME")).CODE, 'A');
+  assert.strictEqual(await orm.findOne("NAME = 'Nobody'"), null);
+
+  await assert.rejects(orm.find('AMOUNT + 1'), /Filter expression 'AMOUNT \+ 1' must be logical/);
+  await assert.rejects(orm.find("AMOUNT > 'x'"), TypeError);
+  await assert.rejects(orm.findOne('NOPE = 1'), /Unknown field 'NOPE'/);
+  await orm.close();
+});
@@ -0,0 +1,54 @@
+/**
+ * Helpers shared by the tests: scratch directories and tables
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DbfORM } = require('..');
+
+/**
+ * Create a scratch directory, removed when the test process exits
+ * @returns {string} - Path of the directory
+ */
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dbf-orm-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Create a table in a scratch directory, optionally with some records
+ * @param {Object[]} fields - Field descriptors
+ * @param {Object[]} records - Records to insert (optional)
+ * @param {Object} options - DbfORM options, `name` for the file name (default: 'TEST.DBF') and `dir` for its directory (default: a new scratch directory)
+ * @returns {Promise<DbfORM>} - The open table
+ */
+async function createTable(fields, records = [], options = {}) {
+  const { name = 'TEST.DBF', dir = tempDir(), ...ormOptions } = options;
+  const orm = new DbfORM(path.join(dir, name), { autoCreate: true, ...ormOptions });
+  orm.defineFields(fields);
+  await orm.create();
+  if (records.length > 0) await orm.insertMany(records);
+  return orm;
+}
+
+/**
+ * Read the raw bytes of a record of a DBF file, deletion flag first
+ * @param {string} dbfPath - Path of the DBF file
+ * @param {number} recno - 1-based record number
+ * @returns {Buffer} - The record's bytes
+ */
+function readRawRecord(dbfPath, recno) {
+  const file = fs.readFileSync(dbfPath);
+  const headerLength = file.readUInt16LE(8);
+  const recordLength = file.readUInt16LE(10);
+  const start = headerLength + (recno - 1) * recordLength;
+  return file.subarray(start, start + recordLength);
+}
+
+module.exports = {
+  tempDir,
+  createTable,
+  readRawRecord
+};
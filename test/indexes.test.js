@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DbfORM } = require('..');
+const { createTable } = require('./helpers');
+
+const FIELDS = [{ name: 'CODE', type: 'C', size: 8 }, { name: 'AMT', type: 'N', size: 8, decimalPlaces: 0 }];
+
+const RECORDS = [{ CODE: 'pear', AMT: 30 }, { CODE: 'apple', AMT: 10 }, { CODE: 'fig', AMT: 20 }];
+
+function codes(records) {
+  return records.map(record => record.CODE);
+}
+
+/** Checks that the CODE tag lists the records of the table in key order, as a fresh index would. */
+async function assertIndexed(orm) {
+  const expected = codes(await orm.findAll()).sort((a, b) => (a.toUpperCase() < b.toUpperCase() ? -1 : 1));
+  assert.deepStrictEqual(codes(await orm.seekRange('CODE')), expected);
+}
+
+const FORMATS = [
+  { name: 'FoxPro .cdx', fileVersion: 0x30, indexFile: 'TEST.CDX' },
+  { name: 'dBase III .ndx', fileVersion: 0x03, indexFile: 'CODE.NDX' }
+];
+
+for (const { name, fileVersion, indexFile } of FORMATS) {
+  test(`${name} indexes are kept up to date by inserts, updates, deletes, recalls, pack and zap`, async () => {
+    const orm = await createTable(FIELDS, RECORDS, { fileVersion });
+    await orm.createIndex({ tag: 'CODE', expression: 'UPPER(CODE)' });
+    assert.deepStrictEqual(orm.getIndexes().map(index => path.basename(index.path)), [indexFile]);
+    await assertIndexed(orm);
+
+    await orm.insertMany([{ CODE: 'banana', AMT: 40 }, { CODE: 'cherry', AMT: 50 }]);
+    assert.deepStrictEqual(codes(await orm.seek('CODE', 'BANANA')), ['banana']);
+    await assertIndexed(orm);
+
+    await orm.updateWhere({ CODE: 'pear' }, { CODE: 'quince' });
+    assert.deepStrictEqual(await orm.seek('CODE', 'PEAR'), []);
+    assert.deepStrictEqual(codes(await orm.seek('CODE', 'QUINCE')), ['quince']);
+    await assertIndexed(orm);
+
+    await orm.deleteWhere({ CODE: 'apple' });
+    await orm.recallWhere({ CODE: 'apple' });
+    await orm.deleteWhere({ CODE: 'fig' });
+    await orm.pack();
+    assert.deepStrictEqual(await orm.seek('CODE', 'FIG'), []);
+    assert.deepStrictEqual(codes(await orm.seek('CODE', 'APPLE')), ['apple']);
+    await assertIndexed(orm);
+
+    await orm.zap();
+    assert.deepStrictEqual(await orm.seekRange('CODE'), []);
+    await orm.insert({ CODE: 'date', AMT: 60 });
+    await assertIndexed(orm);
+    await orm.close();
+  });
+}
+
+/** Makes records whose codes come in a scrambled order. */
+function scrambled(count) {
+  return Array.from({ length: count }, (_, i) => ({ CODE: `k${(i * 7919) % count}`.padEnd(6, 'x'), AMT: i % 50 }));
+}
+
+for (const { name, fileVersion } of FORMATS) {
+  test(`${name} indexes stay in order as nodes are split and emptied`, async () => {
+    const orm = await createTable(FIELDS, [], { fileVersion });
+    await orm.createIndex({ tag: 'CODE', expression: 'UPPER(CODE)' });
+    for (const record of scrambled(600)) await orm.insert(record);
+    await assertIndexed(orm);
+
+    await orm.delete(record => record.AMT < 40);
+    await assertIndexed(orm);
+    await orm.delete(() => true);
+    assert.deepStrictEqual(await orm.seekRange('CODE'), []);
+    await orm.recall();
+    await assertIndexed(orm);
+    await orm.close();
+  });
+}
+
+test('an insert rewrites only the index nodes it touches', async () => {
+  const orm = await createTable(FIELDS, scrambled(2000), { fileVersion: 0x30 });
+  await orm.createIndex({ tag: 'CODE', expression: 'UPPER(CODE)' });
+  const indexPath = orm.getIndexes()[0].path;
+  const before = fs.readFileSync(indexPath);
+
+  await orm.insert({ CODE: 'k1000a', AMT: 1 });
+  const after = fs.readFileSync(indexPath);
+  let changedNodes = 0;
+  for (let offset = 0; offset < before.length; offset += 512) {
+    if (!before.subarray(offset, offset + 512).equals(after.subarray(offset, offset + 512))) ++changedNodes;
+  }
+  // A rebuilt index has full leaves, so the leaf is split: a new node is added at the end, and at most the tag
+  // header, the leaf, its right sibling and its parent change.
+  assert.strictEqual(after.length, before.length + 512);
+  assert.ok(changedNodes <= 4, `${changedNodes} nodes changed`);
+  assert.deepStrictEqual(codes(await orm.seek('CODE', 'K1000A')), ['k1000a']);
+  await orm.close();
+});
+
+test('a unique tag keeps the first record with each key', async () => {
+  const orm = await createTable(FIELDS, RECORDS, { fileVersion: 0x30 });
+  await orm.createIndex({ tag: 'CODE', expression: 'CODE', unique: true });
+  await orm.insert({ CODE: 'fig', AMT: 99 });
+  assert.deepStrictEqual((await orm.seek('CODE', 'fig')).map(record => record.AMT), [20]);
+
+  // As in FoxPro, removing that record's key leaves the other record out until the index is rebuilt.
+  await orm.deleteWhere({ CODE: 'fig', AMT: 20 });
+  await orm.updateWhere({ CODE: 'fig' }, { AMT: 98 });
+  assert.deepStrictEqual(await orm.seek('CODE', 'fig'), []);
+  await orm.pack();
+  assert.deepStrictEqual((await orm.seek('CODE', 'fig')).map(record => record.AMT), [98]);
+  await orm.close();
+});
+
+test('a rolled back transaction restores index nodes that were split', async () => {
+  const orm = await createTable(FIELDS, scrambled(300), { fileVersion: 0x30 });
+  await orm.createIndex({ tag: 'CODE', expression: 'UPPER(CODE)' });
+  const indexPath = orm.getIndexes()[0].path;
+  const before = fs.readFileSync(indexPath);
+
+  await assert.rejects(orm.transaction(async () => {
+    for (const record of scrambled(200)) await orm.insert({ ...record, CODE: `n${record.CODE}` });
+    throw new Error('undo');
+  }), /undo/);
+  assert.ok(fs.readFileSync(indexPath).equals(before));
+  await assertIndexed(orm);
+  await orm.close();
+});
+
+test('a FOR condition keeps deleted records out of a tag until they are recalled', async () => {
+  const orm = await createTable(FIELDS, RECORDS, { fileVersion: 0x30 });
+  await orm.createIndex({ tag: 'LIVE', expression: 'CODE', for: '!DELETED()' });
+  await orm.deleteWhere({ CODE: 'fig' });
+  assert.deepStrictEqual(codes(await orm.seekRange('LIVE')), ['apple', 'pear']);
+  await orm.recall();
+  assert.deepStrictEqual(codes(await orm.seekRange('LIVE')), ['apple', 'fig', 'pear']);
+  await orm.close();
+});
+
+test('numeric and descending tags order and find records by key', async () => {
+  const orm = await createTable(FIELDS, RECORDS, { fileVersion: 0x30 });
+  await orm.createIndex({ tag: 'AMT', expression: 'AMT' });
+  await orm.createIndex({ tag: 'AMTDESC', expression: 'AMT', descending: true });
+  await orm.insert({ CODE: 'kiwi', AMT: 15 });
+  await orm.updateWhere({ CODE: 'pear' }, { AMT: 5 });
+  assert.deepStrictEqual(codes(await orm.seekRange('AMT', 10, 20)), ['apple', 'kiwi', 'fig']);
+  assert.deepStrictEqual(codes(await orm.seekRange('AMTDESC')), ['fig', 'kiwi', 'apple', 'pear']);
+  assert.deepStrictEqual(codes(await orm.seek('AMT', 5)), ['pear']);
+  await orm.close();
+});
+
+test('the structural index is opened with the table and is still up to date', async () => {
+  const orm = await createTable(FIELDS, RECORDS, { fileVersion: 0x30 });
+  await orm.createIndex({ tag: 'CODE', expression: 'UPPER(CODE)' });
+  await orm.insert({ CODE: 'banana', AMT: 40 });
+  await orm.close();
+
+  const reopened = new DbfORM(orm.dbfPath);
+  await reopened.open();
+  assert.deepStrictEqual(codes(await reopened.seek('CODE', 'BAN')), ['banana']);
+  assert.deepStrictEqual(codes(await reopened.seek('CODE', 'BAN', { exact: true })), []);
+  assert.deepStrictEqual(codes(await reopened.findWhere({ CODE: 'fig' })), ['fig']);
+  await reopened.updateWhere({ CODE: 'fig' }, { CODE: 'grape' });
+  await assertIndexed(reopened);
+  await reopened.close();
+});
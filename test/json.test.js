@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTable } = require('./helpers');
+
+const FIELDS = [
+  { name: 'NAME', type: 'C', size: 10 },
+  { name: 'N', type: 'N', size: 8, decimalPlaces: 2 },
+  { name: 'OK', type: 'L', size: 1 }
+];
+
+test('toJSON writes the records to a file without logging, and appendFromJSON reads them back', async t => {
+  const orm = await createTable(FIELDS, [{ NAME: 'a', N: 1.25, OK: true }, { NAME: 'b', N: -2, OK: false }]);
+  const jsonPath = path.join(path.dirname(orm.dbfPath), 'out.json');
+  const log = t.mock.method(console, 'log', () => {});
+  const records = await orm.toJSON(jsonPath);
+  assert.strictEqual(log.mock.callCount(), 0);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(jsonPath, 'utf8')), records);
+  assert.deepStrictEqual(records.map(({ NAME, N, OK }) => [NAME, N, OK]), [['a', 1.25, true], ['b', -2, false]]);
+
+  const copy = await createTable(FIELDS);
+  const result = await copy.appendFromJSON(jsonPath);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.count, 2);
+  assert.deepStrictEqual(await copy.findAll(), await orm.findAll());
+  await orm.close();
+  await copy.close();
+});
+
+test('toJSON rejects without logging when the file can\'t be written', async t => {
+  const orm = await createTable(FIELDS, [{ NAME: 'a', N: 1, OK: true }]);
+  const error = t.mock.method(console, 'error', () => {});
+  await assert.rejects(orm.toJSON(path.join(path.dirname(orm.dbfPath), 'missing', 'out.json')), { code: 'ENOENT' });
+  assert.strictEqual(error.mock.callCount(), 0);
+  await orm.close();
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const path = require('path');
+const { DbfORM } = require('..');
+const { createTable } = require('./helpers');
+
+// Cross-process locks need the os-lock package, which is an optional dependency
+let skip = false;
+try {
+  require('os-lock');
+} catch (err) {
+  skip = 'os-lock is not installed';
+}
+
+const FIELDS = [{ name: 'NAME', type: 'C', size: 10 }];
+
+/** Starts a process holding a file lock on a table, until its stdin is closed. */
+async function lockInChildProcess(dbfPath) {
+  const script = `
+    const { DbfORM } = require(${JSON.stringify(path.resolve(__dirname, '..'))});
+    (async () => {
+      const orm = new DbfORM(${JSON.stringify(dbfPath)});
+      await orm.open();
+      await orm.lockFile();
+      process.stdout.write('locked\\n');
+      process.stdin.resume();
+      process.stdin.on('end', () => orm.close());
+    })();`;
+  const child = spawn(process.execPath, ['-e', script], { stdio: ['pipe', 'pipe', 'inherit'] });
+  await once(child.stdout, 'data');
+  return child;
+}
+
+test('a file lock taken by another process excludes this one until released', { skip }, async () => {
+  const orm = await createTable(FIELDS, [{ NAME: 'a' }], { locking: { timeout: 100 } });
+  const child = await lockInChildProcess(orm.dbfPath);
+  try {
+    assert.strictEqual(await orm.isLocked(), true);
+    await assert.rejects(orm.lockRecord(1), { code: 'ELOCKED' });
+    await assert.rejects(orm.insert({ NAME: 'b' }), { code: 'ELOCKED' });
+  } finally {
+    child.stdin.end();
+    await once(child, 'exit');
+  }
+  assert.strictEqual(await orm.isLocked(), false);
+  await orm.insert({ NAME: 'b' });
+  assert.strictEqual((await orm.findAll()).length, 2);
+  await orm.close();
+});
+
+test('the default adapter takes operating system locks with os-lock', { skip }, async () => {
+  const orm = await createTable(FIELDS, [{ NAME: 'a' }]);
+  assert.strictEqual(orm.dbfFile._locking.adapter, require('os-lock'));
+  await orm.close();
+  const inProcess = new DbfORM(orm.dbfPath, { locking: { adapter: 'none' } });
+  await inProcess.open();
+  assert.strictEqual(inProcess.dbfFile._locking.adapter, null);
+  await inProcess.close();
+});
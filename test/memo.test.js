@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { DbfORM } = require('..');
+const { createTable } = require('./helpers');
+
+// The memo field's size depends on the format, so defineFields fills it in on a new descriptor for each table
+function fields() {
+  return [{ name: 'ID', type: 'N', size: 6, decimalPlaces: 0 }, { name: 'NOTE', type: 'M' }];
+}
+
+// Longer than a memo block of any of these formats
+const LONG_TEXT = Array.from({ length: 200 }, (_, i) => `line ${i}`).join('\r\n');
+
+const FORMATS = [
+  { name: 'dBase III', fileVersion: 0x83, memoFile: 'TEST.DBT' },
+  { name: 'dBase IV', fileVersion: 0x8b, memoFile: 'TEST.DBT' },
+  { name: 'FoxPro', fileVersion: 0x30, memoFile: 'TEST.FPT' }
+];
+
+async function reopen(orm) {
+  await orm.close();
+  const reopened = new DbfORM(orm.dbfPath);
+  await reopened.open();
+  return reopened;
+}
+
+async function notes(orm) {
+  return (await orm.findAll()).map(record => record.NOTE);
+}
+
+for (const { name, fileVersion, memoFile } of FORMATS) {
+  test(`${name} memos are written to the ${memoFile.slice(-3)} file and read back`, async () => {
+    let orm = await createTable(fields(), [], { fileVersion });
+    assert.ok(fs.existsSync(orm.dbfPath.replace(/TEST\.DBF$/, memoFile)));
+    await orm.insert({ ID: 1, NOTE: 'short' });
+    await orm.insertMany([{ ID: 2, NOTE: LONG_TEXT }, { ID: 3, NOTE: 'café' }]);
+    orm = await reopen(orm);
+    assert.deepStrictEqual(await notes(orm), ['short', LONG_TEXT, 'café']);
+    await orm.close();
+  });
+
+  test(`${name} memos are replaced by updates, and survive pack`, async () => {
+    const records = [{ ID: 1, NOTE: 'first' }, { ID: 2, NOTE: 'second' }, { ID: 3, NOTE: 'third' }];
+    let orm = await createTable(fields(), records, { fileVersion });
+    await orm.updateWhere({ ID: 1 }, { NOTE: LONG_TEXT });
+    await orm.updateWhere({ ID: 3 }, { NOTE: 'THIRD' });
+    await orm.deleteWhere({ ID: 2 });
+    await orm.pack();
+    orm = await reopen(orm);
+    assert.deepStrictEqual(await notes(orm), [LONG_TEXT, 'THIRD']);
+    await orm.updateByRecNo(1, { NOTE: 'short again' });
+    orm = await reopen(orm);
+    assert.deepStrictEqual(await notes(orm), ['short again', 'THIRD']);
+    await orm.close();
+  });
+}
+
+test('FoxPro memos hold binary values as Buffers', async () => {
+  let orm = await createTable(fields(), [], { fileVersion: 0x30 });
+  const bytes = Buffer.from([0, 1, 2, 0x1A, 0xFF]);
+  await orm.insert({ ID: 1, NOTE: bytes });
+  orm = await reopen(orm);
+  const [record] = await orm.findAll();
+  assert.ok(Buffer.isBuffer(record.NOTE));
+  assert.deepStrictEqual(record.NOTE, bytes);
+  await orm.close();
+});
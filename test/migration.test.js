@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DbfORM } = require('..');
+const { createTable, tempDir } = require('./helpers');
+
+/** Creates a data directory with a customer table. */
+async function createDirectory() {
+  const dir = tempDir();
+  const orm = await createTable([{ name: 'CUSTNO', type: 'C', size: 6 }, { name: 'NAME', type: 'C', size: 20 }],
+    [{ CUSTNO: 'C1', NAME: 'Acme' }], { dir, name: 'CUSTOMER.DBF' });
+  await orm.close();
+  return dir;
+}
+
+/** Migrations that record the order they run in, the second adding a field to the customer table. */
+function migrations(log) {
+  return [
+    {
+      version: 2,
+      name: 'add email',
+      up: async ({ table, version }) => {
+        log.push(version);
+        const customers = await table('CUSTOMER.DBF');
+        await customers.alterTable({ add: [{ name: 'EMAIL', type: 'C', size: 40 }] });
+      }
+    },
+    { version: 1, name: 'first', up: async ({ version }) => { log.push(version); } },
+    { version: 3, name: 'third', up: async ({ version }) => { log.push(version); } }
+  ];
+}
+
+test('migrations run in version order and the directory version is saved', async () => {
+  const dir = await createDirectory();
+  const log = [];
+  assert.strictEqual(await DbfORM.getSchemaVersion(dir), 0);
+  assert.deepStrictEqual(await DbfORM.migrate(dir, migrations(log)), { from: 0, to: 3, applied: [1, 2, 3] });
+  assert.deepStrictEqual(log, [1, 2, 3]);
+  assert.strictEqual(await DbfORM.getSchemaVersion(dir), 3);
+
+  const state = JSON.parse(fs.readFileSync(path.join(dir, 'dbf-migrations.json'), 'utf8'));
+  assert.deepStrictEqual(state.applied.map(({ version, name }) => [version, name]),
+    [[1, 'first'], [2, 'add email'], [3, 'third']]);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['CUSTOMER.DBF', 'dbf-migrations.json']);
+
+  const customers = new DbfORM(path.join(dir, 'CUSTOMER.DBF'));
+  await customers.open();
+  assert.deepStrictEqual(customers.fieldDescriptors.map(field => field.name), ['CUSTNO', 'NAME', 'EMAIL']);
+  await customers.close();
+
+  // Nothing is left to run the second time
+  assert.deepStrictEqual(await DbfORM.migrate(dir, migrations(log)), { from: 3, to: 3, applied: [] });
+  assert.deepStrictEqual(log, [1, 2, 3]);
+});
+
+test('migrate stops at the `to` version, and a later call runs the rest', async () => {
+  const dir = await createDirectory();
+  const log = [];
+  assert.deepStrictEqual(await DbfORM.migrate(dir, migrations(log), { to: 1 }), { from: 0, to: 1, applied: [1] });
+  assert.deepStrictEqual(await DbfORM.migrate(dir, migrations(log)), { from: 1, to: 3, applied: [2, 3] });
+  assert.deepStrictEqual(log, [1, 2, 3]);
+});
+
+test('a failing migration is named, and the version stays at the last one that succeeded', async () => {
+  const dir = await createDirectory();
+  const cause = new Error('disk on fire');
+  const list = migrations([]);
+  list[2] = { version: 3, name: 'broken', up: async () => { throw cause; } };
+  await assert.rejects(DbfORM.migrate(dir, list), err => {
+    assert.strictEqual(err.message, 'Migration 3 (broken) failed: disk on fire');
+    assert.strictEqual(err.version, 3);
+    assert.strictEqual(err.cause, cause);
+    return true;
+  });
+  assert.strictEqual(await DbfORM.getSchemaVersion(dir), 2);
+  assert.ok(!fs.existsSync(path.join(dir, 'dbf-migrations.json.lock')));
+});
+
+test('tables opened by a migration are closed when it fails', async () => {
+  const dir = await createDirectory();
+  let opened;
+  await assert.rejects(DbfORM.migrate(dir, [{
+    version: 1,
+    up: async ({ table }) => {
+      opened = await table('CUSTOMER.DBF');
+      throw new Error('stop');
+    }
+  }]), /Migration 1 failed: stop/);
+  assert.strictEqual(opened.isOpen, false);
+});
+
+test('a directory being migrated can not be migrated by another deployment', async () => {
+  const dir = await createDirectory();
+  fs.writeFileSync(path.join(dir, 'dbf-migrations.json.lock'), '');
+  await assert.rejects(DbfORM.migrate(dir, migrations([])), /Migrations are already running on/);
+  assert.strictEqual(await DbfORM.getSchemaVersion(dir), 0);
+});
+
+test('the state file can be named', async () => {
+  const dir = await createDirectory();
+  await DbfORM.migrate(dir, migrations([]), { stateFile: 'schema.json', to: 1 });
+  assert.ok(fs.existsSync(path.join(dir, 'schema.json')));
+  assert.strictEqual(await DbfORM.getSchemaVersion(dir), 0);
+  assert.strictEqual(await DbfORM.getSchemaVersion(dir, { stateFile: 'schema.json' }), 1);
+});
+
+test('invalid migrations are refused before any runs', async () => {
+  const dir = await createDirectory();
+  const log = [];
+  const valid = { version: 1, up: async () => { log.push(1); } };
+  await assert.rejects(DbfORM.migrate(dir, [valid, { version: 0, up: async () => {} }]),
+    /Invalid migration version: 0/);
+  await assert.rejects(DbfORM.migrate(dir, [valid, { version: 2.5, up: async () => {} }]),
+    /Invalid migration version: 2.5/);
+  await assert.rejects(DbfORM.migrate(dir, [valid, { version: 2, name: 'lazy' }]), /Migration 2 \(lazy\) has no up/);
+  await assert.rejects(DbfORM.migrate(dir, [valid, { ...valid }]), /Duplicate migration version: 1/);
+  await assert.rejects(DbfORM.migrate(dir, [valid], { to: -1 }), /Invalid target version: -1/);
+  assert.deepStrictEqual(log, []);
+  assert.strictEqual(await DbfORM.getSchemaVersion(dir), 0);
+});
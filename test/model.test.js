@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { DbfORM, ValidationError } = require('..');
+const { tempDir } = require('./helpers');
+
+/** Defines a voucher model, with any extra definition merged in. */
+function defineVoucher(extra = {}) {
+  return DbfORM.model('Voucher', {
+    fields: {
+      VNO: { type: 'N', size: 8, required: true },
+      TYPE: { type: 'C', size: 1, enum: ['S', 'P'] },
+      AMOUNT: { type: 'N', size: 8, decimalPlaces: 2, min: 0, max: 10000 },
+      PARTY: { type: 'C', size: 10, required: true },
+      DATE: { type: 'D', min: new Date('2024-01-01') }
+    },
+    defaults: { TYPE: 'S', DATE: () => new Date('2024-04-01') },
+    ...extra
+  });
+}
+
+async function openVoucher(Model = defineVoucher(), options = {}) {
+  const orm = new Model(path.join(tempDir(), 'VOUCHER.DBF'), { autoCreate: true, ...options });
+  return orm.open();
+}
+
+/** Gets the rule of each field error of a ValidationError, as [field, rule] pairs. */
+async function failures(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    assert.ok(err instanceof ValidationError, err.message);
+    return err.errors.map(({ field, rule }) => [field, rule]);
+  }
+  assert.fail('The record was not rejected');
+}
+
+test('a valid record is written with its defaults filled in', async () => {
+  const orm = await openVoucher();
+  await orm.insert({ VNO: 1, AMOUNT: 12.5, PARTY: 'Acme' });
+  assert.deepStrictEqual(await orm.findAll(),
+    [{ VNO: 1, TYPE: 'S', AMOUNT: 12.5, PARTY: 'Acme', DATE: new Date('2024-04-01') }]);
+  await orm.close();
+});
+
+test('required, enum, min and max rules are checked, and every failure is listed', async () => {
+  const orm = await openVoucher();
+  const err = await orm.insert({ VNO: null, TYPE: 'X', AMOUNT: -1, PARTY: '', DATE: new Date('2023-12-31') })
+    .then(() => null, error => error);
+  assert.ok(err instanceof ValidationError);
+  assert.strictEqual(err.model, 'Voucher');
+  assert.deepStrictEqual(err.errors, [
+    { field: 'VNO', value: null, rule: 'required', message: 'VNO is required' },
+    { field: 'TYPE', value: 'X', rule: 'enum', message: "TYPE must be one of 'S', 'P'" },
+    { field: 'AMOUNT', value: -1, rule: 'min', message: 'AMOUNT must be at least 0' },
+    { field: 'PARTY', value: '', rule: 'required', message: 'PARTY is required' },
+    { field: 'DATE', value: new Date('2023-12-31'), rule: 'min', message: 'DATE must be at least 2024-01-01' }
+  ]);
+  assert.match(err.message, /^Voucher validation failed: VNO is required; TYPE must be one of/);
+  assert.deepStrictEqual(await failures(orm.insert({ VNO: 1, AMOUNT: 10000.01, PARTY: 'Acme' })),
+    [['AMOUNT', 'max']]);
+  assert.strictEqual((await orm.findAll()).length, 0);
+  await orm.close();
+});
+
+test('values must fit their columns instead of being truncated', async () => {
+  const orm = await openVoucher();
+  assert.deepStrictEqual(await failures(orm.insert({ VNO: 1, AMOUNT: 1.234, PARTY: 'Acme' })),
+    [['AMOUNT', 'decimals']]);
+  assert.deepStrictEqual(await failures(orm.insert({ VNO: 123456789, PARTY: 'Acme' })), [['VNO', 'overflow']]);
+  assert.deepStrictEqual(await failures(orm.insert({ VNO: 1, PARTY: 'Acme Traders' })), [['PARTY', 'size']]);
+  assert.deepStrictEqual(await failures(orm.insert({ VNO: '1x', PARTY: 42, DATE: 'today' })),
+    [['VNO', 'type'], ['PARTY', 'type'], ['DATE', 'type']]);
+  assert.deepStrictEqual(await failures(orm.insert({ VNO: 1, PARTY: 'Acme', NOTE: 'x' })), [['NOTE', 'unknown']]);
+  assert.deepStrictEqual(await orm.validate({ VNO: '12345.5', TYPE: 'P', AMOUNT: '9999.99', PARTY: 'Acme' }),
+    [{ field: 'VNO', value: '12345.5', rule: 'decimals', message: 'VNO has more than 0 decimal places' }]);
+  await orm.close();
+});
+
+test('string lengths are checked in bytes of the table encoding', async () => {
+  const Model = DbfORM.model('Party', { fields: { NAME: { type: 'C', size: 4 } } });
+  const latin = await openVoucher(Model, { encoding: 'cp1252' });
+  assert.deepStrictEqual(await latin.validate({ NAME: 'café' }), []);
+  await latin.close();
+
+  const unicode = await openVoucher(Model, { encoding: 'utf8' });
+  assert.deepStrictEqual(await unicode.validate({ NAME: 'café' }),
+    [{ field: 'NAME', value: 'café', rule: 'size', message: 'NAME is longer than 4 characters' }]);
+  assert.deepStrictEqual(await unicode.validate({ NAME: 'cafe' }), []);
+  await unicode.close();
+});
+
+test('custom validators may return messages, false or throw, and may be async', async () => {
+  const Model = defineVoucher({
+    validators: {
+      PARTY: [
+        value => value.trim() === value || 'must not start or end with spaces',
+        async value => value !== 'Nobody'
+      ],
+      AMOUNT: (value, record) => {
+        if (record.TYPE === 'P' && value > 500) throw new Error('needs approval above 500');
+      }
+    }
+  });
+  const orm = await openVoucher(Model);
+  assert.deepStrictEqual(await orm.validate({ VNO: 1, PARTY: ' Acme' }), [
+    { field: 'PARTY', value: ' Acme', rule: 'validator', message: 'PARTY must not start or end with spaces' }
+  ]);
+  assert.deepStrictEqual(await failures(orm.insert({ VNO: 1, PARTY: 'Nobody' })), [['PARTY', 'validator']]);
+  const err = await orm.insert({ VNO: 1, TYPE: 'P', AMOUNT: 900, PARTY: 'Acme' }).catch(error => error);
+  assert.strictEqual(err.errors[0].message, 'AMOUNT needs approval above 500');
+  await orm.insert({ VNO: 1, TYPE: 'S', AMOUNT: 900, PARTY: 'Acme' });
+  assert.strictEqual((await orm.findAll()).length, 1);
+  await orm.close();
+});
+
+test('insertMany names the invalid record and inserts nothing', async () => {
+  const orm = await openVoucher();
+  const err = await orm.insertMany([{ VNO: 1, PARTY: 'Acme' }, { VNO: 2 }]).catch(error => error);
+  assert.ok(err instanceof ValidationError);
+  assert.strictEqual(err.index, 1);
+  assert.match(err.message, /^Voucher validation failed \(record 1\): PARTY is required$/);
+  assert.strictEqual((await orm.findAll()).length, 0);
+  await orm.close();
+});
+
+test('hooks run around inserts and updates, with the model instance as this', async () => {
+  const calls = [];
+  const Model = defineVoucher({
+    beforeInsert(record) {
+      calls.push(['beforeInsert', record.VNO, this instanceof Model]);
+      return { ...record, PARTY: record.PARTY.toUpperCase() };
+    },
+    afterInsert(record) { calls.push(['afterInsert', record.PARTY]); },
+    beforeUpdate(record, previous) {
+      calls.push(['beforeUpdate', previous.AMOUNT, record.AMOUNT]);
+      record.TYPE = 'P';
+    },
+    afterUpdate(record) { calls.push(['afterUpdate', record.TYPE, record.AMOUNT]); }
+  });
+  const orm = await openVoucher(Model);
+  await orm.insert({ VNO: 1, AMOUNT: 10, PARTY: 'acme' });
+  assert.strictEqual(await orm.update('VNO = 1', { AMOUNT: 20 }), 1);
+  assert.deepStrictEqual(calls, [
+    ['beforeInsert', 1, true],
+    ['afterInsert', 'ACME'],
+    ['beforeUpdate', 10, 20],
+    ['afterUpdate', 'P', 20]
+  ]);
+  assert.deepStrictEqual((await orm.findAll()).map(({ PARTY, TYPE, AMOUNT }) => [PARTY, TYPE, AMOUNT]),
+    [['ACME', 'P', 20]]);
+  await orm.close();
+});
+
+test('an update that makes any record invalid changes none of them', async () => {
+  const orm = await openVoucher();
+  await orm.insertMany([{ VNO: 1, AMOUNT: 10, PARTY: 'Acme' }, { VNO: 2, AMOUNT: 9000, PARTY: 'Bolt' }]);
+  assert.deepStrictEqual(await failures(orm.update(() => true, record => ({ AMOUNT: record.AMOUNT * 2 }))),
+    [['AMOUNT', 'max']]);
+  assert.deepStrictEqual(await failures(orm.updateByRecNo(1, { TYPE: 'Z' })), [['TYPE', 'enum']]);
+  assert.deepStrictEqual((await orm.findAll()).map(record => [record.AMOUNT, record.TYPE]), [[10, 'S'], [9000, 'S']]);
+  await orm.close();
+});
+
+test('invalid model definitions are refused', () => {
+  assert.throws(() => DbfORM.model('', { fields: { A: { type: 'C', size: 1 } } }), /Model name must be a non-empty/);
+  assert.throws(() => DbfORM.model('Empty', {}), /Model 'Empty' has no fields/);
+  assert.throws(() => DbfORM.model('M', { fields: { A: { type: 'C', size: 1, enum: 'A' } } }),
+    /Field 'A' of model 'M' has an enum that is not an array/);
+  assert.throws(() => DbfORM.model('M', { fields: { A: { type: 'C', size: 1 } }, defaults: { B: 1 } }),
+    /Field 'B' is not defined in model 'M'/);
+  assert.throws(() => DbfORM.model('M', { fields: { A: { type: 'C', size: 1 } }, validators: { A: 'x' } }),
+    /Validators of field 'A' of model 'M' must be functions/);
+  assert.throws(() => DbfORM.model('M', { fields: { A: { type: 'C', size: 1 } }, afterInsert: true }),
+    /Hook 'afterInsert' of model 'M' must be a function/);
+});
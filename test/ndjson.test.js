@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTable } = require('./helpers');
+
+const FIELDS = [{ name: 'NAME', type: 'C', size: 10 }, { name: 'N', type: 'N', size: 6, decimalPlaces: 0 }];
+
+async function readAll(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+test('exportStream exports the records after a batch of deleted records', async () => {
+  const records = Array.from({ length: 1005 }, (_, i) => ({ NAME: i < 1000 ? 'gone' : 'kept', N: i }));
+  const orm = await createTable(FIELDS, records);
+  await orm.deleteWhere({ NAME: 'gone' });
+  const lines = (await readAll(orm.exportStream('ndjson'))).split('\n').filter(line => line !== '');
+  assert.deepStrictEqual(lines.map(line => JSON.parse(line).N), [1000, 1001, 1002, 1003, 1004]);
+  await orm.close();
+});
+
+test('exportStream and importStream copy records, deleted ones too', async () => {
+  const orm = await createTable(FIELDS, [{ NAME: 'a', N: 1 }, { NAME: 'b', N: 2 }, { NAME: 'c', N: 3 }]);
+  await orm.deleteWhere({ NAME: 'b' });
+  const copy = await createTable(FIELDS);
+  const count = await copy.importStream(orm.exportStream('ndjson', { includeDeleted: true }));
+  assert.strictEqual(count, 3);
+  assert.deepStrictEqual((await copy.findAll()).map(record => record.NAME), ['a', 'c']);
+  assert.strictEqual(await readAll(copy.exportStream('ndjson', { includeDeleted: true })),
+    await readAll(orm.exportStream('ndjson', { includeDeleted: true })));
+  await orm.close();
+  await copy.close();
+});
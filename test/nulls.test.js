@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { DbfORM } = require('..');
+const { createTable, readRawRecord } = require('./helpers');
+
+// Bits of _NullFlags, in field order: NAME's null bit, CODE's length bit, NOTE's length and null bits (a null varchar
+// counts as short too), then AMOUNT's null bit
+function fields() {
+  return [
+    { name: 'NAME', type: 'C', size: 10, nullable: true },
+    { name: 'CODE', type: 'V', size: 6 },
+    { name: 'NOTE', type: 'V', size: 8, nullable: true },
+    { name: 'AMOUNT', type: 'N', size: 8, decimalPlaces: 2, nullable: true },
+    { name: 'SINCE', type: 'D', size: 8 }
+  ];
+}
+
+/** Reads the _NullFlags byte of a record, the last byte of this table's records. */
+function nullFlags(dbfPath, recno) {
+  const record = readRawRecord(dbfPath, recno);
+  return record[record.length - 1];
+}
+
+/** Reads the field descriptors of a table's header as { name, flags } objects. */
+function descriptors(dbfPath) {
+  const file = fs.readFileSync(dbfPath);
+  const result = [];
+  for (let offset = 32; file[offset] !== 0x0D; offset += 32) {
+    result.push({ name: file.toString('latin1', offset, offset + 11).replace(/\0.*$/, ''), flags: file[offset + 18] });
+  }
+  return result;
+}
+
+test('a hidden _NullFlags field is added, and nullable fields are flagged in the header', async () => {
+  const orm = await createTable(fields(), [], { fileVersion: 0x30 });
+  assert.deepStrictEqual(descriptors(orm.dbfPath), [
+    { name: 'NAME', flags: 0x02 },
+    { name: 'CODE', flags: 0x00 },
+    { name: 'NOTE', flags: 0x02 },
+    { name: 'AMOUNT', flags: 0x02 },
+    { name: 'SINCE', flags: 0x00 },
+    { name: '_NullFlags', flags: 0x05 }
+  ]);
+  await orm.close();
+});
+
+test('each null value and short varchar sets its own bit of _NullFlags', async () => {
+  const orm = await createTable(fields(), [
+    { NAME: 'full', CODE: 'ABCDEF', NOTE: 'full note', AMOUNT: 1.5, SINCE: new Date('2024-01-02') },
+    { NAME: null, CODE: 'ABCDEF', NOTE: '12345678', AMOUNT: 1.5 },
+    { NAME: 'x', CODE: 'AB', NOTE: '12345678', AMOUNT: null },
+    { NAME: 'x', CODE: 'ABCDEF', NOTE: 'short', AMOUNT: 0 },
+    { NAME: 'x', CODE: 'ABCDEF', NOTE: null, AMOUNT: 0 }
+  ], { fileVersion: 0x30 });
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(recno => nullFlags(orm.dbfPath, recno)),
+    [0b00000, 0b00001, 0b10010, 0b00100, 0b01100]);
+  await orm.close();
+
+  const reopened = new DbfORM(orm.dbfPath);
+  await reopened.open();
+  assert.deepStrictEqual((await reopened.findAll()).map(({ NAME, CODE, NOTE, AMOUNT }) => [NAME, CODE, NOTE, AMOUNT]), [
+    ['full', 'ABCDEF', 'full not', 1.5],
+    [null, 'ABCDEF', '12345678', 1.5],
+    ['x', 'AB', '12345678', null],
+    ['x', 'ABCDEF', 'short', 0],
+    ['x', 'ABCDEF', null, 0]
+  ]);
+  await reopened.close();
+});
+
+test('updates set and clear null bits, leaving the other bits alone', async () => {
+  const orm = await createTable(fields(), [{ NAME: 'x', CODE: 'AB', NOTE: 'short', AMOUNT: 2 }], { fileVersion: 0x30 });
+  assert.strictEqual(nullFlags(orm.dbfPath, 1), 0b00110);
+  await orm.updateByRecNo(1, { NAME: null, AMOUNT: null });
+  assert.strictEqual(nullFlags(orm.dbfPath, 1), 0b10111);
+  await orm.updateByRecNo(1, { AMOUNT: 3 });
+  assert.strictEqual(nullFlags(orm.dbfPath, 1), 0b00111);
+  assert.deepStrictEqual(await orm.findOneWhere({ CODE: 'AB' }),
+    { NAME: null, CODE: 'AB', NOTE: 'short', AMOUNT: 3, SINCE: null });
+  await orm.close();
+});
+
+test('_NullFlags grows to more bytes when a table has more than eight bits', async () => {
+  const many = Array.from({ length: 10 }, (_, i) => ({ name: `F${i}`, type: 'N', size: 4, nullable: true }));
+  const orm = await createTable(many, [{ F0: 1, F7: null, F8: null, F9: 9 }], { fileVersion: 0x30 });
+  const record = readRawRecord(orm.dbfPath, 1);
+  assert.deepStrictEqual([...record.subarray(record.length - 2)], [0b10000000, 0b00000001]);
+  const [read] = await orm.findAll();
+  assert.strictEqual(read.F0, 1);
+  assert.strictEqual(read.F7, null);
+  assert.strictEqual(read.F8, null);
+  assert.strictEqual(read.F9, 9);
+  await orm.close();
+});
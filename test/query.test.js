@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTable } = require('./helpers');
+
+function fields() {
+  return [
+    { name: 'VNO', type: 'C', size: 6 },
+    { name: 'TYPE', type: 'C', size: 1 },
+    { name: 'PARTY', type: 'C', size: 20 },
+    { name: 'DATE', type: 'D' },
+    { name: 'AMOUNT', type: 'N', size: 12, decimalPlaces: 2 }
+  ];
+}
+
+const VOUCHERS = [
+  { VNO: 'V1', TYPE: 'S', PARTY: 'RAMESH TRADERS', DATE: new Date('2024-04-02'), AMOUNT: 1500 },
+  { VNO: 'V2', TYPE: 'P', PARTY: 'SURESH & CO', DATE: new Date('2024-04-15'), AMOUNT: 800.5 },
+  { VNO: 'V3', TYPE: 'S', PARTY: 'RAMAN STORES', DATE: new Date('2024-05-01'), AMOUNT: 2200 },
+  { VNO: 'V4', TYPE: 'R', PARTY: 'RAMESH TRADERS', DATE: new Date('2024-05-20'), AMOUNT: 1500 },
+  { VNO: 'V5', TYPE: 'S', PARTY: 'GANESH', DATE: null, AMOUNT: 99.99 },
+  { VNO: 'V6', TYPE: 'P', PARTY: 'RAM_KUMAR', DATE: new Date('2024-06-30'), AMOUNT: 12000 }
+];
+
+const vnos = records => records.map(record => record.VNO);
+
+async function createVouchers(options) {
+  return createTable(fields(), VOUCHERS, { name: 'VOUCHER.DBF', ...options });
+}
+
+test('where accepts each comparison operator', async () => {
+  const orm = await createVouchers();
+  const run = (...args) => orm.query().where(...args).get().then(vnos);
+  assert.deepStrictEqual(await run('TYPE', 'S'), ['V1', 'V3', 'V5']);
+  assert.deepStrictEqual(await run('TYPE', '==', 'S'), ['V1', 'V3', 'V5']);
+  assert.deepStrictEqual(await run('TYPE', '!=', 'S'), ['V2', 'V4', 'V6']);
+  assert.deepStrictEqual(await run('TYPE', '<>', 'S'), ['V2', 'V4', 'V6']);
+  assert.deepStrictEqual(await run('AMOUNT', '<', 1500), ['V2', 'V5']);
+  assert.deepStrictEqual(await run('AMOUNT', '<=', 1500), ['V1', 'V2', 'V4', 'V5']);
+  assert.deepStrictEqual(await run('AMOUNT', '>', 1500), ['V3', 'V6']);
+  assert.deepStrictEqual(await run('AMOUNT', '>=', 1500), ['V1', 'V3', 'V4', 'V6']);
+  assert.deepStrictEqual(await run('TYPE', 'IN', ['P', 'R']), ['V2', 'V4', 'V6']);
+  assert.deepStrictEqual(await run('AMOUNT', 'between', [800.5, 1500]), ['V1', 'V2', 'V4']);
+  assert.deepStrictEqual(await run({ TYPE: 'S', AMOUNT: 2200 }), ['V3']);
+  assert.deepStrictEqual(await run(record => record.PARTY.includes('&')), ['V2']);
+  await orm.close();
+});
+
+test('like matches % and _ wildcards, taking other characters literally', async () => {
+  const orm = await createVouchers();
+  assert.deepStrictEqual(vnos(await orm.query().like('PARTY', 'RAM%').get()), ['V1', 'V3', 'V4', 'V6']);
+  assert.deepStrictEqual(vnos(await orm.query().like('PARTY', 'RAM_N%').get()), ['V3']);
+  assert.deepStrictEqual(vnos(await orm.query().like('PARTY', 'RAMA_ STORES').get()), ['V3']);
+  assert.deepStrictEqual(vnos(await orm.query().like('PARTY', '%&%').get()), ['V2']);
+  assert.deepStrictEqual(vnos(await orm.query().like('PARTY', 'ram%').get()), []);
+  await orm.close();
+});
+
+test('conditions are combined with AND, and field names are case-insensitive', async () => {
+  const orm = await createVouchers();
+  const records = await orm.query()
+    .whereIn('type', ['S', 'R'])
+    .whereBetween('Date', new Date('2024-04-01'), new Date('2024-05-31'))
+    .where('amount', '>', 1000)
+    .get();
+  assert.deepStrictEqual(vnos(records), ['V1', 'V3', 'V4']);
+  await orm.close();
+});
+
+test('null values only match = and != conditions', async () => {
+  const orm = await createVouchers();
+  assert.deepStrictEqual(vnos(await orm.query().where('DATE', null).get()), ['V5']);
+  assert.strictEqual(await orm.query().where('DATE', '!=', null).count(), 5);
+  assert.strictEqual(await orm.query().where('DATE', '<', new Date('2024-05-01')).count(), 2);
+  await orm.close();
+});
+
+test('records are sorted by each orderBy field in turn, nulls first', async () => {
+  const orm = await createVouchers();
+  assert.deepStrictEqual(vnos(await orm.query().orderBy('DATE').get()), ['V5', 'V1', 'V2', 'V3', 'V4', 'V6']);
+  assert.deepStrictEqual(vnos(await orm.query().orderBy('AMOUNT', 'desc').orderBy('VNO', 'DESC').get()),
+    ['V6', 'V3', 'V4', 'V1', 'V2', 'V5']);
+  assert.strictEqual((await orm.query().orderBy('DATE', 'desc').first()).VNO, 'V6');
+  assert.throws(() => orm.query().orderBy('DATE', 'up'), /Invalid sort direction: 'up'/);
+  await orm.close();
+});
+
+test('limit and offset page through the results, which count and exists ignore', async () => {
+  const orm = await createVouchers();
+  const page = offset => orm.query().orderBy('VNO', 'desc').limit(2).offset(offset).get().then(vnos);
+  assert.deepStrictEqual(await page(0), ['V6', 'V5']);
+  assert.deepStrictEqual(await page(2), ['V4', 'V3']);
+  assert.deepStrictEqual(await page(4), ['V2', 'V1']);
+  assert.deepStrictEqual(await page(6), []);
+  assert.deepStrictEqual(vnos(await orm.query().where('TYPE', 'S').limit(2).get()), ['V1', 'V3']);
+  assert.strictEqual((await orm.query().where('TYPE', 'S').offset(1).first()).VNO, 'V3');
+  assert.deepStrictEqual(await orm.query().limit(0).get(), []);
+
+  assert.strictEqual(await orm.query().where('TYPE', 'S').limit(1).offset(2).count(), 3);
+  assert.strictEqual(await orm.query().where('TYPE', 'S').offset(5).exists(), true);
+  assert.strictEqual(await orm.query().where('TYPE', 'X').exists(), false);
+  assert.strictEqual(await orm.query().where('TYPE', 'X').first(), null);
+  await orm.close();
+});
+
+test('invalid operators, values, limits and fields are refused', async () => {
+  const orm = await createVouchers();
+  assert.throws(() => orm.query().where('AMOUNT', '=>', 1), /Unsupported query operator: '=>'/);
+  assert.throws(() => orm.query().where('TYPE', 'in', 'S'), /Operator 'in' needs an array of values/);
+  assert.throws(() => orm.query().where('AMOUNT', 'between', [1]), /Operator 'between' needs an array of two values/);
+  assert.throws(() => orm.query().limit(-1), /Invalid limit: -1/);
+  assert.throws(() => orm.query().offset(1.5), /Invalid offset: 1.5/);
+  await assert.rejects(orm.query().where('NOPE', 1).get(), /Field 'NOPE' not found/);
+  await orm.close();
+});
+
+test('conditions on an indexed field are looked up in the index, with the same results', async () => {
+  const orm = await createVouchers({ fileVersion: 0x30 });
+  await orm.createIndex({ tag: 'PARTY', expression: 'PARTY' });
+  await orm.createIndex({ tag: 'AMOUNT', expression: 'AMOUNT' });
+  const cursor = orm.dbfFile.cursor;
+  orm.dbfFile.cursor = () => { throw new Error('The table was scanned'); };
+
+  assert.deepStrictEqual(vnos(await orm.query().where('PARTY', 'RAMESH TRADERS').get()), ['V1', 'V4']);
+  assert.deepStrictEqual(vnos(await orm.query().whereIn('PARTY', ['GANESH', 'SURESH & CO']).get()), ['V2', 'V5']);
+  assert.deepStrictEqual(vnos(await orm.query().like('PARTY', 'RAM%').where('TYPE', 'S').get()), ['V1', 'V3']);
+  assert.deepStrictEqual(vnos(await orm.query().whereBetween('AMOUNT', 1000, 2500).get()), ['V1', 'V3', 'V4']);
+  assert.deepStrictEqual(vnos(await orm.query().where('AMOUNT', '>', 2200).get()), ['V6']);
+  assert.strictEqual(await orm.query().where('AMOUNT', '<=', 800.5).count(), 2);
+
+  orm.dbfFile.cursor = cursor;
+  assert.deepStrictEqual(vnos(await orm.query().where('TYPE', 'P').get()), ['V2', 'V6']);
+  await orm.close();
+});
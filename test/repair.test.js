@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { DbfORM } = require('..');
+const { createTable } = require('./helpers');
+
+const FIELDS = [{ name: 'NAME', type: 'C', size: 10 }];
+
+/** Creates a closed table of two records, then changes the bytes from the end of its records on. */
+async function damagedTable(tail) {
+  const orm = await createTable(FIELDS, [{ NAME: 'a' }, { NAME: 'b' }]);
+  await orm.close();
+  const bytes = fs.readFileSync(orm.dbfPath);
+  const end = bytes.readUInt16LE(8) + 2 * bytes.readUInt16LE(10);
+  fs.writeFileSync(orm.dbfPath, Buffer.concat([bytes.subarray(0, end), tail]));
+  return { dbfPath: orm.dbfPath, end };
+}
+
+async function assertRepaired(dbfPath, end) {
+  const bytes = fs.readFileSync(dbfPath);
+  assert.strictEqual(bytes.length, end + 1);
+  assert.strictEqual(bytes[end], 0x1A);
+  assert.strictEqual((await DbfORM.verify(dbfPath)).ok, true);
+}
+
+test('repair counts the bytes removed after the end-of-file marker', async () => {
+  const { dbfPath, end } = await damagedTable(Buffer.from('\x1Ajunk', 'latin1'));
+  const result = await DbfORM.repair(dbfPath);
+  assert.strictEqual(result.removedBytes, 4);
+  assert.deepStrictEqual(result.fixes, ['Removed 4 bytes after the last record']);
+  await assertRepaired(dbfPath, end);
+});
+
+test('repair counts a byte in place of the end-of-file marker as removed', async () => {
+  const { dbfPath, end } = await damagedTable(Buffer.from('x', 'latin1'));
+  const result = await DbfORM.repair(dbfPath);
+  assert.strictEqual(result.removedBytes, 1);
+  assert.deepStrictEqual(result.fixes, ['Removed 1 bytes after the last record', 'Wrote the end-of-file marker']);
+  await assertRepaired(dbfPath, end);
+});
+
+test('repair removes a partial record and writes the end-of-file marker', async () => {
+  const { dbfPath, end } = await damagedTable(Buffer.from(' partial', 'latin1'));
+  const result = await DbfORM.repair(dbfPath);
+  assert.strictEqual(result.recordCount, 2);
+  assert.strictEqual(result.removedBytes, 8);
+  assert.deepStrictEqual(result.fixes, ['Removed 8 bytes after the last record', 'Wrote the end-of-file marker']);
+  await assertRepaired(dbfPath, end);
+});
+
+test('repair writes a missing end-of-file marker, removing nothing', async () => {
+  const { dbfPath, end } = await damagedTable(Buffer.alloc(0));
+  const result = await DbfORM.repair(dbfPath);
+  assert.strictEqual(result.removedBytes, 0);
+  assert.deepStrictEqual(result.fixes, ['Wrote the end-of-file marker']);
+  await assertRepaired(dbfPath, end);
+});
+
+test('repair leaves a sound table alone', async () => {
+  const { dbfPath } = await damagedTable(Buffer.from([0x1A]));
+  const result = await DbfORM.repair(dbfPath);
+  assert.strictEqual(result.changed, false);
+  assert.strictEqual(result.removedBytes, 0);
+});
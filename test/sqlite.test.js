@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { DbfORM } = require('..');
+const { createTable } = require('./helpers');
+
+// These tests need the better-sqlite3 package, and are skipped when it isn't installed
+let Database = null;
+try {
+  Database = require('better-sqlite3');
+} catch (err) {
+  if (err.code !== 'MODULE_NOT_FOUND') throw err;
+}
+const skip = Database ? false : 'better-sqlite3 is not installed';
+
+const FIELDS = [
+  { name: 'ID', type: 'N', size: 6, decimalPlaces: 0 },
+  { name: 'NAME', type: 'C', size: 10 },
+  { name: 'AMT', type: 'N', size: 10, decimalPlaces: 2 },
+  { name: 'D', type: 'D', size: 8 }
+];
+
+test('exportToSQLite exports the records after a batch of deleted records', { skip }, async () => {
+  const records = Array.from({ length: 1005 }, (_, i) => ({ ID: i, NAME: i < 1000 ? 'gone' : 'kept', AMT: i / 4 }));
+  const orm = await createTable(FIELDS, records);
+  await orm.deleteWhere({ NAME: 'gone' });
+  const dbPath = path.join(path.dirname(orm.dbfPath), 'test.sqlite');
+  assert.strictEqual(await orm.exportToSQLite(dbPath), 5);
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    assert.deepStrictEqual(db.prepare('SELECT ID FROM TEST ORDER BY ID').raw().all(),
+      [[1000], [1001], [1002], [1003], [1004]]);
+  } finally {
+    db.close();
+  }
+  await orm.close();
+});
+
+test('syncFromSQLite writes rows edited in SQLite back to their records', { skip }, async () => {
+  const orm = await createTable(FIELDS, [
+    { ID: 1, NAME: 'a', AMT: 1.5, D: new Date('2024-01-02') },
+    { ID: 2, NAME: 'b', AMT: 2.5, D: new Date('2024-01-03') }
+  ]);
+  const dbPath = path.join(path.dirname(orm.dbfPath), 'test.sqlite');
+  await orm.exportToSQLite(dbPath, { table: 'items' });
+  const db = new Database(dbPath);
+  try {
+    db.prepare("UPDATE items SET NAME = 'B', AMT = 9.25, D = '2024-02-01' WHERE ID = 2").run();
+    db.prepare("INSERT INTO items (ID, NAME) VALUES (3, 'c')").run();
+  } finally {
+    db.close();
+  }
+  const result = await orm.syncFromSQLite(dbPath, { table: 'items', key: 'ID' });
+  assert.deepStrictEqual(result, { rows: 3, matched: 2, updated: 1, unmatched: 1 });
+  const [a, b] = await orm.findAll();
+  assert.deepStrictEqual([a.NAME, a.AMT, a.D.toISOString()], ['a', 1.5, '2024-01-02T00:00:00.000Z']);
+  assert.deepStrictEqual([b.NAME, b.AMT, b.D.toISOString()], ['B', 9.25, '2024-02-01T00:00:00.000Z']);
+  await orm.close();
+});
+
+test('syncFromSQLite locks the table before reading the records it changes', { skip }, async () => {
+  const orm = await createTable(FIELDS, [{ ID: 1, NAME: 'a', AMT: 1.5 }]);
+  const dbPath = path.join(path.dirname(orm.dbfPath), 'test.sqlite');
+  await orm.exportToSQLite(dbPath, { table: 'items' });
+  const db = new Database(dbPath);
+  try {
+    db.prepare("UPDATE items SET NAME = 'A' WHERE ID = 1").run();
+  } finally {
+    db.close();
+  }
+  const other = new DbfORM(orm.dbfPath);
+  await other.open();
+  const lockedWhileReading = [];
+  const cursor = orm.dbfFile.cursor;
+  orm.dbfFile.cursor = function (...args) {
+    lockedWhileReading.push(other.isLocked());
+    return cursor.apply(this, args);
+  };
+  const result = await orm.syncFromSQLite(dbPath, { table: 'items', key: 'ID' });
+  assert.deepStrictEqual(result, { rows: 1, matched: 1, updated: 1, unmatched: 0 });
+  assert.deepStrictEqual(await Promise.all(lockedWhileReading), [true]);
+  assert.strictEqual(await other.isLocked(), false);
+  await other.close();
+  await orm.close();
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { DbfORM } = require('..');
+const { createTable, tempDir } = require('./helpers');
+
+function voucherFields() {
+  return [
+    { name: 'VNO', type: 'C', size: 6 },
+    { name: 'AMOUNT', type: 'N', size: 10, decimalPlaces: 2 },
+    { name: 'NOTE', type: 'M' }
+  ];
+}
+
+function lineFields() {
+  return [{ name: 'VNO', type: 'C', size: 6 }, { name: 'ACCOUNT', type: 'C', size: 10 }];
+}
+
+/** Creates a voucher table with a memo file and a line table in one directory. */
+async function createTables() {
+  const dir = tempDir();
+  const vouchers = await createTable(voucherFields(), [{ VNO: 'V1', AMOUNT: 100, NOTE: 'first voucher' }],
+    { dir, name: 'VOUCHER.DBF', fileVersion: 0x83 });
+  const lines = await createTable(lineFields(), [{ VNO: 'V1', ACCOUNT: 'SALES' }], { dir, name: 'VLINES.DBF' });
+  return { dir, vouchers, lines };
+}
+
+/** Reads every file of a directory, by name. */
+function snapshot(dir) {
+  return Object.fromEntries(fs.readdirSync(dir).sort().map(name => [name, fs.readFileSync(path.join(dir, name))]));
+}
+
+/** Inserts, updates and deletes records of both tables. */
+async function changeBoth(vouchers, lines) {
+  await vouchers.insert({ VNO: 'V2', AMOUNT: 250, NOTE: 'second voucher' });
+  await vouchers.updateWhere({ VNO: 'V1' }, { AMOUNT: 999, NOTE: 'changed' });
+  await lines.insertMany([{ VNO: 'V2', ACCOUNT: 'SALES' }, { VNO: 'V2', ACCOUNT: 'VAT' }]);
+  await lines.deleteWhere({ VNO: 'V1' });
+}
+
+test('a transaction commits its changes to every table, leaving no journals', async () => {
+  const { dir, vouchers, lines } = await createTables();
+  const result = await vouchers.transaction(async () => {
+    await changeBoth(vouchers, lines);
+    return 'done';
+  });
+  assert.strictEqual(result, 'done');
+  assert.deepStrictEqual((await vouchers.findAll()).map(({ VNO, AMOUNT, NOTE }) => [VNO, AMOUNT, NOTE]),
+    [['V1', 999, 'changed'], ['V2', 250, 'second voucher']]);
+  assert.deepStrictEqual((await lines.findAll()).map(({ ACCOUNT }) => ACCOUNT), ['SALES', 'VAT']);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['VLINES.DBF', 'VOUCHER.DBF', 'VOUCHER.DBT']);
+  await vouchers.close();
+  await lines.close();
+});
+
+test('a transaction that throws leaves every table and memo file byte for byte as it was', async () => {
+  const { dir, vouchers, lines } = await createTables();
+  const before = snapshot(dir);
+  await assert.rejects(vouchers.transaction(async () => {
+    await changeBoth(vouchers, lines);
+    throw new Error('abandoned');
+  }), /abandoned/);
+  assert.deepStrictEqual(snapshot(dir), before);
+  assert.deepStrictEqual((await vouchers.findAll()).map(({ VNO, AMOUNT, NOTE }) => [VNO, AMOUNT, NOTE]),
+    [['V1', 100, 'first voucher']]);
+  assert.strictEqual(vouchers.getInfo().recordCount, 1);
+  assert.deepStrictEqual((await lines.findAll()).map(({ ACCOUNT }) => ACCOUNT), ['SALES']);
+
+  // The tables are unlocked and usable again
+  await lines.insert({ VNO: 'V3', ACCOUNT: 'CASH' });
+  assert.strictEqual((await lines.findAll()).length, 2);
+  await vouchers.close();
+  await lines.close();
+});
+
+test('tx.rollback() undoes the transaction without an error', async () => {
+  const { dir, vouchers, lines } = await createTables();
+  const before = snapshot(dir);
+  await vouchers.transaction(async tx => {
+    await changeBoth(vouchers, lines);
+    await tx.rollback();
+  });
+  assert.deepStrictEqual(snapshot(dir), before);
+  await vouchers.close();
+  await lines.close();
+});
+
+test('a transaction started inside a transaction joins it, and is rolled back with it', async () => {
+  const { dir, vouchers, lines } = await createTables();
+  const before = snapshot(dir);
+  await assert.rejects(vouchers.transaction(async () => {
+    await lines.transaction(() => lines.insert({ VNO: 'V2', ACCOUNT: 'SALES' }));
+    await vouchers.appendFromJSON([{ VNO: 'V2', AMOUNT: 1 }]);
+    throw new Error('abandoned');
+  }), /abandoned/);
+  assert.deepStrictEqual(snapshot(dir), before);
+  await vouchers.close();
+  await lines.close();
+});
+
+test('a transaction interrupted by the process exiting is rolled back when a table is next opened', async () => {
+  const { dir, vouchers, lines } = await createTables();
+  await vouchers.close();
+  await lines.close();
+  const before = snapshot(dir);
+
+  const script = `
+    const { DbfORM } = require(${JSON.stringify(path.resolve(__dirname, '..'))});
+    (async () => {
+      const vouchers = new DbfORM(${JSON.stringify(vouchers.dbfPath)});
+      const lines = new DbfORM(${JSON.stringify(lines.dbfPath)});
+      await vouchers.transaction(async () => {
+        await vouchers.insert({ VNO: 'V2', AMOUNT: 250, NOTE: 'second voucher' });
+        await vouchers.updateWhere({ VNO: 'V1' }, { AMOUNT: 999, NOTE: 'changed' });
+        await lines.insertMany([{ VNO: 'V2', ACCOUNT: 'SALES' }, { VNO: 'V2', ACCOUNT: 'VAT' }]);
+        process.exit(3); // Dies before committing
+      });
+    })();`;
+  const { status } = spawnSync(process.execPath, ['-e', script], { stdio: 'inherit', timeout: 60000 });
+  assert.strictEqual(status, 3);
+  assert.notDeepStrictEqual(snapshot(dir), before);
+
+  const reopened = new DbfORM(vouchers.dbfPath);
+  await reopened.open();
+  assert.deepStrictEqual((await reopened.findAll()).map(({ VNO, AMOUNT, NOTE }) => [VNO, AMOUNT, NOTE]),
+    [['V1', 100, 'first voucher']]);
+  await reopened.close();
+  assert.deepStrictEqual(snapshot(dir), before);
+});
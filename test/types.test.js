@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DbfORM } = require('..');
+const { createTable } = require('./helpers');
+
+/** One field of each Visual FoxPro type, with a value to write and the value read back. */
+function vfpFields() {
+  return [
+    { field: { name: 'INT', type: 'I', size: 4 }, value: -123456 },
+    { field: { name: 'CURRENCY', type: 'Y', size: 8 }, value: 1234.5678 },
+    { field: { name: 'STAMP', type: 'T', size: 8 }, value: new Date('2024-04-01T13:45:30Z') },
+    { field: { name: 'DOUBLE', type: 'B', size: 8 }, value: 3.14159 },
+    { field: { name: 'VARCHAR', type: 'V', size: 10 }, value: 'abc' },
+    { field: { name: 'VARBIN', type: 'Q', size: 6 }, value: Buffer.from([0, 1, 2]) },
+    { field: { name: 'GENERAL', type: 'G', size: 4 }, value: Buffer.from('ole object') },
+    { field: { name: 'BLOB', type: 'W', size: 4 }, value: Buffer.from([0xFF, 0x00, 0x7F]) }
+  ];
+}
+
+for (const { field, value } of vfpFields()) {
+  test(`Visual FoxPro ${field.type} fields keep their values`, async () => {
+    const orm = await createTable([field, { name: 'NAME', type: 'C', size: 5 }], [
+      { [field.name]: value, NAME: 'one' },
+      { NAME: 'two' }
+    ], { fileVersion: 0x30 });
+    await orm.close();
+
+    const reopened = new DbfORM(orm.dbfPath);
+    await reopened.open();
+    const [first, second] = await reopened.findAll();
+    assert.deepStrictEqual(first[field.name], value);
+    assert.strictEqual(first.NAME, 'one');
+    assert.notDeepStrictEqual(second[field.name], value);
+    await reopened.close();
+  });
+}
+
+test('varchar and varbinary values as long as the field are kept whole', async () => {
+  const orm = await createTable([{ name: 'V', type: 'V', size: 5 }, { name: 'Q', type: 'Q', size: 3 }], [
+    { V: 'abcde', Q: Buffer.from([1, 2, 3]) },
+    { V: 'ab', Q: Buffer.from([1]) }
+  ], { fileVersion: 0x30 });
+  assert.deepStrictEqual(await orm.findAll(), [
+    { V: 'abcde', Q: Buffer.from([1, 2, 3]) },
+    { V: 'ab', Q: Buffer.from([1]) }
+  ]);
+  await orm.close();
+});
+
+for (const { field } of vfpFields().filter(({ field }) => field.type !== 'G')) {
+  test(`${field.type} fields are refused for tables other than Visual FoxPro`, async () => {
+    await assert.rejects(createTable([field], [], { fileVersion: 0x83 }),
+      new RegExp(`Type '${field.type}' is only supported by Visual FoxPro tables`));
+  });
+}
+
+test('nullable fields are refused for tables other than Visual FoxPro', async () => {
+  await assert.rejects(createTable([{ name: 'NAME', type: 'C', size: 5, nullable: true }], [], { fileVersion: 0x03 }),
+    /Field 'NAME' can only be nullable in a Visual FoxPro table/);
+});
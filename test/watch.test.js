@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { once } = require('events');
+const { DbfORM } = require('..');
+const { createTable } = require('./helpers');
+
+const FIELDS = [{ name: 'NAME', type: 'C', size: 10 }, { name: 'N', type: 'N', size: 6, decimalPlaces: 0 }];
+
+function headerRecordCount(dbfPath) {
+  return fs.readFileSync(dbfPath).readInt32LE(4);
+}
+
+test('insert and insertMany emit beforeInsert and afterInsert with record numbers', async () => {
+  const orm = await createTable(FIELDS, [{ NAME: 'a', N: 1 }]);
+  const events = [];
+  orm.on('beforeInsert', record => events.push(['before', record.NAME]));
+  orm.on('afterInsert', (record, recno) => events.push(['after', record.NAME, recno]));
+  await orm.insert({ NAME: 'b', N: 2 });
+  await orm.insertMany([{ NAME: 'c', N: 3 }, { NAME: 'd', N: 4 }]);
+  assert.deepStrictEqual(events, [
+    ['before', 'b'], ['after', 'b', 2],
+    ['before', 'c'], ['before', 'd'], ['after', 'c', 3], ['after', 'd', 4]
+  ]);
+  await orm.close();
+});
+
+test('a watcher polling during writes leaves the record count right', async () => {
+  const orm = await createTable(FIELDS, Array.from({ length: 2000 }, (_, i) => ({ NAME: `r${i}`, N: i })));
+  orm.on('error', err => assert.fail(err));
+  const recnos = [];
+  orm.on('afterInsert', (record, recno) => recnos.push(recno));
+  await orm.watch({ interval: 5 });
+  for (let i = 0; i < 20; ++i) {
+    await orm.insert({ NAME: `x${i}`, N: i });
+    await new Promise(resolve => setTimeout(resolve, 3));
+  }
+  orm.unwatch();
+  assert.deepStrictEqual(recnos, Array.from({ length: 20 }, (_, i) => 2001 + i));
+  assert.strictEqual(orm.dbfFile.recordCount, 2020);
+  assert.strictEqual(headerRecordCount(orm.dbfPath), 2020);
+  assert.strictEqual((await orm.findAll()).length, 2020);
+  await orm.close();
+});
+
+test('watch reports records appended and changed by another instance', async () => {
+  const writer = await createTable(FIELDS, [{ NAME: 'a', N: 1 }, { NAME: 'b', N: 2 }]);
+  const watcher = new DbfORM(writer.dbfPath);
+  await watcher.watch({ interval: 20 });
+
+  const inserted = once(watcher, 'insert');
+  await writer.insert({ NAME: 'c', N: 3 });
+  const [insertEntries] = await inserted;
+  assert.deepStrictEqual(insertEntries.map(({ recno, record }) => [recno, record.NAME]), [[3, 'c']]);
+
+  const changed = once(watcher, 'change');
+  await writer.updateByRecNo(1, { N: 9 });
+  const [changeEntries] = await changed;
+  assert.deepStrictEqual(changeEntries.map(({ recno, record }) => [recno, record.N]), [[1, 9]]);
+
+  await watcher.close();
+  await writer.close();
+});
+
+test('a change to the table structure is emitted as an error, and stops the watch', async () => {
+  const orm = await createTable(FIELDS, [{ NAME: 'a', N: 1 }]);
+  const watcher = new DbfORM(orm.dbfPath);
+  await watcher.watch({ interval: 20 });
+  await orm.close();
+
+  // Another program gives the records another length.
+  const file = fs.readFileSync(orm.dbfPath);
+  file.writeUInt16LE(file.readUInt16LE(10) + 1, 10);
+  fs.writeFileSync(orm.dbfPath, file);
+  const [err] = await once(watcher, 'error');
+  assert.strictEqual(err.code, 'ESTRUCTURE');
+  assert.match(err.message, /structure of table .* was changed/);
+
+  watcher.on('error', () => assert.fail('emitted after stopping'));
+  file[1] = (file[1] + 1) % 100;
+  fs.writeFileSync(orm.dbfPath, file);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await watcher.close();
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DbfORM, DELETED } = require('..');
+const { createTable, readRawRecord } = require('./helpers');
+
+const FIELDS = [
+  { name: 'ID', type: 'N', size: 6, decimalPlaces: 0 },
+  { name: 'NAME', type: 'C', size: 10 },
+  { name: 'AMT', type: 'N', size: 10, decimalPlaces: 2 },
+  { name: 'OK', type: 'L', size: 1 }
+];
+
+const RECORDS = [
+  { ID: 1, NAME: 'one', AMT: 10, OK: true },
+  { ID: 2, NAME: 'two', AMT: 20, OK: false },
+  { ID: 3, NAME: 'three', AMT: 30, OK: true }
+];
+
+function ids(records) {
+  return records.map(record => record.ID);
+}
+
+test('update, updateWhere and updateByRecNo change only the matching records', async () => {
+  const orm = await createTable(FIELDS, RECORDS);
+  const untouched = readRawRecord(orm.dbfPath, 2);
+
+  assert.strictEqual(await orm.update(record => record.OK, record => ({ AMT: record.AMT * 2 })), 2);
+  assert.strictEqual(await orm.update("NAME = 'three'", { NAME: 'THREE' }), 1);
+  assert.strictEqual(await orm.updateWhere({ ID: 1 }, { OK: false }), 1);
+  await orm.updateByRecNo(3, { AMT: 61.5 });
+
+  assert.deepStrictEqual((await orm.findAll()).map(({ ID, NAME, AMT, OK }) => ({ ID, NAME, AMT, OK })), [
+    { ID: 1, NAME: 'one', AMT: 20, OK: false },
+    { ID: 2, NAME: 'two', AMT: 20, OK: false },
+    { ID: 3, NAME: 'THREE', AMT: 61.5, OK: true }
+  ]);
+  assert.deepStrictEqual(readRawRecord(orm.dbfPath, 2), untouched);
+  await orm.close();
+});
+
+test('updates are written to the file, for other instances to read', async () => {
+  const orm = await createTable(FIELDS, RECORDS);
+  await orm.updateWhere({ ID: 2 }, { NAME: 'deux' });
+  await orm.close();
+  const reopened = new DbfORM(orm.dbfPath);
+  await reopened.open();
+  assert.strictEqual((await reopened.findOneWhere({ ID: 2 })).NAME, 'deux');
+  await reopened.close();
+});
+
+test('updateByRecNo resolves to 0 for record numbers past the end of the table', async () => {
+  const orm = await createTable(FIELDS, RECORDS);
+  assert.strictEqual(await orm.updateByRecNo(2, { AMT: 1 }), 1);
+  assert.strictEqual(await orm.updateByRecNo(4, { AMT: 1 }), 0);
+  assert.strictEqual(orm.getInfo().recordCount, 3);
+  await orm.close();
+});
+
+test('update rejects values that don\'t fit their field, leaving the record as it was', async () => {
+  const orm = await createTable(FIELDS, RECORDS);
+  const before = readRawRecord(orm.dbfPath, 1);
+  await assert.rejects(orm.updateByRecNo(1, { AMT: 1e12 }));
+  assert.deepStrictEqual(readRawRecord(orm.dbfPath, 1), before);
+  await orm.close();
+});
+
+test('delete sets the deletion flag, and recall clears it', async () => {
+  const orm = await createTable(FIELDS, RECORDS);
+  assert.strictEqual(await orm.delete(record => record.AMT > 15), 2);
+  assert.deepStrictEqual(ids(await orm.findAll()), [1]);
+  assert.strictEqual(readRawRecord(orm.dbfPath, 2)[0], 0x2A);
+  assert.strictEqual(readRawRecord(orm.dbfPath, 1)[0], 0x20);
+
+  const withDeleted = new DbfORM(orm.dbfPath, { includeDeletedRecords: true });
+  await withDeleted.open();
+  const all = await withDeleted.findAll();
+  assert.deepStrictEqual(all.map(record => !!record[DELETED]), [false, true, true]);
+  await withDeleted.close();
+
+  await orm.recallWhere({ ID: 3 });
+  assert.deepStrictEqual(ids(await orm.findAll()), [1, 3]);
+  await orm.recall();
+  assert.deepStrictEqual(ids(await orm.findAll()), [1, 2, 3]);
+  await orm.close();
+});
+
+test('pack removes deleted records for good, and zap removes them all', async () => {
+  const orm = await createTable(FIELDS, RECORDS);
+  await orm.deleteWhere({ ID: 2 });
+  assert.strictEqual(await orm.pack(), 2);
+  assert.strictEqual(orm.getInfo().recordCount, 2);
+  assert.deepStrictEqual(ids(await orm.findAll()), [1, 3]);
+  await orm.recall();
+  assert.deepStrictEqual(ids(await orm.findAll()), [1, 3]);
+
+  await orm.insert({ ID: 4, NAME: 'four', AMT: 40, OK: false });
+  assert.deepStrictEqual(ids(await orm.findAll()), [1, 3, 4]);
+
+  await orm.zap();
+  assert.strictEqual(orm.getInfo().recordCount, 0);
+  assert.deepStrictEqual(await orm.findAll(), []);
+  await orm.close();
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createTable, tempDir } = require('./helpers');
+
+function fields() {
+  return [
+    { name: 'NAME', type: 'C', size: 20 },
+    { name: 'AMT', type: 'N', size: 12, decimalPlaces: 2 },
+    { name: 'OK', type: 'L', size: 1 },
+    { name: 'JOINED', type: 'D', size: 8 },
+    { name: 'NOTE', type: 'M' }
+  ];
+}
+
+const RECORDS = [
+  { NAME: 'Smith & <Sons>', AMT: 1234567.89, OK: true, JOINED: new Date('2024-01-02'), NOTE: 'two\nlines' },
+  { NAME: 'Łukasz', AMT: -0.25, OK: false, JOINED: new Date('1900-03-01'), NOTE: 'ünïcode' }
+];
+
+function values(records) {
+  return records.map(({ NAME, AMT, OK, JOINED, NOTE }) => [NAME, AMT, OK, JOINED && JOINED.toISOString(), NOTE]);
+}
+
+test('toXLSX and appendFromXLSX copy records with text, numbers, logicals, dates and memos', async () => {
+  const orm = await createTable(fields(), RECORDS);
+  const xlsxPath = path.join(tempDir(), 'out.xlsx');
+  assert.strictEqual(await orm.toXLSX(xlsxPath), 2);
+
+  const copy = await createTable(fields());
+  const { count, rows, errors } = await copy.appendFromXLSX(xlsxPath);
+  assert.deepStrictEqual({ count, rows, errors }, { count: 2, rows: 2, errors: [] });
+  assert.deepStrictEqual(values(await copy.findAll()), values(await orm.findAll()));
+  await orm.close();
+  await copy.close();
+});
+
+test('toXLSX writes the sheet and fields given, and appendFromXLSX reads a sheet by name with a mapping', async () => {
+  const orm = await createTable(fields(), RECORDS);
+  await orm.deleteWhere({ NAME: 'Łukasz' });
+  const xlsxPath = path.join(tempDir(), 'out.xlsx');
+  assert.strictEqual(await orm.toXLSX(xlsxPath, { sheetName: 'Customers', fields: ['AMT', 'NAME'] }), 1);
+
+  const copy = await createTable([
+    { name: 'WHO', type: 'C', size: 20 },
+    { name: 'AMT', type: 'N', size: 12, decimalPlaces: 2 }
+  ]);
+  const { count } = await copy.appendFromXLSX(xlsxPath, { sheet: 'Customers', mapping: { NAME: 'WHO' } });
+  assert.strictEqual(count, 1);
+  assert.deepStrictEqual((await copy.findAll()).map(({ WHO, AMT }) => [WHO, AMT]), [['Smith & <Sons>', 1234567.89]]);
+  await assert.rejects(copy.appendFromXLSX(xlsxPath, { sheet: 'Missing' }));
+  await orm.close();
+  await copy.close();
+});